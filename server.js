@@ -10,6 +10,11 @@ require('dotenv').config();
 const connectDB = require('./src/config/mongodb');
 const { connectRedis } = require('./src/config/redis');
 const { initializeSocket } = require('./src/config/socket');
+const personalAccessTokenService = require('./src/services/personalAccessTokenService');
+const dataExportService = require('./src/services/dataExportService');
+const accountDeletionService = require('./src/services/accountDeletionService');
+const onboardingService = require('./src/services/onboardingService');
+const scheduledPostService = require('./src/services/scheduledPostService');
 
 const app = express();
 const server = http.createServer(app);
@@ -25,8 +30,18 @@ app.use(cors({
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  max: 100, // limit each IP (or personal access token) to 100 requests per windowMs
+  message: 'Too many requests from this IP, please try again later.',
+  // Scripts using a valid personal access token get their own bucket, wherever they run from.
+  // Anything else, including made-up tokens, counts against the IP.
+  keyGenerator: async (req) => {
+    const token = req.headers['authorization']?.split(' ')[1];
+    if (personalAccessTokenService.isPersonalAccessToken(token)) {
+      const record = await personalAccessTokenService.findActiveToken(token);
+      if (record) return `pat:${record._id}`;
+    }
+    return req.ip;
+  }
 });
 app.use('/api/', limiter);
 
@@ -60,6 +75,8 @@ const notificationRoutes = require('./src/routes/notifications');
 const collaborationRoutes = require('./src/routes/collaborations');
 const feedRoutes = require('./src/routes/feed');
 const searchRoutes = require('./src/routes/search');
+const directoryRoutes = require('./src/routes/directory');
+const tagRoutes = require('./src/routes/tags');
 const uploadRoutes = require('./src/routes/upload');
 const keyRoutes = require('./src/routes/keys');
 const reportRoutes = require('./src/routes/reports');
@@ -80,8 +97,10 @@ app.use('/api/clubs', clubRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/collaborations', collaborationRoutes);
 app.use('/api/messages', messageRoutes);
-app.use('/api/notifications', notificationRoutes);
+app.use('/api/notifications', notificationRoutes.router);
 app.use('/api/search', searchRoutes);
+app.use('/api/directory', directoryRoutes);
+app.use('/api/tags', tagRoutes);
 app.use('/api/feed', feedRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/realtime', realtimeRoutes);
@@ -139,6 +158,22 @@ const startServer = async () => {
     
     // Initialize Socket.IO
     initializeSocket(server);
+
+    // Resume interrupted data exports and start expiring old ones
+    dataExportService.start().catch(error => {
+      console.error('❌ Data export worker error:', error);
+    });
+
+    // Erase accounts whose deletion grace period has ended
+    accountDeletionService.start();
+
+    // Remind new users who haven't finished setting up their profile
+    onboardingService.start();
+
+    // Publish scheduled posts when they're due
+    scheduledPostService.start().catch(error => {
+      console.error('❌ Scheduled post worker error:', error);
+    });
     
     server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -152,6 +187,9 @@ const startServer = async () => {
   }
 };
 
-startServer();
+// Tests import the app without starting the server and its workers
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
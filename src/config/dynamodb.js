@@ -383,6 +383,69 @@ const scanItems = async (tableName, filterExpression = null, expressionAttribute
   return result.Items;
 };
 
+// One page of a query and the key to carry on from, for cursor pagination
+const queryPage = async (tableName, keyConditionExpression, expressionAttributeValues, { indexName = null, limit = 20, startKey = null, ascending = false, filterExpression = null, names = null } = {}) => {
+  const params = {
+    TableName: tableName,
+    KeyConditionExpression: keyConditionExpression,
+    ExpressionAttributeValues: expressionAttributeValues,
+    ScanIndexForward: ascending,
+    Limit: limit
+  };
+
+  if (indexName) params.IndexName = indexName;
+  if (startKey) params.ExclusiveStartKey = startKey;
+  // Applied after Limit, so a filtered page can come back short
+  if (filterExpression) params.FilterExpression = filterExpression;
+  if (names) params.ExpressionAttributeNames = names;
+
+  const result = await dynamodb.query(params).promise();
+  return { items: result.Items, lastKey: result.LastEvaluatedKey || null };
+};
+
+// Follow LastEvaluatedKey until every matching item has been read.
+// Meant for background jobs; request handlers should stick to queryItems/scanItems.
+const collectAllPages = async (operation, params) => {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    if (lastEvaluatedKey) params.ExclusiveStartKey = lastEvaluatedKey;
+    const result = await dynamodb[operation](params).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+};
+
+const queryAllItems = async (tableName, keyConditionExpression, expressionAttributeValues, indexName = null, expressionAttributeNames = null) => {
+  const params = {
+    TableName: tableName,
+    KeyConditionExpression: keyConditionExpression,
+    ExpressionAttributeValues: expressionAttributeValues
+  };
+
+  if (indexName) params.IndexName = indexName;
+  if (expressionAttributeNames) params.ExpressionAttributeNames = expressionAttributeNames;
+
+  return await collectAllPages('query', params);
+};
+
+const scanAllItems = async (tableName, filterExpression = null, expressionAttributeValues = {}, expressionAttributeNames = null) => {
+  const params = {
+    TableName: tableName
+  };
+
+  if (filterExpression) {
+    params.FilterExpression = filterExpression;
+    params.ExpressionAttributeValues = expressionAttributeValues;
+  }
+  if (expressionAttributeNames) params.ExpressionAttributeNames = expressionAttributeNames;
+
+  return await collectAllPages('scan', params);
+};
+
 module.exports = {
   dynamodb,
   createTables,
@@ -391,5 +454,8 @@ module.exports = {
   updateItem,
   deleteItem,
   queryItems,
-  scanItems
+  scanItems,
+  queryPage,
+  queryAllItems,
+  scanAllItems
 };
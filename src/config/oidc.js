@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * OIDC identity providers are configured as data, either inline through
+ * OIDC_PROVIDERS (a JSON array) or in a JSON file named by OIDC_PROVIDERS_FILE.
+ *
+ * [{
+ *   "id": "campus",                         // used in /api/auth/oidc/:provider/...
+ *   "name": "Campus SSO",
+ *   "issuer": "https://idp.example.edu",
+ *   "clientId": "networkx",
+ *   "clientSecret": "...",                  // optional for public clients
+ *   "redirectUri": "https://api.example.com/api/auth/oidc/campus/callback",
+ *   "scopes": ["openid", "email", "profile"],
+ *   "authorizationEndpoint": "...",         // endpoints are discovered from the
+ *   "tokenEndpoint": "...",                 // issuer when omitted
+ *   "jwksUri": "...",
+ *   "userinfoEndpoint": "...",
+ *   "claimMapping": { "department": "ou", "year": "student_year" },
+ *   "allowedDomains": ["example.edu"]       // optional email domain restriction
+ * }]
+ */
+
+let providers = null;
+
+const DEFAULT_SCOPES = ['openid', 'email', 'profile'];
+
+const normalizeProvider = (config) => {
+  if (!config.id || !config.issuer || !config.clientId) {
+    throw new Error('OIDC provider config requires id, issuer and clientId');
+  }
+
+  const baseUrl = process.env.BASE_URL || 'http://localhost:5000';
+
+  return {
+    name: config.id,
+    scopes: DEFAULT_SCOPES,
+    redirectUri: `${baseUrl}/api/auth/oidc/${config.id}/callback`,
+    claimMapping: {},
+    allowedDomains: [],
+    ...config,
+    issuer: config.issuer.replace(/\/$/, '')
+  };
+};
+
+const readProviderConfig = () => {
+  if (process.env.OIDC_PROVIDERS) {
+    return JSON.parse(process.env.OIDC_PROVIDERS);
+  }
+
+  if (process.env.OIDC_PROVIDERS_FILE) {
+    const filePath = path.resolve(process.env.OIDC_PROVIDERS_FILE);
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  return [];
+};
+
+// Load providers on first use
+const loadProviders = () => {
+  if (providers) return providers;
+
+  providers = new Map();
+
+  try {
+    for (const config of readProviderConfig()) {
+      const provider = normalizeProvider(config);
+      providers.set(provider.id, provider);
+    }
+
+    if (providers.size > 0) {
+      console.log(`✅ OIDC providers loaded: ${[...providers.keys()].join(', ')}`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to load OIDC providers:', error.message);
+  }
+
+  return providers;
+};
+
+const getProviders = () => [...loadProviders().values()];
+
+const getProvider = (id) => loadProviders().get(id) || null;
+
+// Forget loaded providers so the next lookup re-reads the configuration
+const resetProviders = () => {
+  providers = null;
+};
+
+module.exports = {
+  getProviders,
+  getProvider,
+  resetProviders
+};
@@ -0,0 +1,42 @@
+// Permission registry. Routes check permissions, never role names.
+const PERMISSIONS = {
+  USERS_VIEW: 'users:view',
+  USERS_MANAGE: 'users:manage',
+  USERS_SUSPEND: 'users:suspend',
+  USERS_DELETE: 'users:delete',
+  USERS_IMPERSONATE: 'users:impersonate',
+  ROLES_ASSIGN: 'roles:assign',
+  REPORTS_VIEW: 'reports:view',
+  REPORTS_MODERATE: 'reports:moderate',
+  CONTENT_VIEW: 'content:view',
+  CONTENT_DELETE: 'content:delete',
+  ANALYTICS_VIEW: 'analytics:view',
+  DEPARTMENTS_MANAGE: 'departments:manage',
+  AUDIT_VIEW: 'audit:view'
+};
+
+// Permissions granted to each User.role value
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    PERMISSIONS.REPORTS_VIEW,
+    PERMISSIONS.REPORTS_MODERATE,
+    PERMISSIONS.CONTENT_VIEW,
+    PERMISSIONS.CONTENT_DELETE
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const getPermissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissionsForRole(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  getPermissionsForRole,
+  hasPermission
+};
@@ -145,6 +145,7 @@ const generateCacheKey = (prefix, ...parts) => {
 const CACHE_KEYS = {
   USER_PROFILE: (userId) => generateCacheKey('user', 'profile', userId),
   USER_POSTS: (userId, page) => generateCacheKey('user', 'posts', userId, page),
+  USER_SUGGESTIONS: (userId) => generateCacheKey('user', 'suggestions', userId),
   POST_DETAILS: (postId) => generateCacheKey('post', 'details', postId),
   POST_COMMENTS: (postId, page) => generateCacheKey('post', 'comments', postId, page),
   PROJECT_DETAILS: (projectId) => generateCacheKey('project', 'details', projectId),
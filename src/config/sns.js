@@ -345,6 +345,33 @@ const PUSH_TEMPLATES = {
     }
   },
   
+  FOLLOW_REQUEST: {
+    title: 'Follow Request',
+    body: '{{requesterName}} wants to follow you',
+    data: {
+      type: 'follow_request',
+      clickAction: 'OPEN_FOLLOW_REQUESTS'
+    }
+  },
+  
+  FOLLOW_REQUEST_ACCEPTED: {
+    title: 'Follow Request Accepted',
+    body: '{{accepterName}} accepted your follow request',
+    data: {
+      type: 'follow_request_accepted',
+      clickAction: 'OPEN_PROFILE'
+    }
+  },
+  
+  ONBOARDING_REMINDER: {
+    title: 'Finish Setting Up Your Profile',
+    body: 'Your profile is {{score}}% complete. Next step: {{nextStep}}',
+    data: {
+      type: 'onboarding_reminder',
+      clickAction: 'OPEN_ONBOARDING'
+    }
+  },
+  
   PROJECT_INVITATION: {
     title: 'Project Invitation',
     body: '{{inviterName}} invited you to join "{{projectTitle}}"',
@@ -379,6 +406,15 @@ const PUSH_TEMPLATES = {
       type: 'comment_reply',
       clickAction: 'OPEN_POST'
     }
+  },
+  
+  MENTION: {
+    title: 'New Mention',
+    body: '{{mentionerName}} mentioned you in a {{contentType}}',
+    data: {
+      type: 'mention',
+      clickAction: 'OPEN_CONTENT'
+    }
   }
 };
 
@@ -2,7 +2,9 @@ const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 const { connectRedis, redisClient } = require('./redis');
 const User = require('../models/mongodb/User');
+const sessionService = require('../services/sessionService');
 const { createNotification } = require('../routes/notifications');
+const blockService = require('../services/blockService');
 
 let io = null;
 const connectedUsers = new Map(); // userId -> socketId mapping
@@ -27,14 +29,21 @@ const initializeSocket = (server) => {
         return next(new Error('Authentication error: No token provided'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+      const userId = decoded.userId || decoded.id;
+
+      if (!decoded.sid || !(await sessionService.isSessionActive(decoded.sid, userId))) {
+        return next(new Error('Authentication error: Session has been revoked'));
+      }
+
+      const user = await User.findById(userId);
       
-      if (!user) {
+      if (!user || !user.isActive) {
         return next(new Error('Authentication error: User not found'));
       }
 
       socket.userId = user._id.toString();
+      socket.data.sessionId = decoded.sid.toString();
       socket.user = user;
       next();
     } catch (error) {
@@ -54,6 +63,18 @@ const initializeSocket = (server) => {
     // Join user to their personal room for notifications
     socket.join(`user:${userId}`);
 
+    // Relay a notification unless the recipient muted this user or either blocked the other
+    const relayNotification = async (targetUserId, notification) => {
+      try {
+        if (!connectedUsers.has(targetUserId) || await blockService.isSilenced(targetUserId, userId)) {
+          return;
+        }
+        io.to(`user:${targetUserId}`).emit('notification:new', notification);
+      } catch (error) {
+        console.error('Relay notification error:', error);
+      }
+    };
+
     // Emit online status
     socket.broadcast.emit('user:online', { userId });
 
@@ -96,6 +117,16 @@ const initializeSocket = (server) => {
     socket.on('message:send', async (data) => {
       try {
         const { conversationId, receiverId, content, messageType = 'text' } = data;
+
+        if (!socket.user.isVerified) {
+          socket.emit('error', { message: 'Please verify your email address to send messages' });
+          return;
+        }
+
+        if (await blockService.isBlocked(userId, receiverId)) {
+          socket.emit('error', { message: 'You cannot message this user' });
+          return;
+        }
         
         // Emit to conversation room
         socket.to(`conversation:${conversationId}`).emit('message:new', {
@@ -115,14 +146,12 @@ const initializeSocket = (server) => {
         });
 
         // Send notification to receiver if they're online
-        if (connectedUsers.has(receiverId)) {
-          io.to(`user:${receiverId}`).emit('notification:new', {
-            type: 'message',
-            title: 'New Message',
-            message: `${socket.user.firstName} sent you a message`,
-            data: { conversationId, senderId: userId }
-          });
-        }
+        await relayNotification(receiverId, {
+          type: 'message',
+          title: 'New Message',
+          message: `${socket.user.firstName} sent you a message`,
+          data: { conversationId, senderId: userId }
+        });
 
         console.log(`💬 Message sent in conversation ${conversationId}`);
       } catch (error) {
@@ -147,12 +176,12 @@ const initializeSocket = (server) => {
     });
 
     // Handle post interactions
-    socket.on('post:like', (data) => {
+    socket.on('post:like', async (data) => {
       const { postId, postOwnerId, liked } = data;
       
       // Notify post owner
-      if (postOwnerId !== userId && connectedUsers.has(postOwnerId)) {
-        io.to(`user:${postOwnerId}`).emit('notification:new', {
+      if (postOwnerId !== userId) {
+        await relayNotification(postOwnerId, {
           type: 'like',
           title: liked ? 'New Like' : 'Like Removed',
           message: `${socket.user.firstName} ${liked ? 'liked' : 'unliked'} your post`,
@@ -169,12 +198,12 @@ const initializeSocket = (server) => {
       });
     });
 
-    socket.on('post:comment', (data) => {
+    socket.on('post:comment', async (data) => {
       const { postId, postOwnerId, comment } = data;
       
       // Notify post owner
-      if (postOwnerId !== userId && connectedUsers.has(postOwnerId)) {
-        io.to(`user:${postOwnerId}`).emit('notification:new', {
+      if (postOwnerId !== userId) {
+        await relayNotification(postOwnerId, {
           type: 'comment',
           title: 'New Comment',
           message: `${socket.user.firstName} commented on your post`,
@@ -184,56 +213,50 @@ const initializeSocket = (server) => {
     });
 
     // Handle project interactions
-    socket.on('project:apply', (data) => {
+    socket.on('project:apply', async (data) => {
       const { projectId, projectOwnerId } = data;
       
       // Notify project owner
-      if (connectedUsers.has(projectOwnerId)) {
-        io.to(`user:${projectOwnerId}`).emit('notification:new', {
-          type: 'project_application',
-          title: 'New Project Application',
-          message: `${socket.user.firstName} applied to join your project`,
-          data: { projectId, applicantId: userId }
-        });
-      }
+      await relayNotification(projectOwnerId, {
+        type: 'project_application',
+        title: 'New Project Application',
+        message: `${socket.user.firstName} applied to join your project`,
+        data: { projectId, applicantId: userId }
+      });
     });
 
-    socket.on('project:invite', (data) => {
+    socket.on('project:invite', async (data) => {
       const { projectId, inviteeId } = data;
       
       // Notify invitee
-      if (connectedUsers.has(inviteeId)) {
-        io.to(`user:${inviteeId}`).emit('notification:new', {
-          type: 'project_invite',
-          title: 'Project Invitation',
-          message: `${socket.user.firstName} invited you to join a project`,
-          data: { projectId, inviterId: userId }
-        });
-      }
+      await relayNotification(inviteeId, {
+        type: 'project_invite',
+        title: 'Project Invitation',
+        message: `${socket.user.firstName} invited you to join a project`,
+        data: { projectId, inviterId: userId }
+      });
     });
 
     // Handle club interactions
-    socket.on('club:join', (data) => {
+    socket.on('club:join', async (data) => {
       const { clubId, clubPresidentId } = data;
       
       // Notify club president
-      if (connectedUsers.has(clubPresidentId)) {
-        io.to(`user:${clubPresidentId}`).emit('notification:new', {
-          type: 'club_join',
-          title: 'New Club Member',
-          message: `${socket.user.firstName} joined your club`,
-          data: { clubId, memberId: userId }
-        });
-      }
+      await relayNotification(clubPresidentId, {
+        type: 'club_join',
+        title: 'New Club Member',
+        message: `${socket.user.firstName} joined your club`,
+        data: { clubId, memberId: userId }
+      });
     });
 
     // Handle event interactions
-    socket.on('event:attend', (data) => {
+    socket.on('event:attend', async (data) => {
       const { eventId, eventOrganizerId, attending } = data;
       
       // Notify event organizer
-      if (eventOrganizerId !== userId && connectedUsers.has(eventOrganizerId)) {
-        io.to(`user:${eventOrganizerId}`).emit('notification:new', {
+      if (eventOrganizerId !== userId) {
+        await relayNotification(eventOrganizerId, {
           type: 'event_attendance',
           title: attending ? 'New Event Attendee' : 'Event Attendance Cancelled',
           message: `${socket.user.firstName} ${attending ? 'will attend' : 'cancelled attendance for'} your event`,
@@ -243,32 +266,28 @@ const initializeSocket = (server) => {
     });
 
     // Handle follow/connection requests
-    socket.on('user:follow', (data) => {
+    socket.on('user:follow', async (data) => {
       const { followedUserId } = data;
       
       // Notify followed user
-      if (connectedUsers.has(followedUserId)) {
-        io.to(`user:${followedUserId}`).emit('notification:new', {
-          type: 'follow',
-          title: 'New Follower',
-          message: `${socket.user.firstName} started following you`,
-          data: { followerId: userId }
-        });
-      }
+      await relayNotification(followedUserId, {
+        type: 'follow',
+        title: 'New Follower',
+        message: `${socket.user.firstName} started following you`,
+        data: { followerId: userId }
+      });
     });
 
-    socket.on('user:connect', (data) => {
+    socket.on('user:connect', async (data) => {
       const { targetUserId } = data;
       
       // Notify target user
-      if (connectedUsers.has(targetUserId)) {
-        io.to(`user:${targetUserId}`).emit('notification:new', {
-          type: 'connection_request',
-          title: 'Connection Request',
-          message: `${socket.user.firstName} wants to connect with you`,
-          data: { requesterId: userId }
-        });
-      }
+      await relayNotification(targetUserId, {
+        type: 'connection_request',
+        title: 'Connection Request',
+        message: `${socket.user.firstName} wants to connect with you`,
+        data: { requesterId: userId }
+      });
     });
 
     // Handle general notifications
@@ -287,21 +306,19 @@ const initializeSocket = (server) => {
         });
 
         // Send real-time notification if user is online
-        if (connectedUsers.has(targetUserId)) {
-          io.to(`user:${targetUserId}`).emit('notification:new', {
-            type,
-            title,
-            message,
-            data: notificationData,
-            sender: {
-              id: socket.user._id,
-              firstName: socket.user.firstName,
-              lastName: socket.user.lastName,
-              username: socket.user.username,
-              profileImage: socket.user.profileImage
-            }
-          });
-        }
+        await relayNotification(targetUserId, {
+          type,
+          title,
+          message,
+          data: notificationData,
+          sender: {
+            id: socket.user._id,
+            firstName: socket.user.firstName,
+            lastName: socket.user.lastName,
+            username: socket.user.username,
+            profileImage: socket.user.profileImage
+          }
+        });
       } catch (error) {
         console.error('Send notification error:', error);
         socket.emit('error', { message: 'Failed to send notification' });
@@ -409,6 +426,16 @@ const getUserPresence = async (userId) => {
   }
 };
 
+// Drop live connections that were authenticated with a revoked session
+const disconnectSession = async (userId, sessionId = null) => {
+  if (!io) return 0;
+
+  const sockets = await io.in(`user:${userId}`).fetchSockets();
+  const targets = sockets.filter(socket => !sessionId || socket.data.sessionId === sessionId.toString());
+  targets.forEach(socket => socket.disconnect(true));
+  return targets.length;
+};
+
 module.exports = {
   initializeSocket,
   getSocketIO,
@@ -417,5 +444,6 @@ module.exports = {
   sendMessageToConversation,
   broadcastToAllUsers,
   getConnectedUsers,
-  getUserPresence
+  getUserPresence,
+  disconnectSession
 };
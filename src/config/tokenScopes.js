@@ -0,0 +1,47 @@
+// Personal access token scopes are `${resource}:read` or `${resource}:write`,
+// where resource is the /api/<resource> mount point a route lives under.
+// Resources not listed here (auth, admin, keys, ...) can't be reached with a token.
+const SCOPE_RESOURCES = [
+  'users',
+  'posts',
+  'projects',
+  'clubs',
+  'events',
+  'messages',
+  'notifications',
+  'collaborations',
+  'feed',
+  'search',
+  'directory',
+  'tags',
+  'bookmarks',
+  'upload',
+  'reports',
+  'analytics'
+];
+
+const SCOPES = SCOPE_RESOURCES.flatMap(resource => [`${resource}:read`, `${resource}:write`]);
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Scope a request needs, based on where the router is mounted and the HTTP method
+const getRequiredScope = (req) => {
+  const resource = (req.baseUrl || '').split('/')[2];
+  const access = READ_METHODS.includes(req.method) ? 'read' : 'write';
+  return `${resource}:${access}`;
+};
+
+// Write access to a resource implies read access
+const isScopeGranted = (grantedScopes, requiredScope) => {
+  if (grantedScopes.includes(requiredScope)) return true;
+
+  const [resource, access] = requiredScope.split(':');
+  return access === 'read' && grantedScopes.includes(`${resource}:write`);
+};
+
+module.exports = {
+  SCOPE_RESOURCES,
+  SCOPES,
+  getRequiredScope,
+  isScopeGranted
+};
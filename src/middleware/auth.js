@@ -1,7 +1,12 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/mongodb/User');
+const sessionService = require('../services/sessionService');
+const personalAccessTokenService = require('../services/personalAccessTokenService');
+const impersonationService = require('../services/impersonationService');
+const { hasPermission, getPermissionsForRole } = require('../config/permissions');
+const { getRequiredScope, isScopeGranted } = require('../config/tokenScopes');
 
-// Middleware to authenticate JWT tokens
+// Middleware to authenticate JWT access tokens and personal access tokens
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
@@ -14,10 +19,71 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+    let userId;
+    let sessionId = null;
+    let accessToken = null;
+    let impersonation = null;
+
+    if (personalAccessTokenService.isPersonalAccessToken(token)) {
+      accessToken = await personalAccessTokenService.authenticate(token, req.ip);
+
+      if (!accessToken) {
+        return res.status(401).json({
+          error: 'Access denied',
+          message: 'Access token is invalid, expired or revoked'
+        });
+      }
+
+      // Scripts only reach the resources their token was scoped to
+      const requiredScope = getRequiredScope(req);
+      if (!isScopeGranted(accessToken.scopes, requiredScope)) {
+        return res.status(403).json({
+          error: 'Insufficient scope',
+          message: `This token does not grant ${requiredScope}`,
+          requiredScope
+        });
+      }
+
+      userId = accessToken.userId;
+    } else if (impersonationService.isImpersonationToken(token)) {
+      impersonation = await impersonationService.authenticate(token);
+
+      if (!impersonation) {
+        return res.status(401).json({
+          error: 'Access denied',
+          message: 'Impersonation session has ended'
+        });
+      }
+
+      // Every request is audited, including the ones refused below
+      impersonationService.recordRequest(req, res, impersonation);
+      res.set('X-Impersonation-Id', impersonation._id.toString());
+
+      if (!impersonationService.isRequestAllowed(impersonation, req)) {
+        return res.status(403).json({
+          error: 'Impersonation restricted',
+          message: 'This request is not allowed while impersonating a user'
+        });
+      }
+
+      userId = impersonation.targetUserId;
+    } else {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+
+      // Access tokens are bound to a session and stop working as soon as it is revoked
+      if (!decoded.sid || !(await sessionService.isSessionActive(decoded.sid, decoded.userId))) {
+        return res.status(401).json({
+          error: 'Access denied',
+          message: 'Session has been revoked'
+        });
+      }
+
+      userId = decoded.userId;
+      sessionId = decoded.sid;
+    }
     
     // Get user from database to ensure they still exist and are active
-    const user = await User.findById(decoded.userId).select('email username isActive isVerified');
+    const user = await User.findById(userId).select('email username isActive isVerified');
 
     if (!user) {
       return res.status(401).json({
@@ -33,7 +99,18 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    req.user = { id: user._id, email: user.email, username: user.username, isActive: user.isActive, isVerified: user.isVerified };
+    req.user = { id: user._id, email: user.email, username: user.username, isActive: user.isActive, isVerified: user.isVerified, sessionId };
+    if (accessToken) {
+      req.user.accessTokenId = accessToken._id;
+      req.user.scopes = accessToken.scopes;
+    }
+    if (impersonation) {
+      req.user.impersonation = {
+        id: impersonation._id,
+        adminId: impersonation.adminId,
+        allowWrites: impersonation.allowWrites
+      };
+    }
     req.startTime = Date.now(); // For performance monitoring
     next();
 
@@ -74,7 +151,7 @@ const requireVerification = (req, res, next) => {
 // Middleware to check admin privileges
 const requireAdmin = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id).select('role');
+    const user = await User.findById(req.user.id).select('role twoFactor.enabled');
 
     if (!user || user.role !== 'admin') {
       return res.status(403).json({
@@ -83,6 +160,13 @@ const requireAdmin = async (req, res, next) => {
       });
     }
 
+    if (!user.twoFactor?.enabled) {
+      return res.status(403).json({
+        error: 'Two-factor authentication required',
+        message: 'Admin accounts must enable two-factor authentication'
+      });
+    }
+
     next();
   } catch (error) {
     console.error('Admin check error:', error);
@@ -92,8 +176,40 @@ const requireAdmin = async (req, res, next) => {
   }
 };
 
+// Middleware factory to check that the user's role grants every listed permission
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('role twoFactor.enabled');
+
+    if (!user || !permissions.every(permission => hasPermission(user.role, permission))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You do not have permission to perform this action',
+        required: permissions
+      });
+    }
+
+    if (user.role === 'admin' && !user.twoFactor?.enabled) {
+      return res.status(403).json({
+        error: 'Two-factor authentication required',
+        message: 'Admin accounts must enable two-factor authentication'
+      });
+    }
+
+    req.user.role = user.role;
+    req.user.permissions = getPermissionsForRole(user.role);
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    return res.status(500).json({
+      error: 'Authorization failed'
+    });
+  }
+};
+
 module.exports = {
   authenticateToken,
   requireVerification,
-  requireAdmin
+  requireAdmin,
+  requirePermission
 };
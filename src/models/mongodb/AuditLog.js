@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Record of security-relevant actions. Holds IDs and counts, never personal data,
+// so entries can outlive the accounts they describe.
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  // User or admin who performed the action; 'system' for background jobs
+  actorId: {
+    type: String,
+    required: true
+  },
+  targetUserId: {
+    type: String,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ targetUserId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'metadata.impersonationId': 1, createdAt: -1 }, { sparse: true });
+
+// Entries are append-only: once written they can't be changed or removed through the model
+const rejectChange = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+].forEach(operation => {
+  auditLogSchema.pre(operation, { document: false, query: true }, rejectChange);
+});
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
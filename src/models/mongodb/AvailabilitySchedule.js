@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Start and end of a window as HH:mm wall-clock time in the schedule's timezone
+const windowSchema = new mongoose.Schema({
+  start: { type: String, required: true },
+  end: { type: String, required: true }
+}, { _id: false });
+
+// A user's published availability. Sits alongside the User.availability status,
+// which still says whether they're around right now.
+const availabilityScheduleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // IANA timezone, e.g. "Asia/Kolkata"
+  timezone: {
+    type: String,
+    required: true
+  },
+  // Repeats every week; day is 0 (Sunday) to 6 (Saturday)
+  weekly: [{
+    day: { type: Number, min: 0, max: 6, required: true },
+    start: { type: String, required: true },
+    end: { type: String, required: true }
+  }],
+  // Replace the weekly windows on one date; no windows means unavailable all day
+  exceptions: [{
+    date: { type: String, required: true },
+    windows: [windowSchema],
+    note: { type: String, maxlength: 200, default: '' }
+  }]
+}, {
+  timestamps: true
+});
+
+availabilityScheduleSchema.index({ userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('AvailabilitySchedule', availabilityScheduleSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Canonical department name, with the free-text spellings that should map to it
+const departmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Normalized name (see departmentService.toKey), so lookups ignore case and punctuation
+  key: {
+    type: String,
+    required: true
+  },
+  // Normalized alternative spellings, e.g. "cse" or "comp sci"
+  aliases: [{
+    type: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+departmentSchema.index({ key: 1 }, { unique: true });
+departmentSchema.index({ aliases: 1 });
+
+module.exports = mongoose.model('Department', departmentSchema);
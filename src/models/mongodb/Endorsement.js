@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One user vouching for one of the skills on another user's profile
+const endorsementSchema = new mongoose.Schema({
+  endorserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Lowercased so "React" and "react" count together
+  skill: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 100
+  }
+}, {
+  timestamps: true
+});
+
+endorsementSchema.index({ endorserId: 1, userId: 1, skill: 1 }, { unique: true });
+endorsementSchema.index({ userId: 1, skill: 1 });
+endorsementSchema.index({ endorserId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Endorsement', endorsementSchema);
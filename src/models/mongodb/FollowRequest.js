@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A pending request to follow a private profile. Accepting, declining or
+// cancelling it removes the document.
+const followRequestSchema = new mongoose.Schema({
+  requesterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+followRequestSchema.index({ requesterId: 1, targetId: 1 }, { unique: true });
+followRequestSchema.index({ targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FollowRequest', followRequestSchema);
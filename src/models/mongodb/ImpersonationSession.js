@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A support admin viewing the app as another user
+const impersonationSessionSchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  // Read-only unless the admin explicitly asked for write access
+  allowWrites: {
+    type: Boolean,
+    default: false
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+impersonationSessionSchema.index({ adminId: 1, createdAt: -1 });
+impersonationSessionSchema.index({ targetUserId: 1, createdAt: -1 });
+
+// Check whether the session can still be used
+impersonationSessionSchema.methods.isActive = function() {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('ImpersonationSession', impersonationSessionSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One viewer looking at one profile on one (UTC) day; repeat views that day
+// only move viewedAt
+const profileViewSchema = new mongoose.Schema({
+  profileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  viewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  // The viewer had opted out of being shown, so they only count as a number
+  anonymous: {
+    type: Boolean,
+    default: false
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+profileViewSchema.index({ profileId: 1, viewerId: 1, day: 1 }, { unique: true });
+profileViewSchema.index({ profileId: 1, day: 1 });
+profileViewSchema.index({ viewerId: 1 });
+// Let MongoDB drop views once they are past the retention window
+profileViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ProfileView', profileViewSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A peer review, left by someone the reviewee has worked or been in a club with
+const reviewSchema = new mongoose.Schema({
+  reviewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revieweeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  // What the two users shared, which also decides how much the review counts
+  context: {
+    type: {
+      type: String,
+      enum: ['project', 'collaboration', 'club'],
+      required: true
+    },
+    id: {
+      type: String,
+      required: true
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// One review per pair; reviewing again updates it
+reviewSchema.index({ reviewerId: 1, revieweeId: 1 }, { unique: true });
+reviewSchema.index({ revieweeId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -73,6 +73,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Hashtags followed through /api/tags, stored lowercase without the #
+  followedTags: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
   availability: {
     type: String,
     enum: ['available', 'busy', 'offline'],
@@ -105,6 +111,33 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Self-service or admin deletion; the account is erased once scheduledFor passes
+  deletion: {
+    requestedAt: { type: Date, default: null },
+    scheduledFor: { type: Date, default: null },
+    requestedBy: { type: String, default: null },
+    reason: { type: String, default: null }
+  },
+  // Weighted share of the onboarding checklist done, kept up to date by onboardingService
+  profileCompleteness: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  onboarding: {
+    // Only set for accounts created since the checklist shipped, which are the ones reminded
+    startedAt: {
+      type: Date,
+      default: function () {
+        return this.isNew ? new Date() : undefined;
+      }
+    },
+    completedAt: { type: Date, default: null },
+    dismissedAt: { type: Date, default: null },
+    lastReminderAt: { type: Date, default: null },
+    remindersSent: { type: Number, default: 0 }
+  },
   lastSeen: {
     type: Date,
     default: Date.now
@@ -113,6 +146,22 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Linked single sign-on identities
+  identities: [{
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: { type: String, default: null },
+    linkedAt: { type: Date, default: Date.now }
+  }],
+  // TOTP two-factor authentication (secrets are encrypted at rest)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },
+    pendingSecret: { type: String, default: null },
+    recoveryCodes: [{ type: String }],
+    lastUsedStep: { type: Number, default: null },
+    enabledAt: { type: Date, default: null }
+  },
   resetPasswordToken: {
     type: String,
     default: null
@@ -121,10 +170,19 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // SHA-256 hash of the token emailed to the user
   verificationToken: {
     type: String,
     default: null
   },
+  verificationTokenExpires: {
+    type: Date,
+    default: null
+  },
+  verificationEmailSentAt: {
+    type: Date,
+    default: null
+  },
   phoneNumber: {
     type: String,
     default: null
@@ -148,6 +206,15 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Blocking works both ways; muting only hides the muted user's content from this user
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  mutedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   // Role-based access control
   role: {
     type: String,
@@ -164,7 +231,9 @@ const userSchema = new mongoose.Schema({
     privacy: {
       profileVisibility: { type: String, enum: ['public', 'private', 'friends'], default: 'public' },
       showEmail: { type: Boolean, default: false },
-      showLocation: { type: Boolean, default: true }
+      showLocation: { type: Boolean, default: true },
+      // When off, profile views by this user are counted but not attributed
+      shareProfileViews: { type: Boolean, default: true }
     },
     theme: { type: String, enum: ['light', 'dark', 'auto'], default: 'auto' }
   }
@@ -177,6 +246,20 @@ const userSchema = new mongoose.Schema({
       delete ret.resetPasswordToken;
       delete ret.resetPasswordExpires;
       delete ret.verificationToken;
+      delete ret.verificationTokenExpires;
+      delete ret.verificationEmailSentAt;
+      if (ret.identities) {
+        ret.identities = ret.identities.map(identity => ({
+          provider: identity.provider,
+          linkedAt: identity.linkedAt
+        }));
+      }
+      if (ret.twoFactor) {
+        ret.twoFactor = {
+          enabled: ret.twoFactor.enabled,
+          enabledAt: ret.twoFactor.enabledAt
+        };
+      }
       return ret;
     }
   }
@@ -189,9 +272,11 @@ userSchema.index({ department: 1 });
 userSchema.index({ year: 1 });
 userSchema.index({ availability: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ followers: 1 });
 userSchema.index({ following: 1 });
+userSchema.index({ blockedUsers: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ lastSeen: -1 });
 userSchema.index({ rating: -1 });
@@ -200,6 +285,10 @@ userSchema.index({ firstName: 'text', lastName: 'text', username: 'text', bio: '
 userSchema.index({ department: 1, year: 1 });
 userSchema.index({ isActive: 1, role: 1 });
 userSchema.index({ department: 1, skills: 1 });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // Enhanced password hashing with salting and multi-hashing
 userSchema.pre('save', async function(next) {
@@ -1,18 +1,24 @@
 const express = require('express');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ROLES, ROLE_PERMISSIONS, hasPermission } = require('../config/permissions');
 const User = require('../models/mongodb/User');
 const { getItem, updateItem, deleteItem, scanItems, queryItems } = require('../config/dynamodb');
 const { setCache, getCache, deleteCache } = require('../config/redis');
 const RealtimeService = require('../services/realtime');
+const loginProtectionService = require('../services/loginProtectionService');
+const accountDeletionService = require('../services/accountDeletionService');
+const impersonationService = require('../services/impersonationService');
+const departmentService = require('../services/departmentService');
+const AuditLog = require('../models/mongodb/AuditLog');
 
 const router = express.Router();
 
-// All admin routes require authentication and admin privileges
+// All admin routes require authentication; each route checks its own permission
 router.use(authenticateToken);
-router.use(requireAdmin);
 
 // GET /api/admin/users - Get all users with pagination and filters
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission(PERMISSIONS.USERS_VIEW), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -63,11 +69,32 @@ router.get('/users', async (req, res) => {
 });
 
 // PUT /api/admin/users/:userId - Update user (role, status, etc.)
-router.put('/users/:userId', async (req, res) => {
+router.put('/users/:userId', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   try {
     const { userId } = req.params;
     const { role, isActive, isVerified, reason } = req.body;
 
+    // Changing role or suspension status needs more than users:manage
+    const requiredPermissions = [
+      role && PERMISSIONS.ROLES_ASSIGN,
+      isActive !== undefined && PERMISSIONS.USERS_SUSPEND
+    ].filter(Boolean);
+    if (!requiredPermissions.every(permission => hasPermission(req.user.role, permission))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You do not have permission to perform this action',
+        required: requiredPermissions
+      });
+    }
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role', validRoles: ROLES });
+    }
+
+    if (role && userId === req.user.id.toString()) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -84,6 +111,14 @@ router.put('/users/:userId', async (req, res) => {
       { new: true, runValidators: true }
     ).select('-password -refreshToken -resetPasswordToken -verificationToken');
 
+    // Reactivating an account undoes a pending deletion
+    if (isActive === true) {
+      await accountDeletionService.cancelDeletion(updatedUser, {
+        cancelledBy: req.user.id,
+        ipAddress: req.ip
+      });
+    }
+
     // Log admin action
     console.log(`Admin ${req.user.username} updated user ${user.username}:`, updates, reason ? `Reason: ${reason}` : '');
 
@@ -107,8 +142,240 @@ router.put('/users/:userId', async (req, res) => {
   }
 });
 
+// GET /api/admin/roles - List roles and the permissions they grant
+router.get('/roles', requirePermission(PERMISSIONS.ROLES_ASSIGN), (req, res) => {
+  res.json({
+    roles: ROLES.map(role => ({
+      role,
+      permissions: ROLE_PERMISSIONS[role]
+    }))
+  });
+});
+
+// PUT /api/admin/users/:userId/role - Assign a role to a user
+router.put('/users/:userId/role', requirePermission(PERMISSIONS.ROLES_ASSIGN), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, reason } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role', validRoles: ROLES });
+    }
+
+    if (userId === req.user.id.toString()) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const previousRole = user.role;
+    if (previousRole === role) {
+      return res.json({ message: 'Role unchanged', user });
+    }
+
+    user.role = role;
+    await user.save();
+
+    // Log admin action
+    console.log(`Admin ${req.user.username} changed role of ${user.username} from ${previousRole} to ${role}`, reason ? `Reason: ${reason}` : '');
+
+    await RealtimeService.sendNotification(userId, {
+      type: 'account_update',
+      title: 'Role Updated',
+      message: `Your role has been changed to ${role}.`,
+      data: { previousRole, role, reason }
+    });
+
+    res.json({
+      message: 'Role updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Admin assign role error:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+// POST /api/admin/users/:userId/unlock - Clear a login lockout
+router.post('/users/:userId/unlock', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const wasLocked = loginProtectionService.isLocked(user);
+    await loginProtectionService.unlock(user);
+
+    // Log admin action
+    console.log(`Admin ${req.user.username} unlocked user ${user.username}`, reason ? `Reason: ${reason}` : '');
+
+    if (wasLocked) {
+      await RealtimeService.sendNotification(userId, {
+        type: 'account_update',
+        title: 'Account Unlocked',
+        message: 'Your account has been unlocked by an administrator.',
+        data: { reason }
+      });
+    }
+
+    res.json({
+      message: 'User unlocked successfully',
+      wasLocked
+    });
+  } catch (error) {
+    console.error('Admin unlock user error:', error);
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+});
+
+// POST /api/admin/users/:userId/impersonate - Get a time-limited token to view the app as a user
+router.post('/users/:userId/impersonate', requirePermission(PERMISSIONS.USERS_IMPERSONATE), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason, allowWrites = false, durationMinutes } = req.body;
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required to impersonate a user' });
+    }
+
+    if (typeof allowWrites !== 'boolean') {
+      return res.status(400).json({ error: 'allowWrites must be a boolean' });
+    }
+
+    const duration = durationMinutes === undefined ? undefined : parseInt(durationMinutes);
+    if (duration !== undefined && (!Number.isInteger(duration) || duration < 1 || duration > impersonationService.maxDurationMinutes)) {
+      return res.status(400).json({
+        error: `durationMinutes must be between 1 and ${impersonationService.maxDurationMinutes}`
+      });
+    }
+
+    if (userId === req.user.id.toString()) {
+      return res.status(400).json({ error: 'You cannot impersonate yourself' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ error: 'Cannot impersonate a deactivated account' });
+    }
+
+    // Staff accounts carry permissions; viewing as them would be privilege escalation
+    if ((user.role || 'user') !== 'user') {
+      return res.status(403).json({ error: 'Staff accounts cannot be impersonated' });
+    }
+
+    const admin = await User.findById(req.user.id);
+    const { token, session } = await impersonationService.startImpersonation(admin, user, {
+      reason: reason.trim(),
+      allowWrites,
+      durationMinutes: duration,
+      ipAddress: req.ip
+    });
+
+    // Log admin action
+    console.log(`Admin ${req.user.username} started impersonating ${user.username}${allowWrites ? ' with write access' : ''}. Reason: ${reason}`);
+
+    res.status(201).json({
+      message: 'Impersonation started',
+      token,
+      tokenType: 'impersonation',
+      impersonation: {
+        id: session._id,
+        targetUserId: user._id,
+        allowWrites: session.allowWrites,
+        expiresAt: session.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Admin impersonate user error:', error);
+    res.status(500).json({ error: 'Failed to start impersonation' });
+  }
+});
+
+// POST /api/admin/impersonations/:id/end - End an impersonation session early
+router.post('/impersonations/:id/end', requirePermission(PERMISSIONS.USERS_IMPERSONATE), async (req, res) => {
+  try {
+    const session = await impersonationService.endImpersonation(req.params.id, {
+      endedBy: req.user.id,
+      ipAddress: req.ip
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Active impersonation session not found' });
+    }
+
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Active impersonation session not found' });
+    }
+    console.error('Admin end impersonation error:', error);
+    res.status(500).json({ error: 'Failed to end impersonation' });
+  }
+});
+
+// GET /api/admin/audit - Query the audit log
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_VIEW), async (req, res) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 50, 
+      action, 
+      actorId, 
+      targetUserId, 
+      impersonationId,
+      from,
+      to
+    } = req.query;
+
+    const query = {};
+
+    if (action) query.action = action;
+    if (actorId) query.actorId = actorId;
+    if (targetUserId) query.targetUserId = targetUserId;
+    if (impersonationId) query['metadata.impersonationId'] = impersonationId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 100);
+
+    const entries = await AuditLog.find(query)
+      .limit(pageSize)
+      .skip((parseInt(page) - 1) * pageSize)
+      .sort({ createdAt: -1 });
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({ error: 'Failed to get audit log' });
+  }
+});
+
 // DELETE /api/admin/users/:userId - Delete user account
-router.delete('/users/:userId', async (req, res) => {
+router.delete('/users/:userId', requirePermission(PERMISSIONS.USERS_DELETE), async (req, res) => {
   try {
     const { userId } = req.params;
     const { reason } = req.body;
@@ -118,18 +385,21 @@ router.delete('/users/:userId', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Soft delete - deactivate instead of hard delete
-    await User.findByIdAndUpdate(userId, { 
-      isActive: false, 
-      deletedAt: new Date(),
-      deletedBy: req.user.id,
-      deleteReason: reason 
+    // Deactivate now; the erasure job removes the account after the grace period
+    user.isActive = false;
+    const scheduledFor = await accountDeletionService.requestDeletion(user, {
+      requestedBy: req.user.id,
+      reason: reason || null,
+      ipAddress: req.ip
     });
 
     // Log admin action
     console.log(`Admin ${req.user.username} deleted user ${user.username}. Reason: ${reason}`);
 
-    res.json({ message: 'User account deactivated successfully' });
+    res.json({ 
+      message: 'User account deactivated and scheduled for deletion',
+      scheduledFor
+    });
   } catch (error) {
     console.error('Admin delete user error:', error);
     res.status(500).json({ error: 'Failed to delete user' });
@@ -137,7 +407,7 @@ router.delete('/users/:userId', async (req, res) => {
 });
 
 // GET /api/admin/reports - Get content reports
-router.get('/reports', async (req, res) => {
+router.get('/reports', requirePermission(PERMISSIONS.REPORTS_VIEW), async (req, res) => {
   try {
     const { page = 1, limit = 20, status = 'pending', type } = req.query;
     const REPORTS_TABLE = process.env.DYNAMODB_REPORTS_TABLE || 'networkx-reports';
@@ -190,18 +460,31 @@ router.get('/reports', async (req, res) => {
 });
 
 // PUT /api/admin/reports/:reportId - Update report status
-router.put('/reports/:reportId', async (req, res) => {
+router.put('/reports/:reportId', requirePermission(PERMISSIONS.REPORTS_MODERATE), async (req, res) => {
   try {
     const { reportId } = req.params;
     const { status, action, notes } = req.body;
     const REPORTS_TABLE = process.env.DYNAMODB_REPORTS_TABLE || 'networkx-reports';
 
+    // Actions beyond closing the report need their own permission
+    const actionPermissions = {
+      suspend_user: PERMISSIONS.USERS_SUSPEND,
+      delete_content: PERMISSIONS.CONTENT_DELETE
+    };
+    if (action && actionPermissions[action] && !hasPermission(req.user.role, actionPermissions[action])) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You do not have permission to perform this action',
+        required: [actionPermissions[action]]
+      });
+    }
+
     const report = await getItem(REPORTS_TABLE, { reportId });
     if (!report) {
       return res.status(404).json({ error: 'Report not found' });
     }
 
-    const updateExpression = 'SET #status = :status, reviewedBy = :reviewedBy, reviewedAt = :reviewedAt, adminNotes = :notes';
+    let updateExpression = 'SET #status = :status, reviewedBy = :reviewedBy, reviewedAt = :reviewedAt, adminNotes = :notes';
     const expressionAttributeNames = { '#status': 'status' };
     const expressionAttributeValues = {
       ':status': status,
@@ -242,7 +525,7 @@ router.put('/reports/:reportId', async (req, res) => {
 });
 
 // GET /api/admin/content/:type - Get content for moderation
-router.get('/content/:type', async (req, res) => {
+router.get('/content/:type', requirePermission(PERMISSIONS.CONTENT_VIEW), async (req, res) => {
   try {
     const { type } = req.params;
     const { page = 1, limit = 20, flagged = false } = req.query;
@@ -293,7 +576,7 @@ router.get('/content/:type', async (req, res) => {
 });
 
 // DELETE /api/admin/content/:type/:id - Delete content
-router.delete('/content/:type/:id', async (req, res) => {
+router.delete('/content/:type/:id', requirePermission(PERMISSIONS.CONTENT_DELETE), async (req, res) => {
   try {
     const { type, id } = req.params;
     const { reason } = req.body;
@@ -330,6 +613,89 @@ router.delete('/content/:type/:id', async (req, res) => {
   }
 });
 
+// GET /api/admin/departments - List canonical departments and their aliases
+router.get('/departments', requirePermission(PERMISSIONS.DEPARTMENTS_MANAGE), async (req, res) => {
+  try {
+    const departments = await departmentService.listDepartments();
+    res.json({ departments });
+  } catch (error) {
+    console.error('Admin get departments error:', error);
+    res.status(500).json({ error: 'Failed to fetch departments' });
+  }
+});
+
+// POST /api/admin/departments - Add a canonical department
+router.post('/departments', requirePermission(PERMISSIONS.DEPARTMENTS_MANAGE), async (req, res) => {
+  try {
+    const { name, aliases } = req.body;
+    const { department, normalizedUsers } = await departmentService.createDepartment({ name, aliases }, req.user.id);
+
+    console.log(`Admin ${req.user.username} added department ${department.name}, normalized ${normalizedUsers} users`);
+
+    res.status(201).json({
+      message: 'Department created successfully',
+      department,
+      normalizedUsers
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Admin create department error:', error);
+    res.status(500).json({ error: 'Failed to create department' });
+  }
+});
+
+// PUT /api/admin/departments/:departmentId - Rename a department or change its aliases
+router.put('/departments/:departmentId', requirePermission(PERMISSIONS.DEPARTMENTS_MANAGE), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.departmentId)) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+
+    const { name, aliases } = req.body;
+    const result = await departmentService.updateDepartment(req.params.departmentId, { name, aliases });
+    if (!result) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+
+    console.log(`Admin ${req.user.username} updated department ${result.department.name}, normalized ${result.normalizedUsers} users`);
+
+    res.json({
+      message: 'Department updated successfully',
+      department: result.department,
+      normalizedUsers: result.normalizedUsers
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Admin update department error:', error);
+    res.status(500).json({ error: 'Failed to update department' });
+  }
+});
+
+// DELETE /api/admin/departments/:departmentId - Remove a department from the canonical list
+router.delete('/departments/:departmentId', requirePermission(PERMISSIONS.DEPARTMENTS_MANAGE), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.departmentId)) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+
+    const deleted = await departmentService.deleteDepartment(req.params.departmentId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+
+    console.log(`Admin ${req.user.username} removed department ${req.params.departmentId}`);
+
+    res.json({ message: 'Department deleted successfully' });
+  } catch (error) {
+    console.error('Admin delete department error:', error);
+    res.status(500).json({ error: 'Failed to delete department' });
+  }
+});
+
 // Helper functions
 function getContentTable(type) {
   const tables = {
@@ -1,5 +1,6 @@
 const express = require('express');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const User = require('../models/mongodb/User');
 const { scanItems, queryItems } = require('../config/dynamodb');
 const { getCache, setCache } = require('../config/redis');
@@ -11,7 +12,7 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // GET /api/analytics/dashboard - Main dashboard stats (admin only)
-router.get('/dashboard', requireAdmin, async (req, res) => {
+router.get('/dashboard', requirePermission(PERMISSIONS.ANALYTICS_VIEW), async (req, res) => {
   try {
     const cacheKey = 'analytics:dashboard';
     const cached = await getCache(cacheKey);
@@ -82,7 +83,7 @@ router.get('/dashboard', requireAdmin, async (req, res) => {
 });
 
 // GET /api/analytics/users - User analytics (admin only)
-router.get('/users', requireAdmin, async (req, res) => {
+router.get('/users', requirePermission(PERMISSIONS.ANALYTICS_VIEW), async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     const cacheKey = `analytics:users:${period}`;
@@ -175,7 +176,7 @@ router.get('/users', requireAdmin, async (req, res) => {
 });
 
 // GET /api/analytics/content - Content analytics (admin only)
-router.get('/content', requireAdmin, async (req, res) => {
+router.get('/content', requirePermission(PERMISSIONS.ANALYTICS_VIEW), async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     const cacheKey = `analytics:content:${period}`;
@@ -213,7 +214,7 @@ router.get('/content', requireAdmin, async (req, res) => {
 });
 
 // GET /api/analytics/engagement - Engagement analytics (admin only)
-router.get('/engagement', requireAdmin, async (req, res) => {
+router.get('/engagement', requirePermission(PERMISSIONS.ANALYTICS_VIEW), async (req, res) => {
   try {
     const cacheKey = 'analytics:engagement';
     const cached = await getCache(cacheKey);
@@ -1,11 +1,52 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/mongodb/User');
+const Session = require('../models/mongodb/Session');
 const { body, validationResult } = require('express-validator');
 const { uploadMiddleware } = require('../config/aws');
+const { disconnectSession } = require('../config/socket');
+const { authenticateToken } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const totpService = require('../services/totpService');
+const loginProtectionService = require('../services/loginProtectionService');
+const emailVerificationService = require('../services/emailVerificationService');
+const oidcService = require('../services/oidcService');
+const personalAccessTokenService = require('../services/personalAccessTokenService');
+const departmentService = require('../services/departmentService');
+const { SCOPES } = require('../config/tokenScopes');
+const { getProviders, getProvider } = require('../config/oidc');
+const { incrementCache, deleteCache, generateCacheKey } = require('../config/redis');
 
 const router = express.Router();
 
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+const TWO_FACTOR_ATTEMPT_WINDOW = 15 * 60; // seconds
+
+// Count a two-factor attempt and report whether the user is over the limit
+const tooManyTwoFactorAttempts = async (userId) => {
+  const attempts = await incrementCache(generateCacheKey('auth', '2fa', userId.toString()), TWO_FACTOR_ATTEMPT_WINDOW);
+  return attempts > MAX_TWO_FACTOR_ATTEMPTS;
+};
+
+const clearTwoFactorAttempts = (userId) => deleteCache(generateCacheKey('auth', '2fa', userId.toString()));
+
+// Finish a login once every factor has been checked
+const completeLogin = async (user, req) => {
+  await user.updateLastSeen();
+
+  // Start a new session for this device
+  const { accessToken, refreshToken, expiresIn } = await sessionService.createSession(user, req);
+
+  return {
+    message: 'Login successful',
+    token: accessToken,
+    refreshToken,
+    expiresIn,
+    // Admins must enroll in 2FA before admin routes will accept them
+    twoFactorSetupRequired: user.role === 'admin' && !user.twoFactor?.enabled,
+    user: user.toJSON()
+  };
+};
+
 // POST /api/auth/register
 router.post('/register', [
   body('email').isEmail().withMessage('Valid email is required'),
@@ -44,22 +85,25 @@ router.post('/register', [
       firstName,
       lastName,
       username,
-      department: department || '',
+      department: department ? await departmentService.normalize(department) : '',
       year: year || null
     });
 
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '7d' }
-    );
+    // Registration succeeds even if the verification email can't be sent; it can be requested again
+    emailVerificationService.sendVerification(user).catch(error => {
+      console.error('Failed to send verification email:', error);
+    });
+
+    // Start a session for the new account
+    const { accessToken, refreshToken, expiresIn } = await sessionService.createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      token: accessToken,
+      refreshToken,
+      expiresIn,
       user: user.toJSON()
     });
 
@@ -96,9 +140,18 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Stop password guessing spread across many accounts
+    if (await loginProtectionService.isIpBlocked(req.ip)) {
+      return res.status(429).json({ 
+        error: 'Too many attempts',
+        message: 'Too many failed login attempts. Please try again later.'
+      });
+    }
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await loginProtectionService.recordIpFailure(req.ip);
       return res.status(401).json({ 
         error: 'Invalid credentials',
         message: 'Email or password is incorrect'
@@ -113,33 +166,359 @@ router.post('/login', [
       });
     }
 
+    // Check lock before the password so a locked account gives nothing away
+    if (loginProtectionService.isLocked(user)) {
+      return res.status(423).json({ 
+        error: 'Account locked',
+        message: 'Too many failed login attempts. Please try again later.',
+        lockUntil: user.lockUntil
+      });
+    }
+
     // Validate password
     const isValidPassword = await user.comparePassword(password);
     if (!isValidPassword) {
+      const { locked, lockUntil } = await loginProtectionService.recordFailure(user, req.ip);
+
+      if (locked) {
+        return res.status(423).json({ 
+          error: 'Account locked',
+          message: 'Too many failed login attempts. Please try again later.',
+          lockUntil
+        });
+      }
+
       return res.status(401).json({ 
         error: 'Invalid credentials',
         message: 'Email or password is incorrect'
       });
     }
 
-    // Update last seen
-    await user.updateLastSeen();
+    await loginProtectionService.recordSuccess(user);
+
+    // Accounts with 2FA only get tokens after the second step
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: sessionService.generateTwoFactorChallenge(user)
+      });
+    }
+
+    res.json(await completeLogin(user, req));
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ 
+      error: 'Login failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/auth/oidc/providers - List configured single sign-on providers
+router.get('/oidc/providers', (req, res) => {
+  res.json({
+    providers: getProviders().map(provider => ({
+      id: provider.id,
+      name: provider.name
+    }))
+  });
+});
+
+// GET /api/auth/oidc/:provider/authorize - Start a single sign-on login
+router.get('/oidc/:provider/authorize', async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: 'Provider not found' });
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '7d' }
-    );
+    const { authorizationUrl, state, expiresAt } = await oidcService.createAuthorization(provider);
 
     res.json({
-      message: 'Login successful',
-      token,
-      user: user.toJSON()
+      authorizationUrl,
+      state,
+      expiresAt
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('OIDC authorize error:', error);
+    res.status(error.code === 'provider_error' ? 502 : 500).json({ 
+      error: 'Failed to start single sign-on',
+      message: error.code === 'provider_error' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+const OIDC_ERROR_STATUS = {
+  invalid_state: 400,
+  missing_email: 400,
+  invalid_token: 401,
+  domain_not_allowed: 403,
+  email_not_verified: 409,
+  provider_error: 502
+};
+
+// GET /api/auth/oidc/:provider/callback - Finish a single sign-on login
+router.get('/oidc/:provider/callback', async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: 'Provider not found' });
+    }
+
+    const { code, state, error: providerError, error_description: providerErrorDescription } = req.query;
+
+    if (providerError) {
+      return res.status(400).json({ 
+        error: 'Single sign-on failed',
+        message: providerErrorDescription || providerError
+      });
+    }
+
+    if (!code || !state) {
+      return res.status(400).json({ 
+        error: 'Validation Error',
+        message: 'code and state are required'
+      });
+    }
+
+    const claims = await oidcService.handleCallback(provider, { code, state });
+    const { user, created, linked } = await oidcService.resolveUser(provider, claims);
+
+    if (!user.isActive) {
+      return res.status(401).json({ 
+        error: 'Account deactivated',
+        message: 'Your account has been deactivated. Please contact support.'
+      });
+    }
+
+    // The IdP replaces the password, not the second factor
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: sessionService.generateTwoFactorChallenge(user)
+      });
+    }
+
+    const response = await completeLogin(user, req);
+    res.status(created ? 201 : 200).json({ ...response, created, linked });
+
+  } catch (error) {
+    if (OIDC_ERROR_STATUS[error.code]) {
+      return res.status(OIDC_ERROR_STATUS[error.code]).json({ 
+        error: 'Single sign-on failed',
+        message: error.message
+      });
+    }
+
+    console.error('OIDC callback error:', error);
+    res.status(500).json({ 
+      error: 'Single sign-on failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation Error',
+        details: errors.array() 
+      });
+    }
+
+    const { accessToken, refreshToken, expiresIn, session } = await sessionService.rotateRefreshToken(req.body.refreshToken, req);
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      sessionId: session._id
+    });
+
+  } catch (error) {
+    if (['invalid_token', 'token_reused', 'session_revoked'].includes(error.code)) {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      error: 'Refresh failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke the session a refresh token belongs to
+router.post('/logout', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation Error',
+        details: errors.array() 
+      });
+    }
+
+    const { sessionId } = sessionService.parseRefreshToken(req.body.refreshToken) || {};
+    const revoked = await sessionService.revokeByRefreshToken(req.body.refreshToken);
+
+    if (revoked) {
+      const session = await Session.findById(sessionId).select('userId');
+      await disconnectSession(session.userId, sessionId);
+    }
+
+    // Logging out with an unknown or already revoked token is not an error
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      error: 'Logout failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/auth/sessions - List active sessions for the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        isCurrent: !!req.user.sessionId && session._id.toString() === req.user.sessionId.toString()
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get sessions',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Revoke one of the current user's sessions
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await session.revoke('user_revoked');
+    await disconnectSession(req.user.id, session._id);
+
+    res.json({ message: 'Session revoked successfully' });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke session',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/auth/2fa/login - Complete a login with a TOTP or recovery code
+router.post('/2fa/login', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body().custom(value => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('A verification code or recovery code is required');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation Error',
+        details: errors.array() 
+      });
+    }
+
+    const userId = sessionService.verifyTwoFactorChallenge(req.body.challengeToken);
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({ 
+        error: 'Invalid challenge',
+        message: 'Login challenge is invalid or has expired'
+      });
+    }
+
+    if (await tooManyTwoFactorAttempts(user._id)) {
+      return res.status(429).json({ 
+        error: 'Too many attempts',
+        message: 'Too many verification attempts. Please try again later.'
+      });
+    }
+
+    const method = totpService.verifyUserFactor(user, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode
+    });
+
+    if (!method) {
+      return res.status(401).json({ 
+        error: 'Invalid code',
+        message: 'Verification code is incorrect'
+      });
+    }
+
+    await user.save();
+    await clearTwoFactorAttempts(user._id);
+
+    const response = await completeLogin(user, req);
+    if (method === 'recovery_code') {
+      response.recoveryCodesRemaining = user.twoFactor.recoveryCodes.length;
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    if (error.code === 'invalid_challenge') {
+      return res.status(401).json({ 
+        error: 'Invalid challenge',
+        message: error.message
+      });
+    }
+
+    console.error('Two-factor login error:', error);
     res.status(500).json({ 
       error: 'Login failed',
       message: 'Internal server error'
@@ -147,6 +526,439 @@ router.post('/login', [
   }
 });
 
+// GET /api/auth/2fa/status - Get two-factor status for the current user
+router.get('/2fa/status', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('role twoFactor');
+
+    res.json({
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      pendingSetup: !!user.twoFactor?.pendingSecret,
+      recoveryCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.recoveryCodes.length : 0,
+      required: user.role === 'admin'
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get two-factor status',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/auth/2fa/setup - Start two-factor enrollment
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ 
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // The secret only becomes active once a code generated from it is verified
+    const secret = totpService.generateSecret();
+    user.twoFactor.pendingSecret = totpService.encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then verify a code to finish setup',
+      secret,
+      otpauthUri: totpService.getProvisioningUri(secret, user.email)
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ 
+      error: 'Failed to start two-factor setup',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/auth/2fa/verify - Confirm enrollment with a code from the authenticator app
+router.post('/2fa/verify', authenticateToken, [
+  body('code').notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation Error',
+        details: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ 
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ 
+        error: 'Setup not started',
+        message: 'Start two-factor setup before verifying a code'
+      });
+    }
+
+    if (await tooManyTwoFactorAttempts(user._id)) {
+      return res.status(429).json({ 
+        error: 'Too many attempts',
+        message: 'Too many verification attempts. Please try again later.'
+      });
+    }
+
+    const step = totpService.verifyCode(totpService.decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({ 
+        error: 'Invalid code',
+        message: 'Verification code is incorrect'
+      });
+    }
+
+    const { codes, hashes } = totpService.generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+    await clearTwoFactorAttempts(user._id);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ 
+      error: 'Failed to verify two-factor setup',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace all recovery codes
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code').notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation Error',
+        details: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ 
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await tooManyTwoFactorAttempts(user._id)) {
+      return res.status(429).json({ 
+        error: 'Too many attempts',
+        message: 'Too many verification attempts. Please try again later.'
+      });
+    }
+
+    if (!totpService.verifyUserFactor(user, { code: req.body.code })) {
+      return res.status(400).json({ 
+        error: 'Invalid code',
+        message: 'Verification code is incorrect'
+      });
+    }
+
+    const { codes, hashes } = totpService.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+    await clearTwoFactorAttempts(user._id);
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ 
+      error: 'Failed to regenerate recovery codes',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn off two-factor authentication
+router.post('/2fa/disable', authenticateToken, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body().custom(value => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('A verification code or recovery code is required');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation Error',
+        details: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ 
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.role === 'admin') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        message: 'Admin accounts cannot disable two-factor authentication'
+      });
+    }
+
+    if (await tooManyTwoFactorAttempts(user._id)) {
+      return res.status(429).json({ 
+        error: 'Too many attempts',
+        message: 'Too many verification attempts. Please try again later.'
+      });
+    }
+
+    const isValidPassword = await user.comparePassword(req.body.password);
+    const method = isValidPassword && totpService.verifyUserFactor(user, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode
+    });
+
+    if (!method) {
+      return res.status(401).json({ 
+        error: 'Invalid credentials',
+        message: 'Password or verification code is incorrect'
+      });
+    }
+
+    user.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: null,
+      enabledAt: null
+    };
+    await user.save();
+    await clearTwoFactorAttempts(user._id);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ 
+      error: 'Failed to disable two-factor authentication',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/auth/verify-email/request - Send a new verification email
+router.post('/verify-email/request', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isVerified) {
+      return res.status(400).json({ 
+        error: 'Already verified',
+        message: 'Your email address is already verified'
+      });
+    }
+
+    const retryAfter = await emailVerificationService.getRetryAfter(user);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ 
+        error: 'Too many requests',
+        message: 'Please wait before requesting another verification email',
+        retryAfter
+      });
+    }
+
+    await emailVerificationService.sendVerification(user);
+
+    res.json({ message: 'Verification email sent' });
+
+  } catch (error) {
+    console.error('Request verification email error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send verification email',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/auth/verify-email/:token - Verify an email address
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await emailVerificationService.verify(req.params.token);
+
+    if (!user) {
+      return res.status(400).json({ 
+        error: 'Invalid token',
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      error: 'Verification failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/auth/tokens/scopes - List scopes a personal access token can have
+router.get('/tokens/scopes', authenticateToken, (req, res) => {
+  res.json({ scopes: SCOPES });
+});
+
+// GET /api/auth/tokens - List the current user's personal access tokens
+router.get('/tokens', authenticateToken, async (req, res) => {
+  try {
+    const tokens = await personalAccessTokenService.listTokens(req.user.id);
+
+    res.json({
+      tokens: tokens.map(token => ({
+        id: token._id,
+        name: token.name,
+        tokenPrefix: token.tokenPrefix,
+        scopes: token.scopes,
+        expiresAt: token.expiresAt,
+        lastUsedAt: token.lastUsedAt,
+        revokedAt: token.revokedAt,
+        createdAt: token.createdAt,
+        isActive: token.isActive()
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get access tokens',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/auth/tokens - Create a personal access token
+router.post('/tokens', authenticateToken, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be at most 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('expiresInDays').optional().isInt({ min: 1, max: personalAccessTokenService.maxExpiryDays })
+    .withMessage(`Expiry must be between 1 and ${personalAccessTokenService.maxExpiryDays} days`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation Error',
+        details: errors.array() 
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+
+    const invalidScopes = personalAccessTokenService.getInvalidScopes(scopes);
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid scopes',
+        message: `Unknown scopes: ${invalidScopes.join(', ')}`,
+        validScopes: SCOPES
+      });
+    }
+
+    const { token, record } = await personalAccessTokenService.createToken(req.user.id, {
+      name,
+      scopes,
+      expiresInDays: expiresInDays ? parseInt(expiresInDays) : undefined
+    });
+
+    res.status(201).json({
+      message: 'Access token created. Copy it now, it will not be shown again.',
+      token,
+      accessToken: {
+        id: record._id,
+        name: record.name,
+        tokenPrefix: record.tokenPrefix,
+        scopes: record.scopes,
+        expiresAt: record.expiresAt
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 'token_limit') {
+      return res.status(400).json({ 
+        error: 'Too many tokens',
+        message: error.message
+      });
+    }
+
+    console.error('Create access token error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create access token',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/auth/tokens/:id - Revoke a personal access token
+router.delete('/tokens/:id', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await personalAccessTokenService.revokeToken(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
+
+    res.json({ message: 'Access token revoked successfully' });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
+
+    console.error('Revoke access token error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke access token',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // POST /api/auth/upload-profile-image - Upload profile image
 router.post('/upload-profile-image', uploadMiddleware.profileImage, async (req, res) => {
   try {
@@ -248,6 +1060,14 @@ router.post('/reset-password', [
     user.resetPasswordExpires = null;
     await user.save();
 
+    // A new password makes earlier failed attempts irrelevant
+    await loginProtectionService.unlock(user);
+
+    // Sign out every device and script that knew the old password
+    await sessionService.revokeAllSessions(user._id, 'password_reset');
+    await personalAccessTokenService.revokeAllTokens(user._id);
+    await disconnectSession(user._id);
+
     res.json({
       message: 'Password reset successful'
     });
@@ -5,6 +5,7 @@ const { authenticateToken } = require('../middleware/auth');
 const { putItem, getItem, updateItem, deleteItem, queryItems, scanItems } = require('../config/dynamodb');
 const { setCache, getCache, deleteCache, CACHE_KEYS } = require('../config/redis');
 const User = require('../models/mongodb/User');
+const pollService = require('../services/pollService');
 
 const router = express.Router();
 const BOOKMARKS_TABLE = process.env.DYNAMODB_BOOKMARKS_TABLE || 'networkx-bookmarks';
@@ -131,7 +132,9 @@ router.get('/', authenticateToken, async (req, res) => {
           );
           
           if (contentItems.length > 0) {
-            content = contentItems[0];
+            content = bookmark.contentType === 'post'
+              ? pollService.presentPost(contentItems[0], userId)
+              : contentItems[0];
             
             // Get author details if available
             if (content.authorId || content.createdBy) {
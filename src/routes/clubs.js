@@ -5,9 +5,12 @@ const { uploadMiddleware } = require('../config/aws');
 const { putItem, getItem, updateItem, deleteItem, queryItems, scanItems } = require('../config/dynamodb');
 const { setCache, getCache, deleteCache, CACHE_KEYS, invalidateClubCache } = require('../config/redis');
 const User = require('../models/mongodb/User');
+const privacyService = require('../services/privacyService');
+const membershipService = require('../services/membershipService');
 const RealtimeService = require('../services/realtime');
 
 const router = express.Router();
+const { PRIVACY_FIELDS } = privacyService;
 const CLUBS_TABLE = process.env.DYNAMODB_CLUBS_TABLE || 'networkx-clubs';
 
 // GET /api/clubs - Get all clubs with pagination
@@ -114,6 +117,7 @@ router.post('/', authenticateToken, uploadMiddleware.clubMedia, async (req, res)
     };
 
     await putItem(CLUBS_TABLE, club);
+    await membershipService.add('club', clubId, req.user.id);
 
     // Get user details
     const user = await User.findById(req.user.id).select('firstName lastName username profileImage');
@@ -253,6 +257,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 
     await deleteItem(CLUBS_TABLE, { clubId: id });
+    await membershipService.removeGroup('club', club);
 
     // Invalidate cache
     await invalidateClubCache(id, req.user.id);
@@ -344,6 +349,7 @@ router.post('/:id/join', authenticateToken, async (req, res) => {
         updateExpression,
         expressionAttributeValues
       );
+      await membershipService.add('club', id, userId);
 
       // Send real-time notification for direct join
       await RealtimeService.handleClubInteraction(
@@ -405,6 +411,7 @@ router.post('/:id/leave', authenticateToken, async (req, res) => {
       updateExpression,
       expressionAttributeValues
     );
+    await membershipService.remove('club', id, userId);
 
     // Invalidate cache
     await deleteCache(CACHE_KEYS.CLUB_DETAILS(id));
@@ -475,6 +482,9 @@ router.put('/:id/applications/:applicationId', authenticateToken, async (req, re
       updateExpression,
       expressionAttributeValues
     );
+    if (status === 'accepted') {
+      await membershipService.add('club', id, applications[applicationIndex].userId);
+    }
 
     // Invalidate cache
     await deleteCache(CACHE_KEYS.CLUB_DETAILS(id));
@@ -496,44 +506,45 @@ router.get('/:id/members', authenticateToken, async (req, res) => {
     const { id } = req.params;
     const cacheKey = CACHE_KEYS.CLUB_MEMBERS(id);
     
-    // Try cache first
-    const cachedMembers = await getCache(cacheKey);
-    if (cachedMembers) {
-      return res.json(cachedMembers);
-    }
+    // Try cache first. The cache holds every member; privacy is applied per viewer below.
+    let members = await getCache(cacheKey);
 
-    const club = await getItem(CLUBS_TABLE, { clubId: id });
-    
-    if (!club) {
-      return res.status(404).json({ error: 'Club not found' });
-    }
+    if (!members) {
+      const club = await getItem(CLUBS_TABLE, { clubId: id });
+      
+      if (!club) {
+        return res.status(404).json({ error: 'Club not found' });
+      }
 
-    const memberIds = club.members || [];
-    const officerIds = club.officers || [];
-    
-    // Get user details for each member
-    const members = await Promise.all(
-      memberIds.map(async (memberId) => {
-        const user = await User.findById(memberId).select('firstName lastName username profileImage bio');
-        return {
-          ...user.toObject(),
-          isOfficer: officerIds.includes(memberId),
-          isPresident: club.presidentId === memberId
-        };
-      })
-    );
+      const memberIds = club.members || [];
+      const officerIds = club.officers || [];
+      
+      // Get user details for each member
+      members = await Promise.all(
+        memberIds.map(async (memberId) => {
+          const user = await User.findById(memberId).select(`firstName lastName username profileImage bio ${PRIVACY_FIELDS}`);
+          if (!user) return null;
+          return {
+            ...user.toObject(),
+            isOfficer: officerIds.includes(memberId),
+            isPresident: club.presidentId === memberId
+          };
+        })
+      );
+      members = members.filter(member => member !== null);
 
-    const result = {
-      members: members.filter(member => member !== null),
-      total: members.length,
-      officers: members.filter(member => member.isOfficer),
-      president: members.find(member => member.isPresident)
-    };
+      // Cache for 15 minutes
+      await setCache(cacheKey, members, 900);
+    }
 
-    // Cache for 15 minutes
-    await setCache(cacheKey, result, 900);
-    
-    res.json(result);
+    const visibleMembers = privacyService.filterVisible(members, req.user.id);
+
+    res.json({
+      members: visibleMembers,
+      total: visibleMembers.length,
+      officers: visibleMembers.filter(member => member.isOfficer),
+      president: visibleMembers.find(member => member.isPresident)
+    });
   } catch (error) {
     console.error('Get club members error:', error);
     res.status(500).json({ error: 'Failed to fetch club members' });
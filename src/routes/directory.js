@@ -0,0 +1,85 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const directoryService = require('../services/directoryService');
+const { sendServiceError } = require('../utils/errors');
+
+const router = express.Router();
+
+const { AVAILABILITY } = directoryService;
+
+const memberValidation = [
+  query('year')
+    .optional()
+    .isInt({ min: 1, max: 6 })
+    .withMessage('Year must be between 1 and 6'),
+  query('availability')
+    .optional()
+    .isIn(AVAILABILITY)
+    .withMessage(`Availability must be one of: ${AVAILABILITY.join(', ')}`),
+  query('skill')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Skill must be between 1 and 100 characters'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+// GET /api/directory/departments - List departments with member counts
+router.get('/departments', authenticateToken, async (req, res) => {
+  try {
+    const departments = await directoryService.listDepartments(req.user.id);
+    res.json({ departments });
+  } catch (error) {
+    console.error('Directory departments error:', error);
+    res.status(500).json({ error: 'Failed to fetch departments' });
+  }
+});
+
+// GET /api/directory/departments/:department/cohorts - List year cohorts in a department
+router.get('/departments/:department/cohorts', authenticateToken, async (req, res) => {
+  try {
+    const result = await directoryService.listCohorts(req.user.id, req.params.department);
+    res.json(result);
+  } catch (error) {
+    console.error('Directory cohorts error:', error);
+    res.status(500).json({ error: 'Failed to fetch cohorts' });
+  }
+});
+
+// GET /api/directory/members - Browse members by department, year, skill and availability
+router.get('/members', authenticateToken, memberValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const { department, year, skill, availability, page = 1, limit = 20 } = req.query;
+
+    const result = await directoryService.browseMembers(req.user.id, {
+      department,
+      year: year ? parseInt(year) : null,
+      skill,
+      availability,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (!error.status) console.error('Directory members error:', error);
+    sendServiceError(res, error, 'Failed to fetch members');
+  }
+});
+
+module.exports = router;
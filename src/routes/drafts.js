@@ -0,0 +1,108 @@
+const express = require('express');
+const { authenticateToken, requireVerification } = require('../middleware/auth');
+const { uploadMiddleware } = require('../config/aws');
+const scheduledPostService = require('../services/scheduledPostService');
+const pollService = require('../services/pollService');
+const { sendServiceError } = require('../utils/errors');
+
+const router = express.Router();
+
+// GET /api/posts/drafts - Get your drafts and scheduled posts
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status, cursor } = req.query;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || scheduledPostService.settings.defaultPageSize, 1),
+      scheduledPostService.settings.maxPageSize
+    );
+
+    const { drafts, nextCursor } = await scheduledPostService.listDrafts(req.user.id, { status, cursor, limit });
+
+    res.json({
+      drafts,
+      pagination: {
+        limit,
+        nextCursor
+      }
+    });
+  } catch (error) {
+    if (!error.status) console.error('Get drafts error:', error);
+    sendServiceError(res, error, 'Failed to fetch drafts');
+  }
+});
+
+// POST /api/posts/drafts - Save a draft, or schedule a post with publishAt
+router.post('/', authenticateToken, requireVerification, uploadMiddleware.postMedia, async (req, res) => {
+  try {
+    const mediaUrls = req.files ? req.files.map(file => file.location) : [];
+    const draft = await scheduledPostService.createDraft(req.user.id, req.body, mediaUrls);
+
+    res.status(201).json({
+      message: draft.status === 'scheduled' ? 'Post scheduled successfully' : 'Draft saved successfully',
+      draft
+    });
+  } catch (error) {
+    if (!error.status) console.error('Create draft error:', error);
+    sendServiceError(res, error, 'Failed to save draft');
+  }
+});
+
+// GET /api/posts/drafts/:draftId - Get one of your drafts
+router.get('/:draftId', authenticateToken, async (req, res) => {
+  try {
+    const draft = await scheduledPostService.getDraft(req.params.draftId, req.user.id);
+    res.json(draft);
+  } catch (error) {
+    if (!error.status) console.error('Get draft error:', error);
+    sendServiceError(res, error, 'Failed to fetch draft');
+  }
+});
+
+// PUT /api/posts/drafts/:draftId - Edit, reschedule or unschedule a draft
+router.put('/:draftId', authenticateToken, async (req, res) => {
+  try {
+    const draft = await scheduledPostService.getDraft(req.params.draftId, req.user.id);
+    const updated = await scheduledPostService.updateDraft(draft, req.body);
+
+    res.json({
+      message: 'Draft updated successfully',
+      draft: updated
+    });
+  } catch (error) {
+    if (!error.status) console.error('Update draft error:', error);
+    sendServiceError(res, error, 'Failed to update draft');
+  }
+});
+
+// POST /api/posts/drafts/:draftId/publish - Publish a draft now
+router.post('/:draftId/publish', authenticateToken, requireVerification, async (req, res) => {
+  try {
+    const draft = await scheduledPostService.getDraft(req.params.draftId, req.user.id);
+    const post = await scheduledPostService.publishDraft(draft);
+
+    res.status(201).json({
+      message: 'Post published successfully',
+      post: pollService.presentPost(post, req.user.id, post.poll ? null : undefined)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Publish draft error:', error);
+    sendServiceError(res, error, 'Failed to publish draft');
+  }
+});
+
+// DELETE /api/posts/drafts/:draftId - Discard a draft or cancel a scheduled post
+router.delete('/:draftId', authenticateToken, async (req, res) => {
+  try {
+    const draft = await scheduledPostService.getDraft(req.params.draftId, req.user.id);
+    await scheduledPostService.cancelDraft(draft);
+
+    res.json({
+      message: draft.status === 'scheduled' ? 'Scheduled post cancelled' : 'Draft deleted successfully'
+    });
+  } catch (error) {
+    if (!error.status) console.error('Delete draft error:', error);
+    sendServiceError(res, error, 'Failed to delete draft');
+  }
+});
+
+module.exports = router;
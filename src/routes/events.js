@@ -5,9 +5,12 @@ const { uploadMiddleware } = require('../config/aws');
 const { putItem, getItem, updateItem, deleteItem, queryItems, scanItems } = require('../config/dynamodb');
 const { setCache, getCache, deleteCache, CACHE_KEYS, invalidateEventCache } = require('../config/redis');
 const User = require('../models/mongodb/User');
+const privacyService = require('../services/privacyService');
+const membershipService = require('../services/membershipService');
 const RealtimeService = require('../services/realtime');
 
 const router = express.Router();
+const { PRIVACY_FIELDS } = privacyService;
 const EVENTS_TABLE = process.env.DYNAMODB_EVENTS_TABLE || 'networkx-events';
 
 // GET /api/events - Get all events with pagination and filters
@@ -125,6 +128,7 @@ router.post('/', authenticateToken, uploadMiddleware.eventMedia, async (req, res
     };
 
     await putItem(EVENTS_TABLE, event);
+    await membershipService.add('event', eventId, req.user.id);
 
     // Get user details
     const user = await User.findById(req.user.id).select('firstName lastName username profileImage');
@@ -272,6 +276,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 
     await deleteItem(EVENTS_TABLE, { eventId: id });
+    await membershipService.removeGroup('event', event);
 
     // Invalidate cache
     await invalidateEventCache(id, req.user.id);
@@ -335,6 +340,12 @@ router.post('/:id/attend', authenticateToken, async (req, res) => {
       updateExpression,
       expressionAttributeValues
     );
+    // The organizer stays in the event even when they stop attending
+    if (!isAttending) {
+      await membershipService.add('event', id, userId);
+    } else if (userId !== event.organizerId) {
+      await membershipService.remove('event', id, userId);
+    }
 
     // Invalidate cache
     await deleteCache(CACHE_KEYS.EVENT_DETAILS(id));
@@ -420,6 +431,7 @@ router.post('/:id/register', authenticateToken, async (req, res) => {
       updateExpression,
       expressionAttributeValues
     );
+    await membershipService.add('event', id, userId);
 
     // Invalidate cache
     await deleteCache(CACHE_KEYS.EVENT_DETAILS(id));
@@ -449,41 +461,42 @@ router.get('/:id/attendees', authenticateToken, async (req, res) => {
     const { id } = req.params;
     const cacheKey = CACHE_KEYS.EVENT_ATTENDEES(id);
     
-    // Try cache first
-    const cachedAttendees = await getCache(cacheKey);
-    if (cachedAttendees) {
-      return res.json(cachedAttendees);
-    }
+    // Try cache first. The cache holds every attendee; privacy is applied per viewer below.
+    let attendees = await getCache(cacheKey);
 
-    const event = await getItem(EVENTS_TABLE, { eventId: id });
-    
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
+    if (!attendees) {
+      const event = await getItem(EVENTS_TABLE, { eventId: id });
+      
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
 
-    const attendeeIds = event.attendees || [];
-    
-    // Get user details for each attendee
-    const attendees = await Promise.all(
-      attendeeIds.map(async (attendeeId) => {
-        const user = await User.findById(attendeeId).select('firstName lastName username profileImage bio');
-        return {
-          ...user.toObject(),
-          isOrganizer: event.organizerId === attendeeId
-        };
-      })
-    );
+      const attendeeIds = event.attendees || [];
+      
+      // Get user details for each attendee
+      attendees = await Promise.all(
+        attendeeIds.map(async (attendeeId) => {
+          const user = await User.findById(attendeeId).select(`firstName lastName username profileImage bio ${PRIVACY_FIELDS}`);
+          if (!user) return null;
+          return {
+            ...user.toObject(),
+            isOrganizer: event.organizerId === attendeeId
+          };
+        })
+      );
+      attendees = attendees.filter(attendee => attendee !== null);
 
-    const result = {
-      attendees: attendees.filter(attendee => attendee !== null),
-      total: attendees.length,
-      organizer: attendees.find(attendee => attendee.isOrganizer)
-    };
+      // Cache for 15 minutes
+      await setCache(cacheKey, attendees, 900);
+    }
 
-    // Cache for 15 minutes
-    await setCache(cacheKey, result, 900);
-    
-    res.json(result);
+    const visibleAttendees = privacyService.filterVisible(attendees, req.user.id);
+
+    res.json({
+      attendees: visibleAttendees,
+      total: visibleAttendees.length,
+      organizer: visibleAttendees.find(attendee => attendee.isOrganizer)
+    });
   } catch (error) {
     console.error('Get event attendees error:', error);
     res.status(500).json({ error: 'Failed to fetch event attendees' });
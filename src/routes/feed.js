@@ -4,8 +4,13 @@ const { query, validationResult } = require('express-validator');
 const { scanItems } = require('../config/dynamodb');
 const { setCache, getCache } = require('../config/redis');
 const User = require('../models/mongodb/User');
+const privacyService = require('../services/privacyService');
+const blockService = require('../services/blockService');
+const reactionService = require('../services/reactionService');
+const pollService = require('../services/pollService');
 
 const router = express.Router();
+const { PRIVACY_FIELDS } = privacyService;
 
 // Feed validation middleware
 const feedValidation = [
@@ -24,7 +29,7 @@ const feedValidation = [
 ];
 
 // Calculate content relevance score based on user interests
-const calculateRelevanceScore = (content, userInterests, userSkills, userConnections) => {
+const calculateRelevanceScore = (content, userInterests, userSkills, userConnections, followedTags = []) => {
   let score = 0;
   
   // Base recency score (newer content gets higher score)
@@ -42,6 +47,13 @@ const calculateRelevanceScore = (content, userInterests, userSkills, userConnect
     );
     score += matchingInterests.length * 5;
   }
+
+  // Followed hashtag score
+  const hashtags = content.hashtags || content.tags;
+  if (hashtags && followedTags.length > 0) {
+    const matchingTags = hashtags.filter(tag => followedTags.includes(tag.toLowerCase()));
+    score += matchingTags.length * 6;
+  }
   
   // Skills matching score
   if (content.techStack && userSkills) {
@@ -59,8 +71,8 @@ const calculateRelevanceScore = (content, userInterests, userSkills, userConnect
     score += 8;
   }
   
-  // Engagement score (likes, views, comments)
-  if (content.likes) score += Math.min(content.likes * 0.1, 5);
+  // Engagement score (weighted reactions and comments, views)
+  score += Math.min(reactionService.getEngagementScore(content) * 0.1, 5);
   if (content.views) score += Math.min(content.views * 0.05, 3);
   
   // Content type bonuses
@@ -77,7 +89,7 @@ const getPersonalizedFeed = async (userId, type, page, limit) => {
   // Get user data and connections
   const getUserFeedData = async (userId) => {
     const user = await User.findById(userId)
-      .select('interests skills location');
+      .select('interests skills location followedTags');
     
     // Get user connections from collaborations table
     const collaborations = await scanItems(
@@ -98,6 +110,9 @@ const getPersonalizedFeed = async (userId, type, page, limit) => {
 
   const { user, connectedUserIds } = await getUserFeedData(userId);
 
+  // Blocked and muted users' content never reaches the feed
+  const hiddenIds = await blockService.getHiddenIds(userId);
+
   const feedItems = [];
   
   // Get Posts
@@ -114,6 +129,7 @@ const getPersonalizedFeed = async (userId, type, page, limit) => {
     
     // Sort by creation date descending and limit
     const sortedPosts = posts
+      .filter(post => !hiddenIds.includes(post.userId))
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
       .slice(0, type === 'posts' ? limit * 2 : limit);
     
@@ -121,18 +137,19 @@ const getPersonalizedFeed = async (userId, type, page, limit) => {
     for (const post of sortedPosts) {
       try {
         const author = await User.findById(post.userId)
-          .select('firstName lastName username profileImage isVerified');
+          .select(`firstName lastName username profileImage isVerified ${PRIVACY_FIELDS}`);
         
         const score = calculateRelevanceScore(
           post,
           user.interests,
           user.skills,
-          connectedUserIds
+          connectedUserIds,
+          user.followedTags
         );
         
         feedItems.push({
-          ...post,
-          author: author || { firstName: 'Unknown', lastName: 'User', username: 'unknown' },
+          ...pollService.presentPost(post, userId),
+          author: author ? privacyService.redactProfile(author, userId) : { firstName: 'Unknown', lastName: 'User', username: 'unknown' },
           contentType: 'post',
           relevanceScore: score,
           isFromConnection: connectedUserIds.includes(post.userId)
@@ -157,6 +174,7 @@ const getPersonalizedFeed = async (userId, type, page, limit) => {
     
     // Sort by creation date descending and limit
     const sortedProjects = projects
+      .filter(project => !hiddenIds.includes(project.ownerId))
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
       .slice(0, type === 'projects' ? limit * 2 : Math.floor(limit * 0.4));
     
@@ -164,18 +182,19 @@ const getPersonalizedFeed = async (userId, type, page, limit) => {
     for (const project of sortedProjects) {
       try {
         const owner = await User.findById(project.ownerId)
-          .select('firstName lastName username profileImage');
+          .select(`firstName lastName username profileImage ${PRIVACY_FIELDS}`);
         
         const score = calculateRelevanceScore(
           project,
           user.interests,
           user.skills,
-          connectedUserIds
+          connectedUserIds,
+          user.followedTags
         );
         
         feedItems.push({
           ...project,
-          owner: owner || { firstName: 'Unknown', lastName: 'User', username: 'unknown' },
+          owner: owner ? privacyService.redactProfile(owner, userId) : { firstName: 'Unknown', lastName: 'User', username: 'unknown' },
           contentType: 'project',
           relevanceScore: score,
           isFromConnection: connectedUserIds.includes(project.ownerId)
@@ -200,6 +219,7 @@ const getPersonalizedFeed = async (userId, type, page, limit) => {
     
     // Sort by start date ascending and limit
     const sortedEvents = events
+      .filter(event => !hiddenIds.includes(event.organizerId))
       .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
       .slice(0, type === 'events' ? limit * 2 : Math.floor(limit * 0.3));
     
@@ -207,18 +227,19 @@ const getPersonalizedFeed = async (userId, type, page, limit) => {
     for (const event of sortedEvents) {
       try {
         const organizer = await User.findById(event.organizerId)
-          .select('firstName lastName username profileImage');
+          .select(`firstName lastName username profileImage ${PRIVACY_FIELDS}`);
         
         const score = calculateRelevanceScore(
           event,
           user.interests,
           user.skills,
-          connectedUserIds
+          connectedUserIds,
+          user.followedTags
         );
         
         feedItems.push({
           ...event,
-          organizer: organizer || { firstName: 'Unknown', lastName: 'User', username: 'unknown' },
+          organizer: organizer ? privacyService.redactProfile(organizer, userId) : { firstName: 'Unknown', lastName: 'User', username: 'unknown' },
           contentType: 'event',
           relevanceScore: score,
           isFromConnection: connectedUserIds.includes(event.organizerId)
@@ -304,11 +325,20 @@ router.get('/trending', authenticateToken, async (req, res) => {
   try {
     const { limit = 10 } = req.query;
     const cacheKey = `trending:content:${limit}`;
+
+    // Trending is cached for everyone, so blocks and mutes are applied per viewer afterwards
+    const hiddenIds = await blockService.getHiddenIds(req.user.id);
+    const forViewer = (result) => ({
+      ...result,
+      trending: result.trending.filter(item =>
+        !hiddenIds.includes(item.contentType === 'post' ? item.userId : item.ownerId)
+      )
+    });
     
     // Try cache first
     const cachedTrending = await getCache(cacheKey);
     if (cachedTrending) {
-      return res.json(cachedTrending);
+      return res.json(forViewer(cachedTrending));
     }
     
     const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
@@ -323,11 +353,11 @@ router.get('/trending', authenticateToken, async (req, res) => {
       }
     );
     
-    // Sort posts by engagement (likes + comments * 2 + views * 0.1)
+    // Sort posts by engagement (weighted reactions + comments * 2 + views * 0.1)
     const trendingPosts = allPosts
       .map(post => ({
         ...post,
-        engagementScore: (post.likes || 0) + ((post.comments || 0) * 2) + ((post.views || 0) * 0.1)
+        engagementScore: reactionService.getEngagementScore(post) + ((post.views || 0) * 0.1)
       }))
       .sort((a, b) => b.engagementScore - a.engagementScore)
       .slice(0, Math.floor(limit * 0.6));
@@ -343,28 +373,29 @@ router.get('/trending', authenticateToken, async (req, res) => {
       { '#status': 'status' }
     );
     
-    // Sort projects by likes and member count
+    // Sort projects by weighted reactions and member count
     const trendingProjects = allProjects
       .map(project => ({
         ...project,
-        engagementScore: (project.likes || 0) + ((project.memberCount || 0) * 5) + ((project.views || 0) * 0.1)
+        engagementScore: reactionService.getEngagementScore(project) + ((project.memberCount || 0) * 5) + ((project.views || 0) * 0.1)
       }))
       .sort((a, b) => b.engagementScore - a.engagementScore)
       .slice(0, Math.floor(limit * 0.4));
     
-    // Get author details for posts
+    // Get author details for posts. Trending is cached for everyone, so embeds
+    // are redacted as for a viewer with no connections.
     const postsWithAuthors = await Promise.all(
       trendingPosts.map(async (post) => {
-        const author = await User.findById(post.userId).select('firstName lastName username profileImage isVerified');
-        return { ...post, author, contentType: 'post' };
+        const author = await User.findById(post.userId).select(`firstName lastName username profileImage isVerified ${PRIVACY_FIELDS}`);
+        return { ...pollService.presentPost(post, null), author: author && privacyService.redactProfile(author, null), contentType: 'post' };
       })
     );
     
     // Get owner details for projects
     const projectsWithOwners = await Promise.all(
       trendingProjects.map(async (project) => {
-        const owner = await User.findById(project.ownerId).select('firstName lastName username profileImage');
-        return { ...project, owner, contentType: 'project' };
+        const owner = await User.findById(project.ownerId).select(`firstName lastName username profileImage ${PRIVACY_FIELDS}`);
+        return { ...project, owner: owner && privacyService.redactProfile(owner, null), contentType: 'project' };
       })
     );
     
@@ -380,7 +411,7 @@ router.get('/trending', authenticateToken, async (req, res) => {
     // Cache for 30 minutes
     await setCache(cacheKey, result, 1800);
     
-    res.json(result);
+    res.json(forViewer(result));
     
   } catch (error) {
     console.error('Trending content error:', error);
@@ -403,28 +434,32 @@ router.get('/recommendations', authenticateToken, async (req, res) => {
     }
     
     let recommendations = [];
+    const hiddenIds = await blockService.getHiddenIds(req.user.id);
     
     if (type === 'users') {
       // Recommend users with similar interests/skills
       const query = {
-        _id: { $ne: req.user.id },
+        _id: { $ne: req.user.id, $nin: hiddenIds },
         isActive: true,
         $or: [
           { department: user.department },
           { year: user.year }
-        ]
+        ],
+        $and: [privacyService.getDiscoverableFilter(req.user.id)]
       };
       
-      recommendations = await User.find(query)
-        .select('firstName lastName username profileImage department year skills interests rating isVerified')
+      const users = await User.find(query)
+        .select(`firstName lastName username profileImage department year skills interests rating isVerified ${PRIVACY_FIELDS}`)
         .limit(parseInt(limit))
         .sort({ rating: -1 });
+      recommendations = privacyService.filterVisible(users, req.user.id);
     } else if (type === 'projects') {
       // Recommend projects based on user skills
       const allProjects = await scanItems(process.env.DYNAMODB_PROJECTS_TABLE || 'networkx-projects');
       
       const filtered = allProjects
         .filter(p => p.visibility === 'public' && p.status === 'recruiting' && p.ownerId !== String(req.user.id))
+        .filter(p => !hiddenIds.includes(p.ownerId))
         .filter(p => {
           // Match at least one required skill
           if (!p.skillsRequired || p.skillsRequired.length === 0) return true;
@@ -436,8 +471,8 @@ router.get('/recommendations', authenticateToken, async (req, res) => {
       
       // Attach owner info
       recommendations = await Promise.all(filtered.map(async (proj) => {
-        const owner = await User.findById(proj.ownerId).select('firstName lastName username profileImage');
-        return { ...proj, owner };
+        const owner = await User.findById(proj.ownerId).select(`firstName lastName username profileImage ${PRIVACY_FIELDS}`);
+        return { ...proj, owner: owner && privacyService.redactProfile(owner, req.user.id) };
       }));
     }
     
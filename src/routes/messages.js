@@ -1,6 +1,6 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerification } = require('../middleware/auth');
 const { putItem, getItem, scanItems, updateItem, deleteItem, queryItems } = require('../config/dynamodb');
 const { setCache, getCache, deleteCache, CACHE_KEYS } = require('../config/redis');
 const User = require('../models/mongodb/User');
@@ -8,6 +8,7 @@ const Conversation = require('../models/mongodb/Conversation');
 const UserKeys = require('../models/mongodb/UserKeys');
 const RealtimeService = require('../services/realtime');
 const EncryptionService = require('../services/encryption');
+const blockService = require('../services/blockService');
 
 const router = express.Router();
 const MESSAGES_TABLE = process.env.DYNAMODB_MESSAGES_TABLE || 'networkx-messages';
@@ -178,7 +179,7 @@ router.get('/:conversationId', authenticateToken, async (req, res) => {
 });
 
 // POST /api/messages/send - Send an encrypted message
-router.post('/send', authenticateToken, [
+router.post('/send', authenticateToken, requireVerification, [
   body('receiverId').notEmpty().withMessage('Receiver ID is required'),
   body('content').notEmpty().withMessage('Message content is required'),
   body('type').optional().isIn(['text', 'image', 'file']).withMessage('Invalid message type')
@@ -204,6 +205,13 @@ router.post('/send', authenticateToken, [
       });
     }
 
+    if (await blockService.isBlocked(senderId, receiverId)) {
+      return res.status(403).json({
+        error: 'Messaging blocked',
+        message: 'You cannot message this user'
+      });
+    }
+
     const conversationId = [senderId, receiverId].sort().join('_');
     
     // Get or create conversation with encryption
@@ -350,7 +358,7 @@ router.post('/send', authenticateToken, [
 
 // POST /api/messages - Send a new message
 const { uploadMiddleware } = require('../config/aws');
-router.post('/', authenticateToken, uploadMiddleware.messageMedia, async (req, res) => {
+router.post('/', authenticateToken, requireVerification, uploadMiddleware.messageMedia, async (req, res) => {
   try {
     const { receiverId, content, conversationId } = req.body;
     const senderId = req.user.id;
@@ -369,6 +377,10 @@ router.post('/', authenticateToken, uploadMiddleware.messageMedia, async (req, r
       return res.status(404).json({ error: 'Receiver not found' });
     }
 
+    if (await blockService.isBlocked(senderId, receiverId)) {
+      return res.status(403).json({ error: 'You cannot message this user' });
+    }
+
     const messageId = uuidv4();
     const finalConversationId = conversationId || uuidv4();
     const mediaUrls = req.files ? req.files.map(file => file.location) : [];
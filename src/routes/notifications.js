@@ -5,6 +5,7 @@ const { authenticateToken } = require('../middleware/auth');
 const { putItem, getItem, updateItem, deleteItem, queryItems, scanItems } = require('../config/dynamodb');
 const { setCache, getCache, deleteCache, CACHE_KEYS } = require('../config/redis');
 const User = require('../models/mongodb/User');
+const blockService = require('../services/blockService');
 
 const router = express.Router();
 const NOTIFICATIONS_TABLE = process.env.DYNAMODB_NOTIFICATIONS_TABLE || 'networkx-notifications';
@@ -31,6 +32,10 @@ router.get('/', authenticateToken, async (req, res) => {
       parseInt(limit)
     );
 
+    // Hide notifications from muted and blocked users
+    const hiddenIds = await blockService.getHiddenIds(userId);
+    notifications = notifications.filter(notification => !hiddenIds.includes(notification.senderId));
+
     // Apply filters
     if (type) {
       notifications = notifications.filter(notification => notification.type === type);
@@ -305,7 +310,8 @@ router.get('/unread-count', authenticateToken, async (req, res) => {
       { ':userId': userId }
     );
 
-    const unreadCount = notifications.filter(n => !n.isRead).length;
+    const hiddenIds = await blockService.getHiddenIds(userId);
+    const unreadCount = notifications.filter(n => !n.isRead && !hiddenIds.includes(n.senderId)).length;
 
     // Cache for 1 minute
     await setCache(cacheKey, unreadCount, 60);
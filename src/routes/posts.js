@@ -1,13 +1,32 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerification } = require('../middleware/auth');
 const { uploadMiddleware } = require('../config/aws');
-const { putItem, getItem, updateItem, deleteItem, queryItems, scanItems } = require('../config/dynamodb');
-const { setCache, getCache, deleteCache, CACHE_KEYS, invalidatePostCache } = require('../config/redis');
+const { getItem, updateItem, deleteItem, queryItems, scanItems } = require('../config/dynamodb');
+const { setCache, getCache, CACHE_KEYS, invalidatePostCache } = require('../config/redis');
 const User = require('../models/mongodb/User');
 const RealtimeService = require('../services/realtime');
+const blockService = require('../services/blockService');
+const commentService = require('../services/commentService');
+const reactionService = require('../services/reactionService');
+const hashtagService = require('../services/hashtagService');
+const mentionService = require('../services/mentionService');
+const pollService = require('../services/pollService');
+const postService = require('../services/postService');
+const createReactionRouter = require('./reactions');
+const draftRoutes = require('./drafts');
+const { sendServiceError } = require('../utils/errors');
 
 const router = express.Router();
+
+// Hide poll results the viewer shouldn't see yet in a page of posts
+const presentPosts = (result, viewerId) => ({
+  ...result,
+  posts: result.posts.map(post => pollService.presentPost(post, viewerId))
+});
+
+// Drafts and scheduled posts: /api/posts/drafts. Mounted ahead of /:id so
+// "drafts" isn't read as a post ID.
+router.use('/drafts', draftRoutes);
 const POSTS_TABLE = process.env.DYNAMODB_POSTS_TABLE || 'networkx-posts';
 
 // GET /api/posts - Get all posts with pagination
@@ -19,7 +38,7 @@ router.get('/', authenticateToken, async (req, res) => {
     // Try cache first
     const cachedPosts = await getCache(cacheKey);
     if (cachedPosts) {
-      return res.json(cachedPosts);
+      return res.json(presentPosts(cachedPosts, req.user.id));
     }
 
     // Get posts from DynamoDB
@@ -51,7 +70,7 @@ router.get('/', authenticateToken, async (req, res) => {
     // Cache for 5 minutes
     await setCache(cacheKey, result, 300);
     
-    res.json(result);
+    res.json(presentPosts(result, req.user.id));
   } catch (error) {
     console.error('Get posts error:', error);
     res.status(500).json({ error: 'Failed to fetch posts' });
@@ -59,53 +78,32 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // POST /api/posts - Create new post
-router.post('/', authenticateToken, uploadMiddleware.postMedia, async (req, res) => {
+router.post('/', authenticateToken, requireVerification, uploadMiddleware.postMedia, async (req, res) => {
   try {
     const { content, tags, location, visibility = 'public' } = req.body;
-    const postId = uuidv4();
     
     if (!content || content.trim().length === 0) {
       return res.status(400).json({ error: 'Post content is required' });
     }
 
-    const mediaUrls = req.files ? req.files.map(file => file.location) : [];
-    
-    const post = {
-      postId,
-      userId: req.user.id,
-      content: content.trim(),
-      mediaUrls,
-      tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-      location: location || null,
-      visibility,
-      likes: 0,
-      comments: 0,
-      shares: 0,
-      likedBy: [],
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    const poll = req.body.poll ? pollService.parsePoll(req.body.poll) : null;
 
-    await putItem(POSTS_TABLE, post);
-
-    // Get user details
-    const user = await User.findById(req.user.id).select('firstName lastName username profileImage');
-    
-    const responsePost = {
-      ...post,
-      author: user
-    };
-
-    // Invalidate cache
-    await invalidatePostCache(postId, req.user.id);
+    const post = await postService.createPost(req.user, {
+      content,
+      tags: tags ? tags.split(',') : [],
+      mediaUrls: req.files ? req.files.map(file => file.location) : [],
+      location,
+      visibility,
+      poll
+    });
 
     res.status(201).json({
       message: 'Post created successfully',
-      post: responsePost
+      post: pollService.presentPost(post, req.user.id, poll ? null : undefined)
     });
   } catch (error) {
-    console.error('Create post error:', error);
-    res.status(500).json({ error: 'Failed to create post' });
+    if (!error.status) console.error('Create post error:', error);
+    sendServiceError(res, error, 'Failed to create post');
   }
 });
 
@@ -118,7 +116,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     // Try cache first
     const cachedPost = await getCache(cacheKey);
     if (cachedPost) {
-      return res.json(cachedPost);
+      return res.json(await pollService.presentPostWithVote(cachedPost, req.user.id));
     }
 
     const post = await getItem(POSTS_TABLE, { postId: id });
@@ -138,7 +136,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     // Cache for 10 minutes
     await setCache(cacheKey, responsePost, 600);
     
-    res.json(responsePost);
+    res.json(await pollService.presentPostWithVote(responsePost, req.user.id));
   } catch (error) {
     console.error('Get post error:', error);
     res.status(500).json({ error: 'Failed to fetch post' });
@@ -161,17 +159,26 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to update this post' });
     }
 
-    const updateExpression = 'SET #content = :content, #tags = :tags, #location = :location, #visibility = :visibility, #updatedAt = :updatedAt';
+    // Tags sent with the post are kept as entered unless replaced; hashtags follow the text
+    const postTags = tags ? hashtagService.cleanTags(tags.split(',')) : (post.tags || []);
+    const hashtags = hashtagService.mergeTags(postTags, hashtagService.parseHashtags(content));
+    const mentions = await mentionService.resolveMentions(content, req.user.id);
+
+    const updateExpression = 'SET #content = :content, #tags = :tags, #hashtags = :hashtags, #mentions = :mentions, #location = :location, #visibility = :visibility, #updatedAt = :updatedAt';
     const expressionAttributeNames = {
       '#content': 'content',
       '#tags': 'tags',
+      '#hashtags': 'hashtags',
+      '#mentions': 'mentions',
       '#location': 'location',
       '#visibility': 'visibility',
       '#updatedAt': 'updatedAt'
     };
     const expressionAttributeValues = {
       ':content': content.trim(),
-      ':tags': tags ? tags.split(',').map(tag => tag.trim()) : post.tags,
+      ':tags': postTags,
+      ':hashtags': hashtags,
+      ':mentions': mentions,
       ':location': location || post.location,
       ':visibility': visibility || post.visibility,
       ':updatedAt': new Date().toISOString()
@@ -193,12 +200,21 @@ router.put('/:id', authenticateToken, async (req, res) => {
       author: user
     };
 
+    await hashtagService.reconcile('post', id, hashtagService.getIndexedTags(post), hashtags, req.user.id);
+
     // Invalidate cache
     await invalidatePostCache(id, req.user.id);
 
+    // Only people newly mentioned hear about the edit
+    await mentionService.notifyMentions(
+      mentionService.getAddedMentions(post.mentions, mentions),
+      req.user,
+      { contentType: 'post', contentId: id, postId: id }
+    );
+
     res.json({
       message: 'Post updated successfully',
-      post: responsePost
+      post: await pollService.presentPostWithVote(responsePost, req.user.id)
     });
   } catch (error) {
     console.error('Update post error:', error);
@@ -222,6 +238,10 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 
     await deleteItem(POSTS_TABLE, { postId: id });
+    await commentService.deleteForPost(id);
+    await reactionService.deleteForContent('post', id);
+    await hashtagService.removeContent('post', id, hashtagService.getIndexedTags(post));
+    if (post.poll) await pollService.deleteForPost(id);
 
     // Invalidate cache
     await invalidatePostCache(id, req.user.id);
@@ -237,48 +257,19 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 router.post('/:id/like', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
+    const userId = req.user.id.toString();
     
-    const post = await getItem(POSTS_TABLE, { postId: id });
+    const post = await reactionService.getContent('post', id);
     
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    const likedBy = post.likedBy || [];
-    const isLiked = likedBy.includes(userId);
-    
-    let updateExpression, expressionAttributeValues;
-    
-    if (isLiked) {
-      // Unlike
-      const newLikedBy = likedBy.filter(id => id !== userId);
-      updateExpression = 'SET likedBy = :likedBy, likes = :likes, updatedAt = :updatedAt';
-      expressionAttributeValues = {
-        ':likedBy': newLikedBy,
-        ':likes': Math.max(0, post.likes - 1),
-        ':updatedAt': new Date().toISOString()
-      };
-    } else {
-      // Like
-      const newLikedBy = [...likedBy, userId];
-      updateExpression = 'SET likedBy = :likedBy, likes = :likes, updatedAt = :updatedAt';
-      expressionAttributeValues = {
-        ':likedBy': newLikedBy,
-        ':likes': post.likes + 1,
-        ':updatedAt': new Date().toISOString()
-      };
-    }
-
-    const updatedPost = await updateItem(
-      POSTS_TABLE,
-      { postId: id },
-      updateExpression,
-      expressionAttributeValues
-    );
-
-    // Invalidate cache
-    await deleteCache(CACHE_KEYS.POST_DETAILS(id));
+    // Liking replaces any other reaction; unliking only removes a like
+    const isLiked = await reactionService.getUserReaction('post', id, userId) === 'like';
+    const result = isLiked
+      ? await reactionService.removeReaction('post', post, userId)
+      : await reactionService.react('post', post, userId, 'like');
 
     // Send real-time notification
     await RealtimeService.handlePostInteraction(
@@ -292,66 +283,128 @@ router.post('/:id/like', authenticateToken, async (req, res) => {
     res.json({
       message: isLiked ? 'Post unliked' : 'Post liked',
       liked: !isLiked,
-      likes: updatedPost.likes
+      likes: result.reactions.like,
+      reactions: result.reactions
     });
   } catch (error) {
-    console.error('Like post error:', error);
-    res.status(500).json({ error: 'Failed to like/unlike post' });
+    if (!error.status) console.error('Like post error:', error);
+    sendServiceError(res, error, 'Failed to like/unlike post');
   }
 });
 
-// POST /api/posts/:id/comment - Add comment to post
-router.post('/:id/comment', authenticateToken, async (req, res) => {
+// Reactions: /api/posts/:id/reactions
+router.use('/:id/reactions', createReactionRouter('post'));
+
+// POST /api/posts/:id/poll/vote - Vote in a post's poll
+router.post('/:id/poll/vote', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { content } = req.body;
-    
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({ error: 'Comment content is required' });
-    }
+    const { optionId, optionIds } = req.body;
 
     const post = await getItem(POSTS_TABLE, { postId: id });
-    
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    const commentId = uuidv4();
-    const comment = {
-      commentId,
-      userId: req.user.id,
-      content: content.trim(),
-      createdAt: new Date().toISOString()
-    };
+    if (await blockService.isBlocked(req.user.id, post.userId)) {
+      return res.status(403).json({ error: 'You cannot vote in this poll' });
+    }
 
-    const comments = post.comments_data || [];
-    comments.push(comment);
+    const result = await pollService.vote(
+      post,
+      req.user.id.toString(),
+      optionIds || (optionId ? [optionId] : [])
+    );
 
-    const updateExpression = 'SET comments_data = :comments, comments = :commentCount, updatedAt = :updatedAt';
-    const expressionAttributeValues = {
-      ':comments': comments,
-      ':commentCount': comments.length,
-      ':updatedAt': new Date().toISOString()
-    };
+    // Everyone gets the same update, so hidden results stay hidden
+    await RealtimeService.handlePostInteraction(id, post.userId, 'vote', req.user, {
+      poll: pollService.presentPost(result.post, null).poll
+    });
 
-    await updateItem(
-      POSTS_TABLE,
-      { postId: id },
-      updateExpression,
-      expressionAttributeValues
+    res.json({
+      message: 'Vote recorded',
+      poll: pollService.presentPost(result.post, req.user.id, result.optionIds).poll
+    });
+  } catch (error) {
+    if (!error.status) console.error('Poll vote error:', error);
+    sendServiceError(res, error, 'Failed to record vote');
+  }
+});
+
+// GET /api/posts/:id/poll/voters - Get who voted in a poll that isn't anonymous
+router.get('/:id/poll/voters', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { optionId, cursor } = req.query;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || pollService.settings.defaultPageSize, 1),
+      pollService.settings.maxPageSize
     );
 
-    // Get user details
-    const user = await User.findById(req.user.id).select('firstName lastName username profileImage');
+    const post = await getItem(POSTS_TABLE, { postId: id });
+    if (!post || !post.poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const { voters, nextCursor } = await pollService.listVoters(post, req.user.id, { optionId, cursor, limit });
+
+    res.json({
+      voters,
+      pagination: {
+        limit,
+        nextCursor
+      }
+    });
+  } catch (error) {
+    if (!error.status) console.error('Get poll voters error:', error);
+    sendServiceError(res, error, 'Failed to fetch poll voters');
+  }
+});
+
+// Load the post and comment named in the URL
+const findComment = async (req, res) => {
+  const post = await commentService.getPost(req.params.id);
+  if (!post) {
+    res.status(404).json({ error: 'Post not found' });
+    return null;
+  }
+
+  const comment = await commentService.getComment(post.postId, req.params.commentId);
+  if (!comment) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
+  }
+
+  return { post, comment };
+};
+
+// POST /api/posts/:id/comment - Add comment to post, or reply to a comment with parentCommentId
+router.post('/:id/comment', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content, parentCommentId } = req.body;
     
-    const responseComment = {
-      ...comment,
-      author: user
-    };
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ error: 'Comment content is required' });
+    }
 
-    // Invalidate cache
-    await deleteCache(CACHE_KEYS.POST_DETAILS(id));
-    await deleteCache(CACHE_KEYS.POST_COMMENTS(id, 1));
+    const post = await commentService.getPost(id);
+    
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (await blockService.isBlocked(req.user.id, post.userId)) {
+      return res.status(403).json({ error: 'You cannot comment on this post' });
+    }
+
+    const comment = await commentService.addComment(post, req.user.id, {
+      content,
+      parentCommentId,
+      mentions: await mentionService.resolveMentions(content, req.user.id),
+      hashtags: hashtagService.parseHashtags(content)
+    });
+    const [responseComment] = await commentService.formatComments([comment], req.user.id);
 
     // Send real-time notification
     await RealtimeService.handlePostInteraction(
@@ -362,68 +415,150 @@ router.post('/:id/comment', authenticateToken, async (req, res) => {
       { comment: responseComment }
     );
 
+    await mentionService.notifyMentions(comment.mentions, req.user, {
+      contentType: 'comment',
+      contentId: comment.commentId,
+      postId: id
+    });
+
     res.status(201).json({
       message: 'Comment added successfully',
       comment: responseComment
     });
   } catch (error) {
-    console.error('Add comment error:', error);
-    res.status(500).json({ error: 'Failed to add comment' });
+    if (!error.status) console.error('Add comment error:', error);
+    sendServiceError(res, error, 'Failed to add comment');
   }
 });
 
-// GET /api/posts/:id/comments - Get post comments
+// GET /api/posts/:id/comments - Get post comments, or replies to one with parentCommentId
 router.get('/:id/comments', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { page = 1, limit = 20 } = req.query;
-    const cacheKey = CACHE_KEYS.POST_COMMENTS(id, page);
-    
-    // Try cache first
-    const cachedComments = await getCache(cacheKey);
-    if (cachedComments) {
-      return res.json(cachedComments);
-    }
+    const { cursor, parentCommentId } = req.query;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || commentService.settings.defaultPageSize, 1),
+      commentService.settings.maxPageSize
+    );
 
-    const post = await getItem(POSTS_TABLE, { postId: id });
+    const post = await commentService.getPost(id);
     
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    const comments = post.comments_data || [];
-    const startIndex = (parseInt(page) - 1) * parseInt(limit);
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedComments = comments.slice(startIndex, endIndex);
-
-    // Get user details for each comment
-    const commentsWithUsers = await Promise.all(
-      paginatedComments.map(async (comment) => {
-        const user = await User.findById(comment.userId).select('firstName lastName username profileImage');
-        return {
-          ...comment,
-          author: user
-        };
-      })
-    );
+    const { comments, nextCursor } = await commentService.listComments(id, { parentCommentId, cursor, limit });
 
-    const result = {
-      comments: commentsWithUsers,
+    res.json({
+      comments: await commentService.formatComments(comments, req.user.id),
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: comments.length,
-        pages: Math.ceil(comments.length / parseInt(limit))
+        limit,
+        total: post.comments || 0,
+        nextCursor
       }
-    };
+    });
+  } catch (error) {
+    if (!error.status) console.error('Get comments error:', error);
+    sendServiceError(res, error, 'Failed to fetch comments');
+  }
+});
 
-    // Cache for 5 minutes
-    await setCache(cacheKey, result, 300);
-    
-    res.json(result);
+// PUT /api/posts/:id/comments/:commentId - Edit your comment
+router.put('/:id/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const found = await findComment(req, res);
+    if (!found) return;
+
+    if (found.comment.userId !== req.user.id.toString()) {
+      return res.status(403).json({ error: 'Not authorized to edit this comment' });
+    }
+
+    const { content } = req.body;
+    const comment = await commentService.editComment(found.comment, content, {
+      mentions: await mentionService.resolveMentions(content, req.user.id),
+      hashtags: hashtagService.parseHashtags(content)
+    });
+    const [responseComment] = await commentService.formatComments([comment], req.user.id);
+
+    await mentionService.notifyMentions(
+      mentionService.getAddedMentions(found.comment.mentions, comment.mentions || []),
+      req.user,
+      { contentType: 'comment', contentId: comment.commentId, postId: comment.postId }
+    );
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment: responseComment
+    });
+  } catch (error) {
+    if (!error.status) console.error('Edit comment error:', error);
+    sendServiceError(res, error, 'Failed to update comment');
+  }
+});
+
+// GET /api/posts/:id/comments/:commentId/history - Get earlier versions of a comment
+router.get('/:id/comments/:commentId/history', authenticateToken, async (req, res) => {
+  try {
+    const found = await findComment(req, res);
+    if (!found) return;
+
+    const { comment } = found;
+
+    res.json({
+      commentId: comment.commentId,
+      content: comment.content,
+      editedAt: comment.editedAt || null,
+      edits: comment.edits || []
+    });
+  } catch (error) {
+    console.error('Get comment history error:', error);
+    res.status(500).json({ error: 'Failed to fetch comment history' });
+  }
+});
+
+// DELETE /api/posts/:id/comments/:commentId - Delete a comment you wrote or one on your post
+router.delete('/:id/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const found = await findComment(req, res);
+    if (!found) return;
+
+    const userId = req.user.id.toString();
+    if (found.comment.userId !== userId && found.post.userId !== userId) {
+      return res.status(403).json({ error: 'Not authorized to delete this comment' });
+    }
+
+    const deleted = await commentService.deleteComment(found.comment);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+// POST /api/posts/:id/comments/:commentId/like - Like/unlike comment
+router.post('/:id/comments/:commentId/like', authenticateToken, async (req, res) => {
+  try {
+    const found = await findComment(req, res);
+    if (!found) return;
+
+    if (found.comment.deleted) {
+      return res.status(400).json({ error: 'Deleted comments cannot be liked' });
+    }
+
+    const { liked, likes } = await commentService.toggleLike(found.comment, req.user.id.toString());
+
+    res.json({
+      message: liked ? 'Comment liked' : 'Comment unliked',
+      liked,
+      likes
+    });
   } catch (error) {
-    console.error('Get comments error:', error);
-    res.status(500).json({ error: 'Failed to fetch comments' });
+    if (!error.status) console.error('Like comment error:', error);
+    sendServiceError(res, error, 'Failed to like/unlike comment');
   }
 });
 
@@ -437,7 +572,7 @@ router.get('/user/:userId', authenticateToken, async (req, res) => {
     // Try cache first
     const cachedPosts = await getCache(cacheKey);
     if (cachedPosts) {
-      return res.json(cachedPosts);
+      return res.json(presentPosts(cachedPosts, req.user.id));
     }
 
     const posts = await queryItems(
@@ -468,7 +603,7 @@ router.get('/user/:userId', authenticateToken, async (req, res) => {
     // Cache for 5 minutes
     await setCache(cacheKey, result, 300);
     
-    res.json(result);
+    res.json(presentPosts(result, req.user.id));
   } catch (error) {
     console.error('Get user posts error:', error);
     res.status(500).json({ error: 'Failed to fetch user posts' });
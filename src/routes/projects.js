@@ -1,13 +1,20 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerification } = require('../middleware/auth');
 const { uploadMiddleware } = require('../config/aws');
 const { putItem, getItem, updateItem, deleteItem, queryItems, scanItems } = require('../config/dynamodb');
 const { setCache, getCache, deleteCache, CACHE_KEYS, invalidateProjectCache } = require('../config/redis');
 const User = require('../models/mongodb/User');
+const privacyService = require('../services/privacyService');
+const membershipService = require('../services/membershipService');
 const RealtimeService = require('../services/realtime');
+const reactionService = require('../services/reactionService');
+const hashtagService = require('../services/hashtagService');
+const mentionService = require('../services/mentionService');
+const createReactionRouter = require('./reactions');
 
 const router = express.Router();
+const { PRIVACY_FIELDS } = privacyService;
 const PROJECTS_TABLE = process.env.DYNAMODB_PROJECTS_TABLE || 'networkx-projects';
 
 // GET /api/projects - Get all projects with pagination
@@ -67,7 +74,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // POST /api/projects - Create new project
-router.post('/', authenticateToken, uploadMiddleware.projectMedia, async (req, res) => {
+router.post('/', authenticateToken, requireVerification, uploadMiddleware.projectMedia, async (req, res) => {
   try {
     const { 
       title, 
@@ -90,6 +97,8 @@ router.post('/', authenticateToken, uploadMiddleware.projectMedia, async (req, r
     }
 
     const mediaUrls = req.files ? req.files.map(file => file.location) : [];
+    const tags = hashtagService.mergeTags(hashtagService.parseHashtags(description));
+    const mentions = await mentionService.resolveMentions(description, req.user.id);
     
     const project = {
       projectId,
@@ -103,18 +112,23 @@ router.post('/', authenticateToken, uploadMiddleware.projectMedia, async (req, r
       status,
       visibility,
       mediaUrls,
+      tags,
+      mentions,
       members: [req.user.id],
       memberCount: 1,
       applications: [],
       applicationCount: 0,
       likes: 0,
-      likedBy: [],
+      reactions: reactionService.emptyCounts(),
+      reactionCount: 0,
       views: 0,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
     await putItem(PROJECTS_TABLE, project);
+    await membershipService.add('project', projectId, req.user.id);
+    await hashtagService.indexContent('project', projectId, tags, req.user.id);
 
     // Get user details
     const user = await User.findById(req.user.id).select('firstName lastName username profileImage');
@@ -127,6 +141,8 @@ router.post('/', authenticateToken, uploadMiddleware.projectMedia, async (req, r
     // Invalidate cache
     await invalidateProjectCache(projectId, req.user.id);
 
+    await mentionService.notifyMentions(mentions, req.user, { contentType: 'project', contentId: projectId });
+
     res.status(201).json({
       message: 'Project created successfully',
       project: responseProject
@@ -199,10 +215,17 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to update this project' });
     }
 
-    const updateExpression = 'SET #title = :title, #description = :description, #category = :category, #skillsRequired = :skillsRequired, #teamSize = :teamSize, #duration = :duration, #status = :status, #visibility = :visibility, #updatedAt = :updatedAt';
+    // Tags and mentions follow the description
+    const newDescription = description?.trim() || project.description;
+    const tags = hashtagService.mergeTags(hashtagService.parseHashtags(newDescription));
+    const mentions = await mentionService.resolveMentions(newDescription, req.user.id);
+
+    const updateExpression = 'SET #title = :title, #description = :description, #tags = :tags, #mentions = :mentions, #category = :category, #skillsRequired = :skillsRequired, #teamSize = :teamSize, #duration = :duration, #status = :status, #visibility = :visibility, #updatedAt = :updatedAt';
     const expressionAttributeNames = {
       '#title': 'title',
       '#description': 'description',
+      '#tags': 'tags',
+      '#mentions': 'mentions',
       '#category': 'category',
       '#skillsRequired': 'skillsRequired',
       '#teamSize': 'teamSize',
@@ -213,7 +236,9 @@ router.put('/:id', authenticateToken, async (req, res) => {
     };
     const expressionAttributeValues = {
       ':title': title?.trim() || project.title,
-      ':description': description?.trim() || project.description,
+      ':description': newDescription,
+      ':tags': tags,
+      ':mentions': mentions,
       ':category': category || project.category,
       ':skillsRequired': skillsRequired ? skillsRequired.split(',').map(skill => skill.trim()) : project.skillsRequired,
       ':teamSize': teamSize ? parseInt(teamSize) : project.teamSize,
@@ -239,9 +264,18 @@ router.put('/:id', authenticateToken, async (req, res) => {
       owner: user
     };
 
+    await hashtagService.reconcile('project', id, project.tags, tags, req.user.id);
+
     // Invalidate cache
     await invalidateProjectCache(id, req.user.id);
 
+    // Only people newly mentioned hear about the edit
+    await mentionService.notifyMentions(
+      mentionService.getAddedMentions(project.mentions, mentions),
+      req.user,
+      { contentType: 'project', contentId: id }
+    );
+
     res.json({
       message: 'Project updated successfully',
       project: responseProject
@@ -268,6 +302,9 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 
     await deleteItem(PROJECTS_TABLE, { projectId: id });
+    await membershipService.removeGroup('project', project);
+    await reactionService.deleteForContent('project', id);
+    await hashtagService.removeContent('project', id, project.tags);
 
     // Invalidate cache
     await invalidateProjectCache(id, req.user.id);
@@ -283,60 +320,38 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 router.post('/:id/like', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
+    const userId = req.user.id.toString();
     
-    const project = await getItem(PROJECTS_TABLE, { projectId: id });
+    const project = await reactionService.getContent('project', id);
     
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    const likedBy = project.likedBy || [];
-    const isLiked = likedBy.includes(userId);
-    
-    let updateExpression, expressionAttributeValues;
-    
-    if (isLiked) {
-      // Unlike
-      const newLikedBy = likedBy.filter(id => id !== userId);
-      updateExpression = 'SET likedBy = :likedBy, likes = :likes, updatedAt = :updatedAt';
-      expressionAttributeValues = {
-        ':likedBy': newLikedBy,
-        ':likes': Math.max(0, project.likes - 1),
-        ':updatedAt': new Date().toISOString()
-      };
-    } else {
-      // Like
-      const newLikedBy = [...likedBy, userId];
-      updateExpression = 'SET likedBy = :likedBy, likes = :likes, updatedAt = :updatedAt';
-      expressionAttributeValues = {
-        ':likedBy': newLikedBy,
-        ':likes': project.likes + 1,
-        ':updatedAt': new Date().toISOString()
-      };
-    }
-
-    const updatedProject = await updateItem(
-      PROJECTS_TABLE,
-      { projectId: id },
-      updateExpression,
-      expressionAttributeValues
-    );
-
-    // Invalidate cache
-    await deleteCache(CACHE_KEYS.PROJECT_DETAILS(id));
+    // Liking replaces any other reaction; unliking only removes a like
+    const isLiked = await reactionService.getUserReaction('project', id, userId) === 'like';
+    const result = isLiked
+      ? await reactionService.removeReaction('project', project, userId)
+      : await reactionService.react('project', project, userId, 'like');
 
     res.json({
       message: isLiked ? 'Project unliked' : 'Project liked',
       liked: !isLiked,
-      likes: updatedProject.likes
+      likes: result.reactions.like,
+      reactions: result.reactions
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Like project error:', error);
     res.status(500).json({ error: 'Failed to like/unlike project' });
   }
 });
 
+// Reactions: /api/projects/:id/reactions
+router.use('/:id/reactions', createReactionRouter('project'));
+
 // POST /api/projects/:id/apply - Apply to join project
 router.post('/:id/apply', authenticateToken, async (req, res) => {
   try {
@@ -465,6 +480,9 @@ router.put('/:id/applications/:applicationId', authenticateToken, async (req, re
       updateExpression,
       expressionAttributeValues
     );
+    if (status === 'accepted') {
+      await membershipService.add('project', id, applications[applicationIndex].userId);
+    }
 
     // Invalidate cache
     await deleteCache(CACHE_KEYS.PROJECT_DETAILS(id));
@@ -497,37 +515,37 @@ router.get('/:id/members', authenticateToken, async (req, res) => {
     const { id } = req.params;
     const cacheKey = CACHE_KEYS.PROJECT_MEMBERS(id);
     
-    // Try cache first
-    const cachedMembers = await getCache(cacheKey);
-    if (cachedMembers) {
-      return res.json(cachedMembers);
-    }
+    // Try cache first. The cache holds every member; privacy is applied per viewer below.
+    let members = await getCache(cacheKey);
 
-    const project = await getItem(PROJECTS_TABLE, { projectId: id });
-    
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
+    if (!members) {
+      const project = await getItem(PROJECTS_TABLE, { projectId: id });
+      
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
 
-    const memberIds = project.members || [];
-    
-    // Get user details for each member
-    const members = await Promise.all(
-      memberIds.map(async (memberId) => {
-        const user = await User.findById(memberId).select('firstName lastName username profileImage bio skills');
-        return user;
-      })
-    );
+      const memberIds = project.members || [];
+      
+      // Get user details for each member
+      members = await Promise.all(
+        memberIds.map(async (memberId) => {
+          const user = await User.findById(memberId).select(`firstName lastName username profileImage bio skills ${PRIVACY_FIELDS}`);
+          return user && user.toObject();
+        })
+      );
+      members = members.filter(member => member !== null);
 
-    const result = {
-      members: members.filter(member => member !== null),
-      total: members.length
-    };
+      // Cache for 15 minutes
+      await setCache(cacheKey, members, 900);
+    }
 
-    // Cache for 15 minutes
-    await setCache(cacheKey, result, 900);
-    
-    res.json(result);
+    const visibleMembers = privacyService.filterVisible(members, req.user.id);
+
+    res.json({
+      members: visibleMembers,
+      total: visibleMembers.length
+    });
   } catch (error) {
     console.error('Get project members error:', error);
     res.status(500).json({ error: 'Failed to fetch project members' });
@@ -0,0 +1,120 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const reactionService = require('../services/reactionService');
+const blockService = require('../services/blockService');
+const RealtimeService = require('../services/realtime');
+const { sendServiceError } = require('../utils/errors');
+
+const NOT_FOUND = {
+  post: 'Post not found',
+  project: 'Project not found'
+};
+
+const notify = (contentType, contentId, ownerId, user, result) => (
+  contentType === 'post'
+    ? RealtimeService.handlePostInteraction(contentId, ownerId, 'reaction', user, result)
+    : RealtimeService.handleProjectInteraction(contentId, ownerId, 'reaction', user, result)
+);
+
+/**
+ * Reaction routes for one content type, mounted under its /:id
+ * @param {string} contentType - 'post' or 'project'
+ * @returns {express.Router}
+ */
+const createReactionRouter = (contentType) => {
+  const router = express.Router({ mergeParams: true });
+
+  // GET /api/{posts,projects}/:id/reactions - Get reaction counts and who reacted
+  router.get('/', authenticateToken, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { type, cursor } = req.query;
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit) || reactionService.settings.defaultPageSize, 1),
+        reactionService.settings.maxPageSize
+      );
+
+      const item = await reactionService.getContent(contentType, id);
+      if (!item) {
+        return res.status(404).json({ error: NOT_FOUND[contentType] });
+      }
+
+      const [{ users, nextCursor }, viewerReaction] = await Promise.all([
+        reactionService.listReactions(contentType, id, { reaction: type, cursor, limit }),
+        reactionService.getUserReaction(contentType, id, req.user.id.toString())
+      ]);
+
+      res.json({
+        ...reactionService.summarize(item, viewerReaction),
+        users,
+        pagination: {
+          limit,
+          nextCursor
+        }
+      });
+    } catch (error) {
+      if (!error.status) console.error('Get reactions error:', error);
+      sendServiceError(res, error, 'Failed to fetch reactions');
+    }
+  });
+
+  // POST /api/{posts,projects}/:id/reactions - React, replacing your earlier reaction
+  router.post('/', authenticateToken, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const item = await reactionService.getContent(contentType, id);
+      if (!item) {
+        return res.status(404).json({ error: NOT_FOUND[contentType] });
+      }
+
+      const ownerId = reactionService.getOwnerId(contentType, item);
+      if (await blockService.isBlocked(req.user.id, ownerId)) {
+        return res.status(403).json({ error: `You cannot react to this ${contentType}` });
+      }
+
+      const result = await reactionService.react(contentType, item, req.user.id.toString(), req.body.type);
+
+      await notify(contentType, id, ownerId, req.user, result);
+
+      res.json({
+        message: 'Reaction saved',
+        ...result
+      });
+    } catch (error) {
+      if (!error.status) console.error('Add reaction error:', error);
+      sendServiceError(res, error, 'Failed to save reaction');
+    }
+  });
+
+  // DELETE /api/{posts,projects}/:id/reactions - Remove your reaction
+  router.delete('/', authenticateToken, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const item = await reactionService.getContent(contentType, id);
+      if (!item) {
+        return res.status(404).json({ error: NOT_FOUND[contentType] });
+      }
+
+      const result = await reactionService.removeReaction(contentType, item, req.user.id.toString());
+      if (!result) {
+        return res.status(404).json({ error: 'Reaction not found' });
+      }
+
+      await notify(contentType, id, reactionService.getOwnerId(contentType, item), req.user, result);
+
+      res.json({
+        message: 'Reaction removed',
+        ...result
+      });
+    } catch (error) {
+      if (!error.status) console.error('Remove reaction error:', error);
+      sendServiceError(res, error, 'Failed to remove reaction');
+    }
+  });
+
+  return router;
+};
+
+module.exports = createReactionRouter;
@@ -1,7 +1,8 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const { putItem, getItem, updateItem, deleteItem, queryItems, scanItems } = require('../config/dynamodb');
 const { setCache, getCache, deleteCache, CACHE_KEYS } = require('../config/redis');
 const User = require('../models/mongodb/User');
@@ -74,15 +75,9 @@ router.post('/content', authenticateToken, [
   }
 });
 
-// GET /api/reports - Get reports (admin only)
-router.get('/', authenticateToken, async (req, res) => {
+// GET /api/reports - Get reports (moderators and admins)
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.REPORTS_VIEW), async (req, res) => {
   try {
-    // Check if user is admin (you'll need to add isAdmin field to User model)
-    const user = await User.findById(req.user.id);
-    if (!user || !user.isAdmin) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
-
     const { status, contentType, priority, page = 1, limit = 20 } = req.query;
     const cacheKey = `reports:${status || 'all'}:${contentType || 'all'}:${priority || 'all'}:${page}`;
     
@@ -156,8 +151,8 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// PUT /api/reports/:id/moderate - Moderate a report (admin only)
-router.put('/:id/moderate', authenticateToken, [
+// PUT /api/reports/:id/moderate - Moderate a report (moderators and admins)
+router.put('/:id/moderate', authenticateToken, requirePermission(PERMISSIONS.REPORTS_MODERATE), [
   body('action').isIn(['dismiss', 'resolve', 'escalate']).withMessage('Invalid moderation action'),
   body('moderatorNotes').optional().isLength({ max: 1000 }).withMessage('Moderator notes must be less than 1000 characters')
 ], async (req, res) => {
@@ -170,12 +165,6 @@ router.put('/:id/moderate', authenticateToken, [
       });
     }
 
-    // Check if user is admin
-    const user = await User.findById(req.user.id);
-    if (!user || !user.isAdmin) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
-
     const { id } = req.params;
     const { action, moderatorNotes = '' } = req.body;
     const moderatorId = req.user.id;
@@ -245,15 +234,9 @@ router.put('/:id/moderate', authenticateToken, [
   }
 });
 
-// GET /api/reports/stats - Get reporting statistics (admin only)
-router.get('/stats', authenticateToken, async (req, res) => {
+// GET /api/reports/stats - Get reporting statistics (moderators and admins)
+router.get('/stats', authenticateToken, requirePermission(PERMISSIONS.REPORTS_VIEW), async (req, res) => {
   try {
-    // Check if user is admin
-    const user = await User.findById(req.user.id);
-    if (!user || !user.isAdmin) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
-
     const cacheKey = 'reports:stats';
     
     // Try cache first
@@ -4,8 +4,12 @@ const { authenticateToken } = require('../middleware/auth');
 const { queryItems, scanItems } = require('../config/dynamodb');
 const { setCache, getCache } = require('../config/redis');
 const User = require('../models/mongodb/User');
+const privacyService = require('../services/privacyService');
+const blockService = require('../services/blockService');
+const pollService = require('../services/pollService');
 
 const router = express.Router();
+const { PRIVACY_FIELDS } = privacyService;
 
 // Search validation middleware
 const searchValidation = [
@@ -70,11 +74,16 @@ createSearchIndexes();
 const performSearch = async (searchQuery, searchType, filters, page = 1, limit = 10, userId) => {
   const results = {};
   const skip = (page - 1) * limit;
+  const blockedIds = await blockService.getBlockedIds(userId);
   
   // Search users
   if (searchType === 'users' || searchType === 'all') {
     try {
-      const userQuery = { isActive: { $ne: false } };
+      const userQuery = {
+        _id: { $nin: blockedIds },
+        isActive: { $ne: false },
+        $and: [privacyService.getDiscoverableFilter(userId)]
+      };
       
       if (searchQuery && searchQuery.trim()) {
         userQuery.$text = { $search: searchQuery.trim() };
@@ -97,7 +106,7 @@ const performSearch = async (searchQuery, searchType, filters, page = 1, limit =
       
       const [users, totalUsers] = await Promise.all([
         User.find(userQuery)
-          .select('firstName lastName username profileImage department year skills interests rating isVerified')
+          .select(`firstName lastName username profileImage department year skills interests rating isVerified ${PRIVACY_FIELDS}`)
           .sort(sortCriteria)
           .skip(searchType === 'all' ? 0 : skip)
           .limit(searchType === 'all' ? 5 : limit),
@@ -105,7 +114,7 @@ const performSearch = async (searchQuery, searchType, filters, page = 1, limit =
       ]);
       
       results.users = {
-        data: users,
+        data: privacyService.filterVisible(users, userId),
         total: totalUsers,
         hasMore: searchType === 'all' ? totalUsers > 5 : totalUsers > (skip + users.length)
       };
@@ -128,17 +137,19 @@ const performSearch = async (searchQuery, searchType, filters, page = 1, limit =
         Limit: searchType === 'all' ? 5 : limit
       });
       
-      let filteredPosts = posts;
+      let filteredPosts = posts.filter(post => !blockedIds.includes(post.userId));
       if (searchQuery && searchQuery.trim()) {
         const searchTerm = searchQuery.toLowerCase();
-        filteredPosts = posts.filter(post => 
+        filteredPosts = filteredPosts.filter(post => 
           post.content?.toLowerCase().includes(searchTerm) ||
           post.tags?.some(tag => tag.toLowerCase().includes(searchTerm))
         );
       }
       
       results.posts = {
-        data: filteredPosts.slice(0, searchType === 'all' ? 5 : limit),
+        data: filteredPosts
+          .slice(0, searchType === 'all' ? 5 : limit)
+          .map(post => pollService.presentPost(post, userId)),
         total: filteredPosts.length,
         hasMore: filteredPosts.length > (searchType === 'all' ? 5 : limit)
       };
@@ -161,10 +172,10 @@ const performSearch = async (searchQuery, searchType, filters, page = 1, limit =
         Limit: searchType === 'all' ? 5 : limit
       });
       
-      let filteredProjects = projects;
+      let filteredProjects = projects.filter(project => !blockedIds.includes(project.ownerId));
       if (searchQuery && searchQuery.trim()) {
         const searchTerm = searchQuery.toLowerCase();
-        filteredProjects = projects.filter(project => 
+        filteredProjects = filteredProjects.filter(project => 
           project.title?.toLowerCase().includes(searchTerm) ||
           project.description?.toLowerCase().includes(searchTerm) ||
           project.tags?.some(tag => tag.toLowerCase().includes(searchTerm))
@@ -213,7 +224,8 @@ router.get('/', authenticateToken, searchValidation, async (req, res) => {
     const parsedFilters = JSON.parse(filters);
     
     // Check cache first
-    const cacheKey = `search:${q}:${type}:${JSON.stringify(parsedFilters)}:${page}`;
+    // User results depend on who is searching, so the cache is per viewer
+    const cacheKey = `search:${req.user.id}:${q}:${type}:${JSON.stringify(parsedFilters)}:${page}`;
     const cachedResults = await getCache(cacheKey);
     if (cachedResults) {
       return res.json({
@@ -278,18 +290,21 @@ router.get('/suggestions', authenticateToken, async (req, res) => {
     
     // User suggestions
     if (type === 'users' || type === 'all') {
+      const blockedIds = await blockService.getBlockedIds(req.user.id);
       const users = await User.find({
         $or: [
           { firstName: searchRegex },
           { lastName: searchRegex },
           { username: searchRegex }
         ],
-        isActive: { $ne: false }
+        _id: { $nin: blockedIds },
+        isActive: { $ne: false },
+        $and: [privacyService.getDiscoverableFilter(req.user.id)]
       })
-      .select('firstName lastName username profileImage')
+      .select(`firstName lastName username profileImage ${PRIVACY_FIELDS}`)
       .limit(limit);
       
-      suggestions.push(...users.map(user => ({
+      suggestions.push(...privacyService.filterVisible(users, req.user.id).map(user => ({
         type: 'user',
         id: user._id,
         text: `${user.firstName} ${user.lastName}`,
@@ -0,0 +1,96 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const User = require('../models/mongodb/User');
+const hashtagService = require('../services/hashtagService');
+const { sendServiceError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Normalize the :tag param, answering 400 if it isn't a valid tag
+const parseTag = (req, res) => {
+  const tag = hashtagService.normalizeTag(req.params.tag);
+  if (!tag) {
+    res.status(400).json({ error: 'Invalid tag', code: 'invalid_tag' });
+  }
+  return tag;
+};
+
+// GET /api/tags/following - Get tags you follow
+router.get('/following', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('followedTags');
+    res.json({ tags: user.followedTags });
+  } catch (error) {
+    console.error('Get followed tags error:', error);
+    res.status(500).json({ error: 'Failed to fetch followed tags' });
+  }
+});
+
+// GET /api/tags/:tag - Get public posts, comments and projects with a tag
+router.get('/:tag', authenticateToken, async (req, res) => {
+  try {
+    const tag = parseTag(req, res);
+    if (!tag) return;
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || hashtagService.settings.defaultPageSize, 1),
+      hashtagService.settings.maxPageSize
+    );
+
+    const [{ items, nextCursor }, user] = await Promise.all([
+      hashtagService.getTimeline(tag, req.user.id.toString(), { cursor: req.query.cursor, limit }),
+      User.findById(req.user.id).select('followedTags')
+    ]);
+
+    res.json({
+      tag,
+      following: user.followedTags.includes(tag),
+      items,
+      pagination: {
+        limit,
+        nextCursor
+      }
+    });
+  } catch (error) {
+    if (!error.status) console.error('Get tag timeline error:', error);
+    sendServiceError(res, error, 'Failed to fetch tag timeline');
+  }
+});
+
+// POST /api/tags/:tag/follow - Follow a tag
+router.post('/:tag/follow', authenticateToken, async (req, res) => {
+  try {
+    const tag = parseTag(req, res);
+    if (!tag) return;
+
+    const tags = await hashtagService.followTag(req.user.id, tag);
+
+    res.json({
+      message: `Following #${tag}`,
+      tags
+    });
+  } catch (error) {
+    if (!error.status) console.error('Follow tag error:', error);
+    sendServiceError(res, error, 'Failed to follow tag');
+  }
+});
+
+// DELETE /api/tags/:tag/follow - Unfollow a tag
+router.delete('/:tag/follow', authenticateToken, async (req, res) => {
+  try {
+    const tag = parseTag(req, res);
+    if (!tag) return;
+
+    const tags = await hashtagService.unfollowTag(req.user.id, tag);
+
+    res.json({
+      message: `Unfollowed #${tag}`,
+      tags
+    });
+  } catch (error) {
+    console.error('Unfollow tag error:', error);
+    res.status(500).json({ error: 'Failed to unfollow tag' });
+  }
+});
+
+module.exports = router;
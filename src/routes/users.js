@@ -1,10 +1,58 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/mongodb/User');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerification } = require('../middleware/auth');
 const { uploadMiddleware } = require('../config/aws');
+const dataExportService = require('../services/dataExportService');
+const accountDeletionService = require('../services/accountDeletionService');
+const totpService = require('../services/totpService');
+const loginProtectionService = require('../services/loginProtectionService');
+const privacyService = require('../services/privacyService');
+const followRequestService = require('../services/followRequestService');
+const blockService = require('../services/blockService');
+const reviewService = require('../services/reviewService');
+const suggestionService = require('../services/suggestionService');
+const onboardingService = require('../services/onboardingService');
+const profileViewService = require('../services/profileViewService');
+const resumeService = require('../services/resumeService');
+const departmentService = require('../services/departmentService');
+const availabilityService = require('../services/availabilityService');
+const RealtimeService = require('../services/realtime');
+const { sendServiceError } = require('../utils/errors');
+
+const { PRIVACY_FIELDS } = privacyService;
+
+// What PUT /profile may change. Role, verification, two-factor, linked identities
+// and deletion have their own flows; ratings, completeness and followed tags are
+// computed or managed elsewhere.
+const EDITABLE_PROFILE_FIELDS = [
+  'firstName',
+  'lastName',
+  'bio',
+  'skills',
+  'interests',
+  'socialLinks',
+  'location',
+  'department',
+  'year',
+  'profileImage',
+  'preferences'
+];
 
 const router = express.Router();
 
+// Exporting or deleting the whole account needs the user themselves,
+// not a script or an admin viewing as them
+const requireAccountOwner = (req, res, next) => {
+  if (req.user.accessTokenId) {
+    return res.status(403).json({ error: 'Personal access tokens cannot export or delete an account' });
+  }
+  if (req.user.impersonation) {
+    return res.status(403).json({ error: 'Accounts cannot be exported or deleted while impersonating' });
+  }
+  next();
+};
+
 // GET /api/users/profile
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
@@ -12,7 +60,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    res.json(user.toJSON());
+    res.json({ ...user.toJSON(), topSkills: await reviewService.getTopSkills(user) });
   } catch (error) {
     console.error('Get profile error:', error);
     res.status(500).json({ error: 'Failed to get profile' });
@@ -23,13 +71,25 @@ router.get('/profile', authenticateToken, async (req, res) => {
 router.get('/profile/:userId', authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.params.userId)
-      .select('firstName lastName username profileImage department year skills interests rating isVerified bio location');
+      .select(`firstName lastName username email profileImage department year skills interests rating isVerified bio location ${PRIVACY_FIELDS}`);
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    res.json(user);
+    const profile = privacyService.redactProfile(user, req.user.id);
+    if (!profile.isPrivate) {
+      profile.topSkills = await reviewService.getTopSkills(user);
+    }
+
+    // Admins viewing as someone else shouldn't show up as that user's visits
+    if (!req.user.impersonation) {
+      profileViewService.recordView(user._id, req.user.id).catch(error => {
+        console.error('Record profile view error:', error);
+      });
+    }
+
+    res.json(profile);
   } catch (error) {
     console.error('Get user profile error:', error);
     res.status(500).json({ error: 'Failed to get user profile' });
@@ -45,8 +105,18 @@ router.put('/profile', authenticateToken, uploadMiddleware.profileImage, async (
     }
 
     // Update profile fields
-    const updateFields = { ...req.body };
-    
+    const updateFields = {};
+    EDITABLE_PROFILE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => {
+        updateFields[field] = req.body[field];
+      });
+
+    // Map free-text spellings onto the canonical department list
+    if (typeof updateFields.department === 'string') {
+      updateFields.department = await departmentService.normalize(updateFields.department);
+    }
+
     // If profile image was uploaded, add the URL
     if (req.file) {
       updateFields.profileImage = req.file.location;
@@ -84,6 +154,29 @@ router.post('/follow/:userId', authenticateToken, async (req, res) => {
     }
     
     const isFollowing = currentUser.following.includes(targetUserId);
+
+    if (!isFollowing && await blockService.isBlocked(currentUserId, targetUserId)) {
+      return res.status(403).json({ error: 'You cannot follow this user' });
+    }
+
+    // Private profiles approve their followers
+    if (!isFollowing && followRequestService.requiresApproval(targetUser)) {
+      const { request, created } = await followRequestService.createRequest(currentUserId, targetUserId);
+
+      if (created) {
+        await suggestionService.invalidate(currentUserId);
+        await RealtimeService.handleUserInteraction(targetUserId, 'follow_request', currentUser, {
+          requestId: request._id.toString()
+        });
+      }
+
+      return res.status(created ? 201 : 200).json({
+        message: created ? 'Follow request sent' : 'Follow request already pending',
+        isFollowing: false,
+        requestPending: true,
+        request
+      });
+    }
     
     if (isFollowing) {
       // Unfollow
@@ -96,6 +189,7 @@ router.post('/follow/:userId', authenticateToken, async (req, res) => {
     }
     
     await Promise.all([currentUser.save(), targetUser.save()]);
+    await suggestionService.invalidate(currentUserId);
     
     res.json({
       message: isFollowing ? 'Unfollowed successfully' : 'Followed successfully',
@@ -107,18 +201,504 @@ router.post('/follow/:userId', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/users/suggestions - People you may know, with the reasons for each
+router.get('/suggestions', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), suggestionService.maxSuggestions);
+    const suggestions = await suggestionService.getSuggestions(req.user.id.toString(), { limit });
+
+    res.json({ suggestions });
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    res.status(500).json({ error: 'Failed to fetch suggestions' });
+  }
+});
+
+// GET /api/users/follow-requests - Get pending requests to follow the current user
+router.get('/follow-requests', authenticateToken, async (req, res) => {
+  try {
+    const requests = await followRequestService.listIncoming(req.user.id);
+    res.json({ requests });
+  } catch (error) {
+    console.error('Get follow requests error:', error);
+    res.status(500).json({ error: 'Failed to get follow requests' });
+  }
+});
+
+// GET /api/users/follow-requests/outgoing - Get the current user's pending requests
+router.get('/follow-requests/outgoing', authenticateToken, async (req, res) => {
+  try {
+    const requests = await followRequestService.listOutgoing(req.user.id);
+    res.json({ requests });
+  } catch (error) {
+    console.error('Get outgoing follow requests error:', error);
+    res.status(500).json({ error: 'Failed to get outgoing follow requests' });
+  }
+});
+
+// POST /api/users/follow-requests/:requestId/accept - Accept a follow request
+router.post('/follow-requests/:requestId/accept', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.requestId)) {
+      return res.status(404).json({ error: 'Follow request not found' });
+    }
+
+    const request = await followRequestService.acceptRequest(req.user.id, req.params.requestId);
+    if (!request) {
+      return res.status(404).json({ error: 'Follow request not found' });
+    }
+
+    await suggestionService.invalidate(request.requesterId.toString());
+
+    const currentUser = await User.findById(req.user.id).select('firstName lastName username profileImage');
+    await RealtimeService.handleUserInteraction(request.requesterId.toString(), 'accept_follow_request', currentUser, {
+      requestId: request._id.toString()
+    });
+
+    res.json({ message: 'Follow request accepted' });
+  } catch (error) {
+    console.error('Accept follow request error:', error);
+    res.status(500).json({ error: 'Failed to accept follow request' });
+  }
+});
+
+// POST /api/users/follow-requests/:requestId/decline - Decline a follow request
+router.post('/follow-requests/:requestId/decline', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.requestId)) {
+      return res.status(404).json({ error: 'Follow request not found' });
+    }
+
+    const declined = await followRequestService.declineRequest(req.user.id, req.params.requestId);
+    if (!declined) {
+      return res.status(404).json({ error: 'Follow request not found' });
+    }
+
+    res.json({ message: 'Follow request declined' });
+  } catch (error) {
+    console.error('Decline follow request error:', error);
+    res.status(500).json({ error: 'Failed to decline follow request' });
+  }
+});
+
+// DELETE /api/users/follow-requests/:requestId - Cancel an outgoing follow request
+router.delete('/follow-requests/:requestId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.requestId)) {
+      return res.status(404).json({ error: 'Follow request not found' });
+    }
+
+    const cancelled = await followRequestService.cancelRequest(req.user.id, req.params.requestId);
+    if (!cancelled) {
+      return res.status(404).json({ error: 'Follow request not found' });
+    }
+
+    await suggestionService.invalidate(req.user.id);
+
+    res.json({ message: 'Follow request cancelled' });
+  } catch (error) {
+    console.error('Cancel follow request error:', error);
+    res.status(500).json({ error: 'Failed to cancel follow request' });
+  }
+});
+
+// Load the user a block or mute is aimed at
+const findTargetUser = async (req, res) => {
+  const { userId } = req.params;
+
+  if (userId === req.user.id.toString()) {
+    res.status(400).json({ error: 'Cannot block or mute yourself' });
+    return null;
+  }
+
+  const target = mongoose.Types.ObjectId.isValid(userId) && await User.exists({ _id: userId });
+  if (!target) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+
+  return userId;
+};
+
+// GET /api/users/blocked - Get users the current user has blocked
+router.get('/blocked', authenticateToken, async (req, res) => {
+  try {
+    const users = await blockService.listBlocked(req.user.id);
+    res.json({ users });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ error: 'Failed to get blocked users' });
+  }
+});
+
+// POST /api/users/block/:userId - Block a user
+router.post('/block/:userId', authenticateToken, async (req, res) => {
+  try {
+    const targetId = await findTargetUser(req, res);
+    if (!targetId) return;
+
+    await blockService.blockUser(req.user.id, targetId);
+    res.json({ message: 'User blocked', isBlocked: true });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+// DELETE /api/users/block/:userId - Unblock a user
+router.delete('/block/:userId', authenticateToken, async (req, res) => {
+  try {
+    const targetId = await findTargetUser(req, res);
+    if (!targetId) return;
+
+    await blockService.unblockUser(req.user.id, targetId);
+    res.json({ message: 'User unblocked', isBlocked: false });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
+// GET /api/users/muted - Get users the current user has muted
+router.get('/muted', authenticateToken, async (req, res) => {
+  try {
+    const users = await blockService.listMuted(req.user.id);
+    res.json({ users });
+  } catch (error) {
+    console.error('Get muted users error:', error);
+    res.status(500).json({ error: 'Failed to get muted users' });
+  }
+});
+
+// POST /api/users/mute/:userId - Mute a user
+router.post('/mute/:userId', authenticateToken, async (req, res) => {
+  try {
+    const targetId = await findTargetUser(req, res);
+    if (!targetId) return;
+
+    await blockService.muteUser(req.user.id, targetId);
+    res.json({ message: 'User muted', isMuted: true });
+  } catch (error) {
+    console.error('Mute user error:', error);
+    res.status(500).json({ error: 'Failed to mute user' });
+  }
+});
+
+// DELETE /api/users/mute/:userId - Unmute a user
+router.delete('/mute/:userId', authenticateToken, async (req, res) => {
+  try {
+    const targetId = await findTargetUser(req, res);
+    if (!targetId) return;
+
+    await blockService.unmuteUser(req.user.id, targetId);
+    res.json({ message: 'User unmuted', isMuted: false });
+  } catch (error) {
+    console.error('Unmute user error:', error);
+    res.status(500).json({ error: 'Failed to unmute user' });
+  }
+});
+
+// Load a user whose reviews, endorsements or availability are being read or written
+const findProfileUser = async (req, res) => {
+  const user = mongoose.Types.ObjectId.isValid(req.params.userId) &&
+    await User.findById(req.params.userId).select(`firstName lastName username skills rating totalRatings availability isActive ${PRIVACY_FIELDS}`);
+
+  if (!user || !user.isActive) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  if (!privacyService.canViewProfile(user, req.user.id)) {
+    res.status(403).json({ error: 'This profile is private' });
+    return null;
+  }
+
+  return user;
+};
+
+// GET /api/users/:userId/reviews - Get reviews a user has received
+router.get('/:userId/reviews', authenticateToken, async (req, res) => {
+  try {
+    const user = await findProfileUser(req, res);
+    if (!user) return;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const { reviews, total } = await reviewService.listReviews(user._id, { page, limit });
+
+    res.json({
+      reviews,
+      rating: user.rating,
+      totalRatings: user.totalRatings,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ error: 'Failed to get reviews' });
+  }
+});
+
+// POST /api/users/:userId/reviews - Review someone you worked with
+router.post('/:userId/reviews', authenticateToken, requireVerification, async (req, res) => {
+  try {
+    const { rating, comment = '', context } = req.body;
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ error: 'Rating must be a whole number from 1 to 5' });
+    }
+    if (typeof comment !== 'string' || comment.length > 1000) {
+      return res.status(400).json({ error: 'Comment must be text of at most 1000 characters' });
+    }
+    if (!context || !['project', 'collaboration', 'club'].includes(context.type) || !context.id) {
+      return res.status(400).json({ error: 'Context must name the project, collaboration or club you shared' });
+    }
+
+    const reviewee = await findProfileUser(req, res);
+    if (!reviewee) return;
+
+    const reviewer = await User.findById(req.user.id).select('_id');
+    const { review, created } = await reviewService.submitReview(reviewer, reviewee, {
+      rating,
+      comment: comment.trim(),
+      context
+    });
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Review added' : 'Review updated',
+      review
+    });
+  } catch (error) {
+    if (!error.status) console.error('Submit review error:', error);
+    sendServiceError(res, error, 'Failed to submit review');
+  }
+});
+
+// DELETE /api/users/:userId/reviews - Remove the review you left for a user
+router.delete('/:userId/reviews', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const deleted = await reviewService.deleteReview(req.user.id, req.params.userId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json({ message: 'Review removed' });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({ error: 'Failed to remove review' });
+  }
+});
+
+// GET /api/users/:userId/endorsements - Get endorsement counts for a user's skills
+router.get('/:userId/endorsements', authenticateToken, async (req, res) => {
+  try {
+    const user = await findProfileUser(req, res);
+    if (!user) return;
+
+    const skills = await reviewService.getSkillEndorsements(user, req.user.id);
+    res.json({ skills });
+  } catch (error) {
+    console.error('Get endorsements error:', error);
+    res.status(500).json({ error: 'Failed to get endorsements' });
+  }
+});
+
+// POST /api/users/:userId/endorsements - Endorse one of a user's skills
+router.post('/:userId/endorsements', authenticateToken, requireVerification, async (req, res) => {
+  try {
+    const { skill } = req.body;
+
+    if (!skill || typeof skill !== 'string' || !skill.trim()) {
+      return res.status(400).json({ error: 'Skill is required' });
+    }
+
+    const user = await findProfileUser(req, res);
+    if (!user) return;
+
+    const endorser = await User.findById(req.user.id).select('_id');
+    const { endorsement, created } = await reviewService.endorseSkill(endorser, user, skill);
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Skill endorsed' : 'Skill already endorsed',
+      endorsement
+    });
+  } catch (error) {
+    if (!error.status) console.error('Endorse skill error:', error);
+    sendServiceError(res, error, 'Failed to endorse skill');
+  }
+});
+
+// DELETE /api/users/:userId/endorsements/:skill - Withdraw an endorsement
+router.delete('/:userId/endorsements/:skill', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ error: 'Endorsement not found' });
+    }
+
+    const removed = await reviewService.removeEndorsement(req.user.id, req.params.userId, req.params.skill);
+    if (!removed) {
+      return res.status(404).json({ error: 'Endorsement not found' });
+    }
+
+    res.json({ message: 'Endorsement withdrawn' });
+  } catch (error) {
+    console.error('Remove endorsement error:', error);
+    res.status(500).json({ error: 'Failed to withdraw endorsement' });
+  }
+});
+
+// GET /api/users/me/availability - Get your weekly availability schedule
+router.get('/me/availability', authenticateToken, async (req, res) => {
+  try {
+    const schedule = await availabilityService.getSchedule(req.user.id);
+    res.json({ schedule });
+  } catch (error) {
+    console.error('Get availability schedule error:', error);
+    res.status(500).json({ error: 'Failed to get availability schedule' });
+  }
+});
+
+// PUT /api/users/me/availability - Replace your weekly windows, timezone and exceptions
+router.put('/me/availability', authenticateToken, async (req, res) => {
+  try {
+    const { timezone, weekly, exceptions } = req.body;
+    const schedule = await availabilityService.saveSchedule(req.user.id, { timezone, weekly, exceptions });
+
+    res.json({
+      message: 'Availability schedule saved',
+      schedule
+    });
+  } catch (error) {
+    if (!error.status) console.error('Save availability schedule error:', error);
+    sendServiceError(res, error, 'Failed to save availability schedule');
+  }
+});
+
+// DELETE /api/users/me/availability - Remove your availability schedule
+router.delete('/me/availability', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await availabilityService.deleteSchedule(req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'No availability schedule to delete' });
+    }
+
+    res.json({ message: 'Availability schedule deleted' });
+  } catch (error) {
+    console.error('Delete availability schedule error:', error);
+    res.status(500).json({ error: 'Failed to delete availability schedule' });
+  }
+});
+
+// GET /api/users/availability/common - Find times when you and other users, or a project team, are all free
+router.get('/availability/common', authenticateToken, async (req, res) => {
+  try {
+    const { userIds, projectId, from, to } = req.query;
+    const duration = Math.min(Math.max(parseInt(req.query.duration) || 30, 15), 24 * 60);
+    const range = availabilityService.parseRange(from, to);
+    const currentUserId = req.user.id.toString();
+
+    let ids;
+    if (projectId) {
+      ids = await availabilityService.getProjectMemberIds(projectId, currentUserId);
+      if (!ids) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+    } else {
+      ids = [...new Set([currentUserId, ...String(userIds || '').split(',').map(id => id.trim()).filter(Boolean)])];
+      if (ids.length < 2) {
+        return res.status(400).json({ error: 'userIds or projectId is required' });
+      }
+      if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ error: 'userIds must be valid user IDs' });
+      }
+    }
+
+    if (ids.length > availabilityService.limits.commonUsers) {
+      return res.status(400).json({ error: `Common time can be found for up to ${availabilityService.limits.commonUsers} users` });
+    }
+
+    const users = await User.find({ _id: { $in: ids }, isActive: true }).select(PRIVACY_FIELDS);
+
+    // Project teams already work together; anyone else must be visible to you
+    if (!projectId) {
+      if (users.length !== ids.length) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const blocked = await Promise.all(users.map(user => blockService.isBlocked(currentUserId, user._id)));
+      if (blocked.some(Boolean) || !users.every(user => privacyService.canViewProfile(user, currentUserId))) {
+        return res.status(403).json({ error: 'You cannot see the availability of all of these users' });
+      }
+    }
+
+    const result = await availabilityService.findCommonTime(
+      users.map(user => user._id.toString()),
+      range.from,
+      range.to,
+      duration
+    );
+
+    res.json({
+      from: new Date(range.from).toISOString(),
+      to: new Date(range.to).toISOString(),
+      duration,
+      userIds: users.map(user => user._id),
+      ...result
+    });
+  } catch (error) {
+    if (!error.status) console.error('Find common availability error:', error);
+    sendServiceError(res, error, 'Failed to find common availability');
+  }
+});
+
+// GET /api/users/:userId/availability - Get a user's free windows between from and to
+router.get('/:userId/availability', authenticateToken, async (req, res) => {
+  try {
+    const range = availabilityService.parseRange(req.query.from, req.query.to);
+
+    const user = await findProfileUser(req, res);
+    if (!user) return;
+
+    if (await blockService.isBlocked(req.user.id, user._id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const availability = await availabilityService.getAvailability(user, range.from, range.to);
+
+    res.json({
+      from: new Date(range.from).toISOString(),
+      to: new Date(range.to).toISOString(),
+      ...availability
+    });
+  } catch (error) {
+    if (!error.status) console.error('Get availability error:', error);
+    sendServiceError(res, error, 'Failed to get availability');
+  }
+});
+
 // GET /api/users/followers/:userId - Get user followers
 router.get('/followers/:userId', authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.params.userId)
-      .populate('followers', 'firstName lastName username profileImage')
-      .select('followers');
+      .populate('followers', `firstName lastName username profileImage ${PRIVACY_FIELDS}`)
+      .select(PRIVACY_FIELDS);
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+
+    if (!privacyService.canViewProfile(user, req.user.id)) {
+      return res.status(403).json({ error: 'This profile is private' });
+    }
     
-    res.json({ followers: user.followers });
+    res.json({ followers: privacyService.filterVisible(user.followers, req.user.id) });
   } catch (error) {
     console.error('Get followers error:', error);
     res.status(500).json({ error: 'Failed to get followers' });
@@ -129,14 +709,18 @@ router.get('/followers/:userId', authenticateToken, async (req, res) => {
 router.get('/following/:userId', authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.params.userId)
-      .populate('following', 'firstName lastName username profileImage')
-      .select('following');
+      .populate('following', `firstName lastName username profileImage ${PRIVACY_FIELDS}`)
+      .select(PRIVACY_FIELDS);
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+
+    if (!privacyService.canViewProfile(user, req.user.id)) {
+      return res.status(403).json({ error: 'This profile is private' });
+    }
     
-    res.json({ following: user.following });
+    res.json({ following: privacyService.filterVisible(user.following, req.user.id) });
   } catch (error) {
     console.error('Get following error:', error);
     res.status(500).json({ error: 'Failed to get following' });
@@ -164,13 +748,16 @@ router.get('/search', authenticateToken, async (req, res) => {
     }
     
     query.isActive = true;
-    query._id = { $ne: req.user.id }; // Exclude current user
+    const blockedIds = await blockService.getBlockedIds(req.user.id);
+    query._id = { $ne: req.user.id, $nin: blockedIds }; // Exclude current user and blocks
+    query.$and = [privacyService.getDiscoverableFilter(req.user.id)];
 
-    const users = await User.find(query)
-      .select('firstName lastName username profileImage department year skills interests rating isVerified')
+    const found = await User.find(query)
+      .select(`firstName lastName username profileImage department year skills interests rating isVerified ${PRIVACY_FIELDS}`)
       .limit(parseInt(limit))
       .skip((parseInt(page) - 1) * parseInt(limit))
       .sort({ rating: -1, createdAt: -1 });
+    const users = privacyService.filterVisible(found, req.user.id);
 
     const total = await User.countDocuments(query);
 
@@ -189,4 +776,260 @@ router.get('/search', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/users/me/onboarding - Get the profile completeness score and onboarding checklist
+router.get('/me/onboarding', authenticateToken, async (req, res) => {
+  try {
+    const checklist = await onboardingService.getChecklist(req.user.id);
+    if (!checklist) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(checklist);
+  } catch (error) {
+    console.error('Get onboarding error:', error);
+    res.status(500).json({ error: 'Failed to fetch onboarding checklist' });
+  }
+});
+
+// POST /api/users/me/onboarding/dismiss - Hide the checklist and stop reminders
+router.post('/me/onboarding/dismiss', authenticateToken, async (req, res) => {
+  try {
+    await onboardingService.dismiss(req.user.id);
+    res.json({ message: 'Onboarding checklist dismissed' });
+  } catch (error) {
+    console.error('Dismiss onboarding error:', error);
+    res.status(500).json({ error: 'Failed to dismiss onboarding checklist' });
+  }
+});
+
+// GET /api/users/me/profile-views - Get profile view counts over time and recent viewers
+router.get('/me/profile-views', authenticateToken, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), profileViewService.retentionDays);
+    const insights = await profileViewService.getInsights(req.user.id, { days });
+
+    res.json(insights);
+  } catch (error) {
+    console.error('Get profile views error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile views' });
+  }
+});
+
+// GET /api/users/me/resume - Export the profile as a JSON Resume
+router.get('/me/resume', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(await resumeService.exportResume(user));
+  } catch (error) {
+    console.error('Export resume error:', error);
+    res.status(500).json({ error: 'Failed to export resume' });
+  }
+});
+
+// Validate the JSON Resume in the request body and load the current user
+const loadResumeImport = async (req, res) => {
+  const details = resumeService.validateResume(req.body.resume);
+  if (details.length) {
+    res.status(400).json({ error: 'Invalid JSON Resume', details });
+    return null;
+  }
+
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+
+  return user;
+};
+
+// POST /api/users/me/resume/preview - Show what importing a JSON Resume would change
+router.post('/me/resume/preview', authenticateToken, async (req, res) => {
+  try {
+    const user = await loadResumeImport(req, res);
+    if (!user) return;
+
+    res.json(resumeService.previewImport(req.body.resume, user));
+  } catch (error) {
+    console.error('Preview resume import error:', error);
+    res.status(500).json({ error: 'Failed to preview resume import' });
+  }
+});
+
+// POST /api/users/me/resume/import - Apply a previewed JSON Resume import
+router.post('/me/resume/import', authenticateToken, async (req, res) => {
+  try {
+    const user = await loadResumeImport(req, res);
+    if (!user) return;
+
+    const result = await resumeService.applyImport(req.body.resume, user, req.body.confirmation);
+    if (!result) {
+      return res.status(409).json({
+        error: 'Your profile or the resume changed since the preview',
+        preview: resumeService.previewImport(req.body.resume, user)
+      });
+    }
+
+    res.json({
+      message: result.changes.length ? 'Resume imported successfully' : 'Profile already matches the resume',
+      changes: result.changes,
+      user: result.user.toJSON()
+    });
+  } catch (error) {
+    console.error('Import resume error:', error);
+    res.status(500).json({ error: 'Failed to import resume' });
+  }
+});
+
+// POST /api/users/me/export - Request a copy of all personal data
+router.post('/me/export', authenticateToken, requireAccountOwner, async (req, res) => {
+  try {
+    const { exportJob, created } = await dataExportService.requestExport(req.user.id);
+
+    res.status(202).json({
+      message: created
+        ? 'Data export started. We will notify you when it is ready.'
+        : 'A data export is already in progress',
+      export: exportJob
+    });
+  } catch (error) {
+    if (error.code === 'export_cooldown') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({
+        error: error.message,
+        retryAfter: error.retryAfter,
+        export: error.exportJob
+      });
+    }
+    console.error('Request data export error:', error);
+    res.status(500).json({ error: 'Failed to start data export' });
+  }
+});
+
+// GET /api/users/me/export - List recent data exports
+router.get('/me/export', authenticateToken, requireAccountOwner, async (req, res) => {
+  try {
+    const exports = await dataExportService.listExports(req.user.id);
+    res.json({ exports });
+  } catch (error) {
+    console.error('List data exports error:', error);
+    res.status(500).json({ error: 'Failed to get data exports' });
+  }
+});
+
+// GET /api/users/me/export/:exportId - Get export status and a short-lived download link
+router.get('/me/export/:exportId', authenticateToken, requireAccountOwner, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.exportId)) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    const exportJob = await dataExportService.getExport(req.user.id, req.params.exportId);
+    if (!exportJob) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json({
+      export: exportJob,
+      download: exportJob.status === 'ready' ? dataExportService.getDownloadLink(exportJob) : null
+    });
+  } catch (error) {
+    console.error('Get data export error:', error);
+    res.status(500).json({ error: 'Failed to get data export' });
+  }
+});
+
+// DELETE /api/users/me - Schedule account deletion after a grace period
+router.delete('/me', authenticateToken, requireAccountOwner, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.deletion && user.deletion.scheduledFor) {
+      return res.status(409).json({
+        error: 'Account deletion already scheduled',
+        scheduledFor: user.deletion.scheduledFor
+      });
+    }
+
+    // Password guesses here count towards the same lockout as logins
+    if (loginProtectionService.isLocked(user)) {
+      return res.status(423).json({
+        error: 'Account locked',
+        message: 'Too many failed login attempts. Please try again later.',
+        lockUntil: user.lockUntil
+      });
+    }
+
+    const isValidPassword = await user.comparePassword(req.body.password || '');
+    const secondFactorOk = !user.twoFactor || !user.twoFactor.enabled || totpService.verifyUserFactor(user, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode
+    });
+
+    if (!isValidPassword || !secondFactorOk) {
+      const { locked, lockUntil } = await loginProtectionService.recordFailure(user, req.ip);
+
+      if (locked) {
+        return res.status(423).json({
+          error: 'Account locked',
+          message: 'Too many failed login attempts. Please try again later.',
+          lockUntil
+        });
+      }
+
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: user.twoFactor && user.twoFactor.enabled
+          ? 'Password or verification code is incorrect'
+          : 'Password is incorrect'
+      });
+    }
+
+    const scheduledFor = await accountDeletionService.requestDeletion(user, {
+      requestedBy: user._id,
+      reason: req.body.reason || null,
+      ipAddress: req.ip
+    });
+
+    res.status(202).json({
+      message: 'Account deletion scheduled. You can cancel it until then.',
+      scheduledFor
+    });
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    res.status(500).json({ error: 'Failed to schedule account deletion' });
+  }
+});
+
+// POST /api/users/me/deletion/cancel - Cancel a scheduled account deletion
+router.post('/me/deletion/cancel', authenticateToken, requireAccountOwner, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const cancelled = await accountDeletionService.cancelDeletion(user, {
+      cancelledBy: user._id,
+      ipAddress: req.ip
+    });
+
+    if (!cancelled) {
+      return res.status(400).json({ error: 'No account deletion is scheduled' });
+    }
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ error: 'Failed to cancel account deletion' });
+  }
+});
+
 module.exports = router;
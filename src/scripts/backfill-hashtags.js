@@ -0,0 +1,57 @@
+require('dotenv').config();
+const { dynamodb, scanAllItems } = require('../config/dynamodb');
+const hashtagService = require('../services/hashtagService');
+
+const POSTS_TABLE = process.env.DYNAMODB_POSTS_TABLE || 'networkx-posts';
+const PROJECTS_TABLE = process.env.DYNAMODB_PROJECTS_TABLE || 'networkx-projects';
+
+// Store the tags without touching updatedAt, unless an edit got there first
+const saveTags = async (table, key, attribute, tags) => {
+  try {
+    await dynamodb.update({
+      TableName: table,
+      Key: key,
+      UpdateExpression: 'SET #tags = :tags',
+      ConditionExpression: 'attribute_not_exists(#tags)',
+      ExpressionAttributeNames: { '#tags': attribute },
+      ExpressionAttributeValues: { ':tags': tags }
+    }).promise();
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') throw error;
+  }
+};
+
+// Index posts and projects saved before hashtags were indexed. Safe to run again.
+async function backfillHashtags() {
+  console.log('🏷️  Indexing hashtags of existing posts and projects...\n');
+
+  try {
+    const posts = (await scanAllItems(POSTS_TABLE)).filter(post => !post.hashtags);
+    for (const post of posts) {
+      const hashtags = hashtagService.mergeTags(post.tags || [], hashtagService.parseHashtags(post.content));
+      await hashtagService.indexContent('post', post.postId, hashtags, post.userId);
+      await saveTags(POSTS_TABLE, { postId: post.postId }, 'hashtags', hashtags);
+    }
+    console.log(`✅ Indexed ${posts.length} posts`);
+
+    const projects = (await scanAllItems(PROJECTS_TABLE)).filter(project => !project.tags);
+    for (const project of projects) {
+      const tags = hashtagService.parseHashtags(project.description);
+      await hashtagService.indexContent('project', project.projectId, tags, project.ownerId);
+      await saveTags(PROJECTS_TABLE, { projectId: project.projectId }, 'tags', tags);
+    }
+    console.log(`✅ Indexed ${projects.length} projects`);
+
+    console.log('\n🎉 Hashtag backfill complete!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Hashtag backfill failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  backfillHashtags();
+}
+
+module.exports = { backfillHashtags };
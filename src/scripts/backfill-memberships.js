@@ -0,0 +1,36 @@
+require('dotenv').config();
+const { scanAllItems } = require('../config/dynamodb');
+const membershipService = require('../services/membershipService');
+const { GROUP_TYPES } = require('../services/membershipService');
+
+// Index the members of existing projects, clubs and events. Safe to run again.
+async function backfillMemberships() {
+  console.log('👥 Indexing members of existing projects, clubs and events...\n');
+
+  try {
+    for (const [groupType, { table, idField }] of Object.entries(GROUP_TYPES)) {
+      const groups = await scanAllItems(table);
+      let indexed = 0;
+
+      for (const group of groups) {
+        for (const userId of membershipService.getMemberIds(groupType, group)) {
+          await membershipService.add(groupType, group[idField], userId);
+          indexed++;
+        }
+      }
+      console.log(`✅ Indexed ${indexed} memberships of ${groups.length} ${groupType}s`);
+    }
+
+    console.log('\n🎉 Membership backfill complete!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Membership backfill failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  backfillMemberships();
+}
+
+module.exports = { backfillMemberships };
@@ -272,6 +272,182 @@ const tables = [
     BillingMode: 'PROVISIONED',
     ProvisionedThroughput: { ReadCapacityUnits: 10, WriteCapacityUnits: 10 }
   },
+  {
+    TableName: process.env.DYNAMODB_COMMENTS_TABLE || 'networkx-comments',
+    KeySchema: [
+      { AttributeName: 'commentId', KeyType: 'HASH' }
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'commentId', AttributeType: 'S' },
+      { AttributeName: 'threadId', AttributeType: 'S' },
+      { AttributeName: 'postId', AttributeType: 'S' },
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'createdAt', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        // threadId is "<postId>#root" for top-level comments, "<postId>#<parentCommentId>" for replies
+        IndexName: 'ThreadCommentsIndex',
+        KeySchema: [
+          { AttributeName: 'threadId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+      },
+      {
+        IndexName: 'PostCommentsIndex',
+        KeySchema: [
+          { AttributeName: 'postId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+      },
+      {
+        IndexName: 'UserCommentsIndex',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+      }
+    ],
+    BillingMode: 'PROVISIONED',
+    ProvisionedThroughput: { ReadCapacityUnits: 10, WriteCapacityUnits: 10 }
+  },
+  {
+    TableName: process.env.DYNAMODB_REACTIONS_TABLE || 'networkx-reactions',
+    KeySchema: [
+      // contentKey is "<contentType>#<contentId>", e.g. "post#<postId>"
+      { AttributeName: 'contentKey', KeyType: 'HASH' },
+      { AttributeName: 'userId', KeyType: 'RANGE' }
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'contentKey', AttributeType: 'S' },
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'createdAt', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        IndexName: 'ContentReactionsIndex',
+        KeySchema: [
+          { AttributeName: 'contentKey', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+      },
+      {
+        IndexName: 'UserReactionsIndex',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+      }
+    ],
+    BillingMode: 'PROVISIONED',
+    ProvisionedThroughput: { ReadCapacityUnits: 10, WriteCapacityUnits: 10 }
+  },
+  {
+    TableName: process.env.DYNAMODB_HASHTAGS_TABLE || 'networkx-hashtags',
+    KeySchema: [
+      // contentKey is "<contentType>#<contentId>", e.g. "post#<postId>"
+      { AttributeName: 'tag', KeyType: 'HASH' },
+      { AttributeName: 'contentKey', KeyType: 'RANGE' }
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'tag', AttributeType: 'S' },
+      { AttributeName: 'contentKey', AttributeType: 'S' },
+      { AttributeName: 'createdAt', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        IndexName: 'TagTimelineIndex',
+        KeySchema: [
+          { AttributeName: 'tag', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+      }
+    ],
+    BillingMode: 'PROVISIONED',
+    ProvisionedThroughput: { ReadCapacityUnits: 10, WriteCapacityUnits: 10 }
+  },
+  {
+    TableName: process.env.DYNAMODB_POLL_VOTES_TABLE || 'networkx-poll-votes',
+    KeySchema: [
+      { AttributeName: 'postId', KeyType: 'HASH' },
+      { AttributeName: 'userId', KeyType: 'RANGE' }
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'postId', AttributeType: 'S' },
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'createdAt', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        IndexName: 'PostVotesIndex',
+        KeySchema: [
+          { AttributeName: 'postId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+      },
+      {
+        IndexName: 'UserVotesIndex',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+      }
+    ],
+    BillingMode: 'PROVISIONED',
+    ProvisionedThroughput: { ReadCapacityUnits: 10, WriteCapacityUnits: 10 }
+  },
+  {
+    TableName: process.env.DYNAMODB_POST_DRAFTS_TABLE || 'networkx-post-drafts',
+    KeySchema: [
+      { AttributeName: 'draftId', KeyType: 'HASH' }
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'draftId', AttributeType: 'S' },
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'status', AttributeType: 'S' },
+      { AttributeName: 'publishAt', AttributeType: 'S' },
+      { AttributeName: 'createdAt', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        IndexName: 'UserDraftsIndex',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+      },
+      {
+        // Only drafts with a publishAt are indexed, i.e. scheduled and publishing ones
+        IndexName: 'DueDraftsIndex',
+        KeySchema: [
+          { AttributeName: 'status', KeyType: 'HASH' },
+          { AttributeName: 'publishAt', KeyType: 'RANGE' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+      }
+    ],
+    BillingMode: 'PROVISIONED',
+    ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+  },
   {
     TableName: process.env.DYNAMODB_BOOKMARKS_TABLE || 'networkx-bookmarks',
     KeySchema: [
@@ -305,6 +481,20 @@ const tables = [
     ],
     BillingMode: 'PROVISIONED',
     ProvisionedThroughput: { ReadCapacityUnits: 10, WriteCapacityUnits: 10 }
+  },
+  {
+    // One item per user and project, club or event; groupKey is "<type>#<id>"
+    TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE || 'networkx-memberships',
+    KeySchema: [
+      { AttributeName: 'userId', KeyType: 'HASH' },
+      { AttributeName: 'groupKey', KeyType: 'RANGE' }
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'groupKey', AttributeType: 'S' }
+    ],
+    BillingMode: 'PROVISIONED',
+    ProvisionedThroughput: { ReadCapacityUnits: 10, WriteCapacityUnits: 10 }
   }
 ];
 
@@ -0,0 +1,431 @@
+const User = require('../models/mongodb/User');
+const UserKeys = require('../models/mongodb/UserKeys');
+const Conversation = require('../models/mongodb/Conversation');
+const Session = require('../models/mongodb/Session');
+const PersonalAccessToken = require('../models/mongodb/PersonalAccessToken');
+const FollowRequest = require('../models/mongodb/FollowRequest');
+const DataExport = require('../models/mongodb/DataExport');
+const AuditLog = require('../models/mongodb/AuditLog');
+const { updateItem, deleteItem, queryAllItems, scanAllItems } = require('../config/dynamodb');
+const { deleteFile } = require('../config/aws');
+const { invalidateUserCache } = require('../config/redis');
+const personalAccessTokenService = require('./personalAccessTokenService');
+const dataExportService = require('./dataExportService');
+const reviewService = require('./reviewService');
+const profileViewService = require('./profileViewService');
+const availabilityService = require('./availabilityService');
+const commentService = require('./commentService');
+const reactionService = require('./reactionService');
+const hashtagService = require('./hashtagService');
+const pollService = require('./pollService');
+const scheduledPostService = require('./scheduledPostService');
+const membershipService = require('./membershipService');
+
+const TABLES = {
+  posts: process.env.DYNAMODB_POSTS_TABLE || 'networkx-posts',
+  projects: process.env.DYNAMODB_PROJECTS_TABLE || 'networkx-projects',
+  clubs: process.env.DYNAMODB_CLUBS_TABLE || 'networkx-clubs',
+  events: process.env.DYNAMODB_EVENTS_TABLE || 'networkx-events',
+  messages: process.env.DYNAMODB_MESSAGES_TABLE || 'networkx-messages',
+  notifications: process.env.DYNAMODB_NOTIFICATIONS_TABLE || 'networkx-notifications',
+  bookmarks: process.env.DYNAMODB_BOOKMARKS_TABLE || 'networkx-bookmarks',
+  collaborations: process.env.DYNAMODB_COLLABORATIONS_TABLE || 'networkx-collaborations',
+  reports: process.env.DYNAMODB_REPORTS_TABLE || 'networkx-reports'
+};
+
+// Tables where the user can own an item or be listed as a member of someone else's
+const MEMBERSHIP_TABLES = [
+  { name: 'projects', table: TABLES.projects, idField: 'projectId', ownerField: 'ownerId', listFields: ['members'], countField: 'memberCount', groupType: 'project', contentType: 'project' },
+  { name: 'clubs', table: TABLES.clubs, idField: 'clubId', ownerField: 'presidentId', listFields: ['members', 'officers'], countField: 'memberCount', groupType: 'club' },
+  { name: 'events', table: TABLES.events, idField: 'eventId', ownerField: 'organizerId', listFields: ['attendees'], countField: 'attendeeCount', groupType: 'event' }
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Account deletion service. Deletion is scheduled with a grace period during which
+ * it can be cancelled; after that the erasure job removes the user from every store.
+ */
+class AccountDeletionService {
+  constructor() {
+    this.gracePeriodDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+    this.sweepInterval = null;
+  }
+
+  /**
+   * Schedule a user's account for erasure
+   * @param {Object} user - User document
+   * @param {Object} options - { requestedBy, reason, ipAddress }
+   * @returns {Promise<Date>} When the account will be erased
+   */
+  async requestDeletion(user, { requestedBy, reason = null, ipAddress = null }) {
+    const now = new Date();
+    const scheduledFor = new Date(now.getTime() + this.gracePeriodDays * DAY_MS);
+
+    user.deletion = {
+      requestedAt: now,
+      scheduledFor,
+      requestedBy: requestedBy.toString(),
+      reason
+    };
+    await user.save();
+
+    // Scripts shouldn't keep acting for an account on its way out
+    await personalAccessTokenService.revokeAllTokens(user._id);
+
+    await AuditLog.create({
+      action: 'account.deletion_requested',
+      actorId: requestedBy.toString(),
+      targetUserId: user._id.toString(),
+      metadata: { scheduledFor },
+      ipAddress
+    });
+
+    return scheduledFor;
+  }
+
+  /**
+   * Cancel a scheduled deletion during the grace period
+   * @param {Object} user - User document
+   * @param {Object} options - { cancelledBy, ipAddress }
+   * @returns {Promise<boolean>} Whether a deletion was pending
+   */
+  async cancelDeletion(user, { cancelledBy, ipAddress = null }) {
+    if (!user.deletion || !user.deletion.scheduledFor) {
+      return false;
+    }
+
+    user.deletion = {
+      requestedAt: null,
+      scheduledFor: null,
+      requestedBy: null,
+      reason: null
+    };
+    await user.save();
+
+    await AuditLog.create({
+      action: 'account.deletion_cancelled',
+      actorId: cancelledBy.toString(),
+      targetUserId: user._id.toString(),
+      ipAddress
+    });
+
+    return true;
+  }
+
+  /**
+   * Erase a user from every store. Content other people still rely on, such as
+   * comments in threads, messages and reports, is kept but no longer points at the user.
+   * Safe to re-run: the user document goes last, so a failed run is retried by the next sweep.
+   * @param {string} userId - User to erase
+   * @param {Object} options - { actorId }
+   * @returns {Promise<Object>} Counts of deleted and anonymized items
+   */
+  async eraseUser(userId, { actorId = 'system' } = {}) {
+    userId = userId.toString();
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    const summary = {
+      deleted: {},
+      anonymized: {},
+      filesDeleted: 0
+    };
+    const mediaUrls = [user.profileImage];
+
+    await this.erasePosts(userId, summary, mediaUrls);
+    for (const config of MEMBERSHIP_TABLES) {
+      await this.eraseMemberships(config, userId, summary, mediaUrls);
+    }
+    await membershipService.eraseUser(userId);
+    await this.eraseMessages(userId, summary, mediaUrls);
+    await this.eraseNotifications(userId, summary);
+    await this.eraseOwnedItems(userId, summary);
+
+    for (const url of mediaUrls.filter(Boolean)) {
+      if (await deleteFile(url)) summary.filesDeleted++;
+    }
+
+    await this.eraseMongoData(user, summary);
+    await invalidateUserCache(userId);
+
+    await AuditLog.create({
+      action: 'account.erased',
+      actorId: actorId.toString(),
+      targetUserId: userId,
+      metadata: {
+        requestedAt: user.deletion && user.deletion.requestedAt,
+        requestedBy: user.deletion && user.deletion.requestedBy,
+        ...summary
+      }
+    });
+
+    return summary;
+  }
+
+  count(summary, bucket, name, amount = 1) {
+    summary[bucket][name] = (summary[bucket][name] || 0) + amount;
+  }
+
+  // Delete the user's posts and their comments; strip their likes and anonymize their comments on everyone else's
+  async erasePosts(userId, summary, mediaUrls) {
+    const posts = await scanAllItems(TABLES.posts);
+
+    for (const post of posts) {
+      if (post.userId === userId) {
+        mediaUrls.push(...(post.mediaUrls || []));
+        await deleteItem(TABLES.posts, { postId: post.postId });
+        await commentService.deleteForPost(post.postId);
+        await reactionService.deleteForContent('post', post.postId);
+        await hashtagService.removeContent('post', post.postId, hashtagService.getIndexedTags(post));
+        if (post.poll) await pollService.deleteForPost(post.postId);
+        this.count(summary, 'deleted', 'posts');
+        continue;
+      }
+
+      // Only the legacy lists a post still has; commentService.eraseUser and
+      // reactionService.eraseUser handle migrated ones, and writing a list back
+      // would migrate the post again
+      const sets = [];
+      const values = {};
+
+      const comments = post.comments_data || [];
+      const ownComments = comments.filter(comment => comment.userId === userId).length;
+      if (ownComments > 0) {
+        sets.push('comments_data = :comments');
+        values[':comments'] = comments.map(comment => (
+          comment.userId === userId ? { ...comment, userId: null, anonymized: true } : comment
+        ));
+      }
+
+      if (post.likedBy && post.likedBy.includes(userId)) {
+        const likedBy = post.likedBy.filter(id => id !== userId);
+        sets.push('likedBy = :likedBy', 'likes = :likes');
+        values[':likedBy'] = likedBy;
+        values[':likes'] = likedBy.length;
+      }
+
+      if (sets.length === 0) continue;
+
+      await updateItem(
+        TABLES.posts,
+        { postId: post.postId },
+        `SET ${sets.join(', ')}, updatedAt = :updatedAt`,
+        values
+      );
+
+      if (ownComments > 0) this.count(summary, 'anonymized', 'comments', ownComments);
+    }
+
+    // Comments in the comments table; posts not yet migrated were handled above
+    const comments = await commentService.eraseUser(userId);
+    if (comments.anonymized > 0) this.count(summary, 'anonymized', 'comments', comments.anonymized);
+    if (comments.likes > 0) this.count(summary, 'anonymized', 'commentLikes', comments.likes);
+
+    const reactions = await reactionService.eraseUser(userId);
+    if (reactions > 0) this.count(summary, 'deleted', 'reactions', reactions);
+
+    const pollVotes = await pollService.eraseUser(userId);
+    if (pollVotes > 0) this.count(summary, 'deleted', 'pollVotes', pollVotes);
+
+    const drafts = await scheduledPostService.eraseUser(userId);
+    drafts.forEach(draft => mediaUrls.push(...(draft.mediaUrls || [])));
+    if (drafts.length > 0) this.count(summary, 'deleted', 'drafts', drafts.length);
+  }
+
+  // Delete items the user owns and take them out of membership lists everywhere else
+  async eraseMemberships({ name, table, idField, ownerField, listFields, countField, groupType, contentType }, userId, summary, mediaUrls) {
+    const filter = [`${ownerField} = :userId`, ...listFields.map(field => `contains(${field}, :userId)`)].join(' OR ');
+    const items = await scanAllItems(table, filter, { ':userId': userId });
+
+    for (const item of items) {
+      if (item[ownerField] === userId) {
+        mediaUrls.push(...(item.mediaUrls || []));
+        await deleteItem(table, { [idField]: item[idField] });
+        await membershipService.removeGroup(groupType, item);
+        if (contentType) {
+          await reactionService.deleteForContent(contentType, item[idField]);
+          await hashtagService.removeContent(contentType, item[idField], item.tags);
+        }
+        this.count(summary, 'deleted', name);
+        continue;
+      }
+
+      const sets = [];
+      const values = {};
+      listFields.forEach(field => {
+        sets.push(`${field} = :${field}`);
+        values[`:${field}`] = (item[field] || []).filter(id => id !== userId);
+      });
+      sets.push(`${countField} = :count`, 'updatedAt = :updatedAt');
+      values[':count'] = values[`:${listFields[0]}`].length;
+
+      await updateItem(table, { [idField]: item[idField] }, `SET ${sets.join(', ')}`, values);
+      this.count(summary, 'anonymized', `${name}Memberships`);
+    }
+  }
+
+  // Messages stay with the other participant, minus the user's identity and attachments
+  async eraseMessages(userId, summary, mediaUrls) {
+    const messages = await scanAllItems(
+      TABLES.messages,
+      'senderId = :userId OR receiverId = :userId',
+      { ':userId': userId }
+    );
+
+    for (const message of messages) {
+      const key = { conversationId: message.conversationId, messageId: message.messageId };
+
+      if (message.senderId === userId) {
+        mediaUrls.push(...(message.mediaUrls || []));
+        await updateItem(
+          TABLES.messages,
+          key,
+          'SET updatedAt = :updatedAt, senderDeleted = :deleted REMOVE senderId, mediaUrls',
+          { ':deleted': true }
+        );
+      } else {
+        await updateItem(
+          TABLES.messages,
+          key,
+          'SET updatedAt = :updatedAt, receiverDeleted = :deleted REMOVE receiverId',
+          { ':deleted': true }
+        );
+      }
+      this.count(summary, 'anonymized', 'messages');
+    }
+  }
+
+  async eraseNotifications(userId, summary) {
+    const received = await queryAllItems(TABLES.notifications, 'userId = :userId', { ':userId': userId });
+    for (const notification of received) {
+      await deleteItem(TABLES.notifications, { userId, notificationId: notification.notificationId });
+      this.count(summary, 'deleted', 'notifications');
+    }
+
+    const sent = await scanAllItems(TABLES.notifications, 'senderId = :userId', { ':userId': userId });
+    for (const notification of sent) {
+      await updateItem(
+        TABLES.notifications,
+        { userId: notification.userId, notificationId: notification.notificationId },
+        'SET updatedAt = :updatedAt REMOVE senderId',
+        {}
+      );
+      this.count(summary, 'anonymized', 'notifications');
+    }
+  }
+
+  // Bookmarks and collaborations go; reports are kept for moderation without the reporter
+  async eraseOwnedItems(userId, summary) {
+    const bookmarks = await queryAllItems(TABLES.bookmarks, 'userId = :userId', { ':userId': userId }, 'UserBookmarksIndex');
+    for (const bookmark of bookmarks) {
+      await deleteItem(TABLES.bookmarks, { userId, bookmarkId: bookmark.bookmarkId });
+      this.count(summary, 'deleted', 'bookmarks');
+    }
+
+    const collaborations = await scanAllItems(TABLES.collaborations, 'creatorId = :userId', { ':userId': userId });
+    for (const collaboration of collaborations) {
+      await deleteItem(TABLES.collaborations, { collaborationId: collaboration.collaborationId });
+      this.count(summary, 'deleted', 'collaborations');
+    }
+
+    const reports = await scanAllItems(TABLES.reports, 'reporterId = :userId', { ':userId': userId });
+    for (const report of reports) {
+      await updateItem(
+        TABLES.reports,
+        { reportId: report.reportId },
+        'SET updatedAt = :updatedAt REMOVE reporterId',
+        {}
+      );
+      this.count(summary, 'anonymized', 'reports');
+    }
+  }
+
+  async eraseMongoData(user, summary) {
+    const userId = user._id.toString();
+
+    const follows = await User.updateMany(
+      {
+        $or: [
+          { followers: user._id },
+          { following: user._id },
+          { blockedUsers: user._id },
+          { mutedUsers: user._id }
+        ]
+      },
+      { $pull: { followers: user._id, following: user._id, blockedUsers: user._id, mutedUsers: user._id } }
+    );
+    this.count(summary, 'anonymized', 'followReferences', follows.modifiedCount);
+
+    // Also re-rates everyone the user reviewed or endorsed
+    const feedback = await reviewService.eraseUser(user._id);
+    this.count(summary, 'deleted', 'reviews', feedback.reviews);
+    this.count(summary, 'deleted', 'endorsements', feedback.endorsements);
+    this.count(summary, 'deleted', 'profileViews', await profileViewService.eraseUser(user._id));
+    if (await availabilityService.deleteSchedule(user._id)) {
+      this.count(summary, 'deleted', 'availabilitySchedules');
+    }
+
+    await Conversation.updateMany(
+      { 'participants.userId': userId },
+      { $pull: { participants: { userId } } }
+    );
+    await Conversation.deleteMany({ participants: { $size: 0 } });
+
+    const exports = await DataExport.find({ userId: user._id, status: 'ready' });
+    for (const exportJob of exports) {
+      await dataExportService.expireExport(exportJob);
+    }
+
+    await Promise.all([
+      UserKeys.deleteMany({ userId }),
+      Session.deleteMany({ userId: user._id }),
+      PersonalAccessToken.deleteMany({ userId: user._id }),
+      DataExport.deleteMany({ userId: user._id }),
+      FollowRequest.deleteMany({ $or: [{ requesterId: user._id }, { targetId: user._id }] })
+    ]);
+
+    await User.deleteOne({ _id: user._id });
+  }
+
+  /**
+   * Erase every account whose grace period has ended
+   * @returns {Promise<number>} Number of erased accounts
+   */
+  async processDueDeletions() {
+    const users = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } }).select('_id');
+    let erased = 0;
+
+    for (const { _id } of users) {
+      try {
+        await this.eraseUser(_id);
+        erased++;
+      } catch (error) {
+        console.error(`Account erasure error for ${_id}:`, error);
+      }
+    }
+
+    return erased;
+  }
+
+  /**
+   * Start the hourly erasure sweep
+   */
+  start() {
+    if (this.sweepInterval) return;
+
+    const sweep = () => this.processDueDeletions().catch(error => {
+      console.error('Account deletion sweep error:', error);
+    });
+
+    sweep();
+    this.sweepInterval = setInterval(sweep, HOUR_MS);
+    this.sweepInterval.unref();
+  }
+}
+
+// Create singleton instance
+const accountDeletionService = new AccountDeletionService();
+
+module.exports = accountDeletionService;
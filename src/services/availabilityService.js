@@ -0,0 +1,350 @@
+const AvailabilitySchedule = require('../models/mongodb/AvailabilitySchedule');
+const { getItem } = require('../config/dynamodb');
+const { createError } = require('../utils/errors');
+
+const PROJECTS_TABLE = process.env.DYNAMODB_PROJECTS_TABLE || 'networkx-projects';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Weekly availability windows with timezones and one-off exceptions.
+ *
+ * Windows are stored as wall-clock times in the owner's timezone and expanded to
+ * UTC intervals on request, so they follow daylight saving changes. Common free
+ * time is the intersection of everyone's intervals; users without a schedule
+ * are reported rather than treated as never free.
+ */
+class AvailabilityService {
+  constructor() {
+    this.limits = {
+      weeklyWindows: 50,
+      exceptions: 100,
+      windowsPerException: 10,
+      rangeDays: 31,
+      commonUsers: 20
+    };
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} The user's schedule
+   */
+  async getSchedule(userId) {
+    return AvailabilitySchedule.findOne({ userId });
+  }
+
+  /**
+   * Replace a user's schedule. Exceptions for past dates are dropped.
+   * @param {string} userId - User ID
+   * @param {Object} data - { timezone, weekly, exceptions }
+   * @returns {Promise<Object>} Saved schedule
+   */
+  async saveSchedule(userId, { timezone, weekly = [], exceptions = [] }) {
+    this.validateSchedule({ timezone, weekly, exceptions });
+
+    const today = this.toLocalDate(Date.now(), timezone);
+    const schedule = {
+      timezone,
+      weekly: weekly
+        .map(({ day, start, end }) => ({ day, start, end }))
+        .sort((a, b) => a.day - b.day || a.start.localeCompare(b.start)),
+      exceptions: exceptions
+        .filter(exception => exception.date >= today)
+        .map(({ date, windows = [], note = '' }) => ({
+          date,
+          windows: windows.map(({ start, end }) => ({ start, end })),
+          note
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date))
+    };
+
+    return AvailabilitySchedule.findOneAndUpdate(
+      { userId },
+      { $set: schedule, $setOnInsert: { userId } },
+      { new: true, upsert: true, runValidators: true }
+    );
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Whether there was a schedule to delete
+   */
+  async deleteSchedule(userId) {
+    const result = await AvailabilitySchedule.deleteOne({ userId });
+    return result.deletedCount > 0;
+  }
+
+  validateSchedule({ timezone, weekly, exceptions }) {
+    if (!this.isValidTimezone(timezone)) {
+      throw createError('A valid IANA timezone is required, e.g. "Europe/London"', 'invalid_timezone', 400);
+    }
+    if (!Array.isArray(weekly) || weekly.length > this.limits.weeklyWindows) {
+      throw createError(`Weekly availability must be a list of up to ${this.limits.weeklyWindows} windows`, 'invalid_schedule', 400);
+    }
+    if (!Array.isArray(exceptions) || exceptions.length > this.limits.exceptions) {
+      throw createError(`Exceptions must be a list of up to ${this.limits.exceptions} dates`, 'invalid_schedule', 400);
+    }
+
+    weekly.forEach((window, index) => {
+      if (!Number.isInteger(window?.day) || window.day < 0 || window.day > 6) {
+        throw createError(`weekly[${index}].day must be 0 (Sunday) to 6 (Saturday)`, 'invalid_schedule', 400);
+      }
+      this.validateWindow(window, `weekly[${index}]`);
+    });
+
+    const dates = new Set();
+    exceptions.forEach((exception, index) => {
+      if (!DATE_PATTERN.test(exception?.date || '') || Number.isNaN(Date.parse(exception.date))) {
+        throw createError(`exceptions[${index}].date must be YYYY-MM-DD`, 'invalid_schedule', 400);
+      }
+      if (dates.has(exception.date)) {
+        throw createError(`exceptions[${index}].date is listed more than once`, 'invalid_schedule', 400);
+      }
+      dates.add(exception.date);
+
+      const windows = exception.windows || [];
+      if (!Array.isArray(windows) || windows.length > this.limits.windowsPerException) {
+        throw createError(`exceptions[${index}].windows must be a list of up to ${this.limits.windowsPerException} windows`, 'invalid_schedule', 400);
+      }
+      windows.forEach((window, windowIndex) => this.validateWindow(window, `exceptions[${index}].windows[${windowIndex}]`));
+    });
+  }
+
+  validateWindow(window, path) {
+    if (!TIME_PATTERN.test(window?.start || '') || !TIME_PATTERN.test(window?.end || '') || window.start === '24:00') {
+      throw createError(`${path} needs start and end times as HH:mm`, 'invalid_schedule', 400);
+    }
+    if (this.toMinutes(window.start) >= this.toMinutes(window.end)) {
+      throw createError(`${path} must end after it starts; split windows that cross midnight`, 'invalid_schedule', 400);
+    }
+  }
+
+  isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check and default a requested time range
+   * @param {string} from - ISO date or date-time, defaults to now
+   * @param {string} to - ISO date or date-time, defaults to 7 days after from
+   * @returns {Object} { from, to } as timestamps
+   */
+  parseRange(from, to) {
+    const start = from ? Date.parse(from) : Date.now();
+    const end = to ? Date.parse(to) : start + 7 * DAY_MS;
+
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      throw createError('from and to must be ISO dates', 'invalid_range', 400);
+    }
+    if (end <= start) {
+      throw createError('to must be after from', 'invalid_range', 400);
+    }
+    if (end - start > this.limits.rangeDays * DAY_MS) {
+      throw createError(`The range can be at most ${this.limits.rangeDays} days`, 'invalid_range', 400);
+    }
+
+    return { from: start, to: end };
+  }
+
+  /**
+   * Free intervals from a schedule within a range
+   * @param {Object} schedule - AvailabilitySchedule document
+   * @param {number} from - Range start timestamp
+   * @param {number} to - Range end timestamp
+   * @returns {Array} [{ start, end }] timestamps, sorted and merged
+   */
+  expandSchedule(schedule, from, to) {
+    const { timezone } = schedule;
+    const exceptions = new Map((schedule.exceptions || []).map(exception => [exception.date, exception.windows]));
+    const intervals = [];
+
+    // Local dates that can overlap the range, with a day of slack for offsets
+    let date = this.toLocalDate(from - DAY_MS, timezone);
+    const lastDate = this.toLocalDate(to + DAY_MS, timezone);
+
+    while (date <= lastDate) {
+      const windows = exceptions.has(date)
+        ? exceptions.get(date)
+        : (schedule.weekly || []).filter(window => window.day === this.getWeekday(date));
+
+      windows.forEach(window => {
+        const start = Math.max(this.toTimestamp(date, this.toMinutes(window.start), timezone), from);
+        const end = Math.min(this.toTimestamp(date, this.toMinutes(window.end), timezone), to);
+        if (start < end) intervals.push({ start, end });
+      });
+
+      date = this.addDays(date, 1);
+    }
+
+    return this.mergeIntervals(intervals);
+  }
+
+  /**
+   * Availability of one user within a range
+   * @param {Object} user - User document
+   * @param {number} from - Range start timestamp
+   * @param {number} to - Range end timestamp
+   * @returns {Promise<Object>} { userId, status, timezone, hasSchedule, windows }
+   */
+  async getAvailability(user, from, to) {
+    const schedule = await this.getSchedule(user._id);
+
+    return {
+      userId: user._id,
+      status: user.availability,
+      timezone: schedule?.timezone || null,
+      hasSchedule: Boolean(schedule),
+      windows: schedule ? this.formatIntervals(this.expandSchedule(schedule, from, to)) : []
+    };
+  }
+
+  /**
+   * Times within a range when every user with a schedule is free
+   * @param {Array<string>} userIds - User IDs
+   * @param {number} from - Range start timestamp
+   * @param {number} to - Range end timestamp
+   * @param {number} minMinutes - Shortest slot worth returning
+   * @returns {Promise<Object>} { windows, usersWithoutSchedule }
+   */
+  async findCommonTime(userIds, from, to, minMinutes = 30) {
+    const schedules = await AvailabilitySchedule.find({ userId: { $in: userIds } });
+    const scheduled = new Set(schedules.map(schedule => schedule.userId.toString()));
+
+    let common = schedules.length ? [{ start: from, end: to }] : [];
+    schedules.forEach(schedule => {
+      common = this.intersectIntervals(common, this.expandSchedule(schedule, from, to));
+    });
+
+    return {
+      windows: this.formatIntervals(common.filter(interval => interval.end - interval.start >= minMinutes * MINUTE_MS)),
+      usersWithoutSchedule: userIds.filter(id => !scheduled.has(id.toString()))
+    };
+  }
+
+  /**
+   * Owner and members of a project, for finding a time the whole team is free
+   * @param {string} projectId - Project ID
+   * @param {string} requesterId - User asking; must be on the project
+   * @returns {Promise<Array<string>|null>} User IDs, or null if the project doesn't exist
+   */
+  async getProjectMemberIds(projectId, requesterId) {
+    const project = await getItem(PROJECTS_TABLE, { projectId });
+    if (!project) return null;
+
+    const memberIds = [...new Set([project.ownerId, ...(project.members || [])].map(String))];
+    if (!memberIds.includes(requesterId.toString())) {
+      throw createError('Only project members can see when the team is free', 'not_project_member', 403);
+    }
+
+    return memberIds;
+  }
+
+  mergeIntervals(intervals) {
+    const sorted = [...intervals].sort((a, b) => a.start - b.start);
+    return sorted.reduce((merged, interval) => {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        last.end = Math.max(last.end, interval.end);
+      } else {
+        merged.push({ ...interval });
+      }
+      return merged;
+    }, []);
+  }
+
+  intersectIntervals(a, b) {
+    const result = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length && j < b.length) {
+      const start = Math.max(a[i].start, b[j].start);
+      const end = Math.min(a[i].end, b[j].end);
+      if (start < end) result.push({ start, end });
+
+      if (a[i].end < b[j].end) i++;
+      else j++;
+    }
+
+    return result;
+  }
+
+  formatIntervals(intervals) {
+    return intervals.map(({ start, end }) => ({
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString()
+    }));
+  }
+
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  getWeekday(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+  }
+
+  addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  // Wall-clock fields of a timestamp in a timezone
+  getZonedParts(timestamp, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(new Date(timestamp));
+
+    return Object.fromEntries(parts
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, Number(part.value)]));
+  }
+
+  toLocalDate(timestamp, timezone) {
+    const { year, month, day } = this.getZonedParts(timestamp, timezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  // Milliseconds the timezone is ahead of UTC at a given instant
+  getOffset(timestamp, timezone) {
+    const { year, month, day, hour, minute, second } = this.getZonedParts(timestamp, timezone);
+    const seconds = Math.floor(timestamp / 1000) * 1000;
+    return Date.UTC(year, month - 1, day, hour, minute, second) - seconds;
+  }
+
+  /**
+   * UTC timestamp of a wall-clock time on a local date
+   * @param {string} date - YYYY-MM-DD in the timezone
+   * @param {number} minutes - Minutes after local midnight (1440 for the end of the day)
+   * @param {string} timezone - IANA timezone
+   * @returns {number}
+   */
+  toTimestamp(date, minutes, timezone) {
+    const wallClock = Date.parse(`${date}T00:00:00Z`) + minutes * MINUTE_MS;
+    // Second pass corrects for a DST change between the guess and the answer
+    const guess = wallClock - this.getOffset(wallClock, timezone);
+    return wallClock - this.getOffset(guess, timezone);
+  }
+}
+
+// Create singleton instance
+const availabilityService = new AvailabilityService();
+
+module.exports = availabilityService;
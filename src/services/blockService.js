@@ -0,0 +1,173 @@
+const User = require('../models/mongodb/User');
+const FollowRequest = require('../models/mongodb/FollowRequest');
+const { deleteCache, deleteCachePattern, CACHE_KEYS } = require('../config/redis');
+
+const LIST_USER_FIELDS = 'firstName lastName username profileImage';
+
+/**
+ * Blocking and muting between users.
+ *
+ * A block works both ways: neither user can message, follow or comment on the
+ * other, and they drop out of each other's search results and feeds. A mute is
+ * one-sided and only hides the muted user's content from the muter's feed and
+ * notifications.
+ */
+class BlockService {
+  /**
+   * Block a user, ending any follow relationship between the two
+   * @param {string} userId - User doing the blocking
+   * @param {string} targetId - User being blocked
+   */
+  async blockUser(userId, targetId) {
+    await Promise.all([
+      User.updateOne(
+        { _id: userId },
+        { $addToSet: { blockedUsers: targetId }, $pull: { followers: targetId, following: targetId } }
+      ),
+      User.updateOne(
+        { _id: targetId },
+        { $pull: { followers: userId, following: userId } }
+      ),
+      FollowRequest.deleteMany({
+        $or: [
+          { requesterId: userId, targetId },
+          { requesterId: targetId, targetId: userId }
+        ]
+      })
+    ]);
+
+    await this.invalidateViews(userId, targetId);
+  }
+
+  /**
+   * @param {string} userId - User doing the unblocking
+   * @param {string} targetId - User being unblocked
+   */
+  async unblockUser(userId, targetId) {
+    await User.updateOne({ _id: userId }, { $pull: { blockedUsers: targetId } });
+    await this.invalidateViews(userId, targetId);
+  }
+
+  /**
+   * @param {string} userId - User doing the muting
+   * @param {string} targetId - User being muted
+   */
+  async muteUser(userId, targetId) {
+    await User.updateOne({ _id: userId }, { $addToSet: { mutedUsers: targetId } });
+    await this.invalidateViews(userId);
+  }
+
+  /**
+   * @param {string} userId - User doing the unmuting
+   * @param {string} targetId - User being unmuted
+   */
+  async unmuteUser(userId, targetId) {
+    await User.updateOne({ _id: userId }, { $pull: { mutedUsers: targetId } });
+    await this.invalidateViews(userId);
+  }
+
+  /**
+   * Users a user has blocked
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async listBlocked(userId) {
+    const user = await User.findById(userId).populate('blockedUsers', LIST_USER_FIELDS).select('blockedUsers');
+    return user ? user.blockedUsers : [];
+  }
+
+  /**
+   * Users a user has muted
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async listMuted(userId) {
+    const user = await User.findById(userId).populate('mutedUsers', LIST_USER_FIELDS).select('mutedUsers');
+    return user ? user.mutedUsers : [];
+  }
+
+  /**
+   * Whether either user has blocked the other
+   * @param {string} userId - User ID
+   * @param {string} otherId - Other user ID
+   * @returns {Promise<boolean>}
+   */
+  async isBlocked(userId, otherId) {
+    if (!userId || !otherId) return false;
+
+    const block = await User.exists({
+      $or: [
+        { _id: userId, blockedUsers: otherId },
+        { _id: otherId, blockedUsers: userId }
+      ]
+    });
+    return Boolean(block);
+  }
+
+  /**
+   * Whether a recipient should not hear from a sender, because they muted them
+   * or either of them blocked the other
+   * @param {string} recipientId - User receiving the notification
+   * @param {string} senderId - User it is about
+   * @returns {Promise<boolean>}
+   */
+  async isSilenced(recipientId, senderId) {
+    if (!recipientId || !senderId) return false;
+
+    const silenced = await User.exists({
+      $or: [
+        { _id: recipientId, $or: [{ blockedUsers: senderId }, { mutedUsers: senderId }] },
+        { _id: senderId, blockedUsers: recipientId }
+      ]
+    });
+    return Boolean(silenced);
+  }
+
+  /**
+   * IDs of users blocked by, or blocking, a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>}
+   */
+  async getBlockedIds(userId) {
+    const [user, blockedBy] = await Promise.all([
+      User.findById(userId).select('blockedUsers'),
+      User.find({ blockedUsers: userId }).distinct('_id')
+    ]);
+
+    return this.toIdList([...(user?.blockedUsers || []), ...blockedBy]);
+  }
+
+  /**
+   * IDs of users whose content a user shouldn't see: blocks either way plus mutes
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>}
+   */
+  async getHiddenIds(userId) {
+    const [user, blockedBy] = await Promise.all([
+      User.findById(userId).select('blockedUsers mutedUsers'),
+      User.find({ blockedUsers: userId }).distinct('_id')
+    ]);
+
+    return this.toIdList([...(user?.blockedUsers || []), ...(user?.mutedUsers || []), ...blockedBy]);
+  }
+
+  toIdList(ids) {
+    return [...new Set(ids.map(id => id.toString()))];
+  }
+
+  // Feeds, search results, suggestions and notifications are cached per viewer
+  async invalidateViews(...userIds) {
+    await Promise.all(userIds.flatMap(userId => [
+      deleteCachePattern(`feed:${userId}:*`),
+      deleteCache(CACHE_KEYS.USER_SUGGESTIONS(userId)),
+      deleteCachePattern(`search:${userId}:*`),
+      deleteCachePattern(CACHE_KEYS.NOTIFICATIONS(userId, '*')),
+      deleteCache(`notifications:unread:${userId}`)
+    ]));
+  }
+}
+
+// Create singleton instance
+const blockService = new BlockService();
+
+module.exports = blockService;
@@ -0,0 +1,421 @@
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/mongodb/User');
+const {
+  dynamodb,
+  putItem,
+  getItem,
+  updateItem,
+  deleteItem,
+  queryPage,
+  queryAllItems,
+  scanAllItems
+} = require('../config/dynamodb');
+const { setCache, getCache, deleteCache, deleteCachePattern, CACHE_KEYS } = require('../config/redis');
+const { createError } = require('../utils/errors');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const hashtagService = require('./hashtagService');
+
+const POSTS_TABLE = process.env.DYNAMODB_POSTS_TABLE || 'networkx-posts';
+const COMMENTS_TABLE = process.env.DYNAMODB_COMMENTS_TABLE || 'networkx-comments';
+
+const AUTHOR_FIELDS = 'firstName lastName username profileImage';
+
+/**
+ * Threaded post comments.
+ *
+ * Each comment is its own item in the comments table. Top-level comments and
+ * the replies under each comment form separate threads, paged oldest first with
+ * an opaque cursor. Deleting leaves a placeholder so replies keep their place,
+ * and the post's `comments` counter tracks comments that haven't been deleted.
+ *
+ * Posts written before the table existed keep their comments in `comments_data`;
+ * those are moved over the first time the post's comments are read or written.
+ */
+class CommentService {
+  constructor() {
+    this.settings = {
+      maxLength: 2000,
+      maxEdits: 20,
+      defaultPageSize: 20,
+      maxPageSize: 50,
+      maxLikeAttempts: 3,
+      cacheTtl: 300
+    };
+  }
+
+  /**
+   * @param {string} postId - Post ID
+   * @returns {Promise<Object|null>} The post, with any legacy comments migrated
+   */
+  async getPost(postId) {
+    const post = await getItem(POSTS_TABLE, { postId });
+    if (!post) return null;
+
+    return post.comments_data ? this.migrateLegacyComments(post) : post;
+  }
+
+  /**
+   * @param {string} postId - Post ID
+   * @param {string} commentId - Comment ID
+   * @returns {Promise<Object|null>} The comment, if it belongs to the post
+   */
+  async getComment(postId, commentId) {
+    const comment = await getItem(COMMENTS_TABLE, { commentId });
+    return comment && comment.postId === postId ? comment : null;
+  }
+
+  /**
+   * One page of a thread, oldest first
+   * @param {string} postId - Post ID
+   * @param {Object} options - { parentCommentId, cursor, limit }
+   * @returns {Promise<Object>} { comments, nextCursor }
+   */
+  async listComments(postId, { parentCommentId = null, cursor = null, limit = this.settings.defaultPageSize } = {}) {
+    const startKey = cursor ? decodeCursor(cursor, ['commentId', 'threadId', 'createdAt']) : null;
+    const cacheKey = CACHE_KEYS.POST_COMMENTS(postId, `${parentCommentId || 'root'}:${limit}:${cursor || 'first'}`);
+
+    const cached = await getCache(cacheKey);
+    if (cached) return cached;
+
+    const { items, lastKey } = await queryPage(
+      COMMENTS_TABLE,
+      'threadId = :threadId',
+      { ':threadId': this.getThreadId(postId, parentCommentId) },
+      { indexName: 'ThreadCommentsIndex', limit, startKey, ascending: true }
+    );
+
+    const page = {
+      comments: items,
+      nextCursor: lastKey ? encodeCursor(lastKey) : null
+    };
+
+    await setCache(cacheKey, page, this.settings.cacheTtl);
+    return page;
+  }
+
+  /**
+   * Comment on a post, or reply to one of its comments
+   * @param {Object} post - Post item
+   * @param {string} userId - Author's user ID
+   * @param {Object} data - { content, parentCommentId, mentions, hashtags }
+   * @returns {Promise<Object>} The new comment
+   */
+  async addComment(post, userId, { content, parentCommentId = null, mentions = [], hashtags = [] }) {
+    const text = this.validateContent(content);
+
+    if (parentCommentId) {
+      const parent = await this.getComment(post.postId, parentCommentId);
+      if (!parent) {
+        throw createError('Comment not found', 'comment_not_found', 404);
+      }
+      if (parent.deleted) {
+        throw createError('You cannot reply to a deleted comment', 'comment_deleted', 400);
+      }
+    }
+
+    const comment = {
+      commentId: uuidv4(),
+      postId: post.postId,
+      parentCommentId,
+      threadId: this.getThreadId(post.postId, parentCommentId),
+      userId: userId.toString(),
+      content: text,
+      mentions,
+      hashtags,
+      edits: [],
+      likes: 0,
+      likedBy: [],
+      replies: 0,
+      deleted: false
+    };
+
+    await putItem(COMMENTS_TABLE, comment);
+    await hashtagService.indexContent('comment', comment.commentId, hashtags, userId);
+    await this.adjustPostCount(post.postId, 1);
+    if (parentCommentId) {
+      await updateItem(
+        COMMENTS_TABLE,
+        { commentId: parentCommentId },
+        'SET updatedAt = :updatedAt ADD replies :one',
+        { ':one': 1 }
+      );
+    }
+
+    await this.invalidate(post.postId);
+
+    const now = new Date().toISOString();
+    return { ...comment, createdAt: now, updatedAt: now };
+  }
+
+  /**
+   * Change a comment's text, keeping what it said before
+   * @param {Object} comment - Comment item
+   * @param {string} content - New text
+   * @param {Object} parsed - { mentions, hashtags } in the new text
+   * @returns {Promise<Object>} Updated comment
+   */
+  async editComment(comment, content, { mentions = [], hashtags = [] } = {}) {
+    const text = this.validateContent(content);
+    if (comment.deleted) {
+      throw createError('Deleted comments cannot be edited', 'comment_deleted', 400);
+    }
+    if (text === comment.content) return comment;
+
+    const edits = [
+      ...(comment.edits || []),
+      { content: comment.content, editedAt: new Date().toISOString() }
+    ].slice(-this.settings.maxEdits);
+
+    const updated = await updateItem(
+      COMMENTS_TABLE,
+      { commentId: comment.commentId },
+      'SET #content = :content, mentions = :mentions, hashtags = :hashtags, edits = :edits, editedAt = :updatedAt, updatedAt = :updatedAt',
+      { ':content': text, ':mentions': mentions, ':hashtags': hashtags, ':edits': edits },
+      { '#content': 'content' }
+    );
+    await hashtagService.reconcile('comment', comment.commentId, comment.hashtags, hashtags, comment.userId);
+
+    await this.invalidate(comment.postId);
+    return updated;
+  }
+
+  /**
+   * Soft delete: the text and its history go, the comment's place in the thread stays
+   * @param {Object} comment - Comment item
+   * @returns {Promise<boolean>} False if it was already deleted
+   */
+  async deleteComment(comment) {
+    if (comment.deleted) return false;
+
+    await updateItem(
+      COMMENTS_TABLE,
+      { commentId: comment.commentId },
+      'SET deleted = :deleted, deletedAt = :updatedAt, #content = :content, mentions = :none, hashtags = :none, edits = :none, updatedAt = :updatedAt',
+      { ':deleted': true, ':content': '', ':none': [] },
+      { '#content': 'content' }
+    );
+    await hashtagService.removeContent('comment', comment.commentId, comment.hashtags);
+    await this.adjustPostCount(comment.postId, -1);
+
+    await this.invalidate(comment.postId);
+    return true;
+  }
+
+  /**
+   * Each write only goes through if the like list is still as it was read, so
+   * concurrent likes can't overwrite each other; the comment is read again and
+   * the toggle retried when it changed in between
+   * @param {Object} comment - Comment item
+   * @param {string} userId - User liking or unliking
+   * @returns {Promise<Object>} { liked, likes }
+   */
+  async toggleLike(comment, userId) {
+    let current = comment;
+
+    for (let attempt = 1; ; attempt++) {
+      const index = (current.likedBy || []).indexOf(userId);
+      const liked = index === -1;
+
+      try {
+        const updated = liked
+          ? await this.updateLikes(
+            current.commentId,
+            'SET likedBy = list_append(if_not_exists(likedBy, :none), :userIds), updatedAt = :updatedAt ADD likes :one',
+            'NOT contains(likedBy, :userId)',
+            { ':none': [], ':userIds': [userId], ':userId': userId, ':one': 1 }
+          )
+          : await this.updateLikes(
+            current.commentId,
+            `SET updatedAt = :updatedAt REMOVE likedBy[${index}] ADD likes :minusOne`,
+            `likedBy[${index}] = :userId`,
+            { ':userId': userId, ':minusOne': -1 }
+          );
+
+        await this.invalidate(comment.postId);
+        return { liked, likes: updated.likes };
+      } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') throw error;
+        if (attempt === this.settings.maxLikeAttempts) {
+          throw createError('The comment is being liked by others, try again', 'like_conflict', 409);
+        }
+      }
+
+      current = await getItem(COMMENTS_TABLE, { commentId: comment.commentId });
+    }
+  }
+
+  async updateLikes(commentId, updateExpression, conditionExpression, values) {
+    const result = await dynamodb.update({
+      TableName: COMMENTS_TABLE,
+      Key: { commentId },
+      UpdateExpression: updateExpression,
+      ConditionExpression: conditionExpression,
+      ExpressionAttributeValues: { ...values, ':updatedAt': new Date().toISOString() },
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+    return result.Attributes;
+  }
+
+  /**
+   * Shape comments for a viewer: authors attached, like lists and history reduced
+   * to flags, and nothing left of deleted comments but their place in the thread
+   * @param {Array} comments - Comment items
+   * @param {string} viewerId - ID of the user reading
+   * @returns {Promise<Array>}
+   */
+  async formatComments(comments, viewerId) {
+    const authorIds = [...new Set(comments.filter(comment => !comment.deleted && comment.userId).map(comment => comment.userId))];
+    const authors = await User.find({ _id: { $in: authorIds } }).select(AUTHOR_FIELDS);
+    const authorsById = new Map(authors.map(author => [author._id.toString(), author]));
+
+    return comments.map(({ likedBy = [], edits = [], threadId, ...comment }) => {
+      const visible = !comment.deleted;
+      return {
+        ...comment,
+        userId: visible ? comment.userId || null : null,
+        author: visible ? authorsById.get(comment.userId) || null : null,
+        edited: visible && edits.length > 0,
+        liked: likedBy.includes(viewerId.toString())
+      };
+    });
+  }
+
+  // Comments of a post that's being deleted
+  async deleteForPost(postId) {
+    const comments = await queryAllItems(COMMENTS_TABLE, 'postId = :postId', { ':postId': postId }, 'PostCommentsIndex');
+    for (const comment of comments) {
+      await deleteItem(COMMENTS_TABLE, { commentId: comment.commentId });
+      await hashtagService.removeContent('comment', comment.commentId, comment.hashtags);
+    }
+    await this.invalidate(postId);
+    return comments.length;
+  }
+
+  /**
+   * Every comment a user wrote, for their data export
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async collectForUser(userId) {
+    return queryAllItems(COMMENTS_TABLE, 'userId = :userId', { ':userId': userId }, 'UserCommentsIndex');
+  }
+
+  /**
+   * Anonymize a user's comments and take back their likes, for account erasure.
+   * Comments on their own posts go with the posts.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { anonymized, likes }
+   */
+  async eraseUser(userId) {
+    const [written, liked] = await Promise.all([
+      this.collectForUser(userId),
+      scanAllItems(COMMENTS_TABLE, 'contains(likedBy, :userId)', { ':userId': userId })
+    ]);
+    const postIds = new Set();
+
+    for (const comment of written) {
+      await updateItem(
+        COMMENTS_TABLE,
+        { commentId: comment.commentId },
+        'SET anonymized = :anonymized, updatedAt = :updatedAt REMOVE userId',
+        { ':anonymized': true }
+      );
+      // Index entries name the author, so anonymized comments leave the timelines
+      await hashtagService.removeContent('comment', comment.commentId, comment.hashtags);
+      postIds.add(comment.postId);
+    }
+
+    for (const comment of liked) {
+      const likedBy = comment.likedBy.filter(id => id !== userId);
+      await updateItem(
+        COMMENTS_TABLE,
+        { commentId: comment.commentId },
+        'SET likedBy = :likedBy, likes = :likes, updatedAt = :updatedAt',
+        { ':likedBy': likedBy, ':likes': likedBy.length }
+      );
+      postIds.add(comment.postId);
+    }
+
+    for (const postId of postIds) {
+      await this.invalidate(postId);
+    }
+
+    return { anonymized: written.length, likes: liked.length };
+  }
+
+  /**
+   * Move comments stored on the post item into the comments table. Safe to run
+   * twice at once: the items keep their IDs, so the second run overwrites the first.
+   * @param {Object} post - Post item with comments_data
+   * @returns {Promise<Object>} The post without comments_data
+   */
+  async migrateLegacyComments(post) {
+    const { comments_data: legacy, ...rest } = post;
+
+    for (const comment of legacy) {
+      // Written directly so the original timestamps, and with them the order, survive
+      await dynamodb.put({
+        TableName: COMMENTS_TABLE,
+        Item: {
+          commentId: comment.commentId,
+          postId: post.postId,
+          parentCommentId: null,
+          threadId: this.getThreadId(post.postId, null),
+          ...(comment.userId ? { userId: comment.userId } : { anonymized: true }),
+          content: comment.content,
+          edits: [],
+          likes: 0,
+          likedBy: [],
+          replies: 0,
+          deleted: false,
+          createdAt: comment.createdAt,
+          updatedAt: comment.createdAt
+        }
+      }).promise();
+    }
+
+    const updated = await updateItem(
+      POSTS_TABLE,
+      { postId: post.postId },
+      'SET comments = :count, updatedAt = :updatedAt REMOVE comments_data',
+      { ':count': legacy.length }
+    );
+
+    await this.invalidate(post.postId);
+    return updated || { ...rest, comments: legacy.length };
+  }
+
+  async adjustPostCount(postId, amount) {
+    await updateItem(
+      POSTS_TABLE,
+      { postId },
+      'SET updatedAt = :updatedAt ADD comments :amount',
+      { ':amount': amount }
+    );
+  }
+
+  validateContent(content) {
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (!text) {
+      throw createError('Comment content is required', 'invalid_comment', 400);
+    }
+    if (text.length > this.settings.maxLength) {
+      throw createError(`Comments can be at most ${this.settings.maxLength} characters`, 'invalid_comment', 400);
+    }
+    return text;
+  }
+
+  getThreadId(postId, parentCommentId) {
+    return `${postId}#${parentCommentId || 'root'}`;
+  }
+
+  async invalidate(postId) {
+    await deleteCachePattern(`networkx:post:comments:${postId}:*`);
+    await deleteCache(CACHE_KEYS.POST_DETAILS(postId));
+  }
+}
+
+// Create singleton instance
+const commentService = new CommentService();
+
+module.exports = commentService;
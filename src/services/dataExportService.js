@@ -0,0 +1,500 @@
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const DataExport = require('../models/mongodb/DataExport');
+const User = require('../models/mongodb/User');
+const UserKeys = require('../models/mongodb/UserKeys');
+const Conversation = require('../models/mongodb/Conversation');
+const Session = require('../models/mongodb/Session');
+const PersonalAccessToken = require('../models/mongodb/PersonalAccessToken');
+const FollowRequest = require('../models/mongodb/FollowRequest');
+const Review = require('../models/mongodb/Review');
+const Endorsement = require('../models/mongodb/Endorsement');
+const AvailabilitySchedule = require('../models/mongodb/AvailabilitySchedule');
+const { queryAllItems, scanAllItems } = require('../config/dynamodb');
+const { s3, getSignedUrl } = require('../config/aws');
+const { createError } = require('../utils/errors');
+const RealtimeService = require('./realtime');
+const emailService = require('./emailService');
+const commentService = require('./commentService');
+const reactionService = require('./reactionService');
+const pollService = require('./pollService');
+const scheduledPostService = require('./scheduledPostService');
+const profileViewService = require('./profileViewService');
+const membershipService = require('./membershipService');
+
+const TABLES = {
+  posts: process.env.DYNAMODB_POSTS_TABLE || 'networkx-posts',
+  projects: process.env.DYNAMODB_PROJECTS_TABLE || 'networkx-projects',
+  clubs: process.env.DYNAMODB_CLUBS_TABLE || 'networkx-clubs',
+  events: process.env.DYNAMODB_EVENTS_TABLE || 'networkx-events',
+  messages: process.env.DYNAMODB_MESSAGES_TABLE || 'networkx-messages',
+  notifications: process.env.DYNAMODB_NOTIFICATIONS_TABLE || 'networkx-notifications',
+  bookmarks: process.env.DYNAMODB_BOOKMARKS_TABLE || 'networkx-bookmarks',
+  collaborations: process.env.DYNAMODB_COLLABORATIONS_TABLE || 'networkx-collaborations',
+  reports: process.env.DYNAMODB_REPORTS_TABLE || 'networkx-reports'
+};
+
+// Fields of a received message that belong to the sender
+const RECEIVED_MESSAGE_PRIVATE_FIELDS = ['content', 'encryptedContent', 'iv', 'tag', 'messageHash', 'mediaUrls', 'metadata'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Personal data export service. Builds a ZIP of everything we hold about a user,
+ * stores it in S3 and hands out short-lived download links until it expires.
+ */
+class DataExportService {
+  constructor() {
+    this.retentionDays = parseInt(process.env.DATA_EXPORT_RETENTION_DAYS) || 7;
+    this.downloadUrlTtlSeconds = 15 * 60;
+    this.cooldownMs = 24 * HOUR_MS;
+    // Jobs still pending or processing after this were interrupted by a restart
+    this.staleAfterMs = HOUR_MS;
+    this.sweepInterval = null;
+  }
+
+  /**
+   * Queue an export for a user and start it in the background
+   * @param {string} userId - User requesting the export
+   * @returns {Promise<Object>} { exportJob, created } - created is false when a job was already running
+   */
+  async requestExport(userId) {
+    const active = await DataExport.findOne({
+      userId,
+      status: { $in: ['pending', 'processing'] },
+      createdAt: { $gt: new Date(Date.now() - this.staleAfterMs) }
+    });
+
+    if (active) {
+      return { exportJob: active, created: false };
+    }
+
+    const recent = await DataExport.findOne({
+      userId,
+      status: 'ready',
+      createdAt: { $gt: new Date(Date.now() - this.cooldownMs) }
+    });
+
+    if (recent) {
+      const error = createError('You can request one export every 24 hours', 'export_cooldown');
+      error.retryAfter = Math.ceil((recent.createdAt.getTime() + this.cooldownMs - Date.now()) / 1000);
+      error.exportJob = recent;
+      throw error;
+    }
+
+    const exportJob = await DataExport.create({ userId });
+    this.runInBackground(exportJob._id);
+
+    return { exportJob, created: true };
+  }
+
+  runInBackground(exportId) {
+    setImmediate(() => {
+      this.processExport(exportId).catch(error => {
+        console.error('Data export job error:', error);
+      });
+    });
+  }
+
+  /**
+   * Build, upload and announce an export
+   * @param {string} exportId - DataExport ID
+   * @returns {Promise<Object|null>} Updated job, or null if another worker claimed it
+   */
+  async processExport(exportId) {
+    const exportJob = await DataExport.findOneAndUpdate(
+      { _id: exportId, status: 'pending' },
+      { status: 'processing', startedAt: new Date() },
+      { new: true }
+    );
+
+    if (!exportJob) return null;
+
+    try {
+      const user = await User.findById(exportJob.userId);
+      if (!user) {
+        throw new Error('User no longer exists');
+      }
+
+      const files = await this.collectUserData(user);
+      const s3Key = `exports/${user._id}/${exportJob._id}.zip`;
+      const fileSize = await this.uploadArchive(s3Key, files);
+
+      exportJob.status = 'ready';
+      exportJob.s3Key = s3Key;
+      exportJob.fileSize = fileSize;
+      exportJob.completedAt = new Date();
+      exportJob.expiresAt = new Date(Date.now() + this.retentionDays * 24 * HOUR_MS);
+      await exportJob.save();
+
+      await this.notifyReady(user, exportJob);
+      return exportJob;
+    } catch (error) {
+      console.error('Data export build error:', error);
+      exportJob.status = 'failed';
+      exportJob.error = error.message;
+      await exportJob.save();
+      return exportJob;
+    }
+  }
+
+  /**
+   * Gather the user's data as a map of archive file name to JSON-serializable content
+   * @param {Object} user - User document
+   * @returns {Promise<Object>}
+   */
+  async collectUserData(user) {
+    const userId = user._id.toString();
+
+    const [
+      keys,
+      conversations,
+      sessions,
+      accessTokens,
+      followRequests,
+      reviews,
+      endorsements,
+      profileViews,
+      availability,
+      reactions,
+      pollVotes,
+      drafts,
+      posts,
+      projects,
+      clubs,
+      events,
+      messages,
+      notifications,
+      bookmarks,
+      collaborations,
+      reports
+    ] = await Promise.all([
+      UserKeys.findOne({ userId }),
+      Conversation.find({ 'participants.userId': userId }),
+      Session.find({ userId }).sort({ createdAt: -1 }),
+      PersonalAccessToken.find({ userId }).sort({ createdAt: -1 }),
+      FollowRequest.find({ $or: [{ requesterId: userId }, { targetId: userId }] }).sort({ createdAt: -1 }),
+      Review.find({ $or: [{ reviewerId: userId }, { revieweeId: userId }] }).sort({ createdAt: -1 }),
+      Endorsement.find({ $or: [{ endorserId: userId }, { userId }] }).sort({ createdAt: -1 }),
+      profileViewService.collectForUser(userId),
+      AvailabilitySchedule.findOne({ userId }),
+      reactionService.collectForUser(userId),
+      pollService.collectForUser(userId),
+      scheduledPostService.collectForUser(userId),
+      this.collectPosts(userId),
+      membershipService.getGroups(userId, 'project'),
+      membershipService.getGroups(userId, 'club'),
+      membershipService.getGroups(userId, 'event'),
+      this.collectMessages(userId),
+      queryAllItems(TABLES.notifications, 'userId = :userId', { ':userId': userId }),
+      queryAllItems(TABLES.bookmarks, 'userId = :userId', { ':userId': userId }),
+      scanAllItems(TABLES.collaborations, 'creatorId = :userId', { ':userId': userId }),
+      scanAllItems(TABLES.reports, 'reporterId = :userId', { ':userId': userId })
+    ]);
+
+    const profile = user.toJSON();
+    delete profile.loginAttempts;
+    delete profile.lockUntil;
+
+    return {
+      'profile.json': profile,
+      'encryption-keys.json': keys ? {
+        publicKey: keys.publicKey,
+        keyVersion: keys.keyVersion,
+        createdAt: keys.createdAt
+      } : null,
+      'conversations.json': conversations.map(conversation => this.formatConversation(conversation, userId)),
+      'messages.json': messages,
+      'posts.json': posts.posts,
+      'comments.json': posts.comments,
+      'reactions.json': reactions.map(({ contentType, contentId, reaction, createdAt }) => ({ contentType, contentId, reaction, createdAt })),
+      'poll-votes.json': pollVotes.map(({ postId, optionIds, createdAt }) => ({ postId, optionIds, createdAt })),
+      'drafts.json': drafts,
+      'projects.json': projects.map(project => this.formatMembership(project, 'ownerId', userId)),
+      'clubs.json': clubs.map(club => this.formatMembership(club, 'presidentId', userId)),
+      'events.json': events.map(event => this.formatMembership(event, 'organizerId', userId)),
+      'notifications.json': notifications,
+      'bookmarks.json': bookmarks,
+      'collaborations.json': collaborations,
+      'reports.json': reports,
+      'sessions.json': sessions.map(session => session.toJSON()),
+      'access-tokens.json': accessTokens.map(token => token.toJSON()),
+      'follow-requests.json': {
+        sent: followRequests.filter(request => request.requesterId.toString() === userId),
+        received: followRequests.filter(request => request.targetId.toString() === userId)
+      },
+      'reviews.json': {
+        written: reviews.filter(review => review.reviewerId.toString() === userId),
+        received: reviews.filter(review => review.revieweeId.toString() === userId)
+      },
+      'endorsements.json': {
+        given: endorsements.filter(endorsement => endorsement.endorserId.toString() === userId),
+        received: endorsements.filter(endorsement => endorsement.userId.toString() === userId)
+      },
+      'profile-views.json': profileViews,
+      'availability.json': availability ? availability.toJSON() : null,
+      'media.json': this.collectMediaReferences(profile, posts.posts, projects, clubs, events, messages.sent, userId)
+    };
+  }
+
+  /**
+   * The user's posts and every comment they wrote. Posts that haven't been read
+   * since comments moved to their own table still hold them inside the post
+   * item; those are found with a scan filtered to such posts.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { posts, comments }
+   */
+  async collectPosts(userId) {
+    const [ownPosts, legacyPosts, tableComments] = await Promise.all([
+      queryAllItems(TABLES.posts, 'userId = :userId', { ':userId': userId }, 'UserPostsIndex'),
+      scanAllItems(TABLES.posts, 'attribute_type(comments_data, :list)', { ':list': 'L' }),
+      commentService.collectForUser(userId)
+    ]);
+    const comments = tableComments.map(comment => ({
+      postId: comment.postId,
+      commentId: comment.commentId,
+      parentCommentId: comment.parentCommentId || null,
+      content: comment.content,
+      deleted: Boolean(comment.deleted),
+      edits: comment.edits || [],
+      createdAt: comment.createdAt
+    }));
+
+    for (const post of legacyPosts) {
+      post.comments_data
+        .filter(comment => comment.userId === userId)
+        .forEach(comment => comments.push({
+          postId: post.postId,
+          commentId: comment.commentId,
+          content: comment.content,
+          createdAt: comment.createdAt
+        }));
+    }
+
+    // Other people's comments and likes are theirs, so only keep the counts
+    const posts = ownPosts.map(({ comments_data, likedBy, ...ownPost }) => ownPost);
+
+    return { posts, comments };
+  }
+
+  /**
+   * Messages the user sent, in full, and messages they received, without the sender's content
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { sent, received }
+   */
+  async collectMessages(userId) {
+    const messages = await scanAllItems(
+      TABLES.messages,
+      'senderId = :userId OR receiverId = :userId',
+      { ':userId': userId }
+    );
+
+    const sent = [];
+    const received = [];
+
+    for (const message of messages) {
+      if (message.senderId === userId) {
+        sent.push(message);
+      } else {
+        const redacted = { ...message };
+        RECEIVED_MESSAGE_PRIVATE_FIELDS.forEach(field => delete redacted[field]);
+        received.push(redacted);
+      }
+    }
+
+    return { sent, received };
+  }
+
+  formatConversation(conversation, userId) {
+    const participant = conversation.participants.find(p => p.userId === userId);
+
+    return {
+      conversationId: conversation.conversationId,
+      conversationType: conversation.conversationType,
+      isEncrypted: conversation.isEncrypted,
+      createdBy: conversation.createdBy,
+      participantIds: conversation.participants.map(p => p.userId),
+      // Only the copy of the conversation key wrapped for this user
+      encryptedKey: participant ? participant.encryptedKey : null,
+      joinedAt: participant ? participant.joinedAt : null,
+      metadata: conversation.metadata,
+      lastActivity: conversation.lastActivity,
+      createdAt: conversation.createdAt
+    };
+  }
+
+  // Items the user owns are exported whole; for the rest, only what shows their membership
+  formatMembership(item, ownerField, userId) {
+    if (item[ownerField] === userId) {
+      return { ...item, role: 'owner' };
+    }
+
+    const { members, officers, attendees, applications, ...rest } = item;
+    return {
+      ...rest,
+      role: (officers || []).includes(userId) ? 'officer' : (attendees ? 'attendee' : 'member')
+    };
+  }
+
+  collectMediaReferences(profile, posts, projects, clubs, events, sentMessages, userId) {
+    const references = [];
+    const add = (source, sourceId, urls) => {
+      (urls || []).filter(Boolean).forEach(url => references.push({ source, sourceId, url }));
+    };
+
+    add('profile', userId, [profile.profileImage]);
+    posts.forEach(post => add('post', post.postId, post.mediaUrls));
+    projects.filter(p => p.ownerId === userId).forEach(p => add('project', p.projectId, p.mediaUrls));
+    clubs.filter(c => c.presidentId === userId).forEach(c => add('club', c.clubId, c.mediaUrls));
+    events.filter(e => e.organizerId === userId).forEach(e => add('event', e.eventId, e.mediaUrls));
+    sentMessages.forEach(message => add('message', message.messageId, message.mediaUrls));
+
+    return references;
+  }
+
+  /**
+   * Stream the files into a ZIP and upload it
+   * @param {string} s3Key - Destination key
+   * @param {Object} files - Map of file name to content
+   * @returns {Promise<number>} Archive size in bytes
+   */
+  async uploadArchive(s3Key, files) {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const body = new PassThrough();
+
+    archive.on('error', error => body.destroy(error));
+    archive.pipe(body);
+
+    const upload = s3.upload({
+      Bucket: process.env.AWS_S3_BUCKET_NAME,
+      Key: s3Key,
+      Body: body,
+      ContentType: 'application/zip',
+      ServerSideEncryption: 'AES256'
+    }).promise();
+
+    Object.entries(files).forEach(([name, content]) => {
+      archive.append(JSON.stringify(content, null, 2), { name: `network-x-export/${name}` });
+    });
+
+    await Promise.all([archive.finalize(), upload]);
+    return archive.pointer();
+  }
+
+  async notifyReady(user, exportJob) {
+    const expiresAt = exportJob.expiresAt;
+
+    await RealtimeService.sendNotification(user._id.toString(), {
+      type: 'data_export_ready',
+      title: 'Your data export is ready',
+      message: `Download it before ${expiresAt.toUTCString()}.`,
+      data: { exportId: exportJob._id.toString(), expiresAt }
+    });
+
+    emailService.sendDataExportReadyEmail(user, expiresAt).catch(error => {
+      console.error('Data export email error:', error);
+    });
+  }
+
+  /**
+   * Get one of a user's exports, expiring it first if it's past its retention window
+   * @param {string} userId - Owner
+   * @param {string} exportId - DataExport ID
+   * @returns {Promise<Object|null>}
+   */
+  async getExport(userId, exportId) {
+    const exportJob = await DataExport.findOne({ _id: exportId, userId });
+    if (!exportJob) return null;
+
+    if (exportJob.status === 'ready' && exportJob.expiresAt <= new Date()) {
+      await this.expireExport(exportJob);
+    }
+
+    return exportJob;
+  }
+
+  /**
+   * List a user's exports, newest first
+   * @param {string} userId - Owner
+   * @returns {Promise<Array>}
+   */
+  async listExports(userId) {
+    return DataExport.find({ userId }).sort({ createdAt: -1 }).limit(10);
+  }
+
+  /**
+   * Signed S3 link for a ready export. Links are short-lived and never outlast the export.
+   * @param {Object} exportJob - Ready DataExport
+   * @returns {Object} { url, expiresAt }
+   */
+  getDownloadLink(exportJob) {
+    const remainingSeconds = Math.floor((exportJob.expiresAt.getTime() - Date.now()) / 1000);
+    const ttl = Math.max(1, Math.min(this.downloadUrlTtlSeconds, remainingSeconds));
+
+    return {
+      url: getSignedUrl(exportJob.s3Key, ttl),
+      expiresAt: new Date(Date.now() + ttl * 1000)
+    };
+  }
+
+  async expireExport(exportJob) {
+    if (exportJob.s3Key) {
+      try {
+        await s3.deleteObject({
+          Bucket: process.env.AWS_S3_BUCKET_NAME,
+          Key: exportJob.s3Key
+        }).promise();
+      } catch (error) {
+        console.error('Data export delete error:', error);
+        return;
+      }
+    }
+
+    exportJob.status = 'expired';
+    exportJob.s3Key = null;
+    await exportJob.save();
+  }
+
+  /**
+   * Delete archives past their retention window
+   * @returns {Promise<number>} Number of expired exports
+   */
+  async expireExports() {
+    const exports = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } });
+
+    for (const exportJob of exports) {
+      await this.expireExport(exportJob);
+    }
+
+    return exports.length;
+  }
+
+  /**
+   * Requeue jobs interrupted by a restart and start the hourly expiry sweep
+   */
+  async start() {
+    const stale = await DataExport.find({ status: { $in: ['pending', 'processing'] } });
+
+    for (const exportJob of stale) {
+      if (exportJob.status === 'processing') {
+        exportJob.status = 'pending';
+        await exportJob.save();
+      }
+      this.runInBackground(exportJob._id);
+    }
+
+    await this.expireExports();
+
+    if (!this.sweepInterval) {
+      this.sweepInterval = setInterval(() => {
+        this.expireExports().catch(error => console.error('Data export sweep error:', error));
+      }, HOUR_MS);
+      this.sweepInterval.unref();
+    }
+  }
+}
+
+// Create singleton instance
+const dataExportService = new DataExportService();
+
+module.exports = dataExportService;
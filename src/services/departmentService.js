@@ -0,0 +1,163 @@
+const User = require('../models/mongodb/User');
+const Department = require('../models/mongodb/Department');
+const { deleteCachePattern } = require('../config/redis');
+const { createError } = require('../utils/errors');
+
+/**
+ * Canonical department list managed by admins.
+ *
+ * User.department is free text. Names and aliases are compared after toKey, so
+ * "Comp. Sci", "comp sci" and "COMP SCI" all match the same department. Saving a
+ * department renames matching users to the canonical spelling, and profile
+ * updates are normalized the same way.
+ */
+class DepartmentService {
+  /**
+   * @param {string} value - Department name as typed
+   * @returns {string} Lowercased, with punctuation and extra spaces removed
+   */
+  toKey(value) {
+    return String(value || '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * @returns {Promise<Array>} Canonical departments, by name
+   */
+  async listDepartments() {
+    return Department.find().sort({ name: 1 });
+  }
+
+  /**
+   * Find the canonical department a name or alias refers to
+   * @param {string} value - Department name as typed
+   * @returns {Promise<Object|null>} Department document
+   */
+  async findDepartment(value) {
+    const key = this.toKey(value);
+    if (!key) return null;
+
+    return Department.findOne({ $or: [{ key }, { aliases: key }] });
+  }
+
+  /**
+   * Canonical spelling for a department name, or the trimmed input if it isn't listed
+   * @param {string} value - Department name as typed
+   * @returns {Promise<string>}
+   */
+  async normalize(value) {
+    const department = await this.findDepartment(value);
+    return department ? department.name : String(value || '').trim();
+  }
+
+  /**
+   * @param {Object} data - { name, aliases }
+   * @param {string} adminId - Admin creating it
+   * @returns {Promise<Object>} { department, normalizedUsers }
+   */
+  async createDepartment({ name, aliases = [] }, adminId) {
+    const values = this.prepare(name, aliases);
+    await this.checkConflicts(values);
+
+    const department = await Department.create({ ...values, createdBy: adminId });
+    const normalizedUsers = await this.applyToUsers(department);
+
+    return { department, normalizedUsers };
+  }
+
+  /**
+   * Rename a department or change its aliases. The old name becomes an alias so
+   * profiles still using it are matched.
+   * @param {string} departmentId - Department ID
+   * @param {Object} data - { name, aliases }
+   * @returns {Promise<Object|null>} { department, normalizedUsers }, or null if not found
+   */
+  async updateDepartment(departmentId, { name, aliases }) {
+    const department = await Department.findById(departmentId);
+    if (!department) return null;
+
+    const values = this.prepare(name ?? department.name, aliases ?? department.aliases);
+    if (values.key !== department.key) {
+      values.aliases = [...new Set([...values.aliases, department.key])];
+    }
+    await this.checkConflicts(values, department._id);
+
+    department.set(values);
+    await department.save();
+    const normalizedUsers = await this.applyToUsers(department);
+
+    return { department, normalizedUsers };
+  }
+
+  /**
+   * Remove a department from the list; profiles keep the name they have
+   * @param {string} departmentId - Department ID
+   * @returns {Promise<boolean>} Whether it existed
+   */
+  async deleteDepartment(departmentId) {
+    const result = await Department.deleteOne({ _id: departmentId });
+    return result.deletedCount > 0;
+  }
+
+  prepare(name, aliases) {
+    const trimmed = String(name || '').trim();
+    const key = this.toKey(trimmed);
+    if (!key) {
+      throw createError('Department name is required', 'invalid_department', 400);
+    }
+    if (!Array.isArray(aliases)) {
+      throw createError('Aliases must be a list of names', 'invalid_department', 400);
+    }
+
+    const aliasKeys = [...new Set(aliases.map(alias => this.toKey(alias)).filter(Boolean))]
+      .filter(alias => alias !== key);
+
+    return { name: trimmed, key, aliases: aliasKeys };
+  }
+
+  // A name or alias can only point at one department
+  async checkConflicts({ key, aliases }, excludeId = null) {
+    const keys = [key, ...aliases];
+    const conflict = await Department.findOne({
+      ...(excludeId && { _id: { $ne: excludeId } }),
+      $or: [{ key: { $in: keys } }, { aliases: { $in: keys } }]
+    });
+
+    if (conflict) {
+      throw createError(
+        `"${conflict.name}" already uses this name or one of these aliases`,
+        'department_exists',
+        409
+      );
+    }
+  }
+
+  /**
+   * Rename users whose department matches a department's name or aliases
+   * @param {Object} department - Department document
+   * @returns {Promise<number>} Number of users renamed
+   */
+  async applyToUsers(department) {
+    const keys = new Set([department.key, ...department.aliases]);
+    const spellings = (await User.distinct('department'))
+      .filter(value => value !== department.name && keys.has(this.toKey(value)));
+
+    if (!spellings.length) return 0;
+
+    const result = await User.updateMany(
+      { department: { $in: spellings } },
+      { $set: { department: department.name } }
+    );
+    await deleteCachePattern('networkx:user:profile:*');
+
+    return result.modifiedCount;
+  }
+}
+
+// Create singleton instance
+const departmentService = new DepartmentService();
+
+module.exports = departmentService;
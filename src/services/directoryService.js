@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const User = require('../models/mongodb/User');
+const privacyService = require('./privacyService');
+const blockService = require('./blockService');
+const departmentService = require('./departmentService');
+const { createError } = require('../utils/errors');
+
+const MEMBER_FIELDS = ['firstName', 'lastName', 'username', 'profileImage', 'department', 'year', 'skills', 'availability', 'rating', 'isVerified'];
+
+const AVAILABILITY = User.schema.path('availability').enumValues;
+
+const SKILL_FACET_LIMIT = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Department and cohort directory.
+ *
+ * Everything is counted and listed from the viewer's point of view: only active
+ * users they may discover under profile privacy, minus blocks either way. So a
+ * private profile never shows up, not even as a number in a count.
+ */
+class DirectoryService {
+  /**
+   * Aggregation $match for users a viewer may see in the directory
+   * @param {string} viewerId - ID of the user browsing
+   * @returns {Promise<Object>}
+   */
+  async getVisibleMatch(viewerId) {
+    const viewerObjectId = new mongoose.Types.ObjectId(viewerId.toString());
+    const blockedIds = (await blockService.getBlockedIds(viewerId))
+      .map(id => new mongoose.Types.ObjectId(id));
+
+    // Aggregations don't cast, so the privacy filter needs a real ObjectId
+    return {
+      isActive: true,
+      _id: { $nin: blockedIds },
+      $and: [privacyService.getDiscoverableFilter(viewerObjectId)]
+    };
+  }
+
+  /**
+   * Departments with member counts, including listed departments nobody has joined yet
+   * @param {string} viewerId - ID of the user browsing
+   * @returns {Promise<Array>} [{ name, count, canonical }]
+   */
+  async listDepartments(viewerId) {
+    const [match, canonical] = await Promise.all([
+      this.getVisibleMatch(viewerId),
+      departmentService.listDepartments()
+    ]);
+
+    const counts = await User.aggregate([
+      { $match: { ...match, department: { $nin: ['', null] } } },
+      { $group: { _id: '$department', count: { $sum: 1 } } }
+    ]);
+
+    const departments = new Map(canonical.map(department => [
+      department.name,
+      { name: department.name, count: 0, canonical: true }
+    ]));
+    counts.forEach(({ _id, count }) => {
+      departments.set(_id, { name: _id, count, canonical: departments.has(_id) });
+    });
+
+    return [...departments.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Year cohorts within a department
+   * @param {string} viewerId - ID of the user browsing
+   * @param {string} department - Department name or alias
+   * @returns {Promise<Object>} { department, cohorts: [{ year, count }] }
+   */
+  async listCohorts(viewerId, department) {
+    const [match, name] = await Promise.all([
+      this.getVisibleMatch(viewerId),
+      departmentService.normalize(department)
+    ]);
+
+    const cohorts = await User.aggregate([
+      { $match: { ...match, department: name } },
+      { $group: { _id: '$year', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return {
+      department: name,
+      cohorts: cohorts.map(({ _id, count }) => ({ year: _id, count }))
+    };
+  }
+
+  /**
+   * Page through members, with skill, availability and year facets for the
+   * current filters
+   * @param {string} viewerId - ID of the user browsing
+   * @param {Object} filters - { department, year, skill, availability, page, limit }
+   * @returns {Promise<Object>} { members, facets, pagination }
+   */
+  async browseMembers(viewerId, { department, year, skill, availability, page = 1, limit = 20 } = {}) {
+    // A repeated ?skill= arrives as an array
+    if (skill !== undefined && skill !== null && typeof skill !== 'string') {
+      throw createError('Filter by one skill at a time', 'invalid_skill', 400);
+    }
+
+    const match = await this.getVisibleMatch(viewerId);
+
+    if (department) match.department = await departmentService.normalize(department);
+    if (year) match.year = year;
+    if (skill) match.skills = { $regex: `^${escapeRegex(skill.trim())}$`, $options: 'i' };
+    if (availability) match.availability = availability;
+
+    const memberProjection = Object.fromEntries(
+      [...MEMBER_FIELDS, 'preferences.privacy', 'followers', 'following'].map(field => [field, 1])
+    );
+
+    const [result] = await User.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          members: [
+            { $sort: { lastName: 1, firstName: 1, _id: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: memberProjection }
+          ],
+          total: [{ $count: 'count' }],
+          skills: [
+            { $unwind: '$skills' },
+            { $group: { _id: { $toLower: '$skills' }, value: { $first: '$skills' }, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: SKILL_FACET_LIMIT }
+          ],
+          availability: [
+            { $group: { _id: '$availability', count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+          ],
+          years: [
+            { $match: { year: { $ne: null } } },
+            { $group: { _id: '$year', count: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    return {
+      members: privacyService.filterVisible(result.members, viewerId),
+      facets: {
+        skills: result.skills.map(({ value, count }) => ({ value, count })),
+        availability: result.availability.map(({ _id, count }) => ({ value: _id, count })),
+        years: result.years.map(({ _id, count }) => ({ value: _id, count }))
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const directoryService = new DirectoryService();
+
+module.exports = directoryService;
+module.exports.AVAILABILITY = AVAILABILITY;
@@ -5,6 +5,7 @@ const {
   EMAIL_TEMPLATES 
 } = require('../config/ses');
 const User = require('../models/mongodb/User');
+const fallbackService = require('./fallback');
 
 /**
  * Email service for handling all email notifications
@@ -39,6 +40,29 @@ class EmailService {
     }
   }
 
+  /**
+   * Transport used for transactional emails. Outside production emails are
+   * written to storage/email_log.json instead of going through SES.
+   * @returns {string} 'ses' or 'file'
+   */
+  getTransport() {
+    return process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'ses' : 'file');
+  }
+
+  /**
+   * Deliver an email through the configured transport
+   * @param {Object} emailData - { to, subject, htmlBody, textBody }
+   * @returns {Promise<Object>} Email result
+   */
+  async deliver({ to, subject, htmlBody, textBody }) {
+    if (this.getTransport() === 'file') {
+      await fallbackService.logEmailToFile({ to, subject, text: textBody, html: htmlBody });
+      return { transport: 'file', to };
+    }
+
+    return sendEmail({ to, subject, htmlBody, textBody });
+  }
+
   /**
    * Send welcome email to new user
    * @param {Object} user - User object
@@ -88,6 +112,260 @@ class EmailService {
     }
   }
 
+  /**
+   * Send email address verification link
+   * @param {Object} user - User to verify
+   * @param {string} verificationUrl - Link containing the verification token
+   * @param {Date} expiresAt - When the link stops working
+   * @returns {Promise<Object>} Email result
+   */
+  async sendVerificationEmail(user, verificationUrl, expiresAt) {
+    try {
+      const subject = 'Verify your Network-X email address';
+      const expiryTime = expiresAt.toUTCString();
+
+      const htmlBody = `
+        <html>
+          <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px; text-align: center;">
+              <h1 style="color: white; margin: 0;">Verify Your Email</h1>
+            </div>
+            <div style="padding: 40px;">
+              <h2>Hello ${user.firstName}!</h2>
+              <p>Confirm your email address to start posting, messaging and creating projects on Network-X.</p>
+
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${verificationUrl}" style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px;">Verify Email</a>
+              </div>
+
+              <p style="color: #666;">This link expires on ${expiryTime}. If you didn't create an account, you can ignore this email.</p>
+              <p>Best regards,<br>The Network-X Team</p>
+            </div>
+          </body>
+        </html>
+      `;
+
+      const textBody = `
+        Verify Your Email
+
+        Hello ${user.firstName}!
+
+        Confirm your email address to start posting, messaging and creating projects on Network-X:
+        ${verificationUrl}
+
+        This link expires on ${expiryTime}. If you didn't create an account, you can ignore this email.
+
+        Best regards,
+        The Network-X Team
+      `;
+
+      return await this.deliver({
+        to: user.email,
+        subject,
+        htmlBody,
+        textBody
+      });
+    } catch (error) {
+      console.error('Verification email error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send account lockout notification email
+   * @param {Object} user - Locked user
+   * @param {Date} lockUntil - When the lock expires
+   * @param {string} ipAddress - IP address of the last failed attempt
+   * @returns {Promise<Object>} Email result
+   */
+  async sendAccountLockoutEmail(user, lockUntil, ipAddress) {
+    try {
+      const subject = 'Your Network-X account has been temporarily locked';
+      const unlockTime = lockUntil.toUTCString();
+      const resetUrl = `${process.env.FRONTEND_URL}/forgot-password`;
+
+      const htmlBody = `
+        <html>
+          <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px; text-align: center;">
+              <h1 style="color: white; margin: 0;">Account Locked</h1>
+            </div>
+            <div style="padding: 40px;">
+              <h2>Hello ${user.firstName}!</h2>
+              <p>We locked your account after several failed sign-in attempts.</p>
+
+              <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <p><strong>Locked until:</strong> ${unlockTime}</p>
+                ${ipAddress ? `<p><strong>Last attempt from:</strong> ${ipAddress}</p>` : ''}
+              </div>
+
+              <p>If this was you, wait until the lock expires and try again. If it wasn't, reset your password now.</p>
+
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${resetUrl}" style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px;">Reset Password</a>
+              </div>
+
+              <p>Best regards,<br>The Network-X Team</p>
+            </div>
+          </body>
+        </html>
+      `;
+
+      const textBody = `
+        Account Locked
+
+        Hello ${user.firstName}!
+
+        We locked your account after several failed sign-in attempts.
+
+        Locked until: ${unlockTime}
+        ${ipAddress ? `Last attempt from: ${ipAddress}` : ''}
+
+        If this was you, wait until the lock expires and try again. If it wasn't, reset your password now:
+        ${resetUrl}
+
+        Best regards,
+        The Network-X Team
+      `;
+
+      return await this.deliver({
+        to: user.email,
+        subject,
+        htmlBody,
+        textBody
+      });
+    } catch (error) {
+      console.error('Account lockout email error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send data export ready email
+   * @param {Object} user - User who requested the export
+   * @param {Date} expiresAt - When the export is deleted
+   * @returns {Promise<Object>} Email result
+   */
+  async sendDataExportReadyEmail(user, expiresAt) {
+    try {
+      const subject = 'Your Network-X data export is ready';
+      const expiryTime = expiresAt.toUTCString();
+      const settingsUrl = `${process.env.FRONTEND_URL}/settings/privacy`;
+
+      const htmlBody = `
+        <html>
+          <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px; text-align: center;">
+              <h1 style="color: white; margin: 0;">Data Export Ready</h1>
+            </div>
+            <div style="padding: 40px;">
+              <h2>Hello ${user.firstName}!</h2>
+              <p>The copy of your Network-X data you asked for is ready to download.</p>
+
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${settingsUrl}" style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px;">Download Your Data</a>
+              </div>
+
+              <p style="color: #666;">The export will be deleted on ${expiryTime}. If you didn't request it, reset your password.</p>
+              <p>Best regards,<br>The Network-X Team</p>
+            </div>
+          </body>
+        </html>
+      `;
+
+      const textBody = `
+        Data Export Ready
+
+        Hello ${user.firstName}!
+
+        The copy of your Network-X data you asked for is ready to download:
+        ${settingsUrl}
+
+        The export will be deleted on ${expiryTime}. If you didn't request it, reset your password.
+
+        Best regards,
+        The Network-X Team
+      `;
+
+      return await this.deliver({
+        to: user.email,
+        subject,
+        htmlBody,
+        textBody
+      });
+    } catch (error) {
+      console.error('Data export email error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send onboarding reminder email
+   * @param {Object} user - User who hasn't finished onboarding
+   * @param {Object} checklist - Onboarding checklist with score and steps
+   * @returns {Promise<Object>} Email result
+   */
+  async sendOnboardingReminderEmail(user, checklist) {
+    try {
+      const subject = `Your Network-X profile is ${checklist.score}% complete`;
+      const onboardingUrl = `${process.env.FRONTEND_URL}/onboarding`;
+      const remaining = checklist.steps.filter(step => !step.done);
+
+      const htmlBody = `
+        <html>
+          <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px; text-align: center;">
+              <h1 style="color: white; margin: 0;">Finish Setting Up Your Profile</h1>
+            </div>
+            <div style="padding: 40px;">
+              <h2>Hello ${user.firstName}!</h2>
+              <p>Your profile is <strong>${checklist.score}%</strong> complete. A complete profile helps classmates find you and brings more relevant projects and posts to your feed.</p>
+
+              <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <h3 style="margin-top: 0; color: #667eea;">Still to do</h3>
+                <ul>
+                  ${remaining.map(step => `<li>${step.label}</li>`).join('')}
+                </ul>
+              </div>
+
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${onboardingUrl}" style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px;">Complete Your Profile</a>
+              </div>
+
+              <p>Best regards,<br>The Network-X Team</p>
+            </div>
+          </body>
+        </html>
+      `;
+
+      const textBody = `
+        Finish Setting Up Your Profile
+
+        Hello ${user.firstName}!
+
+        Your profile is ${checklist.score}% complete. A complete profile helps classmates find you and brings more relevant projects and posts to your feed.
+
+        Still to do:
+        ${remaining.map(step => `- ${step.label}`).join('\n        ')}
+
+        Complete your profile: ${onboardingUrl}
+
+        Best regards,
+        The Network-X Team
+      `;
+
+      return await this.deliver({
+        to: user.email,
+        subject,
+        htmlBody,
+        textBody
+      });
+    } catch (error) {
+      console.error('Onboarding reminder email error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send notification digest email
    * @param {Object} user - User object
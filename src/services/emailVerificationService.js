@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const User = require('../models/mongodb/User');
+const emailService = require('./emailService');
+const { incrementCache, generateCacheKey } = require('../config/redis');
+
+/**
+ * Email verification service for issuing and consuming verification tokens
+ */
+class EmailVerificationService {
+  constructor() {
+    this.tokenTtlMs = 24 * 60 * 60 * 1000;
+    this.resendCooldownMs = 60 * 1000;
+    this.maxSendsPerHour = 5;
+  }
+
+  /**
+   * Hash a verification token for storage
+   * @param {string} token - Raw token from the email link
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Build the link the user clicks to verify their address
+   * @param {string} token - Raw token
+   * @returns {string} Verification URL
+   */
+  getVerificationUrl(token) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:5000';
+    return `${baseUrl}/api/auth/verify-email/${token}`;
+  }
+
+  /**
+   * Seconds until the user may request another email, 0 when allowed now
+   * @param {Object} user - User document
+   * @returns {Promise<number>}
+   */
+  async getRetryAfter(user) {
+    if (user.verificationEmailSentAt) {
+      const elapsed = Date.now() - user.verificationEmailSentAt.getTime();
+      if (elapsed < this.resendCooldownMs) {
+        return Math.ceil((this.resendCooldownMs - elapsed) / 1000);
+      }
+    }
+
+    const sends = await incrementCache(generateCacheKey('auth', 'verify-email', user._id.toString()), 60 * 60);
+    return sends > this.maxSendsPerHour ? 60 * 60 : 0;
+  }
+
+  /**
+   * Issue a fresh token and email it. Any earlier token stops working.
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Email result
+   */
+  async sendVerification(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    user.verificationToken = this.hashToken(token);
+    user.verificationTokenExpires = new Date(Date.now() + this.tokenTtlMs);
+    user.verificationEmailSentAt = new Date();
+    await user.save();
+
+    return emailService.sendVerificationEmail(user, this.getVerificationUrl(token), user.verificationTokenExpires);
+  }
+
+  /**
+   * Consume a verification token
+   * @param {string} token - Raw token from the email link
+   * @returns {Promise<Object|null>} Verified user, or null when the token is invalid or expired
+   */
+  async verify(token) {
+    const user = await User.findOne({
+      verificationToken: this.hashToken(token),
+      verificationTokenExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return null;
+    }
+
+    user.isVerified = true;
+    user.isEmailVerified = true;
+    user.verificationToken = null;
+    user.verificationTokenExpires = null;
+    await user.save();
+
+    return user;
+  }
+}
+
+// Create singleton instance
+const emailVerificationService = new EmailVerificationService();
+
+module.exports = emailVerificationService;
@@ -0,0 +1,111 @@
+const User = require('../models/mongodb/User');
+const FollowRequest = require('../models/mongodb/FollowRequest');
+const privacyService = require('./privacyService');
+
+const REQUEST_USER_FIELDS = 'firstName lastName username profileImage';
+
+/**
+ * Follow request service. Following a private profile needs the owner's approval;
+ * everyone else can be followed directly.
+ */
+class FollowRequestService {
+  /**
+   * Whether following a user needs their approval
+   * @param {Object} target - User loaded with preferences.privacy
+   * @returns {boolean}
+   */
+  requiresApproval(target) {
+    return privacyService.getVisibility(target) === privacyService.VISIBILITY.PRIVATE;
+  }
+
+  /**
+   * Ask to follow a user, reusing the pending request if there already is one
+   * @param {string} requesterId - User asking to follow
+   * @param {string} targetId - User being followed
+   * @returns {Promise<Object>} { request, created }
+   */
+  async createRequest(requesterId, targetId) {
+    const existing = await FollowRequest.findOne({ requesterId, targetId });
+    if (existing) {
+      return { request: existing, created: false };
+    }
+
+    try {
+      const request = await FollowRequest.create({ requesterId, targetId });
+      return { request, created: true };
+    } catch (error) {
+      // Lost a race with a concurrent request for the same pair
+      if (error.code === 11000) {
+        return { request: await FollowRequest.findOne({ requesterId, targetId }), created: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Pending requests to follow a user
+   * @param {string} userId - Profile owner
+   * @returns {Promise<Array>}
+   */
+  async listIncoming(userId) {
+    return FollowRequest.find({ targetId: userId })
+      .sort({ createdAt: -1 })
+      .populate('requesterId', REQUEST_USER_FIELDS);
+  }
+
+  /**
+   * Requests a user has sent that are still pending
+   * @param {string} userId - Requesting user
+   * @returns {Promise<Array>}
+   */
+  async listOutgoing(userId) {
+    return FollowRequest.find({ requesterId: userId })
+      .sort({ createdAt: -1 })
+      .populate('targetId', REQUEST_USER_FIELDS);
+  }
+
+  /**
+   * Accept a request, making the requester a follower
+   * @param {string} userId - Profile owner
+   * @param {string} requestId - FollowRequest ID
+   * @returns {Promise<Object|null>} Accepted request, or null if there's no such pending request
+   */
+  async acceptRequest(userId, requestId) {
+    const request = await FollowRequest.findOneAndDelete({ _id: requestId, targetId: userId });
+    if (!request) return null;
+
+    await Promise.all([
+      User.updateOne({ _id: request.requesterId }, { $addToSet: { following: request.targetId } }),
+      User.updateOne({ _id: request.targetId }, { $addToSet: { followers: request.requesterId } })
+    ]);
+
+    return request;
+  }
+
+  /**
+   * Decline a request made to the user
+   * @param {string} userId - Profile owner
+   * @param {string} requestId - FollowRequest ID
+   * @returns {Promise<boolean>} Whether a pending request was declined
+   */
+  async declineRequest(userId, requestId) {
+    const request = await FollowRequest.findOneAndDelete({ _id: requestId, targetId: userId });
+    return Boolean(request);
+  }
+
+  /**
+   * Withdraw a request the user sent
+   * @param {string} userId - Requesting user
+   * @param {string} requestId - FollowRequest ID
+   * @returns {Promise<boolean>} Whether a pending request was cancelled
+   */
+  async cancelRequest(userId, requestId) {
+    const request = await FollowRequest.findOneAndDelete({ _id: requestId, requesterId: userId });
+    return Boolean(request);
+  }
+}
+
+// Create singleton instance
+const followRequestService = new FollowRequestService();
+
+module.exports = followRequestService;
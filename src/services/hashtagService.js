@@ -0,0 +1,249 @@
+const User = require('../models/mongodb/User');
+const { putItem, getItem, deleteItem, queryPage } = require('../config/dynamodb');
+const { createError } = require('../utils/errors');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const privacyService = require('./privacyService');
+const blockService = require('./blockService');
+const pollService = require('./pollService');
+
+const { PRIVACY_FIELDS } = privacyService;
+
+const HASHTAGS_TABLE = process.env.DYNAMODB_HASHTAGS_TABLE || 'networkx-hashtags';
+const POSTS_TABLE = process.env.DYNAMODB_POSTS_TABLE || 'networkx-posts';
+const PROJECTS_TABLE = process.env.DYNAMODB_PROJECTS_TABLE || 'networkx-projects';
+const COMMENTS_TABLE = process.env.DYNAMODB_COMMENTS_TABLE || 'networkx-comments';
+
+// A # not preceded by a word character, then a letter and up to 49 more
+const HASHTAG_PATTERN = /(^|[^\w&#])#([A-Za-z][A-Za-z0-9_]{0,49})/g;
+const TAG_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+const AUTHOR_FIELDS = `firstName lastName username profileImage isVerified ${PRIVACY_FIELDS}`;
+
+/**
+ * Hashtags on posts, comments and projects.
+ *
+ * The index has one entry per tag and piece of content, written when the
+ * content is created or edited and removed when it's edited away or deleted.
+ * Posts keep the tags their author sent as entered in `tags`; only the ones
+ * that are valid hashtags are indexed, with the #hashtags in the text, and
+ * those go in `hashtags`. Project `tags` are always the description's hashtags.
+ * Entries don't copy visibility: timelines look each item up when read, so a
+ * post made private or deleted drops out straight away.
+ */
+class HashtagService {
+  constructor() {
+    this.settings = {
+      maxTags: 30,
+      maxFollowedTags: 200,
+      defaultPageSize: 20,
+      maxPageSize: 50
+    };
+  }
+
+  /**
+   * @param {string} text - Post, comment or project text
+   * @returns {Array<string>} Lowercase tags without the #, in order of first use
+   */
+  parseHashtags(text) {
+    if (typeof text !== 'string') return [];
+    const tags = [...text.matchAll(HASHTAG_PATTERN)].map(match => match[2].toLowerCase());
+    return [...new Set(tags)].slice(0, this.settings.maxTags);
+  }
+
+  /**
+   * @param {string} tag - Tag with or without a leading #
+   * @returns {string|null} Lowercase tag, or null if it isn't a valid tag
+   */
+  normalizeTag(tag) {
+    if (typeof tag !== 'string') return null;
+    const normalized = tag.trim().replace(/^#/, '').toLowerCase();
+    return TAG_PATTERN.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * Combine tag lists for the index, dropping invalid and repeated tags
+   * @param {...Array<string>} lists - Tag lists
+   * @returns {Array<string>}
+   */
+  mergeTags(...lists) {
+    const tags = lists.flat().map(tag => this.normalizeTag(tag)).filter(Boolean);
+    return [...new Set(tags)].slice(0, this.settings.maxTags);
+  }
+
+  /**
+   * Tags sent with a post, as entered apart from surrounding spaces
+   * @param {Array<string>} tags - Tags from the request
+   * @returns {Array<string>}
+   */
+  cleanTags(tags) {
+    const cleaned = tags.map(tag => String(tag).trim()).filter(tag => tag.length > 0);
+    return [...new Set(cleaned)];
+  }
+
+  /**
+   * Tags content is indexed under. Posts saved before `hashtags` was stored
+   * were indexed under their tags, at most.
+   * @param {Object} item - Post or project item
+   * @returns {Array<string>}
+   */
+  getIndexedTags(item) {
+    return item.hashtags || this.mergeTags(item.tags || []);
+  }
+
+  /**
+   * Add content to the timelines of its tags
+   * @param {string} contentType - 'post', 'comment' or 'project'
+   * @param {string} contentId - ID of the content
+   * @param {Array<string>} tags - Normalized tags
+   * @param {string} userId - Author's user ID
+   */
+  async indexContent(contentType, contentId, tags, userId) {
+    for (const tag of tags) {
+      await putItem(HASHTAGS_TABLE, {
+        tag,
+        contentKey: this.getContentKey(contentType, contentId),
+        contentType,
+        contentId,
+        userId: userId.toString()
+      });
+    }
+  }
+
+  /**
+   * Take content out of the timelines of its tags
+   * @param {string} contentType - 'post', 'comment' or 'project'
+   * @param {string} contentId - ID of the content
+   * @param {Array<string>} tags - Tags it was indexed under
+   */
+  async removeContent(contentType, contentId, tags = []) {
+    for (const tag of tags) {
+      await deleteItem(HASHTAGS_TABLE, { tag, contentKey: this.getContentKey(contentType, contentId) });
+    }
+  }
+
+  /**
+   * Bring the index in line with edited content
+   * @param {string} contentType - 'post', 'comment' or 'project'
+   * @param {string} contentId - ID of the content
+   * @param {Array<string>} previousTags - Tags before the edit
+   * @param {Array<string>} tags - Tags after the edit
+   * @param {string} userId - Author's user ID
+   * @returns {Promise<Object>} { added, removed }
+   */
+  async reconcile(contentType, contentId, previousTags = [], tags, userId) {
+    const added = tags.filter(tag => !previousTags.includes(tag));
+    const removed = previousTags.filter(tag => !tags.includes(tag));
+
+    await this.indexContent(contentType, contentId, added, userId);
+    await this.removeContent(contentType, contentId, removed);
+
+    return { added, removed };
+  }
+
+  /**
+   * Public content under a tag, newest first
+   * @param {string} tag - Normalized tag
+   * @param {string} viewerId - ID of the user reading
+   * @param {Object} options - { cursor, limit }
+   * @returns {Promise<Object>} { items, nextCursor }
+   */
+  async getTimeline(tag, viewerId, { cursor = null, limit = this.settings.defaultPageSize } = {}) {
+    const { items: entries, lastKey } = await queryPage(
+      HASHTAGS_TABLE,
+      'tag = :tag',
+      { ':tag': tag },
+      { indexName: 'TagTimelineIndex', limit, startKey: cursor ? decodeCursor(cursor, ['tag', 'contentKey']) : null }
+    );
+
+    const hiddenIds = await blockService.getHiddenIds(viewerId);
+    const resolved = await Promise.all(entries.map(entry => this.resolveEntry(entry)));
+    const visible = resolved.filter(item => item && !hiddenIds.includes(item.authorId));
+
+    const authors = await User.find({ _id: { $in: visible.map(item => item.authorId) }, isActive: true }).select(AUTHOR_FIELDS);
+    const authorsById = new Map(authors.map(author => [author._id.toString(), author]));
+
+    return {
+      items: visible
+        .filter(item => authorsById.has(item.authorId))
+        .map(({ authorId, ...item }) => ({
+          ...(item.contentType === 'post' ? pollService.presentPost(item, viewerId) : item),
+          author: privacyService.redactProfile(authorsById.get(authorId), viewerId)
+        })),
+      nextCursor: lastKey ? encodeCursor(lastKey) : null
+    };
+  }
+
+  // Load the content behind an index entry, or null if it's gone or not public
+  async resolveEntry({ contentType, contentId, createdAt }) {
+    if (contentType === 'post') {
+      const post = await getItem(POSTS_TABLE, { postId: contentId });
+      if (!post || post.visibility !== 'public') return null;
+
+      const { comments_data, likedBy, ...rest } = post;
+      return { ...rest, contentType, taggedAt: createdAt, authorId: String(post.userId) };
+    }
+
+    if (contentType === 'project') {
+      const project = await getItem(PROJECTS_TABLE, { projectId: contentId });
+      if (!project || project.visibility !== 'public') return null;
+
+      const { likedBy, applications, ...rest } = project;
+      return { ...rest, contentType, taggedAt: createdAt, authorId: String(project.ownerId) };
+    }
+
+    if (contentType === 'comment') {
+      const comment = await getItem(COMMENTS_TABLE, { commentId: contentId });
+      if (!comment || comment.deleted || !comment.userId) return null;
+
+      const post = await getItem(POSTS_TABLE, { postId: comment.postId });
+      if (!post || post.visibility !== 'public') return null;
+
+      const { likedBy, edits, threadId, ...rest } = comment;
+      return { ...rest, contentType, taggedAt: createdAt, authorId: comment.userId };
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @param {string} tag - Normalized tag
+   * @returns {Promise<Array<string>>} Tags the user now follows
+   */
+  async followTag(userId, tag) {
+    const user = await User.findById(userId).select('followedTags');
+    if (!user.followedTags.includes(tag) && user.followedTags.length >= this.settings.maxFollowedTags) {
+      throw createError(`You can follow up to ${this.settings.maxFollowedTags} tags`, 'tag_limit_reached', 400);
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      userId,
+      { $addToSet: { followedTags: tag } },
+      { new: true }
+    ).select('followedTags');
+    return updated.followedTags;
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @param {string} tag - Normalized tag
+   * @returns {Promise<Array<string>>} Tags the user still follows
+   */
+  async unfollowTag(userId, tag) {
+    const updated = await User.findByIdAndUpdate(
+      userId,
+      { $pull: { followedTags: tag } },
+      { new: true }
+    ).select('followedTags');
+    return updated.followedTags;
+  }
+
+  getContentKey(contentType, contentId) {
+    return `${contentType}#${contentId}`;
+  }
+}
+
+// Create singleton instance
+const hashtagService = new HashtagService();
+
+module.exports = hashtagService;
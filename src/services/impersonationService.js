@@ -0,0 +1,175 @@
+const jwt = require('jsonwebtoken');
+const ImpersonationSession = require('../models/mongodb/ImpersonationSession');
+const AuditLog = require('../models/mongodb/AuditLog');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Credentials and keys stay off limits even when writes are allowed
+const BLOCKED_RESOURCES = ['auth', 'keys'];
+
+/**
+ * Impersonation service. Lets support admins view the app as another user with
+ * a short-lived, read-only-by-default token, and records everything done with it.
+ */
+class ImpersonationService {
+  constructor() {
+    this.defaultDurationMinutes = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 15;
+    this.maxDurationMinutes = 60;
+  }
+
+  /**
+   * Start impersonating a user
+   * @param {Object} admin - Admin user document
+   * @param {Object} target - User to impersonate
+   * @param {Object} options - { reason, allowWrites, durationMinutes, ipAddress }
+   * @returns {Promise<Object>} { token, session }
+   */
+  async startImpersonation(admin, target, { reason, allowWrites = false, durationMinutes = this.defaultDurationMinutes, ipAddress = null }) {
+    const minutes = Math.min(durationMinutes, this.maxDurationMinutes);
+
+    const session = await ImpersonationSession.create({
+      adminId: admin._id,
+      targetUserId: target._id,
+      reason,
+      allowWrites,
+      ipAddress,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+    });
+
+    await AuditLog.create({
+      action: 'impersonation.started',
+      actorId: admin._id.toString(),
+      targetUserId: target._id.toString(),
+      metadata: {
+        impersonationId: session._id.toString(),
+        reason,
+        allowWrites,
+        expiresAt: session.expiresAt
+      },
+      ipAddress
+    });
+
+    return { token: this.generateToken(session), session };
+  }
+
+  /**
+   * Sign an impersonation token. It uses a derived key so code that only knows
+   * about regular access tokens rejects it instead of treating it as the user.
+   * @param {Object} session - ImpersonationSession document
+   * @returns {string} Signed JWT
+   */
+  generateToken(session) {
+    const expiresIn = Math.max(1, Math.floor((session.expiresAt.getTime() - Date.now()) / 1000));
+
+    return jwt.sign(
+      {
+        userId: session.targetUserId,
+        imp: session._id,
+        impersonatorId: session.adminId
+      },
+      this.getTokenSecret(),
+      { expiresIn }
+    );
+  }
+
+  /**
+   * Check whether a bearer token is an impersonation token, without verifying it
+   * @param {string} token - Bearer token
+   * @returns {boolean}
+   */
+  isImpersonationToken(token) {
+    const decoded = jwt.decode(token);
+    return Boolean(decoded && decoded.imp);
+  }
+
+  /**
+   * Verify an impersonation token and load its session
+   * @param {string} token - Bearer token
+   * @returns {Promise<Object|null>} Active session, or null when it was ended or has expired
+   */
+  async authenticate(token) {
+    const decoded = jwt.verify(token, this.getTokenSecret());
+    const session = await ImpersonationSession.findById(decoded.imp);
+
+    if (!session || !session.isActive() || session.targetUserId.toString() !== decoded.userId.toString()) {
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Whether a request may go ahead under an impersonation session
+   * @param {Object} session - ImpersonationSession document
+   * @param {Object} req - Express request
+   * @returns {boolean}
+   */
+  isRequestAllowed(session, req) {
+    const resource = (req.baseUrl || '').split('/')[2];
+    if (BLOCKED_RESOURCES.includes(resource)) {
+      return false;
+    }
+
+    return session.allowWrites || READ_METHODS.includes(req.method);
+  }
+
+  /**
+   * End an impersonation session early
+   * @param {string} sessionId - ImpersonationSession ID
+   * @param {Object} options - { endedBy, ipAddress }
+   * @returns {Promise<Object|null>} Ended session, or null if it wasn't active
+   */
+  async endImpersonation(sessionId, { endedBy, ipAddress = null }) {
+    const session = await ImpersonationSession.findOneAndUpdate(
+      { _id: sessionId, endedAt: null, expiresAt: { $gt: new Date() } },
+      { endedAt: new Date() },
+      { new: true }
+    );
+
+    if (!session) return null;
+
+    await AuditLog.create({
+      action: 'impersonation.ended',
+      actorId: endedBy.toString(),
+      targetUserId: session.targetUserId.toString(),
+      metadata: { impersonationId: session._id.toString() },
+      ipAddress
+    });
+
+    return session;
+  }
+
+  /**
+   * Audit a request made under impersonation once its response has been sent
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} session - ImpersonationSession document
+   */
+  recordRequest(req, res, session) {
+    res.on('finish', () => {
+      AuditLog.create({
+        action: 'impersonation.request',
+        actorId: session.adminId.toString(),
+        targetUserId: session.targetUserId.toString(),
+        metadata: {
+          impersonationId: session._id.toString(),
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          statusCode: res.statusCode
+        },
+        ipAddress: req.ip
+      }).catch(error => {
+        console.error('Impersonation audit error:', error);
+      });
+    });
+  }
+
+  getTokenSecret() {
+    return `${process.env.JWT_SECRET || 'fallback_secret'}:impersonation`;
+  }
+}
+
+// Create singleton instance
+const impersonationService = new ImpersonationService();
+
+module.exports = impersonationService;
@@ -0,0 +1,140 @@
+const { getCache, deleteCache, incrementCache, generateCacheKey } = require('../config/redis');
+const emailService = require('./emailService');
+
+/**
+ * Login protection service for failed-password counting and account lockout.
+ * Counters live in Redis so every instance sees the same attempts; the lock
+ * itself is persisted on the user so it survives a Redis restart.
+ */
+class LoginProtectionService {
+  constructor() {
+    this.maxAccountAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+    this.maxIpAttempts = parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS) || 50;
+    this.ipWindowSeconds = 15 * 60;
+    this.accountWindowSeconds = 24 * 60 * 60;
+    this.baseLockMs = 60 * 1000; // first lock lasts one minute
+    this.maxLockMs = 24 * 60 * 60 * 1000;
+  }
+
+  getIpKey(ip) {
+    return generateCacheKey('auth', 'fail', 'ip', ip || 'unknown');
+  }
+
+  getAccountKey(userId) {
+    return generateCacheKey('auth', 'fail', 'account', userId.toString());
+  }
+
+  /**
+   * Check whether an IP address has too many recent failures
+   * @param {string} ip - Client IP address
+   * @returns {Promise<boolean>} Whether the IP is blocked
+   */
+  async isIpBlocked(ip) {
+    const attempts = await getCache(this.getIpKey(ip));
+    return (attempts || 0) >= this.maxIpAttempts;
+  }
+
+  /**
+   * Check whether an account is currently locked
+   * @param {Object} user - User document
+   * @returns {boolean}
+   */
+  isLocked(user) {
+    return !!user.lockUntil && user.lockUntil > new Date();
+  }
+
+  /**
+   * Lock duration for a number of consecutive failures. Doubles with every
+   * failure past the threshold, capped at a day.
+   * @param {number} attempts - Consecutive failed attempts
+   * @returns {number} Lock duration in milliseconds, 0 when below the threshold
+   */
+  getLockDuration(attempts) {
+    if (attempts < this.maxAccountAttempts) {
+      return 0;
+    }
+
+    const exponent = attempts - this.maxAccountAttempts;
+    return Math.min(this.baseLockMs * 2 ** exponent, this.maxLockMs);
+  }
+
+  /**
+   * Record a failed login attempt from an IP address for an unknown account
+   * @param {string} ip - Client IP address
+   * @returns {Promise<void>}
+   */
+  async recordIpFailure(ip) {
+    await incrementCache(this.getIpKey(ip), this.ipWindowSeconds);
+  }
+
+  /**
+   * Record a failed password for an account, locking it when over the limit
+   * @param {Object} user - User document
+   * @param {string} ip - Client IP address
+   * @returns {Promise<Object>} { locked, lockUntil, attempts }
+   */
+  async recordFailure(user, ip) {
+    await this.recordIpFailure(ip);
+
+    // Redis reports 1 when unavailable, so never count below what Mongo already knows
+    const counted = await incrementCache(this.getAccountKey(user._id), this.accountWindowSeconds);
+    const attempts = Math.max(counted, (user.loginAttempts || 0) + 1);
+
+    user.loginAttempts = attempts;
+
+    const lockDuration = this.getLockDuration(attempts);
+    if (lockDuration > 0) {
+      user.lockUntil = new Date(Date.now() + lockDuration);
+    }
+
+    await user.save();
+
+    if (lockDuration > 0) {
+      console.warn(`Account ${user._id} locked until ${user.lockUntil.toISOString()} after ${attempts} failed logins`);
+
+      emailService.sendAccountLockoutEmail(user, user.lockUntil, ip).catch(error => {
+        console.error('Failed to send lockout email:', error);
+      });
+    }
+
+    return {
+      locked: lockDuration > 0,
+      lockUntil: user.lockUntil || null,
+      attempts
+    };
+  }
+
+  /**
+   * Clear failure counters after a successful login
+   * @param {Object} user - User document
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(user) {
+    await deleteCache(this.getAccountKey(user._id));
+
+    user.lastLogin = new Date();
+    if (user.loginAttempts || user.lockUntil) {
+      user.loginAttempts = 0;
+      user.lockUntil = undefined;
+    }
+    await user.save();
+  }
+
+  /**
+   * Unlock an account and forget its failed attempts
+   * @param {Object} user - User document
+   * @returns {Promise<void>}
+   */
+  async unlock(user) {
+    await deleteCache(this.getAccountKey(user._id));
+
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+  }
+}
+
+// Create singleton instance
+const loginProtectionService = new LoginProtectionService();
+
+module.exports = loginProtectionService;
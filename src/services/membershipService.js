@@ -0,0 +1,147 @@
+const { putItem, getItem, deleteItem, queryItems, queryAllItems } = require('../config/dynamodb');
+
+const MEMBERSHIPS_TABLE = process.env.DYNAMODB_MEMBERSHIPS_TABLE || 'networkx-memberships';
+
+// Where each kind of group lives and who counts as being in it
+const GROUP_TYPES = {
+  project: {
+    table: process.env.DYNAMODB_PROJECTS_TABLE || 'networkx-projects',
+    idField: 'projectId',
+    getMemberIds: project => [project.ownerId, ...(project.members || [])]
+  },
+  club: {
+    table: process.env.DYNAMODB_CLUBS_TABLE || 'networkx-clubs',
+    idField: 'clubId',
+    getMemberIds: club => [club.presidentId, ...(club.members || [])]
+  },
+  event: {
+    table: process.env.DYNAMODB_EVENTS_TABLE || 'networkx-events',
+    idField: 'eventId',
+    getMemberIds: event => [event.organizerId, ...(event.attendees || [])]
+  }
+};
+
+/**
+ * Which projects, clubs and events each user belongs to.
+ *
+ * Members are kept as lists on the group items, which can't be queried by user.
+ * This table holds one item per user and group (userId, groupKey "<type>#<id>")
+ * so everything a user is in is one query. The routes that change member lists
+ * keep it in step; src/scripts/backfill-memberships.js builds it for older data.
+ */
+class MembershipService {
+  getGroupKey(groupType, groupId) {
+    return `${groupType}#${groupId}`;
+  }
+
+  /**
+   * Everyone in a group, owner included, without duplicates
+   * @param {string} groupType - project, club or event
+   * @param {Object} group - Group item
+   * @returns {Array<string>} User IDs
+   */
+  getMemberIds(groupType, group) {
+    return [...new Set(GROUP_TYPES[groupType].getMemberIds(group).filter(Boolean).map(id => id.toString()))];
+  }
+
+  /**
+   * @param {string} groupType - project, club or event
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   */
+  async add(groupType, groupId, userId) {
+    await putItem(MEMBERSHIPS_TABLE, {
+      userId: userId.toString(),
+      groupKey: this.getGroupKey(groupType, groupId),
+      groupType,
+      groupId
+    });
+  }
+
+  /**
+   * @param {string} groupType - project, club or event
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   */
+  async remove(groupType, groupId, userId) {
+    await deleteItem(MEMBERSHIPS_TABLE, {
+      userId: userId.toString(),
+      groupKey: this.getGroupKey(groupType, groupId)
+    });
+  }
+
+  /**
+   * Drop every membership of a group that is being deleted
+   * @param {string} groupType - project, club or event
+   * @param {Object} group - Group item
+   */
+  async removeGroup(groupType, group) {
+    const groupId = group[GROUP_TYPES[groupType].idField];
+    for (const userId of this.getMemberIds(groupType, group)) {
+      await this.remove(groupType, groupId, userId);
+    }
+  }
+
+  /**
+   * IDs of the groups of one type a user is in
+   * @param {string} userId - User ID
+   * @param {string} groupType - project, club or event
+   * @returns {Promise<Array<string>>}
+   */
+  async listGroupIds(userId, groupType) {
+    const memberships = await queryAllItems(
+      MEMBERSHIPS_TABLE,
+      'userId = :userId AND begins_with(groupKey, :prefix)',
+      { ':userId': userId.toString(), ':prefix': `${groupType}#` }
+    );
+    return memberships.map(membership => membership.groupId);
+  }
+
+  /**
+   * The groups of one type a user is in. Groups deleted since are left out.
+   * @param {string} userId - User ID
+   * @param {string} groupType - project, club or event
+   * @returns {Promise<Array>} Group items
+   */
+  async getGroups(userId, groupType) {
+    const { table, idField } = GROUP_TYPES[groupType];
+    const groupIds = await this.listGroupIds(userId, groupType);
+    const groups = await Promise.all(groupIds.map(groupId => getItem(table, { [idField]: groupId })));
+    return groups.filter(Boolean);
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @param {string} groupType - project, club or event
+   * @returns {Promise<boolean>} Whether the user is in any group of that type
+   */
+  async hasAny(userId, groupType) {
+    const memberships = await queryItems(
+      MEMBERSHIPS_TABLE,
+      'userId = :userId AND begins_with(groupKey, :prefix)',
+      { ':userId': userId.toString(), ':prefix': `${groupType}#` },
+      null,
+      1
+    );
+    return memberships.length > 0;
+  }
+
+  /**
+   * Remove every membership of a user whose account is being erased
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Memberships removed
+   */
+  async eraseUser(userId) {
+    const memberships = await queryAllItems(MEMBERSHIPS_TABLE, 'userId = :userId', { ':userId': userId.toString() });
+    for (const membership of memberships) {
+      await deleteItem(MEMBERSHIPS_TABLE, { userId: membership.userId, groupKey: membership.groupKey });
+    }
+    return memberships.length;
+  }
+}
+
+// Create singleton instance
+const membershipService = new MembershipService();
+
+module.exports = membershipService;
+module.exports.GROUP_TYPES = GROUP_TYPES;
@@ -0,0 +1,87 @@
+const User = require('../models/mongodb/User');
+const RealtimeService = require('./realtime');
+const blockService = require('./blockService');
+
+// An @ not preceded by a word character, then a username
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_]{3,30})(?![A-Za-z0-9_])/g;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @username mentions in posts, comments and projects.
+ *
+ * Mentions are resolved to user IDs when content is saved and stored with it.
+ * Only active users who haven't blocked the author, and whom the author hasn't
+ * blocked, are kept. On edit, only people newly mentioned are notified.
+ */
+class MentionService {
+  constructor() {
+    this.settings = {
+      maxMentions: 10
+    };
+  }
+
+  /**
+   * @param {string} text - Post, comment or project text
+   * @returns {Array<string>} Lowercase usernames, in order of first mention
+   */
+  parseMentions(text) {
+    if (typeof text !== 'string') return [];
+    const usernames = [...text.matchAll(MENTION_PATTERN)].map(match => match[2].toLowerCase());
+    return [...new Set(usernames)].slice(0, this.settings.maxMentions);
+  }
+
+  /**
+   * User IDs mentioned in a text, minus the author and blocked users
+   * @param {string} text - Post, comment or project text
+   * @param {string} authorId - Author's user ID
+   * @returns {Promise<Array<string>>}
+   */
+  async resolveMentions(text, authorId) {
+    const usernames = this.parseMentions(text);
+    if (usernames.length === 0) return [];
+
+    const users = await User.find({
+      username: { $in: usernames.map(username => new RegExp(`^${escapeRegex(username)}$`, 'i')) },
+      isActive: true
+    }).select('_id');
+
+    const candidates = users
+      .map(user => user._id.toString())
+      .filter(id => id !== authorId.toString());
+
+    const blocked = await Promise.all(candidates.map(id => blockService.isBlocked(authorId, id)));
+    return candidates.filter((id, index) => !blocked[index]);
+  }
+
+  /**
+   * Let mentioned users know, through notifications and push
+   * @param {Array<string>} userIds - Users to notify
+   * @param {Object} author - User who mentioned them
+   * @param {Object} data - { contentType, contentId, postId }
+   */
+  async notifyMentions(userIds, author, data) {
+    for (const userId of userIds) {
+      try {
+        await RealtimeService.handleMention(userId, author, data);
+      } catch (error) {
+        console.error('Mention notification error:', error);
+      }
+    }
+  }
+
+  /**
+   * Mentions added by an edit, who should now be notified
+   * @param {Array<string>} previous - User IDs mentioned before
+   * @param {Array<string>} current - User IDs mentioned now
+   * @returns {Array<string>}
+   */
+  getAddedMentions(previous = [], current) {
+    return current.filter(id => !previous.includes(id));
+  }
+}
+
+// Create singleton instance
+const mentionService = new MentionService();
+
+module.exports = mentionService;
@@ -0,0 +1,431 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const jwt = require('jsonwebtoken');
+const User = require('../models/mongodb/User');
+const OidcState = require('../models/mongodb/OidcState');
+const { createError } = require('../utils/errors');
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384', 'HS256'];
+
+/**
+ * OIDC service implementing the authorization code flow with PKCE
+ */
+class OidcService {
+  constructor() {
+    this.metadataCache = new Map();
+    this.jwksCache = new Map();
+  }
+
+  /**
+   * Make an HTTP request to an identity provider and parse the JSON response
+   * @param {string} url - Request URL
+   * @param {Object} options - { method, headers, body }
+   * @returns {Promise<Object>} Parsed response body
+   */
+  requestJson(url, { method = 'GET', headers = {}, body = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const client = target.protocol === 'https:' ? https : http;
+
+      const req = client.request(target, {
+        method,
+        headers: { Accept: 'application/json', ...headers },
+        timeout: 10000
+      }, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          let parsed;
+          try {
+            parsed = data ? JSON.parse(data) : {};
+          } catch (error) {
+            return reject(createError(`Invalid response from ${target.host}`, 'provider_error'));
+          }
+
+          if (res.statusCode >= 400) {
+            return reject(createError(
+              parsed.error_description || parsed.error || `Provider responded with ${res.statusCode}`,
+              'provider_error'
+            ));
+          }
+
+          resolve(parsed);
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error('Provider request timed out')));
+      req.on('error', error => reject(createError(error.message, 'provider_error')));
+
+      if (body) req.write(body);
+      req.end();
+    });
+  }
+
+  /**
+   * Resolve provider endpoints, using discovery for any not configured
+   * @param {Object} provider - Provider config
+   * @returns {Promise<Object>} Endpoints
+   */
+  async getMetadata(provider) {
+    const configured = {
+      authorizationEndpoint: provider.authorizationEndpoint,
+      tokenEndpoint: provider.tokenEndpoint,
+      jwksUri: provider.jwksUri,
+      userinfoEndpoint: provider.userinfoEndpoint
+    };
+
+    if (configured.authorizationEndpoint && configured.tokenEndpoint && configured.jwksUri) {
+      return configured;
+    }
+
+    if (!this.metadataCache.has(provider.issuer)) {
+      const discovery = await this.requestJson(`${provider.issuer}/.well-known/openid-configuration`);
+      this.metadataCache.set(provider.issuer, {
+        authorizationEndpoint: discovery.authorization_endpoint,
+        tokenEndpoint: discovery.token_endpoint,
+        jwksUri: discovery.jwks_uri,
+        userinfoEndpoint: discovery.userinfo_endpoint
+      });
+    }
+
+    const discovered = this.metadataCache.get(provider.issuer);
+    return Object.fromEntries(
+      Object.entries(discovered).map(([key, value]) => [key, configured[key] || value])
+    );
+  }
+
+  /**
+   * Find the public key an ID token was signed with
+   * @param {string} jwksUri - Provider JWKS endpoint
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<KeyObject>} Public key
+   */
+  async getSigningKey(jwksUri, kid) {
+    const findKey = keys => kid
+      ? keys.find(key => key.kid === kid)
+      : keys.find(key => !key.use || key.use === 'sig');
+
+    let jwk = this.jwksCache.has(jwksUri) ? findKey(this.jwksCache.get(jwksUri)) : null;
+
+    // Unknown key IDs usually mean the provider rotated keys, so refetch once
+    if (!jwk) {
+      const jwks = await this.requestJson(jwksUri);
+      this.jwksCache.set(jwksUri, jwks.keys || []);
+      jwk = findKey(this.jwksCache.get(jwksUri));
+    }
+
+    if (!jwk) {
+      throw createError('ID token signing key not found', 'invalid_token');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Start a login: store PKCE and nonce values and build the IdP URL
+   * @param {Object} provider - Provider config
+   * @returns {Promise<Object>} { authorizationUrl, state, expiresAt }
+   */
+  async createAuthorization(provider) {
+    const metadata = await this.getMetadata(provider);
+
+    const state = crypto.randomBytes(32).toString('base64url');
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    const expiresAt = new Date(Date.now() + STATE_TTL_MS);
+
+    await OidcState.create({
+      state,
+      provider: provider.id,
+      nonce,
+      codeVerifier,
+      redirectUri: provider.redirectUri,
+      expiresAt
+    });
+
+    const authorizationUrl = new URL(metadata.authorizationEndpoint);
+    const params = {
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: provider.redirectUri,
+      scope: provider.scopes.join(' '),
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    };
+    for (const [key, value] of Object.entries(params)) {
+      authorizationUrl.searchParams.set(key, value);
+    }
+
+    return {
+      authorizationUrl: authorizationUrl.toString(),
+      state,
+      expiresAt
+    };
+  }
+
+  /**
+   * Verify an ID token's signature, audience, issuer and nonce
+   * @param {Object} provider - Provider config
+   * @param {Object} metadata - Provider endpoints
+   * @param {string} idToken - ID token
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @returns {Promise<Object>} Token claims
+   */
+  async verifyIdToken(provider, metadata, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw createError('ID token is malformed', 'invalid_token');
+    }
+
+    const { alg, kid } = decoded.header;
+    if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+      throw createError(`Unsupported ID token algorithm: ${alg}`, 'invalid_token');
+    }
+
+    let key;
+    if (alg === 'HS256') {
+      if (!provider.clientSecret) {
+        throw createError('HS256 ID tokens require a client secret', 'invalid_token');
+      }
+      key = provider.clientSecret;
+    } else {
+      key = await this.getSigningKey(metadata.jwksUri, kid);
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: [alg],
+        audience: provider.clientId,
+        issuer: provider.issuer
+      });
+    } catch (error) {
+      throw createError(`ID token verification failed: ${error.message}`, 'invalid_token');
+    }
+
+    if (claims.nonce !== nonce) {
+      throw createError('ID token nonce does not match', 'invalid_token');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Finish a login: check state, redeem the code and return verified claims
+   * @param {Object} provider - Provider config
+   * @param {Object} params - { code, state } from the callback
+   * @returns {Promise<Object>} Identity claims
+   */
+  async handleCallback(provider, { code, state }) {
+    // Each state can be redeemed once
+    const pending = await OidcState.findOneAndDelete({
+      state,
+      provider: provider.id,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!pending) {
+      throw createError('Login request is invalid or has expired', 'invalid_state');
+    }
+
+    const metadata = await this.getMetadata(provider);
+
+    const form = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: pending.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: pending.codeVerifier
+    });
+    if (provider.clientSecret) {
+      form.set('client_secret', provider.clientSecret);
+    }
+
+    const body = form.toString();
+    const tokens = await this.requestJson(metadata.tokenEndpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': Buffer.byteLength(body)
+      },
+      body
+    });
+
+    if (!tokens.id_token) {
+      throw createError('Provider did not return an ID token', 'provider_error');
+    }
+
+    const claims = await this.verifyIdToken(provider, metadata, tokens.id_token, pending.nonce);
+
+    // Userinfo can carry claims (like department) that are left out of the ID token
+    if (metadata.userinfoEndpoint && tokens.access_token) {
+      try {
+        const userinfo = await this.requestJson(metadata.userinfoEndpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` }
+        });
+        if (userinfo.sub === claims.sub) {
+          return { ...userinfo, ...claims };
+        }
+      } catch (error) {
+        console.warn(`OIDC userinfo request failed for ${provider.id}:`, error.message);
+      }
+    }
+
+    return claims;
+  }
+
+  /**
+   * Read profile attributes from claims using the provider's claim mapping
+   * @param {Object} provider - Provider config
+   * @param {Object} claims - Identity claims
+   * @returns {Object} { department, year }
+   */
+  mapClaims(provider, claims) {
+    const readClaim = (claimPath) => {
+      if (!claimPath) return undefined;
+      const value = claimPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), claims);
+      return Array.isArray(value) ? value[0] : value;
+    };
+
+    const mapped = {};
+
+    const department = readClaim(provider.claimMapping.department);
+    if (typeof department === 'string' && department.trim()) {
+      mapped.department = department.trim().slice(0, 100);
+    }
+
+    const year = parseInt(readClaim(provider.claimMapping.year));
+    if (year >= 1 && year <= 6) {
+      mapped.year = year;
+    }
+
+    return mapped;
+  }
+
+  /**
+   * Fill in profile attributes the user hasn't set themselves
+   * @param {Object} user - User document
+   * @param {Object} mapped - Attributes from mapClaims
+   */
+  applyMappedClaims(user, mapped) {
+    if (mapped.department && !user.department) {
+      user.department = mapped.department;
+    }
+    if (mapped.year && !user.year) {
+      user.year = mapped.year;
+    }
+  }
+
+  /**
+   * Pick a free username based on the IdP's preferred username or email
+   * @param {Object} claims - Identity claims
+   * @returns {Promise<string>} Username
+   */
+  async generateUsername(claims) {
+    let base = (claims.preferred_username || claims.email.split('@')[0])
+      .replace(/[^a-zA-Z0-9_]/g, '_')
+      .slice(0, 24);
+    if (base.length < 3) {
+      base = `user_${base}`;
+    }
+
+    let candidate = base;
+    for (let attempt = 0; attempt < 10; attempt++) {
+      if (!(await User.exists({ username: candidate }))) {
+        return candidate;
+      }
+      candidate = `${base}_${crypto.randomInt(1000, 10000)}`;
+    }
+
+    return `${base.slice(0, 18)}_${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Find, link or create the user for a verified identity
+   * @param {Object} provider - Provider config
+   * @param {Object} claims - Identity claims
+   * @returns {Promise<Object>} { user, created, linked }
+   */
+  async resolveUser(provider, claims) {
+    if (!claims.sub) {
+      throw createError('ID token has no subject', 'invalid_token');
+    }
+
+    const email = typeof claims.email === 'string' ? claims.email.toLowerCase() : null;
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    const mapped = this.mapClaims(provider, claims);
+
+    if (provider.allowedDomains.length > 0) {
+      const domain = email ? email.split('@')[1] : null;
+      if (!provider.allowedDomains.includes(domain)) {
+        throw createError('Email domain is not allowed for this provider', 'domain_not_allowed');
+      }
+    }
+
+    const identity = { provider: provider.id, subject: String(claims.sub) };
+
+    // Returning user
+    let user = await User.findOne({ identities: { $elemMatch: identity } });
+    if (user) {
+      this.applyMappedClaims(user, mapped);
+      await user.save();
+      return { user, created: false, linked: false };
+    }
+
+    if (!email) {
+      throw createError('Provider did not share an email address', 'missing_email');
+    }
+
+    // Existing password account, only linked when the IdP vouches for the email
+    user = await User.findOne({ email });
+    if (user) {
+      if (!emailVerified) {
+        throw createError(
+          'An account with this email already exists. Sign in with your password to continue.',
+          'email_not_verified'
+        );
+      }
+
+      user.identities.push({ ...identity, email, linkedAt: new Date() });
+      user.isVerified = true;
+      user.isEmailVerified = true;
+      this.applyMappedClaims(user, mapped);
+      await user.save();
+      return { user, created: false, linked: true };
+    }
+
+    const [nameFirst, ...nameRest] = (claims.name || '').trim().split(/\s+/);
+    const fitName = value => {
+      const name = (value || '').trim().slice(0, 50);
+      return name.length >= 2 ? name : 'User';
+    };
+
+    user = new User({
+      email,
+      // SSO accounts have no usable password until the user sets one through a reset
+      password: crypto.randomBytes(32).toString('hex'),
+      firstName: fitName(claims.given_name || nameFirst),
+      lastName: fitName(claims.family_name || nameRest.join(' ')),
+      username: await this.generateUsername({ ...claims, email }),
+      department: mapped.department || '',
+      year: mapped.year || null,
+      isVerified: emailVerified,
+      isEmailVerified: emailVerified,
+      identities: [{ ...identity, email, linkedAt: new Date() }]
+    });
+    await user.save();
+
+    return { user, created: true, linked: false };
+  }
+}
+
+// Create singleton instance
+const oidcService = new OidcService();
+
+module.exports = oidcService;
@@ -0,0 +1,208 @@
+const User = require('../models/mongodb/User');
+const UserKeys = require('../models/mongodb/UserKeys');
+const emailService = require('./emailService');
+const pushNotificationService = require('./pushNotificationService');
+const membershipService = require('./membershipService');
+
+const MIN_SKILLS = 3;
+const MIN_INTERESTS = 3;
+const MIN_FOLLOWING = 3;
+
+// Weights add up to 100; the profile fields the feed ranks on count most
+const STEPS = [
+  { id: 'add_photo', label: 'Add a profile photo', weight: 10, isDone: (user) => Boolean(user.profileImage) },
+  { id: 'write_bio', label: 'Write a short bio', weight: 15, isDone: (user) => Boolean(user.bio && user.bio.trim()) },
+  { id: 'add_department', label: 'Add your department and year', weight: 10, isDone: (user) => Boolean(user.department && user.year) },
+  { id: 'add_skills', label: `Add at least ${MIN_SKILLS} skills`, weight: 15, isDone: (user) => (user.skills || []).length >= MIN_SKILLS },
+  { id: 'add_interests', label: `Add at least ${MIN_INTERESTS} interests`, weight: 15, isDone: (user) => (user.interests || []).length >= MIN_INTERESTS },
+  { id: 'add_social_links', label: 'Link a social or portfolio profile', weight: 5, isDone: (user) => Object.values(user.socialLinks || {}).some(Boolean) },
+  { id: 'join_club', label: 'Join a club', weight: 10, isDone: (user, activity) => activity.hasJoinedClub },
+  { id: 'generate_keys', label: 'Generate your encryption keys', weight: 10, isDone: (user, activity) => activity.hasKeys },
+  { id: 'follow_people', label: `Follow ${MIN_FOLLOWING} people`, weight: 10, isDone: (user) => (user.following || []).length >= MIN_FOLLOWING }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Profile completeness and the onboarding checklist.
+ *
+ * The score is the weighted share of checklist steps done, stored on
+ * User.profileCompleteness whenever it is computed. Users who haven't finished a
+ * day after signing up get a few spaced-out reminders by email and push, unless
+ * they dismiss the checklist or turned those notifications off. Only accounts
+ * with onboarding.startedAt, i.e. created since the checklist existed, are
+ * reminded; the sweep goes through them in batches.
+ */
+class OnboardingService {
+  constructor() {
+    this.reminders = {
+      firstAfterDays: 1,
+      intervalDays: 3,
+      max: 3,
+      batchSize: 100
+    };
+  }
+
+  /**
+   * Work out the checklist for a user and store the resulting score
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} { score, completed, dismissed, steps, nextStep }
+   */
+  async getChecklist(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      return null;
+    }
+
+    return this.refresh(user);
+  }
+
+  /**
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Checklist, see getChecklist
+   */
+  async refresh(user) {
+    const [hasJoinedClub, hasKeys] = await Promise.all([
+      this.hasJoinedClub(user._id),
+      UserKeys.exists({ userId: user._id })
+    ]);
+    const checklist = this.buildChecklist(user, { hasJoinedClub, hasKeys: Boolean(hasKeys) });
+
+    const update = { profileCompleteness: checklist.score };
+    if (checklist.completed && !user.onboarding?.completedAt) {
+      update['onboarding.completedAt'] = new Date();
+    }
+    if (user.profileCompleteness !== checklist.score || update['onboarding.completedAt']) {
+      await User.updateOne({ _id: user._id }, { $set: update });
+    }
+
+    return checklist;
+  }
+
+  /**
+   * @param {Object} user - User document or plain object
+   * @param {Object} activity - { hasJoinedClub, hasKeys }
+   * @returns {Object} Checklist, see getChecklist
+   */
+  buildChecklist(user, activity) {
+    const steps = STEPS.map(step => ({
+      id: step.id,
+      label: step.label,
+      weight: step.weight,
+      done: step.isDone(user, activity)
+    }));
+    const score = steps.reduce((total, step) => total + (step.done ? step.weight : 0), 0);
+    const nextStep = steps.find(step => !step.done) || null;
+
+    return {
+      score,
+      completed: !nextStep,
+      dismissed: Boolean(user.onboarding?.dismissedAt),
+      steps,
+      nextStep
+    };
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Whether the user leads or belongs to any club
+   */
+  async hasJoinedClub(userId) {
+    return membershipService.hasAny(userId, 'club');
+  }
+
+  /**
+   * Hide the checklist and stop reminders
+   * @param {string} userId - User ID
+   */
+  async dismiss(userId) {
+    await User.updateOne({ _id: userId }, { $set: { 'onboarding.dismissedAt': new Date() } });
+  }
+
+  /**
+   * Remind users who haven't finished onboarding, spacing reminders out
+   * @returns {Promise<number>} Number of users reminded
+   */
+  async sendReminders() {
+    const now = Date.now();
+    const filter = {
+      isActive: true,
+      'deletion.scheduledFor': null,
+      'onboarding.startedAt': { $lte: new Date(now - this.reminders.firstAfterDays * DAY_MS) },
+      'onboarding.completedAt': null,
+      'onboarding.dismissedAt': null,
+      'onboarding.remindersSent': { $not: { $gte: this.reminders.max } },
+      $or: [
+        { 'onboarding.lastReminderAt': null },
+        { 'onboarding.lastReminderAt': { $lte: new Date(now - this.reminders.intervalDays * DAY_MS) } }
+      ]
+    };
+    let reminded = 0;
+    let lastId = null;
+
+    for (;;) {
+      const users = await User.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+        .sort({ _id: 1 })
+        .limit(this.reminders.batchSize);
+      if (users.length === 0) break;
+      lastId = users[users.length - 1]._id;
+
+      for (const user of users) {
+        try {
+          const checklist = await this.refresh(user);
+          if (checklist.completed) continue;
+
+          await this.remind(user, checklist);
+          await User.updateOne(
+            { _id: user._id },
+            { $set: { 'onboarding.lastReminderAt': new Date() }, $inc: { 'onboarding.remindersSent': 1 } }
+          );
+          reminded++;
+        } catch (error) {
+          console.error(`Onboarding reminder error for ${user._id}:`, error);
+        }
+      }
+    }
+
+    return reminded;
+  }
+
+  /**
+   * Send one reminder through the channels the user allows
+   * @param {Object} user - User document
+   * @param {Object} checklist - Output of buildChecklist
+   */
+  async remind(user, checklist) {
+    const notifications = user.preferences?.notifications || {};
+    const sends = [];
+
+    if (notifications.email !== false) {
+      sends.push(emailService.sendOnboardingReminderEmail(user, checklist));
+    }
+    if (notifications.push !== false) {
+      sends.push(pushNotificationService.sendOnboardingReminderNotification(user._id, checklist));
+    }
+
+    await Promise.all(sends);
+  }
+
+  /**
+   * Start the daily reminder sweep
+   */
+  start() {
+    if (this.sweepInterval) return;
+
+    const sweep = () => this.sendReminders().catch(error => {
+      console.error('Onboarding reminder sweep error:', error);
+    });
+
+    sweep();
+    this.sweepInterval = setInterval(sweep, DAY_MS);
+    this.sweepInterval.unref();
+  }
+}
+
+// Create singleton instance
+const onboardingService = new OnboardingService();
+
+module.exports = onboardingService;
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const PersonalAccessToken = require('../models/mongodb/PersonalAccessToken');
+const { SCOPES } = require('../config/tokenScopes');
+const { createError } = require('../utils/errors');
+
+const TOKEN_PREFIX = 'nxp_';
+const MAX_ACTIVE_TOKENS = 20;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Personal access token service for scripted API access
+ */
+class PersonalAccessTokenService {
+  constructor() {
+    this.tokenPrefix = TOKEN_PREFIX;
+    this.maxExpiryDays = 365;
+    this.defaultExpiryDays = 30;
+  }
+
+  /**
+   * Check whether a bearer token looks like a personal access token
+   * @param {string} token - Bearer token
+   * @returns {boolean}
+   */
+  isPersonalAccessToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  /**
+   * Hash a token for storage and lookup
+   * @param {string} token - Full token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Find scopes that aren't in the registry
+   * @param {Array<string>} scopes - Requested scopes
+   * @returns {Array<string>} Unknown scopes
+   */
+  getInvalidScopes(scopes) {
+    return scopes.filter(scope => !SCOPES.includes(scope));
+  }
+
+  /**
+   * Create a token for a user
+   * @param {string} userId - Owner
+   * @param {Object} options - { name, scopes, expiresInDays }
+   * @returns {Promise<Object>} { token, record } - token is only available here
+   */
+  async createToken(userId, { name, scopes, expiresInDays = this.defaultExpiryDays }) {
+    const activeCount = await PersonalAccessToken.countDocuments({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (activeCount >= MAX_ACTIVE_TOKENS) {
+      throw createError(`You can have at most ${MAX_ACTIVE_TOKENS} active tokens`, 'token_limit');
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const record = await PersonalAccessToken.create({
+      userId,
+      name,
+      tokenHash: this.hashToken(token),
+      tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    return { token, record };
+  }
+
+  /**
+   * Look up an active token without recording its use
+   * @param {string} token - Full token
+   * @returns {Promise<Object|null>} Token record, or null when unknown, expired or revoked
+   */
+  async findActiveToken(token) {
+    const record = await PersonalAccessToken.findOne({ tokenHash: this.hashToken(token) });
+    return record && record.isActive() ? record : null;
+  }
+
+  /**
+   * Look up an active token and record its use
+   * @param {string} token - Full token
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Object|null>} Token record, or null when unknown, expired or revoked
+   */
+  async authenticate(token, ipAddress) {
+    const record = await this.findActiveToken(token);
+
+    if (!record) {
+      return null;
+    }
+
+    // Avoid a write on every request from busy scripts
+    const now = new Date();
+    if (!record.lastUsedAt || now - record.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+      await PersonalAccessToken.updateOne(
+        { _id: record._id },
+        { lastUsedAt: now, lastUsedIp: ipAddress || null }
+      );
+    }
+
+    return record;
+  }
+
+  /**
+   * List a user's tokens, newest first
+   * @param {string} userId - Owner
+   * @returns {Promise<Array>}
+   */
+  async listTokens(userId) {
+    return PersonalAccessToken.find({ userId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke one of a user's tokens
+   * @param {string} userId - Owner
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<boolean>} Whether a token was revoked
+   */
+  async revokeToken(userId, tokenId) {
+    const result = await PersonalAccessToken.updateOne(
+      { _id: tokenId, userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every token a user owns
+   * @param {string} userId - Owner
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeAllTokens(userId) {
+    const result = await PersonalAccessToken.updateMany(
+      { userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+// Create singleton instance
+const personalAccessTokenService = new PersonalAccessTokenService();
+
+module.exports = personalAccessTokenService;
@@ -0,0 +1,330 @@
+const User = require('../models/mongodb/User');
+const {
+  dynamodb,
+  getItem,
+  deleteItem,
+  queryPage,
+  queryAllItems
+} = require('../config/dynamodb');
+const { deleteCache, CACHE_KEYS } = require('../config/redis');
+const { createError } = require('../utils/errors');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+
+const POLL_VOTES_TABLE = process.env.DYNAMODB_POLL_VOTES_TABLE || 'networkx-poll-votes';
+const POSTS_TABLE = process.env.DYNAMODB_POSTS_TABLE || 'networkx-posts';
+
+const VOTER_FIELDS = 'firstName lastName username profileImage';
+
+/**
+ * Polls attached to posts.
+ *
+ * The poll lives on the post item in `poll`, with a running count per option in
+ * `poll.counts`. Each user's vote is a separate item in the poll votes table,
+ * written in the same transaction as the counts, with a condition so a user can
+ * only vote once even if they send two votes at the same time.
+ *
+ * Results are hidden from everyone but the author while an open poll has
+ * `hideResultsUntilClosed` set; anything that returns posts should pass them
+ * through presentPost. Who voted is never shown for anonymous polls.
+ */
+class PollService {
+  constructor() {
+    this.settings = {
+      minOptions: 2,
+      maxOptions: 10,
+      maxOptionLength: 100,
+      defaultPageSize: 20,
+      maxPageSize: 50
+    };
+  }
+
+  /**
+   * Validate a poll sent with a new post
+   * @param {Object} input - { options, multipleChoice, anonymous, hideResultsUntilClosed, closesAt }
+   * @returns {Object} The poll to store on the post
+   */
+  createPoll(input) {
+    if (!input || typeof input !== 'object' || !Array.isArray(input.options)) {
+      throw createError('Poll options are required', 'invalid_poll', 400);
+    }
+
+    const { minOptions, maxOptions, maxOptionLength } = this.settings;
+    const texts = input.options.map(option => (typeof option === 'string' ? option.trim() : ''));
+
+    if (texts.length < minOptions || texts.length > maxOptions) {
+      throw createError(`A poll needs between ${minOptions} and ${maxOptions} options`, 'invalid_poll', 400);
+    }
+    if (texts.some(text => text.length === 0 || text.length > maxOptionLength)) {
+      throw createError(`Poll options must be between 1 and ${maxOptionLength} characters`, 'invalid_poll', 400);
+    }
+    if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+      throw createError('Poll options must be different', 'invalid_poll', 400);
+    }
+
+    let closesAt = null;
+    if (input.closesAt) {
+      const date = new Date(input.closesAt);
+      if (isNaN(date.getTime()) || date <= new Date()) {
+        throw createError('Poll close time must be in the future', 'invalid_poll', 400);
+      }
+      closesAt = date.toISOString();
+    }
+
+    const hideResultsUntilClosed = input.hideResultsUntilClosed === true;
+    if (hideResultsUntilClosed && !closesAt) {
+      throw createError('Results can only be hidden on a poll with a close time', 'invalid_poll', 400);
+    }
+
+    const options = texts.map((text, index) => ({ optionId: `o${index + 1}`, text }));
+
+    return {
+      options,
+      multipleChoice: input.multipleChoice === true,
+      anonymous: input.anonymous === true,
+      hideResultsUntilClosed,
+      closesAt,
+      counts: Object.fromEntries(options.map(option => [option.optionId, 0])),
+      totalVotes: 0,
+      voterCount: 0
+    };
+  }
+
+  /**
+   * createPoll for a poll from a request body, where multipart requests send it as a JSON string
+   * @param {Object|string} raw - Poll from the request body
+   * @returns {Object} The poll to store on the post
+   */
+  parsePoll(raw) {
+    let input = raw;
+    if (typeof raw === 'string') {
+      try {
+        input = JSON.parse(raw);
+      } catch (error) {
+        throw createError('Poll must be valid JSON', 'invalid_poll', 400);
+      }
+    }
+    return this.createPoll(input);
+  }
+
+  isClosed(poll, now = new Date()) {
+    return Boolean(poll.closesAt) && new Date(poll.closesAt) <= now;
+  }
+
+  /**
+   * @param {Object} post - Post with a poll
+   * @param {string|null} viewerId - ID of the user reading, or null for everyone
+   * @returns {boolean}
+   */
+  canSeeResults(post, viewerId) {
+    if (!post.poll.hideResultsUntilClosed || this.isClosed(post.poll)) return true;
+    return Boolean(viewerId) && viewerId.toString() === String(post.userId);
+  }
+
+  /**
+   * A post as a given viewer should see it, with hidden poll results removed
+   * @param {Object} post - Post item
+   * @param {string|null} viewerId - ID of the user reading, or null for everyone
+   * @param {Array<string>|null} [userVote] - The viewer's vote, when it's been looked up
+   * @returns {Object}
+   */
+  presentPost(post, viewerId, userVote) {
+    if (!post || !post.poll) return post;
+
+    const { counts, totalVotes, voterCount, ...poll } = post.poll;
+    const resultsVisible = this.canSeeResults(post, viewerId);
+
+    const presented = {
+      ...poll,
+      options: poll.options.map(option => ({
+        ...option,
+        votes: resultsVisible ? counts[option.optionId] || 0 : null
+      })),
+      totalVotes: resultsVisible ? totalVotes : null,
+      voterCount: resultsVisible ? voterCount : null,
+      closed: this.isClosed(post.poll),
+      resultsVisible
+    };
+    if (userVote !== undefined) presented.userVote = userVote;
+
+    return { ...post, poll: presented };
+  }
+
+  /**
+   * presentPost, with the viewer's own vote looked up
+   * @param {Object} post - Post item
+   * @param {string} viewerId - ID of the user reading
+   * @returns {Promise<Object>}
+   */
+  async presentPostWithVote(post, viewerId) {
+    if (!post || !post.poll) return post;
+    return this.presentPost(post, viewerId, await this.getVote(post.postId, viewerId.toString()));
+  }
+
+  /**
+   * @param {string} postId - Post ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>|null>} Option IDs the user voted for, if they voted
+   */
+  async getVote(postId, userId) {
+    const vote = await getItem(POLL_VOTES_TABLE, { postId, userId });
+    return vote ? vote.optionIds : null;
+  }
+
+  /**
+   * Vote on a post's poll. Each user votes once.
+   * @param {Object} post - Post with a poll
+   * @param {string} userId - User voting
+   * @param {Array<string>} optionIds - Options chosen
+   * @returns {Promise<Object>} { post, optionIds } - The updated post and the options counted
+   */
+  async vote(post, userId, optionIds) {
+    const { poll } = post;
+    if (!poll) {
+      throw createError('This post has no poll', 'poll_not_found', 404);
+    }
+    if (this.isClosed(poll)) {
+      throw createError('This poll has closed', 'poll_closed', 400);
+    }
+
+    const selected = this.validateSelection(poll, optionIds);
+    const now = new Date().toISOString();
+
+    const names = { '#poll': 'poll', '#counts': 'counts' };
+    const sets = selected.map((optionId, index) => {
+      names[`#o${index}`] = optionId;
+      return `#poll.#counts.#o${index} = #poll.#counts.#o${index} + :one`;
+    });
+
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: [
+          {
+            Put: {
+              TableName: POLL_VOTES_TABLE,
+              Item: { postId: post.postId, userId, optionIds: selected, createdAt: now, updatedAt: now },
+              ConditionExpression: 'attribute_not_exists(userId)'
+            }
+          },
+          {
+            Update: {
+              TableName: POSTS_TABLE,
+              Key: { postId: post.postId },
+              ConditionExpression: 'attribute_exists(#poll)',
+              UpdateExpression: `SET ${sets.join(', ')}, #poll.totalVotes = #poll.totalVotes + :selected, #poll.voterCount = #poll.voterCount + :one, updatedAt = :updatedAt`,
+              ExpressionAttributeNames: names,
+              ExpressionAttributeValues: { ':one': 1, ':selected': selected.length, ':updatedAt': now }
+            }
+          }
+        ]
+      }).promise();
+    } catch (error) {
+      // The cancellation doesn't say which condition failed, so look for the vote
+      if (error.code === 'TransactionCanceledException' && await this.getVote(post.postId, userId)) {
+        throw createError('You have already voted in this poll', 'already_voted', 409);
+      }
+      throw error;
+    }
+
+    await deleteCache(CACHE_KEYS.POST_DETAILS(post.postId));
+    const updated = await getItem(POSTS_TABLE, { postId: post.postId });
+    return { post: updated, optionIds: selected };
+  }
+
+  // Check the chosen options against the poll, returning them without repeats
+  validateSelection(poll, optionIds) {
+    const selected = Array.isArray(optionIds) ? [...new Set(optionIds)] : [];
+    const valid = poll.options.map(option => option.optionId);
+
+    if (selected.length === 0 || selected.some(optionId => !valid.includes(optionId))) {
+      throw createError('Choose one or more of the poll options', 'invalid_vote', 400);
+    }
+    if (!poll.multipleChoice && selected.length > 1) {
+      throw createError('This poll only allows one choice', 'invalid_vote', 400);
+    }
+    return selected;
+  }
+
+  /**
+   * Who voted, newest first
+   * @param {Object} post - Post with a poll
+   * @param {string} viewerId - ID of the user reading
+   * @param {Object} options - { optionId, cursor, limit }
+   * @returns {Promise<Object>} { voters: [{ user, optionIds, votedAt }], nextCursor }
+   */
+  async listVoters(post, viewerId, { optionId = null, cursor = null, limit = this.settings.defaultPageSize } = {}) {
+    if (post.poll.anonymous) {
+      throw createError('Votes in this poll are anonymous', 'anonymous_poll', 403);
+    }
+    if (!this.canSeeResults(post, viewerId)) {
+      throw createError('Results are hidden until the poll closes', 'results_hidden', 403);
+    }
+
+    const values = { ':postId': post.postId };
+    if (optionId) values[':optionId'] = optionId;
+
+    const { items, lastKey } = await queryPage(
+      POLL_VOTES_TABLE,
+      'postId = :postId',
+      values,
+      {
+        indexName: 'PostVotesIndex',
+        limit,
+        startKey: cursor ? decodeCursor(cursor, ['postId', 'userId']) : null,
+        filterExpression: optionId ? 'contains(optionIds, :optionId)' : null
+      }
+    );
+
+    const users = await User.find({ _id: { $in: items.map(item => item.userId) } }).select(VOTER_FIELDS);
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    return {
+      voters: items
+        .filter(item => usersById.has(item.userId))
+        .map(item => ({
+          user: usersById.get(item.userId),
+          optionIds: item.optionIds,
+          votedAt: item.createdAt
+        })),
+      nextCursor: lastKey ? encodeCursor(lastKey) : null
+    };
+  }
+
+  // Votes of a post that's being deleted
+  async deleteForPost(postId) {
+    const votes = await queryAllItems(POLL_VOTES_TABLE, 'postId = :postId', { ':postId': postId });
+
+    for (const vote of votes) {
+      await deleteItem(POLL_VOTES_TABLE, { postId, userId: vote.userId });
+    }
+    return votes.length;
+  }
+
+  /**
+   * Every poll vote a user cast, for their data export
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async collectForUser(userId) {
+    return queryAllItems(POLL_VOTES_TABLE, 'userId = :userId', { ':userId': userId }, 'UserVotesIndex');
+  }
+
+  /**
+   * Delete a user's vote records, for account erasure. The poll counts are
+   * kept: they don't say who voted, and closed polls shouldn't change.
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Votes removed
+   */
+  async eraseUser(userId) {
+    const votes = await this.collectForUser(userId);
+
+    for (const vote of votes) {
+      await deleteItem(POLL_VOTES_TABLE, { postId: vote.postId, userId });
+    }
+    return votes.length;
+  }
+}
+
+// Create singleton instance
+const pollService = new PollService();
+
+module.exports = pollService;
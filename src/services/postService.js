@@ -0,0 +1,73 @@
+const { v4: uuidv4 } = require('uuid');
+const { putItem } = require('../config/dynamodb');
+const { invalidatePostCache } = require('../config/redis');
+const User = require('../models/mongodb/User');
+const reactionService = require('./reactionService');
+const hashtagService = require('./hashtagService');
+const mentionService = require('./mentionService');
+
+const POSTS_TABLE = process.env.DYNAMODB_POSTS_TABLE || 'networkx-posts';
+
+/**
+ * Publishing posts.
+ *
+ * POST /api/posts and the scheduled post worker both publish through
+ * createPost, so a scheduled post is indexed, reaches feeds and notifies
+ * mentioned users exactly like one posted straight away.
+ */
+class PostService {
+  /**
+   * Save a post, index its hashtags, refresh feeds and notify mentioned users
+   * @param {Object} author - Author, shaped like req.user
+   * @param {Object} fields - { postId, content, tags, mediaUrls, location, visibility, poll }
+   * @returns {Promise<Object>} The post, with its author
+   */
+  async createPost(author, { postId = uuidv4(), content, tags = [], mediaUrls = [], location = null, visibility = 'public', poll = null }) {
+    // Tags sent with the post are kept as entered; valid ones and #hashtags in its text are indexed
+    const postTags = hashtagService.cleanTags(tags);
+    const hashtags = hashtagService.mergeTags(postTags, hashtagService.parseHashtags(content));
+    const mentions = await mentionService.resolveMentions(content, author.id);
+
+    const post = {
+      postId,
+      userId: author.id,
+      content: content.trim(),
+      mediaUrls,
+      tags: postTags,
+      hashtags,
+      mentions,
+      type: poll ? 'poll' : 'text',
+      poll,
+      location: location || null,
+      visibility,
+      likes: 0,
+      comments: 0,
+      shares: 0,
+      reactions: reactionService.emptyCounts(),
+      reactionCount: 0,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await putItem(POSTS_TABLE, post);
+    await hashtagService.indexContent('post', postId, hashtags, author.id);
+
+    // Get user details
+    const user = await User.findById(author.id).select('firstName lastName username profileImage');
+
+    // Invalidate cache, feeds included
+    await invalidatePostCache(postId, author.id);
+
+    await mentionService.notifyMentions(mentions, author, { contentType: 'post', contentId: postId, postId });
+
+    return {
+      ...post,
+      author: user
+    };
+  }
+}
+
+// Create singleton instance
+const postService = new PostService();
+
+module.exports = postService;
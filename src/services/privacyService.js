@@ -0,0 +1,126 @@
+const VISIBILITY = {
+  PUBLIC: 'public',
+  FRIENDS: 'friends',
+  PRIVATE: 'private'
+};
+
+// Fields the policy needs to decide; add them to any User query whose results go through it
+const PRIVACY_FIELDS = 'preferences.privacy followers following';
+
+// What a viewer who can't see a profile still gets, so names in threads and lists resolve
+const LIMITED_PROFILE_FIELDS = ['_id', 'username', 'firstName', 'lastName', 'profileImage'];
+
+/**
+ * Profile privacy policy built on User.preferences.privacy.
+ *
+ * - public: anyone can see the profile
+ * - friends: only users the owner follows and who follow the owner back
+ * - private: only the owner and followers they approved through a follow request
+ *
+ * Hidden profiles are left out of search, suggestions and member lists, and shown
+ * as a limited card where they're embedded (post authors, club presidents...).
+ * Email and location are redacted unless showEmail/showLocation allow them.
+ */
+class PrivacyService {
+  /**
+   * @param {Object} user - User document or plain object
+   * @returns {string} The user's profile visibility
+   */
+  getVisibility(user) {
+    return user?.preferences?.privacy?.profileVisibility || VISIBILITY.PUBLIC;
+  }
+
+  includesId(ids, id) {
+    return (ids || []).some(item => item.toString() === id.toString());
+  }
+
+  /**
+   * Whether a viewer may see a user's full profile
+   * @param {Object} user - User loaded with PRIVACY_FIELDS
+   * @param {string} viewerId - ID of the user looking
+   * @returns {boolean}
+   */
+  canViewProfile(user, viewerId) {
+    if (viewerId && user._id.toString() === viewerId.toString()) {
+      return true;
+    }
+
+    switch (this.getVisibility(user)) {
+      case VISIBILITY.PUBLIC:
+        return true;
+      case VISIBILITY.FRIENDS:
+        return Boolean(viewerId) &&
+          this.includesId(user.following, viewerId) &&
+          this.includesId(user.followers, viewerId);
+      case VISIBILITY.PRIVATE:
+        return Boolean(viewerId) && this.includesId(user.followers, viewerId);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Mongo filter matching users a viewer may discover in search and suggestions
+   * @param {string} viewerId - ID of the user looking
+   * @returns {Object}
+   */
+  getDiscoverableFilter(viewerId) {
+    return {
+      $or: [
+        { 'preferences.privacy.profileVisibility': { $in: [VISIBILITY.PUBLIC, null] } },
+        { 'preferences.privacy.profileVisibility': VISIBILITY.FRIENDS, following: viewerId, followers: viewerId },
+        { 'preferences.privacy.profileVisibility': VISIBILITY.PRIVATE, followers: viewerId },
+        { _id: viewerId }
+      ]
+    };
+  }
+
+  /**
+   * Apply the policy to one profile
+   * @param {Object} user - User loaded with PRIVACY_FIELDS
+   * @param {string} viewerId - ID of the user looking
+   * @returns {Object} Plain profile, limited to a card when the viewer can't see it
+   */
+  redactProfile(user, viewerId) {
+    const profile = typeof user.toJSON === 'function' ? user.toJSON() : { ...user };
+    const isSelf = viewerId && profile._id.toString() === viewerId.toString();
+
+    if (!this.canViewProfile(user, viewerId)) {
+      const limited = { isPrivate: true };
+      LIMITED_PROFILE_FIELDS.forEach(field => {
+        if (profile[field] !== undefined) limited[field] = profile[field];
+      });
+      return limited;
+    }
+
+    const privacy = user?.preferences?.privacy || {};
+    if (!isSelf && !privacy.showEmail) delete profile.email;
+    if (!isSelf && privacy.showLocation === false) delete profile.location;
+
+    // Only loaded so the policy could decide
+    delete profile.preferences;
+    delete profile.followers;
+    delete profile.following;
+
+    return profile;
+  }
+
+  /**
+   * Apply the policy to a list, dropping profiles the viewer can't see
+   * @param {Array} users - Users loaded with PRIVACY_FIELDS
+   * @param {string} viewerId - ID of the user looking
+   * @returns {Array} Redacted profiles
+   */
+  filterVisible(users, viewerId) {
+    return users
+      .filter(user => user && this.canViewProfile(user, viewerId))
+      .map(user => this.redactProfile(user, viewerId));
+  }
+}
+
+// Create singleton instance
+const privacyService = new PrivacyService();
+
+module.exports = privacyService;
+module.exports.VISIBILITY = VISIBILITY;
+module.exports.PRIVACY_FIELDS = PRIVACY_FIELDS;
@@ -0,0 +1,178 @@
+const User = require('../models/mongodb/User');
+const ProfileView = require('../models/mongodb/ProfileView');
+const blockService = require('./blockService');
+
+const VIEWER_FIELDS = 'firstName lastName username profileImage preferences.privacy.shareProfileViews';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Profile view tracking behind "who viewed my profile".
+ *
+ * Each viewer counts once per profile per UTC day, and views are kept for
+ * retentionDays before a TTL index removes them. Viewers who turned off
+ * preferences.privacy.shareProfileViews, and users blocked either way, are
+ * counted but never listed.
+ */
+class ProfileViewService {
+  constructor() {
+    this.retentionDays = 90;
+    this.recentViewersLimit = 20;
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {string} YYYY-MM-DD in UTC
+   */
+  toDay(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * @param {Object} viewer - User loaded with preferences.privacy
+   * @returns {boolean} Whether the viewer lets profile owners see their visits
+   */
+  sharesViews(viewer) {
+    return viewer?.preferences?.privacy?.shareProfileViews !== false;
+  }
+
+  /**
+   * Record a profile view, once per viewer per day
+   * @param {string} profileId - User whose profile was viewed
+   * @param {string} viewerId - User who viewed it
+   */
+  async recordView(profileId, viewerId) {
+    if (profileId.toString() === viewerId.toString()) return;
+
+    const viewer = await User.findById(viewerId).select('preferences.privacy.shareProfileViews');
+    if (!viewer) return;
+
+    const now = new Date();
+    try {
+      await ProfileView.updateOne(
+        { profileId, viewerId, day: this.toDay(now) },
+        {
+          $set: { viewedAt: now, anonymous: !this.sharesViews(viewer) },
+          $setOnInsert: { expiresAt: new Date(now.getTime() + this.retentionDays * DAY_MS) }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A concurrent view from the same viewer already created today's record
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * View counts over time and recent viewers for a profile
+   * @param {string} userId - Profile owner
+   * @param {Object} options - { days }
+   * @returns {Promise<Object>} { days, total, uniqueViewers, anonymous, daily, recentViewers }
+   */
+  async getInsights(userId, { days = 30 } = {}) {
+    const today = new Date();
+    const dates = Array.from({ length: days }, (_, index) =>
+      this.toDay(new Date(today.getTime() - (days - 1 - index) * DAY_MS))
+    );
+
+    const [views, blockedIds] = await Promise.all([
+      ProfileView.find({ profileId: userId, day: { $gte: dates[0] } })
+        .sort({ viewedAt: -1 })
+        .populate('viewerId', VIEWER_FIELDS),
+      blockService.getBlockedIds(userId)
+    ]);
+
+    const counts = new Map(dates.map(date => [date, 0]));
+    const viewerIds = new Set();
+    const recentViewers = [];
+    let anonymous = 0;
+
+    views.forEach(view => {
+      counts.set(view.day, (counts.get(view.day) || 0) + 1);
+
+      const viewer = view.viewerId;
+      if (!viewer) return;
+
+      const viewerKey = viewer._id.toString();
+      const isFirstVisit = !viewerIds.has(viewerKey);
+      viewerIds.add(viewerKey);
+
+      if (this.isHidden(view, blockedIds)) {
+        anonymous++;
+        return;
+      }
+
+      if (isFirstVisit && recentViewers.length < this.recentViewersLimit) {
+        recentViewers.push({
+          user: {
+            _id: viewer._id,
+            firstName: viewer.firstName,
+            lastName: viewer.lastName,
+            username: viewer.username,
+            profileImage: viewer.profileImage
+          },
+          viewedAt: view.viewedAt
+        });
+      }
+    });
+
+    return {
+      days,
+      total: views.length,
+      uniqueViewers: viewerIds.size,
+      anonymous,
+      daily: dates.map(date => ({ date, count: counts.get(date) })),
+      recentViewers
+    };
+  }
+
+  /**
+   * Whether a view is shown without who made it, going by the viewer's current
+   * preference as well as the one they had at the time
+   * @param {Object} view - ProfileView with viewerId populated
+   * @param {Array<string>} blockedIds - Users blocked either way by the profile owner
+   * @returns {boolean}
+   */
+  isHidden(view, blockedIds) {
+    return view.anonymous ||
+      !this.sharesViews(view.viewerId) ||
+      blockedIds.includes(view.viewerId._id.toString());
+  }
+
+  /**
+   * Views a user made and received, for their data export. Received views name
+   * the viewer only when getInsights would list them.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { made, received }
+   */
+  async collectForUser(userId) {
+    const [made, received, blockedIds] = await Promise.all([
+      ProfileView.find({ viewerId: userId }).sort({ viewedAt: -1 }),
+      ProfileView.find({ profileId: userId }).sort({ viewedAt: -1 }).populate('viewerId', VIEWER_FIELDS),
+      blockService.getBlockedIds(userId)
+    ]);
+
+    return {
+      made: made.map(view => ({ profileId: view.profileId, viewedAt: view.viewedAt, anonymous: view.anonymous })),
+      received: received.map(view => ({
+        viewerId: view.viewerId && !this.isHidden(view, blockedIds) ? view.viewerId._id : null,
+        viewedAt: view.viewedAt
+      }))
+    };
+  }
+
+  /**
+   * Remove every view a user made or received
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of deleted views
+   */
+  async eraseUser(userId) {
+    const result = await ProfileView.deleteMany({ $or: [{ profileId: userId }, { viewerId: userId }] });
+    return result.deletedCount;
+  }
+}
+
+// Create singleton instance
+const profileViewService = new ProfileViewService();
+
+module.exports = profileViewService;
@@ -284,6 +284,85 @@ class PushNotificationService {
     }
   }
 
+  /**
+   * Send follow request notification
+   * @param {string} userId - User ID whose private profile was requested
+   * @param {Object} requester - Requesting user data
+   * @returns {Promise<Object>} Send result
+   */
+  async sendFollowRequestNotification(userId, requester) {
+    try {
+      const notification = {
+        title: PUSH_TEMPLATES.FOLLOW_REQUEST.title,
+        body: PUSH_TEMPLATES.FOLLOW_REQUEST.body.replace('{{requesterName}}', requester.firstName),
+        data: {
+          ...PUSH_TEMPLATES.FOLLOW_REQUEST.data,
+          requesterId: requester._id,
+          requesterUsername: requester.username
+        }
+      };
+
+      return await this.sendToUser(userId, notification);
+
+    } catch (error) {
+      console.error('Follow request notification error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send follow request accepted notification
+   * @param {string} userId - User ID whose request was accepted
+   * @param {Object} accepter - User data of the profile owner who accepted
+   * @returns {Promise<Object>} Send result
+   */
+  async sendFollowRequestAcceptedNotification(userId, accepter) {
+    try {
+      const notification = {
+        title: PUSH_TEMPLATES.FOLLOW_REQUEST_ACCEPTED.title,
+        body: PUSH_TEMPLATES.FOLLOW_REQUEST_ACCEPTED.body.replace('{{accepterName}}', accepter.firstName),
+        data: {
+          ...PUSH_TEMPLATES.FOLLOW_REQUEST_ACCEPTED.data,
+          userId: accepter._id,
+          username: accepter.username
+        }
+      };
+
+      return await this.sendToUser(userId, notification);
+
+    } catch (error) {
+      console.error('Follow request accepted notification error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send onboarding reminder notification
+   * @param {string} userId - User ID
+   * @param {Object} checklist - Onboarding checklist with score and nextStep
+   * @returns {Promise<Object>} Send result
+   */
+  async sendOnboardingReminderNotification(userId, checklist) {
+    try {
+      const notification = {
+        title: PUSH_TEMPLATES.ONBOARDING_REMINDER.title,
+        body: PUSH_TEMPLATES.ONBOARDING_REMINDER.body
+          .replace('{{score}}', checklist.score)
+          .replace('{{nextStep}}', checklist.nextStep.label),
+        data: {
+          ...PUSH_TEMPLATES.ONBOARDING_REMINDER.data,
+          nextStep: checklist.nextStep.id
+        }
+      };
+
+      return await this.sendToUser(userId, notification);
+
+    } catch (error) {
+      console.error('Onboarding reminder notification error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send project invitation notification
    * @param {string} invitedUserId - Invited user ID
@@ -396,6 +475,37 @@ class PushNotificationService {
     }
   }
 
+  /**
+   * Send mention notification
+   * @param {string} userId - Mentioned user ID
+   * @param {Object} mentioner - User who mentioned them
+   * @param {Object} mention - { contentType, contentId, postId }
+   * @returns {Promise<Object>} Send result
+   */
+  async sendMentionNotification(userId, mentioner, mention) {
+    try {
+      const notification = {
+        title: PUSH_TEMPLATES.MENTION.title,
+        body: PUSH_TEMPLATES.MENTION.body
+          .replace('{{mentionerName}}', mentioner.firstName)
+          .replace('{{contentType}}', mention.contentType),
+        data: {
+          ...PUSH_TEMPLATES.MENTION.data,
+          mentionerId: mentioner._id,
+          contentType: mention.contentType,
+          contentId: mention.contentId,
+          postId: mention.postId || null
+        }
+      };
+
+      return await this.sendToUser(userId, notification);
+
+    } catch (error) {
+      console.error('Mention notification error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update user's push notification preferences
    * @param {string} userId - User ID
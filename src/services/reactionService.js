@@ -0,0 +1,426 @@
+const User = require('../models/mongodb/User');
+const {
+  dynamodb,
+  getItem,
+  deleteItem,
+  queryPage,
+  queryAllItems
+} = require('../config/dynamodb');
+const { deleteCache, CACHE_KEYS } = require('../config/redis');
+const { createError } = require('../utils/errors');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+
+const REACTIONS_TABLE = process.env.DYNAMODB_REACTIONS_TABLE || 'networkx-reactions';
+
+// What can be reacted to, and where it lives
+const CONTENT_TYPES = {
+  post: {
+    table: process.env.DYNAMODB_POSTS_TABLE || 'networkx-posts',
+    idField: 'postId',
+    ownerField: 'userId',
+    cacheKey: CACHE_KEYS.POST_DETAILS
+  },
+  project: {
+    table: process.env.DYNAMODB_PROJECTS_TABLE || 'networkx-projects',
+    idField: 'projectId',
+    ownerField: 'ownerId',
+    cacheKey: CACHE_KEYS.PROJECT_DETAILS
+  }
+};
+
+// How much each reaction counts towards engagement
+const REACTION_WEIGHTS = {
+  like: 1,
+  celebrate: 1.5,
+  insightful: 2,
+  curious: 1.5,
+  support: 1.5
+};
+
+const REACTIONS = Object.keys(REACTION_WEIGHTS);
+
+const COMMENT_WEIGHT = 2;
+
+const REACTOR_FIELDS = 'firstName lastName username profileImage';
+
+/**
+ * Reactions on posts and projects.
+ *
+ * Each user has at most one reaction per item, stored in the reactions table so
+ * popular content doesn't outgrow DynamoDB's item size limit. The item itself
+ * only keeps per-type counts in `reactions`, their total in `reactionCount`, and
+ * `likes` as the count of plain likes for older clients. A user's reaction and
+ * the count changes it makes are written in one transaction, and the counts are
+ * added to rather than set, so reactions made at the same time all count.
+ *
+ * Items from before reactions keep a `likedBy` list; it's turned into like
+ * reactions the first time the item is reacted to or its reactions are read.
+ */
+class ReactionService {
+  constructor() {
+    this.settings = {
+      defaultPageSize: 20,
+      maxPageSize: 50
+    };
+  }
+
+  /**
+   * @param {string} contentType - 'post' or 'project'
+   * @param {string} contentId - Post or project ID
+   * @returns {Promise<Object|null>} The item, with any legacy likes migrated
+   */
+  async getContent(contentType, contentId) {
+    const { table, idField } = CONTENT_TYPES[contentType];
+    const item = await getItem(table, { [idField]: contentId });
+    if (!item) return null;
+
+    return item.likedBy ? this.migrateLegacyLikes(contentType, item) : item;
+  }
+
+  getOwnerId(contentType, item) {
+    return item[CONTENT_TYPES[contentType].ownerField];
+  }
+
+  /**
+   * @param {string} contentType - 'post' or 'project'
+   * @param {string} contentId - Post or project ID
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} The user's reaction, if any
+   */
+  async getUserReaction(contentType, contentId, userId) {
+    const reaction = await getItem(REACTIONS_TABLE, {
+      contentKey: this.getContentKey(contentType, contentId),
+      userId
+    });
+    return reaction ? reaction.reaction : null;
+  }
+
+  /**
+   * React to an item, replacing any earlier reaction by the same user
+   * @param {string} contentType - 'post' or 'project'
+   * @param {Object} item - Post or project item
+   * @param {string} userId - User reacting
+   * @param {string} reaction - One of REACTIONS
+   * @returns {Promise<Object>} { reaction, reactions, reactionCount }
+   */
+  async react(contentType, item, userId, reaction) {
+    if (!REACTIONS.includes(reaction)) {
+      throw createError(`Reaction must be one of: ${REACTIONS.join(', ')}`, 'invalid_reaction', 400);
+    }
+
+    const contentId = item[CONTENT_TYPES[contentType].idField];
+    const previous = await this.getUserReaction(contentType, contentId, userId);
+    if (previous === reaction) {
+      return this.summarize(item, reaction);
+    }
+
+    const now = new Date().toISOString();
+    const put = {
+      TableName: REACTIONS_TABLE,
+      Item: {
+        contentKey: this.getContentKey(contentType, contentId),
+        contentType,
+        contentId,
+        userId,
+        reaction,
+        createdAt: now,
+        updatedAt: now
+      },
+      ConditionExpression: 'attribute_not_exists(userId)'
+    };
+    const changes = { [reaction]: 1 };
+
+    if (previous) {
+      put.ConditionExpression = 'reaction = :previous';
+      put.ExpressionAttributeValues = { ':previous': previous };
+      changes[previous] = -1;
+    }
+
+    const updated = await this.saveReaction(contentType, item, { Put: put }, changes);
+    return this.summarize(updated, reaction);
+  }
+
+  /**
+   * @param {string} contentType - 'post' or 'project'
+   * @param {Object} item - Post or project item
+   * @param {string} userId - User whose reaction to remove
+   * @returns {Promise<Object|null>} { reaction, reactions, reactionCount }, or null if they hadn't reacted
+   */
+  async removeReaction(contentType, item, userId) {
+    const contentId = item[CONTENT_TYPES[contentType].idField];
+    const previous = await this.getUserReaction(contentType, contentId, userId);
+    if (!previous) return null;
+
+    const remove = {
+      TableName: REACTIONS_TABLE,
+      Key: { contentKey: this.getContentKey(contentType, contentId), userId },
+      ConditionExpression: 'reaction = :previous',
+      ExpressionAttributeValues: { ':previous': previous }
+    };
+
+    const updated = await this.saveReaction(contentType, item, { Delete: remove }, { [previous]: -1 });
+    return this.summarize(updated, null);
+  }
+
+  /**
+   * Who reacted, newest first
+   * @param {string} contentType - 'post' or 'project'
+   * @param {string} contentId - Post or project ID
+   * @param {Object} options - { reaction, cursor, limit }
+   * @returns {Promise<Object>} { users: [{ user, reaction, reactedAt }], nextCursor }
+   */
+  async listReactions(contentType, contentId, { reaction = null, cursor = null, limit = this.settings.defaultPageSize } = {}) {
+    if (reaction && !REACTIONS.includes(reaction)) {
+      throw createError(`Reaction must be one of: ${REACTIONS.join(', ')}`, 'invalid_reaction', 400);
+    }
+
+    const values = { ':contentKey': this.getContentKey(contentType, contentId) };
+    if (reaction) values[':reaction'] = reaction;
+
+    const { items, lastKey } = await queryPage(
+      REACTIONS_TABLE,
+      'contentKey = :contentKey',
+      values,
+      {
+        indexName: 'ContentReactionsIndex',
+        limit,
+        startKey: cursor ? decodeCursor(cursor, ['contentKey', 'userId']) : null,
+        filterExpression: reaction ? 'reaction = :reaction' : null
+      }
+    );
+
+    const users = await User.find({ _id: { $in: items.map(item => item.userId) } }).select(REACTOR_FIELDS);
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    return {
+      users: items
+        .filter(item => usersById.has(item.userId))
+        .map(item => ({
+          user: usersById.get(item.userId),
+          reaction: item.reaction,
+          reactedAt: item.createdAt
+        })),
+      nextCursor: lastKey ? encodeCursor(lastKey) : null
+    };
+  }
+
+  /**
+   * Per-type counts for an item, with every reaction present
+   * @param {Object} item - Post or project item
+   * @returns {Object} { like, celebrate, insightful, curious, support }
+   */
+  getCounts(item) {
+    // Items that predate reactions only have a likes count
+    const stored = item.reactions || { like: item.likes || 0 };
+    return Object.fromEntries(REACTIONS.map(reaction => [reaction, stored[reaction] || 0]));
+  }
+
+  /**
+   * Weighted reactions plus comments. Callers add their own signals, such as views.
+   * @param {Object} item - Post or project item
+   * @returns {number}
+   */
+  getEngagementScore(item) {
+    const counts = this.getCounts(item);
+    const reactionScore = REACTIONS.reduce((sum, reaction) => sum + counts[reaction] * REACTION_WEIGHTS[reaction], 0);
+    return reactionScore + (item.comments || 0) * COMMENT_WEIGHT;
+  }
+
+  // Counts for a newly created item
+  emptyCounts() {
+    return Object.fromEntries(REACTIONS.map(reaction => [reaction, 0]));
+  }
+
+  /**
+   * Write a user's reaction and add the count changes it makes in one transaction.
+   * The reaction write is conditional on the reaction read before it, so two
+   * requests from the same user can't both count.
+   * @param {string} contentType - 'post' or 'project'
+   * @param {Object} item - Post or project item
+   * @param {Object} reactionWrite - Transaction Put or Delete of the user's reaction
+   * @param {Object} changes - Change per reaction, e.g. { like: 1, curious: -1 }
+   * @returns {Promise<Object>} The item with its new counts
+   */
+  async saveReaction(contentType, item, reactionWrite, changes) {
+    const { table, idField, cacheKey } = CONTENT_TYPES[contentType];
+    const contentId = item[idField];
+
+    if (!item.reactions) {
+      await this.addCountsMap(contentType, item);
+    }
+
+    // DynamoDB only ADDs to top-level attributes, so per-type counts are SET from themselves
+    const names = { '#id': idField };
+    const values = {
+      ':zero': 0,
+      ':total': Object.values(changes).reduce((sum, change) => sum + change, 0),
+      ':likes': changes.like || 0,
+      ':updatedAt': new Date().toISOString()
+    };
+    const sets = Object.entries(changes).map(([reaction, change], index) => {
+      names[`#r${index}`] = reaction;
+      values[`:r${index}`] = change;
+      return `reactions.#r${index} = if_not_exists(reactions.#r${index}, :zero) + :r${index}`;
+    });
+
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: [
+          reactionWrite,
+          {
+            Update: {
+              TableName: table,
+              Key: { [idField]: contentId },
+              ConditionExpression: 'attribute_exists(#id)',
+              UpdateExpression: `SET ${sets.join(', ')}, updatedAt = :updatedAt ADD reactionCount :total, likes :likes`,
+              ExpressionAttributeNames: names,
+              ExpressionAttributeValues: values
+            }
+          }
+        ]
+      }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        throw createError('Your reaction changed while it was being saved, please try again', 'reaction_conflict', 409);
+      }
+      throw error;
+    }
+
+    await deleteCache(cacheKey(contentId));
+    return getItem(table, { [idField]: contentId });
+  }
+
+  // Items that predate reactions only have a likes count; give them the counts
+  // map saveReaction adds to. Another request may have done it already.
+  async addCountsMap(contentType, item) {
+    const { table, idField } = CONTENT_TYPES[contentType];
+    const counts = this.getCounts(item);
+
+    try {
+      await dynamodb.update({
+        TableName: table,
+        Key: { [idField]: item[idField] },
+        UpdateExpression: 'SET reactions = :reactions, reactionCount = :total',
+        ConditionExpression: 'attribute_not_exists(reactions)',
+        ExpressionAttributeValues: { ':reactions': counts, ':total': counts.like }
+      }).promise();
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+    }
+  }
+
+  summarize(item, reaction) {
+    const reactions = this.getCounts(item);
+    return {
+      reaction,
+      reactions,
+      reactionCount: REACTIONS.reduce((sum, type) => sum + reactions[type], 0)
+    };
+  }
+
+  // Reactions of a post or project that's being deleted
+  async deleteForContent(contentType, contentId) {
+    const contentKey = this.getContentKey(contentType, contentId);
+    const reactions = await queryAllItems(REACTIONS_TABLE, 'contentKey = :contentKey', { ':contentKey': contentKey });
+
+    for (const reaction of reactions) {
+      await deleteItem(REACTIONS_TABLE, { contentKey, userId: reaction.userId });
+    }
+    return reactions.length;
+  }
+
+  /**
+   * Every reaction a user made, for their data export
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async collectForUser(userId) {
+    return queryAllItems(REACTIONS_TABLE, 'userId = :userId', { ':userId': userId }, 'UserReactionsIndex');
+  }
+
+  /**
+   * Take back all of a user's reactions, for account erasure
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Reactions removed
+   */
+  async eraseUser(userId) {
+    const reactions = await this.collectForUser(userId);
+
+    for (const { contentType, contentId } of reactions) {
+      const item = await getItem(CONTENT_TYPES[contentType].table, { [CONTENT_TYPES[contentType].idField]: contentId });
+      if (item) {
+        await this.removeReaction(contentType, item, userId);
+      } else {
+        await deleteItem(REACTIONS_TABLE, { contentKey: this.getContentKey(contentType, contentId), userId });
+      }
+    }
+
+    return reactions.length;
+  }
+
+  /**
+   * Turn an item's likedBy list into like reactions. Another request may be
+   * migrating the same item: reactions already saved are left alone, and only
+   * the first migration to finish sets the counts, so reactions made after it
+   * aren't counted over.
+   * @param {string} contentType - 'post' or 'project'
+   * @param {Object} item - Item with likedBy
+   * @returns {Promise<Object>} The item without likedBy
+   */
+  async migrateLegacyLikes(contentType, item) {
+    const { table, idField, cacheKey } = CONTENT_TYPES[contentType];
+    const contentId = item[idField];
+    const likedBy = [...new Set(item.likedBy)];
+    const now = new Date().toISOString();
+
+    for (const userId of likedBy) {
+      try {
+        await dynamodb.put({
+          TableName: REACTIONS_TABLE,
+          Item: {
+            contentKey: this.getContentKey(contentType, contentId),
+            contentType,
+            contentId,
+            userId,
+            reaction: 'like',
+            createdAt: now,
+            updatedAt: now
+          },
+          ConditionExpression: 'attribute_not_exists(userId)'
+        }).promise();
+      } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') throw error;
+      }
+    }
+
+    const counts = { ...this.emptyCounts(), like: likedBy.length };
+    let updated;
+    try {
+      const result = await dynamodb.update({
+        TableName: table,
+        Key: { [idField]: contentId },
+        UpdateExpression: 'SET reactions = :reactions, reactionCount = :total, likes = :likes, updatedAt = :updatedAt REMOVE likedBy',
+        ConditionExpression: 'attribute_exists(likedBy)',
+        ExpressionAttributeValues: { ':reactions': counts, ':total': likedBy.length, ':likes': likedBy.length, ':updatedAt': now },
+        ReturnValues: 'ALL_NEW'
+      }).promise();
+      updated = result.Attributes;
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+      updated = await getItem(table, { [idField]: contentId });
+    }
+
+    await deleteCache(cacheKey(contentId));
+    return updated;
+  }
+
+  getContentKey(contentType, contentId) {
+    return `${contentType}#${contentId}`;
+  }
+}
+
+// Create singleton instance
+const reactionService = new ReactionService();
+
+module.exports = reactionService;
+module.exports.REACTIONS = REACTIONS;
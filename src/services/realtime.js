@@ -1,5 +1,7 @@
 const { getSocketIO, sendNotificationToUser, sendMessageToConversation, isUserOnline } = require('../config/socket');
 const { createNotification } = require('../routes/notifications');
+const pushNotificationService = require('./pushNotificationService');
+const blockService = require('./blockService');
 
 /**
  * Real-time service for handling Socket.IO events and notifications
@@ -21,6 +23,11 @@ class RealtimeService {
         data: notification.data || {}
       });
 
+      // Kept for the notification list, which hides it until the sender is unmuted
+      if (await blockService.isSilenced(userId, notification.senderId)) {
+        return { sent: false, stored: true, silenced: true };
+      }
+
       // Send real-time notification if user is online
       if (isUserOnline(userId)) {
         sendNotificationToUser(userId, {
@@ -52,7 +59,7 @@ class RealtimeService {
   }
 
   /**
-   * Handle post interactions (likes, comments)
+   * Handle post interactions (likes, reactions, comments)
    */
   static async handlePostInteraction(postId, postOwnerId, interactionType, user, data = {}) {
     const io = getSocketIO();
@@ -115,12 +122,80 @@ class RealtimeService {
             }
           });
           break;
+
+        case 'reaction':
+          // Notify post owner of new reactions only
+          if (data.reaction && postOwnerId !== user.id && isUserOnline(postOwnerId)) {
+            await this.sendNotification(postOwnerId, {
+              senderId: user.id,
+              type: 'reaction',
+              title: 'New Reaction',
+              message: `${user.firstName} reacted "${data.reaction}" to your post`,
+              data: { postId, userId: user.id, reaction: data.reaction }
+            });
+          }
+
+          // Broadcast updated counts to all users
+          io.emit('post:interaction', {
+            type: 'reaction',
+            postId,
+            userId: user.id,
+            reaction: data.reaction || null,
+            reactions: data.reactions,
+            user: {
+              id: user.id,
+              firstName: user.firstName,
+              lastName: user.lastName,
+              username: user.username,
+              profileImage: user.profileImage
+            }
+          });
+          break;
+
+        case 'vote':
+          // Broadcast updated results; voters in anonymous polls stay unnamed
+          io.emit('post:interaction', {
+            type: 'vote',
+            postId,
+            poll: data.poll,
+            ...(data.poll.anonymous ? {} : {
+              userId: user.id,
+              user: {
+                id: user.id,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                username: user.username,
+                profileImage: user.profileImage
+              }
+            })
+          });
+          break;
       }
     } catch (error) {
       console.error('Handle post interaction error:', error);
     }
   }
 
+  /**
+   * Notify a user that they were mentioned in a post, comment or project
+   */
+  static async handleMention(targetUserId, user, data = {}) {
+    try {
+      const result = await this.sendNotification(targetUserId, {
+        senderId: user.id,
+        type: 'mention',
+        title: 'New Mention',
+        message: `${user.firstName} mentioned you in a ${data.contentType}`,
+        data: { ...data, mentionedBy: user.id }
+      });
+      if (!result.silenced) {
+        await pushNotificationService.sendMentionNotification(targetUserId, user, data);
+      }
+    } catch (error) {
+      console.error('Handle mention error:', error);
+    }
+  }
+
   /**
    * Handle project interactions
    */
@@ -174,6 +249,18 @@ class RealtimeService {
             });
           }
           break;
+
+        case 'reaction':
+          if (data.reaction && projectOwnerId !== user.id && isUserOnline(projectOwnerId)) {
+            await this.sendNotification(projectOwnerId, {
+              senderId: user.id,
+              type: 'project_reaction',
+              title: 'New Reaction',
+              message: `${user.firstName} reacted "${data.reaction}" to your project`,
+              data: { projectId, userId: user.id, reaction: data.reaction }
+            });
+          }
+          break;
       }
     } catch (error) {
       console.error('Handle project interaction error:', error);
@@ -284,6 +371,34 @@ class RealtimeService {
           // Usually no notification for unfollow
           break;
 
+        case 'follow_request': {
+          const result = await this.sendNotification(targetUserId, {
+            senderId: user.id,
+            type: 'follow_request',
+            title: 'Follow Request',
+            message: `${user.firstName} wants to follow you`,
+            data: { requestId: data.requestId, requesterId: user.id }
+          });
+          if (!result.silenced) {
+            await pushNotificationService.sendFollowRequestNotification(targetUserId, user);
+          }
+          break;
+        }
+
+        case 'accept_follow_request': {
+          const result = await this.sendNotification(targetUserId, {
+            senderId: user.id,
+            type: 'follow_request_accepted',
+            title: 'Follow Request Accepted',
+            message: `${user.firstName} accepted your follow request`,
+            data: { requestId: data.requestId, acceptedBy: user.id }
+          });
+          if (!result.silenced) {
+            await pushNotificationService.sendFollowRequestAcceptedNotification(targetUserId, user);
+          }
+          break;
+        }
+
         case 'connect':
           if (isUserOnline(targetUserId)) {
             await this.sendNotification(targetUserId, {
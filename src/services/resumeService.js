@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const { invalidateUserCache } = require('../config/redis');
+const membershipService = require('./membershipService');
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+// basics.profiles networks that map onto User.socialLinks
+const NETWORKS = {
+  linkedin: 'linkedin',
+  github: 'github',
+  twitter: 'twitter',
+  x: 'twitter'
+};
+
+const NETWORK_NAMES = {
+  linkedin: 'LinkedIn',
+  github: 'GitHub',
+  twitter: 'Twitter'
+};
+
+const LIMITS = {
+  bio: 500,
+  location: 200,
+  skill: 100,
+  skills: 50
+};
+
+const isNonEmpty = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * JSON Resume (https://jsonresume.org/schema) import and export.
+ *
+ * Export builds a resume from the profile plus the user's completed projects and
+ * club roles. Import fills bio, skills, socialLinks and location; it is validated
+ * first and previewed as a diff, and applying it needs the confirmation from that
+ * preview so nothing changes that the user didn't see.
+ */
+class ResumeService {
+  /**
+   * Build a JSON Resume for a user
+   * @param {Object} user - User document
+   * @returns {Promise<Object>}
+   */
+  async exportResume(user) {
+    const userId = user._id.toString();
+    const { projects, clubs } = await this.getMemberships(userId);
+
+    const links = user.socialLinks || {};
+    const resume = {
+      $schema: SCHEMA_URL,
+      basics: this.compact({
+        name: `${user.firstName} ${user.lastName}`.trim(),
+        label: user.department ? `${user.department} student` : undefined,
+        image: user.profileImage || undefined,
+        email: user.email,
+        url: links.portfolio || undefined,
+        summary: user.bio || undefined,
+        location: user.location ? { address: user.location } : undefined,
+        profiles: Object.keys(NETWORK_NAMES)
+          .filter(network => links[network])
+          .map(network => ({ network: NETWORK_NAMES[network], url: links[network] }))
+      }),
+      education: user.department ? [{ area: user.department }] : [],
+      skills: (user.skills || []).map(name => ({ name })),
+      interests: (user.interests || []).map(name => ({ name })),
+      projects: projects
+        .filter(project => project.status === 'completed')
+        .map(project => this.compact({
+          name: project.title,
+          description: project.description,
+          keywords: project.skillsRequired,
+          roles: [project.ownerId === userId ? 'Owner' : 'Member'],
+          startDate: this.toDate(project.createdAt),
+          endDate: this.toDate(project.updatedAt)
+        })),
+      // Club roles fit the schema's volunteer section best
+      volunteer: clubs.map(club => this.compact({
+        organization: club.name,
+        position: this.getClubRole(club, userId),
+        summary: club.description,
+        startDate: this.toDate(club.createdAt)
+      })),
+      meta: {
+        version: 'v1.0.0',
+        lastModified: user.updatedAt ? new Date(user.updatedAt).toISOString() : undefined
+      }
+    };
+
+    return resume;
+  }
+
+  /**
+   * Projects and clubs a user owns or belongs to
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { projects, clubs }
+   */
+  async getMemberships(userId) {
+    const [projects, clubs] = await Promise.all([
+      membershipService.getGroups(userId, 'project'),
+      membershipService.getGroups(userId, 'club')
+    ]);
+    return { projects, clubs };
+  }
+
+  getClubRole(club, userId) {
+    if (club.presidentId === userId) return 'President';
+    if ((club.officers || []).includes(userId)) return 'Officer';
+    return 'Member';
+  }
+
+  toDate(value) {
+    return value ? new Date(value).toISOString().slice(0, 10) : undefined;
+  }
+
+  // Drop undefined and empty-array fields so the resume stays schema-clean
+  compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+      value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)
+    ));
+  }
+
+  /**
+   * Check the parts of a JSON Resume that import reads
+   * @param {Object} resume - Parsed JSON Resume document
+   * @returns {Array} [{ path, message }], empty when valid
+   */
+  validateResume(resume) {
+    const errors = [];
+    const error = (path, message) => errors.push({ path, message });
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isString = (value) => typeof value === 'string';
+    const isUrl = (value) => {
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch (urlError) {
+        return false;
+      }
+    };
+
+    if (!isObject(resume)) {
+      error('', 'must be a JSON Resume object');
+      return errors;
+    }
+
+    const { basics, skills } = resume;
+    if (basics !== undefined) {
+      if (!isObject(basics)) {
+        error('basics', 'must be an object');
+      } else {
+        if (basics.summary !== undefined) {
+          if (!isString(basics.summary)) error('basics.summary', 'must be a string');
+          else if (basics.summary.trim().length > LIMITS.bio) error('basics.summary', `must be at most ${LIMITS.bio} characters`);
+        }
+        if (basics.url !== undefined && basics.url !== '' && !isUrl(basics.url)) {
+          error('basics.url', 'must be an http(s) URL');
+        }
+        if (basics.location !== undefined) {
+          if (!isObject(basics.location)) {
+            error('basics.location', 'must be an object');
+          } else {
+            ['address', 'postalCode', 'city', 'countryCode', 'region'].forEach(field => {
+              if (basics.location[field] !== undefined && !isString(basics.location[field])) {
+                error(`basics.location.${field}`, 'must be a string');
+              }
+            });
+          }
+        }
+        if (basics.profiles !== undefined) {
+          if (!Array.isArray(basics.profiles)) {
+            error('basics.profiles', 'must be an array');
+          } else {
+            basics.profiles.forEach((profile, index) => {
+              if (!isObject(profile)) return error(`basics.profiles[${index}]`, 'must be an object');
+              if (profile.network !== undefined && !isString(profile.network)) error(`basics.profiles[${index}].network`, 'must be a string');
+              if (profile.url !== undefined && profile.url !== '' && !isUrl(profile.url)) error(`basics.profiles[${index}].url`, 'must be an http(s) URL');
+            });
+          }
+        }
+      }
+    }
+
+    if (skills !== undefined) {
+      if (!Array.isArray(skills)) {
+        error('skills', 'must be an array');
+      } else {
+        skills.forEach((skill, index) => {
+          if (!isObject(skill)) return error(`skills[${index}]`, 'must be an object');
+          if (skill.name !== undefined && !isString(skill.name)) error(`skills[${index}].name`, 'must be a string');
+          if (skill.keywords !== undefined && (!Array.isArray(skill.keywords) || !skill.keywords.every(isString))) {
+            error(`skills[${index}].keywords`, 'must be an array of strings');
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Profile values a resume would set; fields the resume leaves out are untouched
+   * @param {Object} resume - Valid JSON Resume document
+   * @param {Object} user - User document
+   * @returns {Object} Subset of { bio, skills, socialLinks, location }
+   */
+  mapResume(resume, user) {
+    const basics = resume.basics || {};
+    const values = {};
+
+    if (isNonEmpty(basics.summary)) {
+      values.bio = basics.summary.trim();
+    }
+
+    if (basics.location) {
+      const { address, city, region, countryCode } = basics.location;
+      const location = [city, region, countryCode].filter(isNonEmpty).map(part => part.trim()).join(', ') ||
+        (isNonEmpty(address) ? address.trim() : '');
+      if (location) values.location = location.slice(0, LIMITS.location);
+    }
+
+    // Keep existing skills and add the resume's, skipping case-insensitive duplicates
+    if (Array.isArray(resume.skills)) {
+      const skills = [...(user.skills || [])];
+      const known = new Set(skills.map(skill => skill.toLowerCase()));
+      resume.skills
+        .flatMap(skill => [skill.name, ...(skill.keywords || [])])
+        .filter(isNonEmpty)
+        .map(skill => skill.trim().slice(0, LIMITS.skill))
+        .forEach(skill => {
+          if (skills.length < LIMITS.skills && !known.has(skill.toLowerCase())) {
+            known.add(skill.toLowerCase());
+            skills.push(skill);
+          }
+        });
+      values.skills = skills;
+    }
+
+    const socialLinks = {};
+    if (isNonEmpty(basics.url)) {
+      socialLinks.portfolio = basics.url.trim();
+    }
+    (basics.profiles || []).forEach(profile => {
+      const field = NETWORKS[(profile.network || '').trim().toLowerCase()];
+      if (field && isNonEmpty(profile.url) && !socialLinks[field]) {
+        socialLinks[field] = profile.url.trim();
+      }
+    });
+    if (Object.keys(socialLinks).length) {
+      values.socialLinks = socialLinks;
+    }
+
+    return values;
+  }
+
+  /**
+   * Diff between the profile and what importing a resume would make it
+   * @param {Object} resume - Valid JSON Resume document
+   * @param {Object} user - User document
+   * @returns {Object} { changes: [{ field, from, to }], confirmation }
+   */
+  previewImport(resume, user) {
+    const values = this.mapResume(resume, user);
+    const changes = [];
+
+    ['bio', 'location', 'skills'].forEach(field => {
+      if (values[field] === undefined) return;
+      const from = field === 'skills' ? [...(user.skills || [])] : (user[field] || '');
+      if (JSON.stringify(from) !== JSON.stringify(values[field])) {
+        changes.push({ field, from, to: values[field] });
+      }
+    });
+
+    Object.entries(values.socialLinks || {}).forEach(([network, url]) => {
+      const from = user.socialLinks?.[network] || null;
+      if (from !== url) {
+        changes.push({ field: `socialLinks.${network}`, from, to: url });
+      }
+    });
+
+    return { changes, confirmation: this.getConfirmation(user._id, changes) };
+  }
+
+  // Ties an import to the exact diff the user previewed
+  getConfirmation(userId, changes) {
+    return crypto.createHash('sha256')
+      .update(`${userId}:${JSON.stringify(changes)}`)
+      .digest('hex');
+  }
+
+  /**
+   * Apply a previewed import
+   * @param {Object} resume - Valid JSON Resume document
+   * @param {Object} user - User document
+   * @param {string} confirmation - Confirmation returned by previewImport
+   * @returns {Promise<Object|null>} { user, changes }, or null if the preview is out of date
+   */
+  async applyImport(resume, user, confirmation) {
+    const { changes, confirmation: expected } = this.previewImport(resume, user);
+    if (confirmation !== expected) {
+      return null;
+    }
+
+    if (changes.length) {
+      changes.forEach(change => user.set(change.field, change.to));
+      await user.save();
+      await invalidateUserCache(user._id.toString());
+    }
+
+    return { user, changes };
+  }
+}
+
+// Create singleton instance
+const resumeService = new ResumeService();
+
+module.exports = resumeService;
@@ -0,0 +1,380 @@
+const User = require('../models/mongodb/User');
+const Review = require('../models/mongodb/Review');
+const Endorsement = require('../models/mongodb/Endorsement');
+const { getItem } = require('../config/dynamodb');
+const { invalidateUserCache } = require('../config/redis');
+const { createError } = require('../utils/errors');
+const blockService = require('./blockService');
+
+const TABLES = {
+  projects: process.env.DYNAMODB_PROJECTS_TABLE || 'networkx-projects',
+  clubs: process.env.DYNAMODB_CLUBS_TABLE || 'networkx-clubs',
+  collaborations: process.env.DYNAMODB_COLLABORATIONS_TABLE || 'networkx-collaborations'
+};
+
+const REVIEWER_CARD_FIELDS = 'firstName lastName username profileImage';
+
+// Working together on something finished says more than sharing a club
+const CONTEXT_WEIGHTS = {
+  project: 1,
+  collaboration: 1,
+  club: 0.5
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Peer reviews and skill endorsements, and the User.rating they add up to.
+ *
+ * Reviews can only be left by someone who shared a completed project, a completed
+ * collaboration or a club with the reviewee. Endorsements are for skills listed on
+ * the profile. Both are rate limited per author, and the rating discounts
+ * unverified reviewers and pairs who reviewed each other.
+ */
+class ReviewService {
+  constructor() {
+    this.limits = {
+      reviewsPerDay: 10,
+      endorsementsPerDay: 25,
+      // Skills one person can endorse on a single profile
+      endorsementsPerUser: 5
+    };
+
+    // Every rating starts as if it had this much weight of average reviews, so a
+    // single glowing review can't put someone at the top
+    this.prior = { rating: 3, weight: 2 };
+    // At most this share of the gap between the review score and 5 comes from endorsements
+    this.endorsementShare = 0.15;
+    // Distinct endorsers at which the endorsement boost is about two thirds of its maximum
+    this.endorsementScale = 10;
+  }
+
+  /**
+   * Leave or update a review
+   * @param {Object} reviewer - Reviewing user document
+   * @param {Object} reviewee - Reviewed user document
+   * @param {Object} review - { rating, comment, context: { type, id } }
+   * @returns {Promise<Object>} { review, created }
+   */
+  async submitReview(reviewer, reviewee, { rating, comment = '', context }) {
+    await this.checkCanInteract(reviewer, reviewee, 'review');
+
+    if (!(await this.hasSharedContext(reviewer._id, reviewee._id, context))) {
+      throw createError(
+        'You can only review people you completed a project or collaboration with, or share a club with',
+        'no_shared_context',
+        403
+      );
+    }
+
+    let review = await Review.findOne({ reviewerId: reviewer._id, revieweeId: reviewee._id });
+    const created = !review;
+
+    if (created) {
+      const recent = await Review.countDocuments({
+        reviewerId: reviewer._id,
+        createdAt: { $gte: new Date(Date.now() - DAY_MS) }
+      });
+      if (recent >= this.limits.reviewsPerDay) {
+        throw createError('Daily review limit reached', 'review_limit', 429);
+      }
+
+      review = new Review({ reviewerId: reviewer._id, revieweeId: reviewee._id });
+    }
+
+    review.rating = rating;
+    review.comment = comment;
+    review.context = { type: context.type, id: String(context.id) };
+    await review.save();
+
+    await this.recomputeRating(reviewee._id);
+    return { review, created };
+  }
+
+  /**
+   * Remove the review a user left for someone
+   * @param {string} reviewerId - Reviewing user ID
+   * @param {string} revieweeId - Reviewed user ID
+   * @returns {Promise<boolean>} Whether there was a review to remove
+   */
+  async deleteReview(reviewerId, revieweeId) {
+    const review = await Review.findOneAndDelete({ reviewerId, revieweeId });
+    if (!review) return false;
+
+    await this.recomputeRating(revieweeId);
+    return true;
+  }
+
+  /**
+   * Reviews a user has received, newest first
+   * @param {string} userId - Reviewed user ID
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { reviews, total }
+   */
+  async listReviews(userId, { page = 1, limit = 20 } = {}) {
+    const [reviews, total] = await Promise.all([
+      Review.find({ revieweeId: userId })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('reviewerId', REVIEWER_CARD_FIELDS),
+      Review.countDocuments({ revieweeId: userId })
+    ]);
+
+    return { reviews, total };
+  }
+
+  /**
+   * Endorse one of a user's skills
+   * @param {Object} endorser - Endorsing user document
+   * @param {Object} user - Endorsed user document
+   * @param {string} skill - Skill from the user's skills array
+   * @returns {Promise<Object>} { endorsement, created }
+   */
+  async endorseSkill(endorser, user, skill) {
+    await this.checkCanInteract(endorser, user, 'endorse');
+
+    const normalized = this.normalizeSkill(skill);
+    if (!this.listsSkill(user, normalized)) {
+      throw createError('Skill is not listed on this profile', 'skill_not_listed', 400);
+    }
+
+    const existing = await Endorsement.findOne({ endorserId: endorser._id, userId: user._id, skill: normalized });
+    if (existing) {
+      return { endorsement: existing, created: false };
+    }
+
+    const [forUser, recent] = await Promise.all([
+      Endorsement.countDocuments({ endorserId: endorser._id, userId: user._id }),
+      Endorsement.countDocuments({ endorserId: endorser._id, createdAt: { $gte: new Date(Date.now() - DAY_MS) } })
+    ]);
+    if (forUser >= this.limits.endorsementsPerUser) {
+      throw createError(
+        `You can endorse at most ${this.limits.endorsementsPerUser} skills per person`,
+        'endorsement_limit',
+        429
+      );
+    }
+    if (recent >= this.limits.endorsementsPerDay) {
+      throw createError('Daily endorsement limit reached', 'endorsement_limit', 429);
+    }
+
+    try {
+      const endorsement = await Endorsement.create({ endorserId: endorser._id, userId: user._id, skill: normalized });
+      await this.recomputeRating(user._id);
+      return { endorsement, created: true };
+    } catch (error) {
+      // Lost a race with the same endorsement
+      if (error.code === 11000) {
+        return {
+          endorsement: await Endorsement.findOne({ endorserId: endorser._id, userId: user._id, skill: normalized }),
+          created: false
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw an endorsement
+   * @param {string} endorserId - Endorsing user ID
+   * @param {string} userId - Endorsed user ID
+   * @param {string} skill - Endorsed skill
+   * @returns {Promise<boolean>} Whether there was an endorsement to withdraw
+   */
+  async removeEndorsement(endorserId, userId, skill) {
+    const endorsement = await Endorsement.findOneAndDelete({
+      endorserId,
+      userId,
+      skill: this.normalizeSkill(skill)
+    });
+    if (!endorsement) return false;
+
+    await this.recomputeRating(userId);
+    return true;
+  }
+
+  /**
+   * Endorsement counts for each of a user's listed skills
+   * @param {Object} user - User document with skills
+   * @param {string} viewerId - Viewing user, to flag skills they endorsed
+   * @returns {Promise<Array>} [{ skill, count, endorsedByMe }], most endorsed first
+   */
+  async getSkillEndorsements(user, viewerId = null) {
+    const [counts, mine] = await Promise.all([
+      Endorsement.aggregate([
+        { $match: { userId: user._id } },
+        { $group: { _id: '$skill', count: { $sum: 1 } } }
+      ]),
+      viewerId
+        ? Endorsement.find({ endorserId: viewerId, userId: user._id }).distinct('skill')
+        : []
+    ]);
+
+    const countBySkill = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    return (user.skills || [])
+      .map(skill => {
+        const normalized = this.normalizeSkill(skill);
+        return {
+          skill,
+          count: countBySkill.get(normalized) || 0,
+          endorsedByMe: mine.includes(normalized)
+        };
+      })
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * A user's most endorsed skills, for their profile
+   * @param {Object} user - User document with skills
+   * @param {number} limit - How many skills to return
+   * @returns {Promise<Array>} [{ skill, count }]
+   */
+  async getTopSkills(user, limit = 5) {
+    const skills = await this.getSkillEndorsements(user);
+    return skills
+      .filter(({ count }) => count > 0)
+      .slice(0, limit)
+      .map(({ skill, count }) => ({ skill, count }));
+  }
+
+  /**
+   * Recompute and store a user's rating from their reviews and endorsements
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { rating, totalRatings }
+   */
+  async recomputeRating(userId) {
+    // Reviews whose author no longer exists don't count
+    const reviews = (await Review.find({ revieweeId: userId }).populate('reviewerId', 'isVerified'))
+      .filter(review => review.reviewerId);
+    const reviewerIds = reviews.map(review => review.reviewerId._id);
+
+    const [reciprocalIds, endorsers] = await Promise.all([
+      Review.find({ reviewerId: userId, revieweeId: { $in: reviewerIds } }).distinct('revieweeId'),
+      Endorsement.find({ userId }).distinct('endorserId')
+    ]);
+
+    const rating = this.calculateRating(reviews, reciprocalIds.map(id => id.toString()), endorsers.length);
+    const totalRatings = reviews.length;
+
+    await User.updateOne({ _id: userId }, { rating, totalRatings });
+    await invalidateUserCache(userId.toString());
+
+    return { rating, totalRatings };
+  }
+
+  /**
+   * Weighted rating out of 5. Each review counts by what the two users shared,
+   * half as much from unverified reviewers and half again when the two reviewed
+   * each other. The average is pulled towards the prior, then endorsements from
+   * distinct users close a small share of the gap to 5.
+   * @param {Array} reviews - Reviews with reviewerId populated with isVerified
+   * @param {Array<string>} reciprocalIds - Reviewers the user reviewed back
+   * @param {number} endorserCount - Distinct users who endorsed any skill
+   * @returns {number} Rating from 0 to 5, 0 meaning not rated yet
+   */
+  calculateRating(reviews, reciprocalIds, endorserCount) {
+    if (reviews.length === 0) return 0;
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    reviews.forEach(review => {
+      let weight = CONTEXT_WEIGHTS[review.context.type] || 0;
+      if (!review.reviewerId.isVerified) weight *= 0.5;
+      if (reciprocalIds.includes(review.reviewerId._id.toString())) weight *= 0.5;
+
+      weightedSum += review.rating * weight;
+      totalWeight += weight;
+    });
+
+    const reviewScore = (weightedSum + this.prior.rating * this.prior.weight) / (totalWeight + this.prior.weight);
+    const endorsementFill = 1 - Math.exp(-endorserCount / this.endorsementScale);
+
+    const rating = reviewScore + this.endorsementShare * endorsementFill * (5 - reviewScore);
+    return Math.round(Math.min(5, Math.max(0, rating)) * 100) / 100;
+  }
+
+  /**
+   * Whether two users shared the given project, collaboration or club
+   * @param {string} reviewerId - Reviewing user ID
+   * @param {string} revieweeId - Reviewed user ID
+   * @param {Object} context - { type, id }
+   * @returns {Promise<boolean>}
+   */
+  async hasSharedContext(reviewerId, revieweeId, { type, id }) {
+    const ids = [reviewerId.toString(), revieweeId.toString()];
+    const includesBoth = (participants) => ids.every(userId => participants.includes(userId));
+
+    switch (type) {
+      case 'project': {
+        const project = await getItem(TABLES.projects, { projectId: String(id) });
+        return Boolean(project) && project.status === 'completed' &&
+          includesBoth([project.ownerId, ...(project.members || [])]);
+      }
+      case 'collaboration': {
+        const collaboration = await getItem(TABLES.collaborations, { collaborationId: String(id) });
+        if (!collaboration || collaboration.status !== 'completed') return false;
+
+        const accepted = (collaboration.applicants || [])
+          .filter(applicant => applicant.status === 'accepted')
+          .map(applicant => applicant.userId);
+        return includesBoth([collaboration.creatorId, ...accepted]);
+      }
+      case 'club': {
+        const club = await getItem(TABLES.clubs, { clubId: String(id) });
+        return Boolean(club) && includesBoth([club.presidentId, ...(club.members || [])]);
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Remove a user's reviews and endorsements in both directions, re-rating
+   * everyone they had reviewed or endorsed
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { reviews, endorsements } deleted counts
+   */
+  async eraseUser(userId) {
+    const [reviewed, endorsed] = await Promise.all([
+      Review.find({ reviewerId: userId }).distinct('revieweeId'),
+      Endorsement.find({ endorserId: userId }).distinct('userId')
+    ]);
+
+    const [reviews, endorsements] = await Promise.all([
+      Review.deleteMany({ $or: [{ reviewerId: userId }, { revieweeId: userId }] }),
+      Endorsement.deleteMany({ $or: [{ endorserId: userId }, { userId }] })
+    ]);
+
+    const affected = new Set([...reviewed, ...endorsed].map(id => id.toString()));
+    for (const affectedId of affected) {
+      await this.recomputeRating(affectedId);
+    }
+
+    return { reviews: reviews.deletedCount, endorsements: endorsements.deletedCount };
+  }
+
+  async checkCanInteract(author, target, action) {
+    if (author._id.toString() === target._id.toString()) {
+      throw createError(`You cannot ${action} yourself`, 'invalid_target', 400);
+    }
+    if (await blockService.isBlocked(author._id, target._id)) {
+      throw createError(`You cannot ${action} this user`, 'blocked', 403);
+    }
+  }
+
+  normalizeSkill(skill) {
+    return String(skill).trim().toLowerCase();
+  }
+
+  listsSkill(user, normalized) {
+    return (user.skills || []).some(skill => this.normalizeSkill(skill) === normalized);
+  }
+}
+
+// Create singleton instance
+const reviewService = new ReviewService();
+
+module.exports = reviewService;
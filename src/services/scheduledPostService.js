@@ -0,0 +1,440 @@
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/mongodb/User');
+const {
+  dynamodb,
+  putItem,
+  getItem,
+  deleteItem,
+  queryPage,
+  queryAllItems
+} = require('../config/dynamodb');
+const { createError } = require('../utils/errors');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const postService = require('./postService');
+const pollService = require('./pollService');
+const RealtimeService = require('./realtime');
+
+const DRAFTS_TABLE = process.env.DYNAMODB_POST_DRAFTS_TABLE || 'networkx-post-drafts';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const STATUSES = ['draft', 'scheduled'];
+
+/**
+ * Draft and scheduled posts.
+ *
+ * Drafts live in their own table until they're published, so nothing that
+ * reads posts has to skip them and only their author can see them. A draft with
+ * a publishAt is scheduled; the worker started from server.js publishes it
+ * through postService.createPost once it's due.
+ *
+ * Publishing claims the draft by moving it to 'publishing', so edits, cancels
+ * and other workers can't act on it at the same time. The post reuses the
+ * draft's ID, so a publish interrupted by a restart and retried doesn't make a
+ * second post.
+ */
+class ScheduledPostService {
+  constructor() {
+    this.settings = {
+      maxScheduleDays: 365,
+      defaultPageSize: 20,
+      maxPageSize: 50
+    };
+  }
+
+  /**
+   * @param {string} userId - Author's user ID
+   * @param {Object} input - { content, tags, location, visibility, poll, publishAt }
+   * @param {Array<string>} mediaUrls - Uploaded media
+   * @returns {Promise<Object>} The draft
+   */
+  async createDraft(userId, input, mediaUrls = []) {
+    const fields = this.validate(input, {});
+    const draft = {
+      draftId: uuidv4(),
+      userId: userId.toString(),
+      mediaUrls,
+      ...fields,
+      status: fields.publishAt ? 'scheduled' : 'draft'
+    };
+    if (!draft.publishAt) delete draft.publishAt;
+
+    await putItem(DRAFTS_TABLE, draft);
+    return getItem(DRAFTS_TABLE, { draftId: draft.draftId });
+  }
+
+  /**
+   * @param {string} draftId - Draft ID
+   * @param {string} userId - ID of the user asking
+   * @returns {Promise<Object>} The draft, if it's theirs
+   */
+  async getDraft(draftId, userId) {
+    const draft = await getItem(DRAFTS_TABLE, { draftId });
+    // Someone else's draft is reported as missing, not forbidden
+    if (!draft || draft.userId !== userId.toString()) {
+      throw createError('Draft not found', 'draft_not_found', 404);
+    }
+    return draft;
+  }
+
+  /**
+   * A user's drafts and scheduled posts, most recently created first
+   * @param {string} userId - Author's user ID
+   * @param {Object} options - { status, cursor, limit }
+   * @returns {Promise<Object>} { drafts, nextCursor }
+   */
+  async listDrafts(userId, { status = null, cursor = null, limit = this.settings.defaultPageSize } = {}) {
+    if (status && !STATUSES.includes(status)) {
+      throw createError(`Status must be one of: ${STATUSES.join(', ')}`, 'invalid_status', 400);
+    }
+
+    const values = { ':userId': userId.toString() };
+    if (status) values[':status'] = status;
+
+    const { items, lastKey } = await queryPage(
+      DRAFTS_TABLE,
+      'userId = :userId',
+      values,
+      {
+        indexName: 'UserDraftsIndex',
+        limit,
+        startKey: cursor ? decodeCursor(cursor, ['draftId', 'userId']) : null,
+        filterExpression: status ? '#status = :status' : null,
+        names: status ? { '#status': 'status' } : null
+      }
+    );
+
+    return {
+      drafts: items,
+      nextCursor: lastKey ? encodeCursor(lastKey) : null
+    };
+  }
+
+  /**
+   * Edit a draft. A publishAt reschedules it; a null publishAt turns it back
+   * into a plain draft.
+   * @param {Object} draft - Draft to edit
+   * @param {Object} input - Fields to change
+   * @returns {Promise<Object>} The updated draft
+   */
+  async updateDraft(draft, input) {
+    const fields = this.validate(input, draft);
+    const publishAt = input.publishAt === undefined ? draft.publishAt : fields.publishAt;
+
+    const sets = ['#content = :content', '#tags = :tags', '#location = :location', '#visibility = :visibility', '#poll = :poll', '#status = :newStatus', 'updatedAt = :updatedAt'];
+    const values = {
+      ':content': fields.content,
+      ':tags': fields.tags,
+      ':location': fields.location,
+      ':visibility': fields.visibility,
+      ':poll': fields.poll,
+      ':newStatus': publishAt ? 'scheduled' : 'draft'
+    };
+    if (publishAt) {
+      sets.push('publishAt = :publishAt');
+      values[':publishAt'] = publishAt;
+    }
+
+    return this.updateUnlessPublishing(
+      draft.draftId,
+      `SET ${sets.join(', ')}${publishAt ? '' : ' REMOVE publishAt'}`,
+      values,
+      { '#content': 'content', '#tags': 'tags', '#location': 'location', '#visibility': 'visibility', '#poll': 'poll' }
+    );
+  }
+
+  /**
+   * Delete a draft or cancel a scheduled post
+   * @param {Object} draft - Draft to delete
+   */
+  async cancelDraft(draft) {
+    try {
+      await dynamodb.delete({
+        TableName: DRAFTS_TABLE,
+        Key: { draftId: draft.draftId },
+        ConditionExpression: '#status IN (:draft, :scheduled)',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':draft': 'draft', ':scheduled': 'scheduled' }
+      }).promise();
+    } catch (error) {
+      throw this.translateConflict(error);
+    }
+  }
+
+  /**
+   * Publish a draft now, whether or not it was scheduled
+   * @param {Object} draft - Draft to publish
+   * @returns {Promise<Object|null>} The post, or null if the author's account is gone
+   */
+  async publishDraft(draft) {
+    // The poll's close time was checked when the draft was saved, but it may have passed since
+    if (draft.poll && pollService.isClosed(draft.poll)) {
+      throw createError('The poll has already closed, change its close time before publishing', 'invalid_poll', 400);
+    }
+
+    const claimed = await this.updateUnlessPublishing(
+      draft.draftId,
+      'SET #status = :publishing, publishAt = if_not_exists(publishAt, :updatedAt), updatedAt = :updatedAt',
+      { ':publishing': 'publishing' }
+    );
+    return this.publishClaimed(claimed);
+  }
+
+  // Create the post for a draft already moved to 'publishing', then drop the draft
+  async publishClaimed(draft) {
+    const user = await User.findById(draft.userId).select('firstName lastName username profileImage isActive isVerified');
+    if (!user || !user.isActive) {
+      await deleteItem(DRAFTS_TABLE, { draftId: draft.draftId });
+      return null;
+    }
+
+    const author = {
+      id: user._id,
+      username: user.username,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      profileImage: user.profileImage,
+      isVerified: user.isVerified
+    };
+
+    const post = await postService.createPost(author, {
+      postId: draft.draftId,
+      content: draft.content,
+      tags: draft.tags,
+      mediaUrls: draft.mediaUrls,
+      location: draft.location,
+      visibility: draft.visibility,
+      poll: draft.poll
+    });
+
+    await deleteItem(DRAFTS_TABLE, { draftId: draft.draftId });
+    return post;
+  }
+
+  /**
+   * Publish scheduled posts whose time has come
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Posts published
+   */
+  async processDuePosts(now = new Date()) {
+    const due = await queryAllItems(
+      DRAFTS_TABLE,
+      '#status = :scheduled AND publishAt <= :now',
+      { ':scheduled': 'scheduled', ':now': now.toISOString() },
+      'DueDraftsIndex',
+      { '#status': 'status' }
+    );
+
+    let published = 0;
+
+    for (const draft of due) {
+      try {
+        const post = await this.publishDraft(draft);
+        if (!post) continue;
+
+        published++;
+        await RealtimeService.sendNotification(draft.userId, {
+          senderId: draft.userId,
+          type: 'post_published',
+          title: 'Scheduled Post Published',
+          message: 'Your scheduled post is now live',
+          data: { postId: post.postId }
+        });
+      } catch (error) {
+        // Another worker got there first, or the author just edited or cancelled it
+        if (error.code === 'draft_publishing') continue;
+        if (error.code === 'invalid_poll') {
+          await this.unscheduleClosedPoll(draft).catch(unscheduleError => {
+            console.error(`Scheduled post error for ${draft.draftId}:`, unscheduleError);
+          });
+          continue;
+        }
+        console.error(`Scheduled post error for ${draft.draftId}:`, error);
+      }
+    }
+
+    return published;
+  }
+
+  // A scheduled post whose poll closed before it went out goes back to being a draft
+  async unscheduleClosedPoll(draft) {
+    try {
+      await this.updateUnlessPublishing(
+        draft.draftId,
+        'SET #status = :draft, updatedAt = :updatedAt REMOVE publishAt',
+        {}
+      );
+    } catch (error) {
+      // Cancelled or being published in the meantime
+      if (error.code === 'draft_publishing') return;
+      throw error;
+    }
+
+    await RealtimeService.sendNotification(draft.userId, {
+      senderId: draft.userId,
+      type: 'post_not_published',
+      title: 'Scheduled Post Not Published',
+      message: 'Your scheduled post\'s poll closed before it could go out, so it was saved as a draft',
+      data: { draftId: draft.draftId }
+    });
+  }
+
+  /**
+   * Every draft and scheduled post a user has, for their data export
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async collectForUser(userId) {
+    return queryAllItems(DRAFTS_TABLE, 'userId = :userId', { ':userId': userId }, 'UserDraftsIndex');
+  }
+
+  /**
+   * Delete a user's drafts and scheduled posts, for account erasure
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} The drafts deleted, so their media can be removed too
+   */
+  async eraseUser(userId) {
+    const drafts = await this.collectForUser(userId);
+
+    for (const draft of drafts) {
+      await deleteItem(DRAFTS_TABLE, { draftId: draft.draftId });
+    }
+    return drafts;
+  }
+
+  /**
+   * Check draft fields, falling back to the current draft for ones not sent
+   * @param {Object} input - Fields from the request
+   * @param {Object} current - Draft being edited, or {} for a new one
+   * @returns {Object} { content, tags, location, visibility, poll, publishAt }
+   */
+  validate(input, current) {
+    const content = input.content === undefined ? current.content : input.content;
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      throw createError('Post content is required', 'invalid_draft', 400);
+    }
+
+    const visibility = input.visibility || current.visibility || 'public';
+
+    let tags = current.tags || [];
+    if (input.tags !== undefined) {
+      tags = Array.isArray(input.tags) ? input.tags : String(input.tags).split(',');
+    }
+
+    const publishAt = input.publishAt ? this.validatePublishAt(input.publishAt) : null;
+    let poll = current.poll || null;
+    if (input.poll !== undefined) {
+      poll = input.poll ? pollService.parsePoll(input.poll) : null;
+    }
+    const effectivePublishAt = input.publishAt === undefined ? current.publishAt : publishAt;
+    if (poll && poll.closesAt && effectivePublishAt && poll.closesAt <= effectivePublishAt) {
+      throw createError('The poll must close after the post is published', 'invalid_poll', 400);
+    }
+
+    return {
+      content: content.trim(),
+      tags,
+      location: input.location === undefined ? current.location || null : input.location || null,
+      visibility,
+      poll,
+      publishAt
+    };
+  }
+
+  validatePublishAt(value) {
+    const date = new Date(value);
+    const now = Date.now();
+
+    if (isNaN(date.getTime()) || date.getTime() <= now) {
+      throw createError('publishAt must be a time in the future', 'invalid_publish_at', 400);
+    }
+    if (date.getTime() > now + this.settings.maxScheduleDays * DAY_MS) {
+      throw createError(`Posts can be scheduled up to ${this.settings.maxScheduleDays} days ahead`, 'invalid_publish_at', 400);
+    }
+    return date.toISOString();
+  }
+
+  // Update a draft unless a publish has already claimed it
+  async updateUnlessPublishing(draftId, updateExpression, values, names = {}) {
+    try {
+      const result = await dynamodb.update({
+        TableName: DRAFTS_TABLE,
+        Key: { draftId },
+        UpdateExpression: updateExpression,
+        ConditionExpression: '#status IN (:draft, :scheduled)',
+        ExpressionAttributeNames: { ...names, '#status': 'status' },
+        ExpressionAttributeValues: {
+          ...values,
+          ':draft': 'draft',
+          ':scheduled': 'scheduled',
+          ':updatedAt': new Date().toISOString()
+        },
+        ReturnValues: 'ALL_NEW'
+      }).promise();
+      return result.Attributes;
+    } catch (error) {
+      throw this.translateConflict(error);
+    }
+  }
+
+  translateConflict(error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createError('This post is being published', 'draft_publishing', 409);
+    }
+    return error;
+  }
+
+  // Publishes a restart interrupted are left in publishing; finish them
+  async finishInterrupted() {
+    const interrupted = await queryAllItems(
+      DRAFTS_TABLE,
+      '#status = :publishing',
+      { ':publishing': 'publishing' },
+      'DueDraftsIndex',
+      { '#status': 'status' }
+    );
+
+    for (const draft of interrupted) {
+      try {
+        await this.publishClaimed(draft);
+      } catch (error) {
+        console.error(`Scheduled post error for ${draft.draftId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Start the one-minute publishing sweep. Its first run finishes publishes
+   * interrupted by a restart; if that fails, the next run tries again.
+   */
+  async start() {
+    if (this.sweepInterval) return;
+
+    let recovered = false;
+    const sweep = async () => {
+      if (!recovered) {
+        try {
+          await this.finishInterrupted();
+          recovered = true;
+        } catch (error) {
+          console.error('Scheduled post recovery error:', error);
+        }
+      }
+
+      await this.processDuePosts().catch(error => {
+        console.error('Scheduled post sweep error:', error);
+      });
+    };
+
+    this.sweepInterval = setInterval(sweep, MINUTE_MS);
+    this.sweepInterval.unref();
+    await sweep();
+  }
+}
+
+// Create singleton instance
+const scheduledPostService = new ScheduledPostService();
+
+module.exports = scheduledPostService;
+module.exports.STATUSES = STATUSES;
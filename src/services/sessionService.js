@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/mongodb/Session');
+const { createError } = require('../utils/errors');
+
+const MAX_PREVIOUS_TOKEN_HASHES = 20;
+
+/**
+ * Session service for issuing access tokens and rotating refresh tokens
+ */
+class SessionService {
+  constructor() {
+    this.accessTokenTtl = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  }
+
+  /**
+   * Hash a refresh token secret for storage
+   * @param {string} secret - Refresh token secret
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Build a refresh token for a session. The session ID is embedded so the
+   * session can be found without scanning, the secret is never stored.
+   * @param {string} sessionId - Session ID
+   * @returns {{ refreshToken: string, hash: string }}
+   */
+  generateRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(48).toString('base64url');
+    return {
+      refreshToken: `${sessionId}.${secret}`,
+      hash: this.hashToken(secret)
+    };
+  }
+
+  /**
+   * Split a refresh token into its session ID and secret
+   * @param {string} refreshToken - Refresh token
+   * @returns {Object|null} Parsed token or null when malformed
+   */
+  parseRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string') return null;
+
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+      return null;
+    }
+
+    return { sessionId, secret };
+  }
+
+  /**
+   * Sign a short-lived access token bound to a session
+   * @param {Object} user - User document
+   * @param {Object} session - Session document
+   * @returns {string} Signed JWT
+   */
+  generateAccessToken(user, session) {
+    return jwt.sign(
+      { userId: user._id, sid: session._id },
+      process.env.JWT_SECRET || 'fallback_secret',
+      { expiresIn: this.accessTokenTtl }
+    );
+  }
+
+  /**
+   * Sign the short-lived token that carries a password-verified login over to
+   * the two-factor step. It uses a derived key so it can never be accepted as
+   * an access token.
+   * @param {Object} user - User document
+   * @returns {string} Signed JWT
+   */
+  generateTwoFactorChallenge(user) {
+    return jwt.sign(
+      { userId: user._id, purpose: '2fa_login' },
+      this.getChallengeSecret(),
+      { expiresIn: '5m' }
+    );
+  }
+
+  /**
+   * Verify a two-factor challenge token
+   * @param {string} challengeToken - Token from generateTwoFactorChallenge
+   * @returns {string} User ID the challenge was issued to
+   */
+  verifyTwoFactorChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(challengeToken, this.getChallengeSecret());
+      if (decoded.purpose !== '2fa_login') {
+        throw new Error('Unexpected token purpose');
+      }
+      return decoded.userId;
+    } catch (error) {
+      throw createError('Login challenge is invalid or has expired', 'invalid_challenge');
+    }
+  }
+
+  getChallengeSecret() {
+    return `${process.env.JWT_SECRET || 'fallback_secret'}:2fa`;
+  }
+
+  /**
+   * Describe the client a request came from
+   * @param {Object} req - Express request
+   * @returns {Object} Device details
+   */
+  getDeviceInfo(req) {
+    return {
+      deviceName: req.body?.deviceName || req.headers['x-device-name'] || null,
+      userAgent: req.headers['user-agent'] || null,
+      ipAddress: req.ip || null
+    };
+  }
+
+  /**
+   * Start a new session for a user and issue its first token pair
+   * @param {Object} user - User document
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} Token pair and session
+   */
+  async createSession(user, req) {
+    const session = new Session({
+      userId: user._id,
+      refreshTokenHash: 'pending',
+      expiresAt: new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+      ...this.getDeviceInfo(req)
+    });
+
+    const { refreshToken, hash } = this.generateRefreshToken(session._id.toString());
+    session.refreshTokenHash = hash;
+    await session.save();
+
+    return {
+      accessToken: this.generateAccessToken(user, session),
+      refreshToken,
+      expiresIn: this.accessTokenTtl,
+      session
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. The presented token is
+   * invalidated; presenting it again revokes the whole session.
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} New token pair and session
+   */
+  async rotateRefreshToken(refreshToken, req) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) {
+      throw createError('Invalid refresh token', 'invalid_token');
+    }
+
+    const session = await Session.findById(parsed.sessionId)
+      .select('+previousTokenHashes')
+      .populate('userId', 'email username isActive');
+
+    if (!session) {
+      throw createError('Invalid refresh token', 'invalid_token');
+    }
+
+    const presentedHash = this.hashToken(parsed.secret);
+
+    if (presentedHash !== session.refreshTokenHash) {
+      if (session.previousTokenHashes.includes(presentedHash)) {
+        if (!session.revokedAt) {
+          await session.revoke('reuse_detected');
+        }
+        console.warn(`Refresh token reuse detected for session ${session._id}`);
+        throw createError('Refresh token has already been used', 'token_reused');
+      }
+      throw createError('Invalid refresh token', 'invalid_token');
+    }
+
+    if (!session.isActive()) {
+      throw createError('Session has expired or been revoked', 'session_revoked');
+    }
+
+    const user = session.userId;
+    if (!user || !user.isActive) {
+      await session.revoke('admin_revoked');
+      throw createError('Account is deactivated', 'session_revoked');
+    }
+
+    // Only one rotation can swap out the presented hash; a concurrent one with
+    // the same token finds it gone and is treated as reuse
+    const { refreshToken: nextRefreshToken, hash } = this.generateRefreshToken(session._id.toString());
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: hash,
+          lastUsedAt: new Date(),
+          ipAddress: req.ip || session.ipAddress,
+          userAgent: req.headers['user-agent'] || session.userAgent
+        },
+        $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES } }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      await Session.updateOne(
+        { _id: session._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'reuse_detected' }
+      );
+      console.warn(`Refresh token reuse detected for session ${session._id}`);
+      throw createError('Refresh token has already been used', 'token_reused');
+    }
+
+    return {
+      accessToken: this.generateAccessToken(user, rotated),
+      refreshToken: nextRefreshToken,
+      expiresIn: this.accessTokenTtl,
+      session: rotated
+    };
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<boolean>} Whether a session was revoked
+   */
+  async revokeByRefreshToken(refreshToken) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) return false;
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || session.revokedAt || session.refreshTokenHash !== this.hashToken(parsed.secret)) {
+      return false;
+    }
+
+    await session.revoke('logout');
+    return true;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @param {string} exceptSessionId - Session to keep alive
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeAllSessions(userId, reason = 'user_revoked', exceptSessionId = null) {
+    const query = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(query, {
+      revokedAt: new Date(),
+      revokedReason: reason
+    });
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * List active sessions for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Sessions, most recently used first
+   */
+  async listActiveSessions(userId) {
+    return Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * Check whether a session referenced by an access token is still valid
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - User ID the token was issued to
+   * @returns {Promise<boolean>}
+   */
+  async isSessionActive(sessionId, userId) {
+    const session = await Session.findById(sessionId).select('userId revokedAt expiresAt');
+    return !!session && session.userId.toString() === userId.toString() && session.isActive();
+  }
+}
+
+// Create singleton instance
+const sessionService = new SessionService();
+
+module.exports = sessionService;
@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const User = require('../models/mongodb/User');
+const FollowRequest = require('../models/mongodb/FollowRequest');
+const { getCache, setCache, deleteCache, CACHE_KEYS } = require('../config/redis');
+const privacyService = require('./privacyService');
+const blockService = require('./blockService');
+const membershipService = require('./membershipService');
+
+const CARD_FIELDS = 'firstName lastName username profileImage department year skills interests rating isVerified';
+
+// Points per shared thing; working on a project together counts most
+const SIGNAL_WEIGHTS = {
+  mutualConnections: 3,
+  projects: 3,
+  clubs: 2,
+  department: 2,
+  events: 1,
+  year: 1,
+  skills: 1,
+  interests: 0.5
+};
+
+// Past this many, more of the same signal stops adding to the score
+const MAX_SIGNAL_COUNT = 5;
+
+// Aggregation pipelines aren't cast by Mongoose
+const toObjectIds = (ids) => ids.map(id => new mongoose.Types.ObjectId(id.toString()));
+
+/**
+ * "People you may know" suggestions.
+ *
+ * Candidates are ranked on mutual connections (people the user follows who also
+ * follow the candidate), a shared department or year, overlapping skills and
+ * interests, and clubs, projects and events they have in common. Each
+ * suggestion lists the reasons it was made. The database gives every match a
+ * rough score first so the candidate pool keeps the strongest ones, not an
+ * arbitrary slice. Users already followed or requested, blocked either way, or
+ * not discoverable under their privacy settings are left out.
+ *
+ * The ranked list is cached per user and dropped whenever they follow, unfollow
+ * or block someone.
+ */
+class SuggestionService {
+  constructor() {
+    this.cacheTtl = 60 * 60;
+    this.maxSuggestions = 50;
+    this.candidatePoolSize = 300;
+  }
+
+  /**
+   * Ranked suggestions for a user
+   * @param {string} userId - User ID
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} [{ user, score, reasons, explanation }]
+   */
+  async getSuggestions(userId, { limit = 10 } = {}) {
+    const cacheKey = CACHE_KEYS.USER_SUGGESTIONS(userId);
+
+    let suggestions = await getCache(cacheKey);
+    if (!suggestions) {
+      suggestions = await this.buildSuggestions(userId);
+      await setCache(cacheKey, suggestions, this.cacheTtl);
+    }
+
+    return suggestions.slice(0, limit);
+  }
+
+  /**
+   * Rank candidates for a user, bypassing the cache
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async buildSuggestions(userId) {
+    const user = await User.findById(userId).select('department year skills interests following');
+    if (!user) {
+      return [];
+    }
+
+    const [blockedIds, requestedIds, shared] = await Promise.all([
+      blockService.getBlockedIds(userId),
+      FollowRequest.find({ requesterId: userId }).distinct('targetId'),
+      this.getSharedMemberships(userId)
+    ]);
+
+    const excludedIds = [userId, ...user.following, ...blockedIds, ...requestedIds].map(id => id.toString());
+    const candidateIds = await this.findCandidateIds(user, excludedIds, shared);
+
+    const candidates = await User.find({ _id: { $in: candidateIds } })
+      .select(`${CARD_FIELDS} ${privacyService.PRIVACY_FIELDS}`);
+
+    return candidates
+      .filter(candidate => privacyService.canViewProfile(candidate, userId))
+      .map(candidate => {
+        const reasons = this.getReasons(user, candidate, shared);
+        return {
+          user: privacyService.redactProfile(candidate, userId),
+          score: this.scoreReasons(reasons),
+          reasons,
+          explanation: this.explain(reasons)
+        };
+      })
+      .filter(suggestion => suggestion.score > 0)
+      .sort((a, b) => b.score - a.score || (b.user.rating || 0) - (a.user.rating || 0))
+      .slice(0, this.maxSuggestions);
+  }
+
+  /**
+   * The candidatePoolSize best candidates, by a rough score worked out in the
+   * database: the same weights as scoreReasons, with skills and interests
+   * compared case-sensitively
+   * @param {Object} user - The user getting suggestions
+   * @param {Array<string>} excludedIds - Users never to suggest
+   * @param {Object} shared - Output of getSharedMemberships
+   * @returns {Promise<Array>} Candidate IDs
+   */
+  async findCandidateIds(user, excludedIds, shared) {
+    const sharedIds = [...new Set(Object.values(shared).flatMap(counts => [...counts.keys()]))]
+      .filter(id => !excludedIds.includes(id));
+    const following = [...user.following];
+
+    const signals = [{ _id: { $in: toObjectIds(sharedIds) } }];
+    if (following.length) signals.push({ followers: { $in: following } });
+    if (user.department) signals.push({ department: user.department });
+    if (user.year) signals.push({ year: user.year });
+    if (user.skills.length) signals.push({ skills: { $in: user.skills } });
+    if (user.interests.length) signals.push({ interests: { $in: user.interests } });
+
+    const overlap = (field, values, type) => ({
+      $multiply: [
+        SIGNAL_WEIGHTS[type],
+        { $min: [{ $size: { $setIntersection: [{ $ifNull: [`$${field}`, []] }, values] } }, MAX_SIGNAL_COUNT] }
+      ]
+    });
+    const score = [
+      overlap('followers', following, 'mutualConnections'),
+      overlap('skills', [...user.skills], 'skills'),
+      overlap('interests', [...user.interests], 'interests'),
+      {
+        $let: {
+          vars: { index: { $indexOfArray: [toObjectIds(sharedIds), '$_id'] } },
+          in: {
+            $cond: [
+              { $gte: ['$$index', 0] },
+              { $arrayElemAt: [sharedIds.map(id => this.scoreShared(shared, id)), '$$index'] },
+              0
+            ]
+          }
+        }
+      }
+    ];
+    if (user.department) score.push({ $cond: [{ $eq: ['$department', user.department] }, SIGNAL_WEIGHTS.department, 0] });
+    if (user.year) score.push({ $cond: [{ $eq: ['$year', user.year] }, SIGNAL_WEIGHTS.year, 0] });
+
+    const ranked = await User.aggregate([
+      {
+        $match: {
+          _id: { $nin: toObjectIds(excludedIds) },
+          isActive: true,
+          $and: [privacyService.getDiscoverableFilter(user._id), { $or: signals }]
+        }
+      },
+      { $project: { score: { $add: score }, rating: 1 } },
+      { $sort: { score: -1, rating: -1, _id: 1 } },
+      { $limit: this.candidatePoolSize }
+    ]);
+
+    return ranked.map(candidate => candidate._id);
+  }
+
+  // Score for the projects, clubs and events a candidate shares with the user
+  scoreShared(shared, candidateId) {
+    return ['projects', 'clubs', 'events'].reduce(
+      (score, type) => score + SIGNAL_WEIGHTS[type] * Math.min(shared[type].get(candidateId) || 0, MAX_SIGNAL_COUNT),
+      0
+    );
+  }
+
+  /**
+   * What a user and a candidate have in common
+   * @param {Object} user - The user getting suggestions
+   * @param {Object} candidate - User being suggested
+   * @param {Object} shared - Output of getSharedMemberships
+   * @returns {Array} [{ type, count, text }], strongest first
+   */
+  getReasons(user, candidate, shared) {
+    const candidateId = candidate._id.toString();
+    const reasons = [];
+    const add = (type, count, text) => {
+      if (count > 0) reasons.push({ type, count, text });
+    };
+
+    const mutual = (candidate.followers || [])
+      .filter(id => privacyService.includesId(user.following, id)).length;
+    add('mutualConnections', mutual, `${mutual} mutual connection${mutual === 1 ? '' : 's'}`);
+
+    if (user.department && candidate.department === user.department) {
+      add('department', 1, `both in ${user.department}`);
+    }
+    if (user.year && candidate.year === user.year) {
+      add('year', 1, `both in year ${user.year}`);
+    }
+
+    const skills = this.countOverlap(user.skills, candidate.skills);
+    add('skills', skills, `${skills} shared skill${skills === 1 ? '' : 's'}`);
+
+    const interests = this.countOverlap(user.interests, candidate.interests);
+    add('interests', interests, `${interests} shared interest${interests === 1 ? '' : 's'}`);
+
+    const projects = shared.projects.get(candidateId) || 0;
+    add('projects', projects, `worked on ${projects} project${projects === 1 ? '' : 's'} together`);
+
+    const clubs = shared.clubs.get(candidateId) || 0;
+    add('clubs', clubs, `${clubs} club${clubs === 1 ? '' : 's'} in common`);
+
+    const events = shared.events.get(candidateId) || 0;
+    add('events', events, `went to ${events} event${events === 1 ? '' : 's'} together`);
+
+    return reasons.sort((a, b) => this.scoreReasons([b]) - this.scoreReasons([a]));
+  }
+
+  /**
+   * @param {Array} reasons - Output of getReasons
+   * @returns {number}
+   */
+  scoreReasons(reasons) {
+    return reasons.reduce(
+      (score, reason) => score + SIGNAL_WEIGHTS[reason.type] * Math.min(reason.count, MAX_SIGNAL_COUNT),
+      0
+    );
+  }
+
+  /**
+   * One line for the UI, e.g. "3 mutual connections, both in Computer Science"
+   * @param {Array} reasons - Output of getReasons
+   * @returns {string}
+   */
+  explain(reasons) {
+    return reasons.slice(0, 2).map(reason => reason.text).join(', ');
+  }
+
+  countOverlap(mine = [], theirs = []) {
+    const lowered = new Set(mine.map(item => item.toLowerCase()));
+    return new Set(theirs.map(item => item.toLowerCase()).filter(item => lowered.has(item))).size;
+  }
+
+  /**
+   * Everyone who shares a project, club or event with a user, and how many
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { projects, clubs, events } maps of user ID to count
+   */
+  async getSharedMemberships(userId) {
+    const [projects, clubs, events] = await Promise.all([
+      membershipService.getGroups(userId, 'project'),
+      membershipService.getGroups(userId, 'club'),
+      membershipService.getGroups(userId, 'event')
+    ]);
+
+    return {
+      projects: this.countMembers(projects, 'project', userId),
+      clubs: this.countMembers(clubs, 'club', userId),
+      events: this.countMembers(events, 'event', userId)
+    };
+  }
+
+  countMembers(groups, groupType, userId) {
+    const counts = new Map();
+    groups.forEach(group => {
+      membershipService.getMemberIds(groupType, group).forEach(id => {
+        if (id !== userId.toString()) counts.set(id, (counts.get(id) || 0) + 1);
+      });
+    });
+    return counts;
+  }
+
+  /**
+   * Drop cached suggestions, e.g. after a follow changes who should be suggested
+   * @param {...string} userIds - User IDs
+   */
+  async invalidate(...userIds) {
+    await Promise.all(userIds.map(userId => deleteCache(CACHE_KEYS.USER_SUGGESTIONS(userId))));
+  }
+}
+
+// Create singleton instance
+const suggestionService = new SuggestionService();
+
+module.exports = suggestionService;
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * TOTP service implementing RFC 6238 time-based one-time passwords
+ */
+class TotpService {
+  constructor() {
+    this.issuer = process.env.TOTP_ISSUER || 'Network-X';
+    this.algorithm = 'sha1';
+    this.digits = 6;
+    this.period = 30; // seconds
+    this.window = 1; // accept one step of clock drift either way
+  }
+
+  /**
+   * Encode a buffer as RFC 4648 base32 without padding
+   * @param {Buffer} buffer - Bytes to encode
+   * @returns {string} Base32 string
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode an RFC 4648 base32 string
+   * @param {string} input - Base32 string (case and padding insensitive)
+   * @returns {Buffer} Decoded bytes
+   */
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        output.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(output);
+  }
+
+  /**
+   * Generate a new random shared secret
+   * @returns {string} Base32 encoded 160-bit secret
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Generate the HOTP value for a counter (RFC 4226)
+   * @param {string} secret - Base32 secret
+   * @param {number} counter - Moving factor
+   * @param {number} digits - Code length
+   * @returns {string} Zero-padded code
+   */
+  generateHotp(secret, counter, digits = this.digits) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac(this.algorithm, this.base32Decode(secret))
+      .update(counterBuffer)
+      .digest();
+
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return (binary % 10 ** digits).toString().padStart(digits, '0');
+  }
+
+  /**
+   * Get the time step for a timestamp
+   * @param {number} timestamp - Milliseconds since epoch
+   * @returns {number} Time step counter
+   */
+  getTimeStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / this.period);
+  }
+
+  /**
+   * Generate the TOTP code for a point in time
+   * @param {string} secret - Base32 secret
+   * @param {number} timestamp - Milliseconds since epoch
+   * @param {number} digits - Code length
+   * @returns {string} TOTP code
+   */
+  generateCode(secret, timestamp = Date.now(), digits = this.digits) {
+    return this.generateHotp(secret, this.getTimeStep(timestamp), digits);
+  }
+
+  /**
+   * Verify a TOTP code, allowing for a small amount of clock drift
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {Object} options - Verification options
+   * @param {number} options.timestamp - Time to verify against
+   * @param {number} options.lastUsedStep - Last accepted step, codes at or before it are rejected
+   * @returns {number|null} Matched time step, or null when the code is invalid
+   */
+  verifyCode(secret, code, { timestamp = Date.now(), lastUsedStep = null } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== this.digits) {
+      return null;
+    }
+
+    const currentStep = this.getTimeStep(timestamp);
+
+    for (let drift = -this.window; drift <= this.window; drift++) {
+      const step = currentStep + drift;
+      if (lastUsedStep !== null && step <= lastUsedStep) {
+        continue;
+      }
+
+      const expected = this.generateHotp(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a second factor for a user with 2FA enabled. A TOTP code advances
+   * the replay guard and a recovery code is consumed; the caller saves the user.
+   * @param {Object} user - User document
+   * @param {Object} factor - Submitted factor
+   * @param {string} factor.code - TOTP code
+   * @param {string} factor.recoveryCode - Recovery code
+   * @returns {string|null} 'totp' or 'recovery_code' on success, null otherwise
+   */
+  verifyUserFactor(user, { code, recoveryCode } = {}) {
+    if (!user.twoFactor?.enabled || !user.twoFactor.secret) {
+      return null;
+    }
+
+    if (code) {
+      const step = this.verifyCode(this.decryptSecret(user.twoFactor.secret), code, {
+        lastUsedStep: user.twoFactor.lastUsedStep
+      });
+      if (step === null) return null;
+
+      user.twoFactor.lastUsedStep = step;
+      return 'totp';
+    }
+
+    if (recoveryCode) {
+      const index = user.twoFactor.recoveryCodes.indexOf(this.hashRecoveryCode(recoveryCode));
+      if (index === -1) return null;
+
+      user.twoFactor.recoveryCodes.splice(index, 1);
+      return 'recovery_code';
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the otpauth:// URI authenticator apps read from a QR code
+   * @param {string} secret - Base32 secret
+   * @param {string} accountName - Account label, usually the email address
+   * @returns {string} Provisioning URI
+   */
+  getProvisioningUri(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: this.algorithm.toUpperCase(),
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Generate single-use recovery codes
+   * @param {number} count - Number of codes
+   * @returns {{ codes: Array<string>, hashes: Array<string> }} Plain codes and their hashes
+   */
+  generateRecoveryCodes(count = 10) {
+    const codes = Array.from({ length: count }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map(code => this.hashRecoveryCode(code))
+    };
+  }
+
+  /**
+   * Hash a recovery code for storage
+   * @param {string} code - Recovery code
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Derive the key used to encrypt secrets at rest
+   * @returns {Buffer} 256-bit key
+   */
+  getEncryptionKey() {
+    const keyMaterial = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || 'fallback_secret';
+    return crypto.createHash('sha256').update(keyMaterial).digest();
+  }
+
+  /**
+   * Encrypt a shared secret before storing it
+   * @param {string} secret - Base32 secret
+   * @returns {string} iv:tag:ciphertext in hex
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return `${iv.toString('hex')}:${tag.toString('hex')}:${encrypted.toString('hex')}`;
+  }
+
+  /**
+   * Decrypt a stored shared secret
+   * @param {string} payload - Value produced by encryptSecret
+   * @returns {string} Base32 secret
+   */
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted, 'hex')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+}
+
+// Create singleton instance
+const totpService = new TotpService();
+
+module.exports = totpService;
@@ -1,13 +1,15 @@
 const request = require('supertest');
-const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 const app = require('../../server');
 const User = require('../models/mongodb/User');
+const Session = require('../models/mongodb/Session');
+const totpService = require('../services/totpService');
+const emailService = require('../services/emailService');
+const { connectTestDatabase, closeTestDatabase } = require('./helpers');
 
 describe('Authentication Routes', () => {
   beforeAll(async () => {
-    // Connect to test database
-    const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/networkx-test';
-    await mongoose.connect(MONGODB_URI);
+    await connectTestDatabase();
   });
 
   beforeEach(async () => {
@@ -18,7 +20,7 @@ describe('Authentication Routes', () => {
   afterAll(async () => {
     // Clean up and close connection
     await User.deleteMany({});
-    await mongoose.connection.close();
+    await closeTestDatabase();
   });
 
   describe('POST /api/auth/register', () => {
@@ -134,4 +136,452 @@ describe('Authentication Routes', () => {
       expect(response.body.error).toBe('Invalid credentials');
     });
   });
+
+  describe('Email verification', () => {
+    const createUnverifiedUser = async () => {
+      const user = new User({
+        email: 'test@example.com',
+        password: 'password123',
+        firstName: 'John',
+        lastName: 'Doe',
+        username: 'johndoe'
+      });
+      await user.save();
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      return { user, token: login.body.token };
+    };
+
+    it('should verify an email address with the emailed token', async () => {
+      const { user, token: accessToken } = await createUnverifiedUser();
+
+      // Posting is gated until the address is verified
+      await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ content: 'Hello' })
+        .expect(403);
+
+      const sendSpy = jest.spyOn(emailService, 'sendVerificationEmail').mockResolvedValue({});
+
+      await request(app)
+        .post('/api/auth/verify-email/request')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const verificationUrl = sendSpy.mock.calls[0][1];
+      sendSpy.mockRestore();
+
+      // Only a hash of the token is stored
+      const token = verificationUrl.split('/').pop();
+      const stored = await User.findById(user._id);
+      expect(stored.verificationToken).not.toBe(token);
+
+      const response = await request(app)
+        .get(`/api/auth/verify-email/${token}`)
+        .expect(200);
+
+      expect(response.body.user.isVerified).toBe(true);
+
+      // Tokens are single use
+      await request(app)
+        .get(`/api/auth/verify-email/${token}`)
+        .expect(400);
+    });
+
+    it('should throttle verification email requests', async () => {
+      const { user, token } = await createUnverifiedUser();
+      await User.updateOne({ _id: user._id }, { verificationEmailSentAt: new Date() });
+
+      const response = await request(app)
+        .post('/api/auth/verify-email/request')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(429);
+
+      expect(response.body.retryAfter).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Account lockout', () => {
+    it('should lock the account after repeated failed passwords', async () => {
+      const user = new User({
+        email: 'test@example.com',
+        password: 'password123',
+        firstName: 'John',
+        lastName: 'Doe',
+        username: 'johndoe'
+      });
+      await user.save();
+
+      for (let attempt = 1; attempt < 5; attempt++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'test@example.com', password: 'wrongpassword' })
+          .expect(401);
+      }
+
+      const locked = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'wrongpassword' })
+        .expect(423);
+
+      expect(locked.body).toHaveProperty('lockUntil');
+
+      // The correct password is refused while the lock holds
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(423);
+
+      const stored = await User.findById(user._id);
+      expect(stored.loginAttempts).toBe(5);
+    });
+
+    it('should reset failed attempts after a successful login', async () => {
+      const user = new User({
+        email: 'test@example.com',
+        password: 'password123',
+        firstName: 'John',
+        lastName: 'Doe',
+        username: 'johndoe'
+      });
+      await user.save();
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'wrongpassword' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+
+      const stored = await User.findById(user._id);
+      expect(stored.loginAttempts).toBe(0);
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    let refreshToken;
+
+    beforeEach(async () => {
+      await Session.deleteMany({});
+
+      const user = new User({
+        email: 'test@example.com',
+        password: 'password123',
+        firstName: 'John',
+        lastName: 'Doe',
+        username: 'johndoe'
+      });
+      await user.save();
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      refreshToken = response.body.refreshToken;
+    });
+
+    it('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+      expect(response.body.refreshToken).not.toBe(refreshToken);
+    });
+
+    it('should revoke the session when a rotated token is reused', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      // The legitimate holder is signed out too
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${first.body.token}`)
+        .expect(401);
+    });
+
+    it('should let only one of two concurrent refreshes with the same token through', async () => {
+      const responses = await Promise.all([
+        request(app).post('/api/auth/refresh').send({ refreshToken }),
+        request(app).post('/api/auth/refresh').send({ refreshToken })
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 401]);
+    });
+
+    it('should reject access tokens that are not bound to a session', async () => {
+      const user = await User.findOne({ email: 'test@example.com' });
+      const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET || 'fallback_secret', { expiresIn: '1h' });
+
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it('should reject access tokens after logout', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: login.body.refreshToken })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/auth/sessions', () => {
+    it('should list sessions and revoke one by id', async () => {
+      const user = new User({
+        email: 'test@example.com',
+        password: 'password123',
+        firstName: 'John',
+        lastName: 'Doe',
+        username: 'johndoe'
+      });
+      await user.save();
+
+      const phone = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const laptop = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.body.token}`)
+        .expect(200);
+
+      expect(response.body.sessions).toHaveLength(2);
+      const phoneSession = response.body.sessions.find(session => !session.isCurrent);
+
+      await request(app)
+        .delete(`/api/auth/sessions/${phoneSession.id}`)
+        .set('Authorization', `Bearer ${laptop.body.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.body.token}`)
+        .expect(401);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    const enrollUser = async () => {
+      const user = new User({
+        email: 'test@example.com',
+        password: 'password123',
+        firstName: 'John',
+        lastName: 'Doe',
+        username: 'johndoe'
+      });
+      await user.save();
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(200);
+
+      expect(setup.body.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+
+      const verify = await request(app)
+        .post('/api/auth/2fa/verify')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .send({ code: totpService.generateCode(setup.body.secret) })
+        .expect(200);
+
+      expect(verify.body.recoveryCodes).toHaveLength(10);
+
+      return { secret: setup.body.secret, recoveryCodes: verify.body.recoveryCodes };
+    };
+
+    it('should require a second step after enrollment', async () => {
+      const { secret } = await enrollUser();
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+
+      expect(login.body.twoFactorRequired).toBe(true);
+      expect(login.body.token).toBeUndefined();
+
+      // The challenge token is not an access token
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${login.body.challengeToken}`)
+        .expect(403);
+
+      // The code used during enrollment cannot be replayed
+      const nextStep = Date.now() + totpService.period * 1000;
+      const response = await request(app)
+        .post('/api/auth/2fa/login')
+        .send({ challengeToken: login.body.challengeToken, code: totpService.generateCode(secret, nextStep) })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('token');
+      expect(response.body).toHaveProperty('refreshToken');
+      expect(response.body.user.twoFactor).toEqual(expect.objectContaining({ enabled: true }));
+      expect(response.body.user.twoFactor).not.toHaveProperty('secret');
+    });
+
+    it('should reject a wrong code', async () => {
+      await enrollUser();
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      await request(app)
+        .post('/api/auth/2fa/login')
+        .send({ challengeToken: login.body.challengeToken, code: '000000' })
+        .expect(401);
+    });
+
+    it('should accept a recovery code only once', async () => {
+      const { recoveryCodes } = await enrollUser();
+
+      const first = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      const response = await request(app)
+        .post('/api/auth/2fa/login')
+        .send({ challengeToken: first.body.challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(200);
+
+      expect(response.body.recoveryCodesRemaining).toBe(9);
+
+      const second = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      await request(app)
+        .post('/api/auth/2fa/login')
+        .send({ challengeToken: second.body.challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(401);
+    });
+  });
+
+  describe('Personal access tokens', () => {
+    const loginUser = async () => {
+      const user = new User({
+        email: 'test@example.com',
+        password: 'password123',
+        firstName: 'John',
+        lastName: 'Doe',
+        username: 'johndoe'
+      });
+      await user.save();
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      return login.body.token;
+    };
+
+    it('should authenticate scripts within the token scopes', async () => {
+      const sessionToken = await loginUser();
+
+      const created = await request(app)
+        .post('/api/auth/tokens')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ name: 'CI bot', scopes: ['users:read'], expiresInDays: 7 })
+        .expect(201);
+
+      const pat = created.body.token;
+      expect(pat).toMatch(/^nxp_/);
+
+      await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${pat}`)
+        .expect(200);
+
+      // Read scope does not allow writes
+      const denied = await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${pat}`)
+        .send({ bio: 'Updated by a script' })
+        .expect(403);
+
+      expect(denied.body.requiredScope).toBe('users:write');
+
+      // Tokens cannot be used to manage tokens
+      await request(app)
+        .get('/api/auth/tokens')
+        .set('Authorization', `Bearer ${pat}`)
+        .expect(403);
+
+      const list = await request(app)
+        .get('/api/auth/tokens')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .expect(200);
+
+      expect(list.body.tokens[0].lastUsedAt).not.toBeNull();
+      expect(list.body.tokens[0]).not.toHaveProperty('tokenHash');
+    });
+
+    it('should reject unknown scopes', async () => {
+      const sessionToken = await loginUser();
+
+      await request(app)
+        .post('/api/auth/tokens')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ name: 'Too powerful', scopes: ['admin:write'] })
+        .expect(400);
+    });
+
+    it('should stop accepting a revoked token', async () => {
+      const sessionToken = await loginUser();
+
+      const created = await request(app)
+        .post('/api/auth/tokens')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ name: 'Old bot', scopes: ['users:read'] });
+
+      await request(app)
+        .delete(`/api/auth/tokens/${created.body.accessToken.id}`)
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${created.body.token}`)
+        .expect(401);
+    });
+  });
 });
@@ -0,0 +1,139 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const AvailabilitySchedule = require('../models/mongodb/AvailabilitySchedule');
+const availabilityService = require('../services/availabilityService');
+const { connectTestDatabase, closeTestDatabase, createUser, tokenFor } = require('./helpers');
+
+describe('Availability schedules', () => {
+  let alice;
+  let bob;
+  let aliceToken;
+  let bobToken;
+
+  // Monday 1 April 2030 to Tuesday 9 April; London is on summer time throughout
+  const range = 'from=2030-04-01T00:00:00Z&to=2030-04-09T00:00:00Z';
+
+  const saveSchedule = (token, schedule) => request(app)
+    .put('/api/users/me/availability')
+    .set('Authorization', `Bearer ${token}`)
+    .send(schedule);
+
+  const get = (path, token = aliceToken) => request(app)
+    .get(path)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await AvailabilitySchedule.deleteMany({});
+
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    aliceToken = await tokenFor(alice);
+    bobToken = await tokenFor(bob);
+
+    await saveSchedule(aliceToken, {
+      timezone: 'Europe/London',
+      weekly: [{ day: 1, start: '09:00', end: '17:00' }],
+      exceptions: [{ date: '2030-04-08', windows: [], note: 'Conference' }]
+    }).expect(200);
+
+    await saveSchedule(bobToken, {
+      timezone: 'Asia/Kolkata',
+      weekly: [{ day: 1, start: '14:00', end: '20:00' }]
+    }).expect(200);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await AvailabilitySchedule.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  describe('schedules', () => {
+    it('should expand windows to UTC and apply exceptions', async () => {
+      const response = await get(`/api/users/${alice._id}/availability?${range}`, bobToken).expect(200);
+
+      expect(response.body.timezone).toBe('Europe/London');
+      expect(response.body.hasSchedule).toBe(true);
+      expect(response.body.status).toBe(alice.availability);
+      expect(response.body.windows).toEqual([
+        { start: '2030-04-01T08:00:00.000Z', end: '2030-04-01T16:00:00.000Z' }
+      ]);
+    });
+
+    it('should reject invalid timezones and windows', async () => {
+      const timezone = await saveSchedule(aliceToken, { timezone: 'Mars/Olympus', weekly: [] }).expect(400);
+      expect(timezone.body.code).toBe('invalid_timezone');
+
+      const window = await saveSchedule(aliceToken, {
+        timezone: 'Europe/London',
+        weekly: [{ day: 5, start: '22:00', end: '02:00' }]
+      }).expect(400);
+      expect(window.body.code).toBe('invalid_schedule');
+    });
+
+    it('should cap the range', async () => {
+      const response = await get(`/api/users/${alice._id}/availability?from=2030-04-01&to=2030-06-01`).expect(400);
+      expect(response.body.code).toBe('invalid_range');
+    });
+
+    it('should hide private profiles', async () => {
+      await User.findByIdAndUpdate(alice._id, { 'preferences.privacy.profileVisibility': 'private' });
+
+      await get(`/api/users/${alice._id}/availability?${range}`, bobToken).expect(403);
+    });
+
+    it('should delete a schedule', async () => {
+      await request(app)
+        .delete('/api/users/me/availability')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      const response = await get('/api/users/me/availability', bobToken).expect(200);
+      expect(response.body.schedule).toBeNull();
+    });
+  });
+
+  describe('common free time', () => {
+    it('should intersect schedules across timezones', async () => {
+      const carol = await createUser('carol');
+
+      const response = await get(`/api/users/availability/common?userIds=${bob._id},${carol._id}&${range}`).expect(200);
+
+      expect(response.body.windows).toEqual([
+        { start: '2030-04-01T08:30:00.000Z', end: '2030-04-01T14:30:00.000Z' }
+      ]);
+      expect(response.body.usersWithoutSchedule).toEqual([carol._id.toString()]);
+    });
+
+    it('should drop slots shorter than the duration', async () => {
+      const response = await get(`/api/users/availability/common?userIds=${bob._id}&duration=480&${range}`).expect(200);
+      expect(response.body.windows).toEqual([]);
+    });
+
+    it('should refuse users the requester cannot see', async () => {
+      await User.findByIdAndUpdate(bob._id, { 'preferences.privacy.profileVisibility': 'private' });
+
+      await get(`/api/users/availability/common?userIds=${bob._id}&${range}`).expect(403);
+    });
+
+    it('should use project members', async () => {
+      const spy = jest.spyOn(availabilityService, 'getProjectMemberIds')
+        .mockResolvedValue([alice._id.toString(), bob._id.toString()]);
+
+      const response = await get(`/api/users/availability/common?projectId=project-1&${range}`).expect(200);
+
+      expect(spy).toHaveBeenCalledWith('project-1', alice._id.toString());
+      expect(response.body.windows).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const blockService = require('../services/blockService');
+const { connectTestDatabase, closeTestDatabase, createUser, tokenFor } = require('./helpers');
+
+describe('Blocking and muting', () => {
+  let alice;
+  let bob;
+  let aliceToken;
+  let bobToken;
+
+  const createStudent = (username) => createUser(username, {
+    department: 'Computer Science',
+    isVerified: true
+  });
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    alice = await createStudent('alice');
+    bob = await createStudent('bob');
+    aliceToken = await tokenFor(alice);
+    bobToken = await tokenFor(bob);
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  describe('blocking', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post(`/api/users/follow/${alice._id}`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/users/block/${bob._id}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+    });
+
+    it('should list the blocked user and end the follow', async () => {
+      const response = await request(app)
+        .get('/api/users/blocked')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      expect(response.body.users.map(user => user.username)).toEqual(['bob']);
+
+      const updatedAlice = await User.findById(alice._id);
+      expect(updatedAlice.followers).toHaveLength(0);
+    });
+
+    it('should stop the blocked user from following again', async () => {
+      await request(app)
+        .post(`/api/users/follow/${alice._id}`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(403);
+    });
+
+    it('should stop messages in both directions', async () => {
+      await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ receiverId: alice._id.toString(), content: 'hello?' })
+        .expect(403);
+
+      await request(app)
+        .post('/api/messages/send')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ receiverId: bob._id.toString(), content: 'hello?' })
+        .expect(403);
+    });
+
+    it('should hide both users from each other in search', async () => {
+      const response = await request(app)
+        .get('/api/users/search?department=Computer%20Science')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      expect(response.body.users.map(user => user.username)).not.toContain('alice');
+    });
+
+    it('should allow following again after unblocking', async () => {
+      await request(app)
+        .delete(`/api/users/block/${bob._id}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/users/follow/${alice._id}`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+    });
+  });
+
+  describe('muting', () => {
+    it('should only silence the muted user for the muter', async () => {
+      await request(app)
+        .post(`/api/users/mute/${bob._id}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/users/muted')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+      expect(response.body.users.map(user => user.username)).toEqual(['bob']);
+
+      expect(await blockService.isSilenced(alice._id, bob._id)).toBe(true);
+      expect(await blockService.isSilenced(bob._id, alice._id)).toBe(false);
+      expect(await blockService.isBlocked(alice._id, bob._id)).toBe(false);
+      expect(await blockService.getHiddenIds(alice._id)).toEqual([bob._id.toString()]);
+    });
+
+    it('should not let users mute or block themselves', async () => {
+      await request(app)
+        .post(`/api/users/mute/${alice._id}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(400);
+
+      await request(app)
+        .post(`/api/users/block/${alice._id}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const { dynamodb } = require('../config/dynamodb');
+const commentService = require('../services/commentService');
+const { connectTestDatabase, closeTestDatabase, createUser, tokenFor } = require('./helpers');
+
+describe('Comments', () => {
+  let author;
+  let commenter;
+  let authorToken;
+  let commenterToken;
+  let post;
+  let comment;
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+
+    author = await createUser('author');
+    commenter = await createUser('commenter');
+    authorToken = await tokenFor(author);
+    commenterToken = await tokenFor(commenter);
+
+    post = { postId: 'post-1', userId: author._id.toString(), comments: 1 };
+    comment = {
+      commentId: 'comment-1',
+      postId: 'post-1',
+      parentCommentId: null,
+      threadId: 'post-1#root',
+      userId: commenter._id.toString(),
+      content: 'First!',
+      edits: [],
+      likes: 0,
+      likedBy: [],
+      replies: 0,
+      deleted: false
+    };
+
+    jest.spyOn(commentService, 'getPost').mockResolvedValue(post);
+    jest.spyOn(commentService, 'getComment').mockImplementation(async (postId, commentId) => (
+      commentId === comment.commentId ? comment : null
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  it('should reject replies to comments that are not on the post', async () => {
+    const response = await request(app)
+      .post('/api/posts/post-1/comment')
+      .set('Authorization', `Bearer ${commenterToken}`)
+      .send({ content: 'Reply', parentCommentId: 'missing' })
+      .expect(404);
+
+    expect(response.body.code).toBe('comment_not_found');
+  });
+
+  it('should reject an invalid cursor', async () => {
+    const response = await request(app)
+      .get('/api/posts/post-1/comments?cursor=not-a-cursor')
+      .set('Authorization', `Bearer ${commenterToken}`)
+      .expect(400);
+
+    expect(response.body.code).toBe('invalid_cursor');
+  });
+
+  it('should reject a cursor without the thread position', async () => {
+    const cursor = Buffer.from(JSON.stringify({ commentId: 'comment-1', threadId: 'post-1#root' })).toString('base64url');
+
+    const response = await request(app)
+      .get(`/api/posts/post-1/comments?cursor=${cursor}`)
+      .set('Authorization', `Bearer ${commenterToken}`)
+      .expect(400);
+
+    expect(response.body.code).toBe('invalid_cursor');
+  });
+
+  it('should only let the author edit a comment', async () => {
+    const edit = jest.spyOn(commentService, 'editComment');
+
+    await request(app)
+      .put('/api/posts/post-1/comments/comment-1')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: 'Edited' })
+      .expect(403);
+
+    expect(edit).not.toHaveBeenCalled();
+  });
+
+  it('should let the post author delete a comment', async () => {
+    const remove = jest.spyOn(commentService, 'deleteComment').mockResolvedValue(true);
+
+    await request(app)
+      .delete('/api/posts/post-1/comments/comment-1')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(200);
+
+    expect(remove).toHaveBeenCalledWith(comment);
+  });
+
+  it('should hide the author and history of deleted comments', async () => {
+    const [visible, deleted] = await commentService.formatComments([
+      { ...comment, edits: [{ content: 'Frist', editedAt: new Date().toISOString() }], likedBy: [author._id.toString()] },
+      { ...comment, commentId: 'comment-2', content: '', deleted: true }
+    ], author._id);
+
+    expect(visible.author.username).toBe('commenter');
+    expect(visible.edited).toBe(true);
+    expect(visible.liked).toBe(true);
+    expect(visible.likedBy).toBeUndefined();
+    expect(visible.edits).toBeUndefined();
+
+    expect(deleted.author).toBeNull();
+    expect(deleted.userId).toBeNull();
+    expect(deleted.edited).toBe(false);
+  });
+
+  it('should only add a like if the user has not liked the comment in the meantime', async () => {
+    const update = jest.spyOn(dynamodb, 'update').mockReturnValue({
+      promise: () => Promise.resolve({ Attributes: { ...comment, likes: 1 } })
+    });
+    jest.spyOn(commentService, 'invalidate').mockResolvedValue();
+
+    const result = await commentService.toggleLike(comment, 'liker');
+
+    const params = update.mock.calls[0][0];
+    expect(params.ConditionExpression).toBe('NOT contains(likedBy, :userId)');
+    expect(params.UpdateExpression).toContain('ADD likes :one');
+    expect(result).toEqual({ liked: true, likes: 1 });
+  });
+
+  it('should read the comment again when a like raced another', async () => {
+    const conflict = Object.assign(new Error('The conditional request failed'), { code: 'ConditionalCheckFailedException' });
+    const update = jest.spyOn(dynamodb, 'update')
+      .mockReturnValueOnce({ promise: () => Promise.reject(conflict) })
+      .mockReturnValueOnce({ promise: () => Promise.resolve({ Attributes: { ...comment, likes: 0 } }) });
+    jest.spyOn(dynamodb, 'get').mockReturnValue({
+      promise: () => Promise.resolve({ Item: { ...comment, likes: 1, likedBy: ['liker'] } })
+    });
+    jest.spyOn(commentService, 'invalidate').mockResolvedValue();
+
+    const result = await commentService.toggleLike(comment, 'liker');
+
+    expect(update.mock.calls[1][0].ConditionExpression).toBe('likedBy[0] = :userId');
+    expect(result).toEqual({ liked: false, likes: 0 });
+  });
+});
@@ -0,0 +1,127 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const Department = require('../models/mongodb/Department');
+const { connectTestDatabase, closeTestDatabase, createUser, tokenFor } = require('./helpers');
+
+describe('Directory', () => {
+  let viewer;
+  let token;
+
+  const get = (path) => request(app)
+    .get(path)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Department.deleteMany({});
+
+    viewer = await createUser('viewer', { department: 'History', year: 1 });
+    token = await tokenFor(viewer);
+
+    await createUser('alice', { department: 'Computer Science', year: 2, skills: ['React', 'Go'], availability: 'available' });
+    await createUser('bob', { department: 'Computer Science', year: 2, skills: ['react'], availability: 'busy' });
+    await createUser('carol', { department: 'Computer Science', year: 3, skills: ['Python'], availability: 'available' });
+    await createUser('hidden', {
+      department: 'Computer Science',
+      year: 2,
+      skills: ['React'],
+      preferences: { privacy: { profileVisibility: 'private' } }
+    });
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await Department.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  describe('browsing', () => {
+    it('should list departments and cohorts without counting hidden profiles', async () => {
+      const departments = await get('/api/directory/departments').expect(200);
+      expect(departments.body.departments).toEqual([
+        { name: 'Computer Science', count: 3, canonical: false },
+        { name: 'History', count: 1, canonical: false }
+      ]);
+
+      const cohorts = await get('/api/directory/departments/Computer%20Science/cohorts').expect(200);
+      expect(cohorts.body.cohorts).toEqual([{ year: 2, count: 2 }, { year: 3, count: 1 }]);
+    });
+
+    it('should filter members and return facets', async () => {
+      const response = await get('/api/directory/members?department=Computer%20Science&skill=REACT').expect(200);
+
+      expect(response.body.members.map(member => member.username).sort()).toEqual(['alice', 'bob']);
+      expect(response.body.members[0].email).toBeUndefined();
+      expect(response.body.pagination.total).toBe(2);
+      expect(response.body.facets.skills[0]).toEqual({ value: expect.stringMatching(/^react$/i), count: 2 });
+      expect(response.body.facets.availability).toEqual(expect.arrayContaining([
+        { value: 'available', count: 1 },
+        { value: 'busy', count: 1 }
+      ]));
+      expect(response.body.facets.years).toEqual([{ value: 2, count: 2 }]);
+    });
+
+    it('should paginate members and validate facets', async () => {
+      const response = await get('/api/directory/members?department=Computer%20Science&limit=2&page=2').expect(200);
+      expect(response.body.members).toHaveLength(1);
+      expect(response.body.pagination.pages).toBe(2);
+
+      await get('/api/directory/members?availability=sleeping').expect(400);
+
+      const repeated = await get('/api/directory/members?skill=react&skill=go').expect(400);
+      expect(repeated.body.code).toBe('invalid_skill');
+    });
+  });
+
+  describe('canonical departments', () => {
+    let adminToken;
+
+    beforeEach(async () => {
+      const admin = await createUser('admin', { role: 'admin', twoFactor: { enabled: true } });
+      adminToken = await tokenFor(admin);
+    });
+
+    const createDepartment = (body, authToken = adminToken) => request(app)
+      .post('/api/admin/departments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+
+    it('should only let admins manage departments', async () => {
+      await createDepartment({ name: 'Computer Science' }, token).expect(403);
+    });
+
+    it('should normalize existing and new spellings', async () => {
+      await createUser('dave', { department: 'comp. sci' });
+
+      const response = await createDepartment({ name: 'Computer Science', aliases: ['Comp Sci', 'CSE'] }).expect(201);
+      expect(response.body.normalizedUsers).toBe(1);
+
+      const dave = await User.findOne({ username: 'dave' });
+      expect(dave.department).toBe('Computer Science');
+
+      await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ department: 'cse' })
+        .expect(200);
+
+      const updated = await User.findById(viewer._id);
+      expect(updated.department).toBe('Computer Science');
+
+      const cohorts = await get('/api/directory/departments/CSE/cohorts').expect(200);
+      expect(cohorts.body.department).toBe('Computer Science');
+    });
+
+    it('should not let two departments claim the same alias', async () => {
+      await createDepartment({ name: 'Computer Science', aliases: ['CS'] }).expect(201);
+
+      const response = await createDepartment({ name: 'Cognitive Science', aliases: ['cs'] }).expect(409);
+      expect(response.body.code).toBe('department_exists');
+    });
+  });
+});
@@ -0,0 +1,212 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const { dynamodb } = require('../config/dynamodb');
+const scheduledPostService = require('../services/scheduledPostService');
+const postService = require('../services/postService');
+const RealtimeService = require('../services/realtime');
+const { connectTestDatabase, closeTestDatabase, createUser, tokenFor } = require('./helpers');
+
+describe('Drafts & Scheduled Posts', () => {
+  let officer;
+  let officerToken;
+
+  const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+  const resolved = (value) => ({ promise: () => Promise.resolve(value) });
+  const conflict = () => ({
+    promise: () => Promise.reject(Object.assign(new Error('The conditional request failed'), { code: 'ConditionalCheckFailedException' }))
+  });
+
+  const scheduledDraft = (extra = {}) => ({
+    draftId: 'draft-1',
+    userId: officer._id.toString(),
+    status: 'scheduled',
+    content: 'Club fair on Friday #clubfair',
+    tags: ['events'],
+    mediaUrls: [],
+    location: null,
+    visibility: 'public',
+    poll: null,
+    publishAt: new Date(Date.now() - 1000).toISOString(),
+    ...extra
+  });
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+
+    officer = await createUser('officer', { isVerified: true });
+    officerToken = await tokenFor(officer);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  describe('saving', () => {
+    it('should require content and a future publishAt', async () => {
+      const put = jest.spyOn(dynamodb, 'put');
+
+      const empty = await request(app)
+        .post('/api/posts/drafts')
+        .set('Authorization', `Bearer ${officerToken}`)
+        .send({ content: '   ' })
+        .expect(400);
+
+      expect(empty.body.code).toBe('invalid_draft');
+
+      const past = await request(app)
+        .post('/api/posts/drafts')
+        .set('Authorization', `Bearer ${officerToken}`)
+        .send({ content: 'Announcement', publishAt: '2000-01-01T00:00:00Z' })
+        .expect(400);
+
+      expect(past.body.code).toBe('invalid_publish_at');
+      expect(put).not.toHaveBeenCalled();
+    });
+
+    it('should not let a poll close before the post is published', () => {
+      expect(() => scheduledPostService.validate({
+        content: 'Vote for the next workshop',
+        publishAt: inHours(2),
+        poll: { options: ['React', 'Go'], closesAt: inHours(1) }
+      }, {})).toThrow('close after');
+    });
+
+    it('should keep fields that were not sent when editing', () => {
+      const fields = scheduledPostService.validate({ publishAt: null }, scheduledDraft({ publishAt: inHours(1) }));
+
+      expect(fields.content).toBe('Club fair on Friday #clubfair');
+      expect(fields.tags).toEqual(['events']);
+      expect(fields.publishAt).toBeNull();
+    });
+  });
+
+  describe('access', () => {
+    it('should hide drafts from everyone but their author', async () => {
+      const otherToken = await tokenFor(await createUser('other', { isVerified: true }));
+      jest.spyOn(dynamodb, 'get').mockReturnValue(resolved({ Item: scheduledDraft() }));
+
+      await request(app)
+        .get('/api/posts/drafts/draft-1')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+
+      const own = await request(app)
+        .get('/api/posts/drafts/draft-1')
+        .set('Authorization', `Bearer ${officerToken}`)
+        .expect(200);
+
+      expect(own.body.draftId).toBe('draft-1');
+    });
+
+    it('should not publish a draft whose poll has closed', async () => {
+      jest.spyOn(dynamodb, 'get').mockReturnValue(resolved({
+        Item: scheduledDraft({ poll: { options: [], closesAt: '2000-01-01T00:00:00.000Z' } })
+      }));
+      const update = jest.spyOn(dynamodb, 'update');
+
+      const response = await request(app)
+        .post('/api/posts/drafts/draft-1/publish')
+        .set('Authorization', `Bearer ${officerToken}`)
+        .expect(400);
+
+      expect(response.body.code).toBe('invalid_poll');
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should not cancel a post that is already being published', async () => {
+      jest.spyOn(dynamodb, 'get').mockReturnValue(resolved({ Item: scheduledDraft() }));
+      jest.spyOn(dynamodb, 'delete').mockReturnValue(conflict());
+
+      const response = await request(app)
+        .delete('/api/posts/drafts/draft-1')
+        .set('Authorization', `Bearer ${officerToken}`)
+        .expect(409);
+
+      expect(response.body.code).toBe('draft_publishing');
+    });
+  });
+
+  describe('worker', () => {
+    it('should publish due posts like POST /api/posts and tell the author', async () => {
+      const draft = scheduledDraft();
+      jest.spyOn(dynamodb, 'query').mockReturnValue(resolved({ Items: [draft] }));
+      jest.spyOn(dynamodb, 'update').mockReturnValue(resolved({ Attributes: { ...draft, status: 'publishing' } }));
+      const remove = jest.spyOn(dynamodb, 'delete').mockReturnValue(resolved({}));
+      const createPost = jest.spyOn(postService, 'createPost').mockResolvedValue({ postId: 'draft-1' });
+      const notify = jest.spyOn(RealtimeService, 'sendNotification').mockResolvedValue({ sent: false, stored: true });
+
+      const published = await scheduledPostService.processDuePosts();
+
+      expect(published).toBe(1);
+      expect(createPost).toHaveBeenCalledWith(
+        expect.objectContaining({ username: 'officer' }),
+        expect.objectContaining({ postId: 'draft-1', content: draft.content, tags: ['events'] })
+      );
+      expect(remove).toHaveBeenCalledWith(expect.objectContaining({ Key: { draftId: 'draft-1' } }));
+      expect(notify).toHaveBeenCalledWith(draft.userId, expect.objectContaining({ type: 'post_published' }));
+    });
+
+    it('should skip posts another worker or an edit got to first', async () => {
+      jest.spyOn(dynamodb, 'query').mockReturnValue(resolved({ Items: [scheduledDraft()] }));
+      jest.spyOn(dynamodb, 'update').mockReturnValue(conflict());
+      const createPost = jest.spyOn(postService, 'createPost');
+
+      expect(await scheduledPostService.processDuePosts()).toBe(0);
+      expect(createPost).not.toHaveBeenCalled();
+    });
+
+    it('should turn due posts whose poll has closed back into drafts', async () => {
+      const draft = scheduledDraft({ poll: { options: [], closesAt: new Date(Date.now() - 500).toISOString() } });
+      jest.spyOn(dynamodb, 'query').mockReturnValue(resolved({ Items: [draft] }));
+      const update = jest.spyOn(dynamodb, 'update').mockReturnValue(resolved({ Attributes: { ...draft, status: 'draft' } }));
+      const createPost = jest.spyOn(postService, 'createPost');
+      const notify = jest.spyOn(RealtimeService, 'sendNotification').mockResolvedValue({ sent: false, stored: true });
+
+      expect(await scheduledPostService.processDuePosts()).toBe(0);
+      expect(createPost).not.toHaveBeenCalled();
+      expect(update.mock.calls[0][0].UpdateExpression).toContain('REMOVE publishAt');
+      expect(notify).toHaveBeenCalledWith(draft.userId, expect.objectContaining({ type: 'post_not_published' }));
+    });
+
+    it('should drop due posts whose author has deactivated their account', async () => {
+      await User.findByIdAndUpdate(officer._id, { isActive: false });
+      const draft = scheduledDraft();
+      jest.spyOn(dynamodb, 'query').mockReturnValue(resolved({ Items: [draft] }));
+      jest.spyOn(dynamodb, 'update').mockReturnValue(resolved({ Attributes: { ...draft, status: 'publishing' } }));
+      const remove = jest.spyOn(dynamodb, 'delete').mockReturnValue(resolved({}));
+      const createPost = jest.spyOn(postService, 'createPost');
+
+      expect(await scheduledPostService.processDuePosts()).toBe(0);
+      expect(createPost).not.toHaveBeenCalled();
+      expect(remove).toHaveBeenCalled();
+    });
+
+    it('should keep sweeping when finishing interrupted publishes fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const finishInterrupted = jest.spyOn(scheduledPostService, 'finishInterrupted').mockRejectedValue(new Error('Table unavailable'));
+      const processDuePosts = jest.spyOn(scheduledPostService, 'processDuePosts').mockResolvedValue(0);
+
+      try {
+        await scheduledPostService.start();
+
+        expect(finishInterrupted).toHaveBeenCalled();
+        expect(processDuePosts).toHaveBeenCalled();
+        expect(scheduledPostService.sweepInterval).toBeTruthy();
+      } finally {
+        clearInterval(scheduledPostService.sweepInterval);
+        scheduledPostService.sweepInterval = null;
+      }
+    });
+  });
+});
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const User = require('../models/mongodb/User');
+const sessionService = require('../services/sessionService');
+
+// Fixtures shared by the API suites, which run against MONGODB_TEST_URI
+
+const connectTestDatabase = () => mongoose.connect(
+  process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/networkx-test'
+);
+
+const closeTestDatabase = () => mongoose.connection.close();
+
+const createUser = (username, extra = {}) => User.create({
+  email: `${username}@example.com`,
+  password: 'password123',
+  firstName: username,
+  lastName: 'Tester',
+  username,
+  ...extra
+});
+
+// Access tokens are only accepted while their session is active
+const tokenFor = async (user) => {
+  const { accessToken } = await sessionService.createSession(user, { headers: {}, body: {}, ip: '127.0.0.1' });
+  return accessToken;
+};
+
+module.exports = {
+  connectTestDatabase,
+  closeTestDatabase,
+  createUser,
+  tokenFor
+};
@@ -0,0 +1,132 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const AuditLog = require('../models/mongodb/AuditLog');
+const ImpersonationSession = require('../models/mongodb/ImpersonationSession');
+const { connectTestDatabase, closeTestDatabase, createUser, tokenFor } = require('./helpers');
+
+describe('Admin impersonation', () => {
+  let admin;
+  let adminToken;
+  let member;
+
+  const createUserWithToken = async (username, role, twoFactorEnabled = false) => {
+    const user = await createUser(username, { role, twoFactor: { enabled: twoFactorEnabled } });
+    return { user, token: await tokenFor(user) };
+  };
+
+  const impersonate = (body = { reason: 'Investigating ticket #42' }) => request(app)
+    .post(`/api/admin/users/${member._id}/impersonate`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  // Requests are audited after the response is sent
+  const waitForAudit = async (query, count) => {
+    for (let i = 0; i < 20; i++) {
+      if (await AuditLog.countDocuments(query) >= count) return;
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+  };
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await ImpersonationSession.deleteMany({});
+    // Audit entries are immutable through the model
+    await AuditLog.collection.deleteMany({});
+
+    ({ user: admin, token: adminToken } = await createUserWithToken('admin1', 'admin', true));
+    ({ user: member } = await createUserWithToken('member1', 'user'));
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  it('should issue a read-only token that acts as the user', async () => {
+    const start = await impersonate().expect(201);
+
+    expect(start.body.tokenType).toBe('impersonation');
+    expect(start.body.impersonation.allowWrites).toBe(false);
+
+    const response = await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${start.body.token}`)
+      .expect(200);
+
+    expect(response.body.username).toBe('member1');
+    expect(response.headers['x-impersonation-id']).toBe(start.body.impersonation.id);
+  });
+
+  it('should block and audit writes unless they were allowed', async () => {
+    const start = await impersonate().expect(201);
+    const impersonationId = start.body.impersonation.id;
+
+    await request(app)
+      .post(`/api/users/follow/${admin._id}`)
+      .set('Authorization', `Bearer ${start.body.token}`)
+      .expect(403);
+
+    await waitForAudit({ action: 'impersonation.request' }, 1);
+    const entry = await AuditLog.findOne({ action: 'impersonation.request', 'metadata.impersonationId': impersonationId });
+    expect(entry.actorId).toBe(admin._id.toString());
+    expect(entry.targetUserId).toBe(member._id.toString());
+    expect(entry.metadata.statusCode).toBe(403);
+  });
+
+  it('should keep credentials off limits even with write access', async () => {
+    const start = await impersonate({ reason: 'Reproducing a bug', allowWrites: true }).expect(201);
+
+    await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${start.body.token}`)
+      .expect(403);
+  });
+
+  it('should not accept the token as a regular access token after it ends', async () => {
+    const start = await impersonate().expect(201);
+
+    await request(app)
+      .post(`/api/admin/impersonations/${start.body.impersonation.id}/end`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${start.body.token}`)
+      .expect(401);
+  });
+
+  it('should refuse to impersonate staff accounts', async () => {
+    const { user: moderator } = await createUserWithToken('moderator1', 'moderator');
+
+    await request(app)
+      .post(`/api/admin/users/${moderator._id}/impersonate`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Checking permissions' })
+      .expect(403);
+  });
+
+  it('should require a reason', async () => {
+    await impersonate({}).expect(400);
+  });
+
+  it('should expose the audit trail and keep it immutable', async () => {
+    const start = await impersonate().expect(201);
+
+    const response = await request(app)
+      .get(`/api/admin/audit?impersonationId=${start.body.impersonation.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.entries[0].action).toBe('impersonation.started');
+    expect(response.body.entries[0].metadata.reason).toBe('Investigating ticket #42');
+
+    await expect(AuditLog.updateOne({}, { action: 'tampered' })).rejects.toThrow('immutable');
+    await expect(AuditLog.deleteMany({})).rejects.toThrow('immutable');
+  });
+});
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const OidcState = require('../models/mongodb/OidcState');
+const { resetProviders } = require('../config/oidc');
+const { connectTestDatabase, closeTestDatabase } = require('./helpers');
+
+// Minimal OIDC provider that issues RS256 ID tokens for whatever identity the test queues up
+const startMockIdp = async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' };
+  const codes = new Map();
+  const idp = { identity: null };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, idp.issuer);
+    const sendJson = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(200, {
+        issuer: idp.issuer,
+        authorization_endpoint: `${idp.issuer}/authorize`,
+        token_endpoint: `${idp.issuer}/token`,
+        jwks_uri: `${idp.issuer}/jwks`
+      });
+    }
+
+    if (url.pathname === '/jwks') {
+      return sendJson(200, { keys: [jwk] });
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const form = new URLSearchParams(body);
+        const issued = codes.get(form.get('code'));
+        const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+
+        if (!issued || issued.codeChallenge !== challenge) {
+          return sendJson(400, { error: 'invalid_grant' });
+        }
+        codes.delete(form.get('code'));
+
+        const idToken = jwt.sign(
+          { ...issued.identity, nonce: issued.nonce },
+          privateKey,
+          { algorithm: 'RS256', keyid: 'test-key', issuer: idp.issuer, audience: 'networkx-test', expiresIn: '5m' }
+        );
+        sendJson(200, { access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+      });
+      return;
+    }
+
+    sendJson(404, { error: 'not_found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  idp.issuer = `http://127.0.0.1:${server.address().port}`;
+  idp.server = server;
+
+  // Simulate the user approving the login at the IdP
+  idp.authorize = (authorizationUrl) => {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      identity: idp.identity,
+      nonce: params.get('nonce'),
+      codeChallenge: params.get('code_challenge')
+    });
+    return { code, state: params.get('state') };
+  };
+
+  return idp;
+};
+
+describe('OIDC Single Sign-On', () => {
+  let idp;
+
+  const signIn = async (identity) => {
+    idp.identity = identity;
+
+    const authorize = await request(app)
+      .get('/api/auth/oidc/campus/authorize')
+      .expect(200);
+
+    expect(authorize.body.authorizationUrl).toContain('code_challenge_method=S256');
+
+    const { code, state } = idp.authorize(authorize.body.authorizationUrl);
+    return request(app).get(`/api/auth/oidc/campus/callback?code=${code}&state=${state}`);
+  };
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+
+    idp = await startMockIdp();
+    process.env.OIDC_PROVIDERS = JSON.stringify([{
+      id: 'campus',
+      name: 'Campus SSO',
+      issuer: idp.issuer,
+      clientId: 'networkx-test',
+      claimMapping: { department: 'ou', year: 'student_year' }
+    }]);
+    resetProviders();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await OidcState.deleteMany({});
+  });
+
+  afterAll(async () => {
+    delete process.env.OIDC_PROVIDERS;
+    resetProviders();
+    await new Promise(resolve => idp.server.close(resolve));
+    await User.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  it('should list configured providers', async () => {
+    const response = await request(app)
+      .get('/api/auth/oidc/providers')
+      .expect(200);
+
+    expect(response.body.providers).toEqual([{ id: 'campus', name: 'Campus SSO' }]);
+  });
+
+  it('should provision a user on first login and map claims', async () => {
+    const response = await signIn({
+      sub: 'student-1',
+      email: 'jane@campus.edu',
+      email_verified: true,
+      given_name: 'Jane',
+      family_name: 'Doe',
+      ou: 'Computer Science',
+      student_year: '2'
+    }).expect(201);
+
+    expect(response.body).toHaveProperty('token');
+    expect(response.body.created).toBe(true);
+    expect(response.body.user.department).toBe('Computer Science');
+    expect(response.body.user.year).toBe(2);
+    expect(response.body.user.isVerified).toBe(true);
+
+    // Second login finds the same account by subject
+    const again = await signIn({ sub: 'student-1', email: 'jane@campus.edu', email_verified: true }).expect(200);
+    expect(again.body.user._id).toBe(response.body.user._id);
+  });
+
+  it('should link an existing account by verified email', async () => {
+    const existing = new User({
+      email: 'john@campus.edu',
+      password: 'password123',
+      firstName: 'John',
+      lastName: 'Doe',
+      username: 'johndoe'
+    });
+    await existing.save();
+
+    const response = await signIn({ sub: 'student-2', email: 'john@campus.edu', email_verified: true }).expect(200);
+
+    expect(response.body.linked).toBe(true);
+    expect(response.body.user._id).toBe(existing._id.toString());
+  });
+
+  it('should not link an existing account when the email is unverified', async () => {
+    const existing = new User({
+      email: 'john@campus.edu',
+      password: 'password123',
+      firstName: 'John',
+      lastName: 'Doe',
+      username: 'johndoe'
+    });
+    await existing.save();
+
+    await signIn({ sub: 'student-3', email: 'john@campus.edu', email_verified: false }).expect(409);
+  });
+
+  it('should reject a replayed state', async () => {
+    idp.identity = { sub: 'student-4', email: 'amy@campus.edu', email_verified: true };
+
+    const authorize = await request(app).get('/api/auth/oidc/campus/authorize');
+    const { code, state } = idp.authorize(authorize.body.authorizationUrl);
+
+    await request(app)
+      .get(`/api/auth/oidc/campus/callback?code=${code}&state=${state}`)
+      .expect(201);
+
+    await request(app)
+      .get(`/api/auth/oidc/campus/callback?code=${code}&state=${state}`)
+      .expect(400);
+  });
+});
@@ -0,0 +1,157 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const UserKeys = require('../models/mongodb/UserKeys');
+const onboardingService = require('../services/onboardingService');
+const emailService = require('../services/emailService');
+const pushNotificationService = require('../services/pushNotificationService');
+const { connectTestDatabase, closeTestDatabase, createUser, tokenFor } = require('./helpers');
+
+describe('Onboarding', () => {
+  let user;
+  let token;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const getOnboarding = () => request(app)
+    .get('/api/users/me/onboarding')
+    .set('Authorization', `Bearer ${token}`)
+    .expect(200);
+
+  const stepsDone = (response) => response.body.steps.filter(step => step.done).map(step => step.id);
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await UserKeys.deleteMany({});
+
+    user = await User.create({
+      email: 'newcomer@example.com',
+      password: 'password123',
+      firstName: 'New',
+      lastName: 'Comer',
+      username: 'newcomer'
+    });
+    token = await tokenFor(user);
+
+    jest.spyOn(onboardingService, 'hasJoinedClub').mockResolvedValue(false);
+    jest.spyOn(emailService, 'sendOnboardingReminderEmail').mockResolvedValue({});
+    jest.spyOn(pushNotificationService, 'sendOnboardingReminderNotification').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await UserKeys.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  describe('checklist', () => {
+    it('should start a new account at 0 with every step to do', async () => {
+      const response = await getOnboarding();
+
+      expect(response.body.score).toBe(0);
+      expect(response.body.completed).toBe(false);
+      expect(response.body.nextStep.id).toBe('add_photo');
+      expect(response.body.steps.reduce((total, step) => total + step.weight, 0)).toBe(100);
+    });
+
+    it('should score the steps that are done and store the score', async () => {
+      await User.updateOne({ _id: user._id }, {
+        bio: 'Building things',
+        skills: ['React', 'Node.js', 'Python'],
+        interests: ['AI']
+      });
+      await UserKeys.create({ userId: user._id, publicKey: 'public', encryptedPrivateKey: 'private' });
+      onboardingService.hasJoinedClub.mockResolvedValue(true);
+
+      const response = await getOnboarding();
+
+      expect(stepsDone(response)).toEqual(['write_bio', 'add_skills', 'join_club', 'generate_keys']);
+      expect(response.body.score).toBe(50);
+
+      const updated = await User.findById(user._id);
+      expect(updated.profileCompleteness).toBe(50);
+    });
+
+    it('should not let users set their own score', async () => {
+      await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ profileCompleteness: 100 })
+        .expect(200);
+
+      const updated = await User.findById(user._id);
+      expect(updated.profileCompleteness).toBe(0);
+    });
+  });
+
+  describe('reminders', () => {
+    const backdate = (days, target = user) => User.collection.updateOne(
+      { _id: target._id },
+      { $set: { 'onboarding.startedAt': new Date(Date.now() - days * DAY_MS) } }
+    );
+
+    it('should wait a day before the first reminder', async () => {
+      expect(await onboardingService.sendReminders()).toBe(0);
+    });
+
+    it('should remind by email and push, spaced out', async () => {
+      await backdate(2);
+
+      expect(await onboardingService.sendReminders()).toBe(1);
+      expect(emailService.sendOnboardingReminderEmail).toHaveBeenCalledTimes(1);
+      expect(pushNotificationService.sendOnboardingReminderNotification).toHaveBeenCalledTimes(1);
+
+      // Too soon for the next one
+      expect(await onboardingService.sendReminders()).toBe(0);
+
+      const updated = await User.findById(user._id);
+      expect(updated.onboarding.remindersSent).toBe(1);
+    });
+
+    it('should not remind accounts from before the checklist', async () => {
+      await User.collection.updateOne(
+        { _id: user._id },
+        { $set: { createdAt: new Date(Date.now() - 400 * DAY_MS) }, $unset: { 'onboarding.startedAt': '' } }
+      );
+
+      expect(await onboardingService.sendReminders()).toBe(0);
+    });
+
+    it('should go through users in batches', async () => {
+      jest.replaceProperty(onboardingService, 'reminders', { ...onboardingService.reminders, batchSize: 1 });
+      await backdate(2);
+      await backdate(2, await createUser('other'));
+
+      expect(await onboardingService.sendReminders()).toBe(2);
+    });
+
+    it('should respect notification preferences', async () => {
+      await backdate(2);
+      await User.updateOne({ _id: user._id }, { 'preferences.notifications.push': false });
+
+      await onboardingService.sendReminders();
+
+      expect(emailService.sendOnboardingReminderEmail).toHaveBeenCalledTimes(1);
+      expect(pushNotificationService.sendOnboardingReminderNotification).not.toHaveBeenCalled();
+    });
+
+    it('should stop reminding once the checklist is dismissed', async () => {
+      await backdate(2);
+
+      await request(app)
+        .post('/api/users/me/onboarding/dismiss')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await onboardingService.sendReminders()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { connectTestDatabase, closeTestDatabase, createUser, tokenFor } = require('./helpers');
+
+describe('Roles and Permissions', () => {
+  const createUserWithToken = async (username, role, twoFactorEnabled = false) => {
+    const user = await createUser(username, { role, twoFactor: { enabled: twoFactorEnabled } });
+    return { user, token: await tokenFor(user) };
+  };
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  it('should grant moderators moderation permissions only', () => {
+    expect(hasPermission('moderator', PERMISSIONS.REPORTS_MODERATE)).toBe(true);
+    expect(hasPermission('moderator', PERMISSIONS.CONTENT_DELETE)).toBe(true);
+    expect(hasPermission('moderator', PERMISSIONS.ROLES_ASSIGN)).toBe(false);
+    expect(hasPermission('user', PERMISSIONS.REPORTS_VIEW)).toBe(false);
+    expect(hasPermission('admin', PERMISSIONS.ANALYTICS_VIEW)).toBe(true);
+  });
+
+  it('should keep moderators out of user management', async () => {
+    const { token } = await createUserWithToken('moderator1', 'moderator');
+
+    const response = await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+
+    expect(response.body.required).toEqual([PERMISSIONS.USERS_VIEW]);
+  });
+
+  it('should require admins to enable two-factor authentication', async () => {
+    const { token } = await createUserWithToken('admin1', 'admin');
+
+    await request(app)
+      .get('/api/admin/roles')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+  });
+
+  it('should let admins assign roles', async () => {
+    const { token } = await createUserWithToken('admin1', 'admin', true);
+    const { user: member } = await createUserWithToken('member1', 'user');
+
+    const response = await request(app)
+      .put(`/api/admin/users/${member._id}/role`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ role: 'moderator', reason: 'Community volunteer' })
+      .expect(200);
+
+    expect(response.body.user.role).toBe('moderator');
+
+    await request(app)
+      .put(`/api/admin/users/${member._id}/role`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ role: 'superuser' })
+      .expect(400);
+  });
+
+  it('should not let users change their own role', async () => {
+    const { user, token } = await createUserWithToken('admin1', 'admin', true);
+
+    await request(app)
+      .put(`/api/admin/users/${user._id}/role`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ role: 'user' })
+      .expect(400);
+  });
+});
@@ -0,0 +1,155 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const { dynamodb } = require('../config/dynamodb');
+const pollService = require('../services/pollService');
+const { connectTestDatabase, closeTestDatabase, createUser, tokenFor } = require('./helpers');
+
+describe('Polls', () => {
+  let author;
+  let authorToken;
+
+  const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+  const postWithPoll = (poll, counts = {}) => ({
+    postId: 'post-1',
+    userId: author._id.toString(),
+    poll: {
+      ...poll,
+      counts: { ...poll.counts, ...counts },
+      totalVotes: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      voterCount: Object.values(counts).reduce((sum, count) => sum + count, 0)
+    }
+  });
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+
+    author = await createUser('author', { isVerified: true });
+    authorToken = await tokenFor(author);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  describe('creating', () => {
+    it('should accept 2 to 10 distinct options', () => {
+      const poll = pollService.createPoll({ options: [' Yes ', 'No'], multipleChoice: true });
+
+      expect(poll.options).toEqual([
+        { optionId: 'o1', text: 'Yes' },
+        { optionId: 'o2', text: 'No' }
+      ]);
+      expect(poll.counts).toEqual({ o1: 0, o2: 0 });
+      expect(poll.multipleChoice).toBe(true);
+
+      expect(() => pollService.createPoll({ options: ['Only one'] })).toThrow('between 2 and 10');
+      expect(() => pollService.createPoll({ options: Array.from({ length: 11 }, (_, i) => `Option ${i}`) })).toThrow('between 2 and 10');
+      expect(() => pollService.createPoll({ options: ['Same', 'same'] })).toThrow('different');
+    });
+
+    it('should only hide results on polls with a close time in the future', () => {
+      expect(() => pollService.createPoll({ options: ['A', 'B'], hideResultsUntilClosed: true })).toThrow('close time');
+      expect(() => pollService.createPoll({ options: ['A', 'B'], closesAt: '2000-01-01T00:00:00Z' })).toThrow('future');
+
+      const poll = pollService.createPoll({ options: ['A', 'B'], hideResultsUntilClosed: true, closesAt: inOneHour() });
+      expect(poll.hideResultsUntilClosed).toBe(true);
+    });
+
+    it('should reject posts with an invalid poll', async () => {
+      const invalid = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ content: 'Which one?', poll: { options: ['Only one'] } })
+        .expect(400);
+
+      expect(invalid.body.code).toBe('invalid_poll');
+
+      const malformed = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ content: 'Which one?', poll: '{not json' })
+        .expect(400);
+
+      expect(malformed.body.code).toBe('invalid_poll');
+    });
+  });
+
+  describe('voting', () => {
+    it('should only allow one option on single-choice polls', async () => {
+      const post = postWithPoll(pollService.createPoll({ options: ['A', 'B', 'C'] }));
+
+      await expect(pollService.vote(post, 'voter', ['o1', 'o2'])).rejects.toMatchObject({ code: 'invalid_vote' });
+      await expect(pollService.vote(post, 'voter', ['o9'])).rejects.toMatchObject({ code: 'invalid_vote' });
+    });
+
+    it('should not accept votes once the poll closes', async () => {
+      const post = postWithPoll({ ...pollService.createPoll({ options: ['A', 'B'] }), closesAt: '2000-01-01T00:00:00.000Z' });
+      const transactWrite = jest.spyOn(dynamodb, 'transactWrite');
+
+      await expect(pollService.vote(post, 'voter', ['o1'])).rejects.toMatchObject({ code: 'poll_closed' });
+      expect(transactWrite).not.toHaveBeenCalled();
+    });
+
+    it('should record the vote and count it in one transaction', async () => {
+      const post = postWithPoll(pollService.createPoll({ options: ['A', 'B'] }));
+      const transactWrite = jest.spyOn(dynamodb, 'transactWrite').mockReturnValue({ promise: () => Promise.resolve({}) });
+      jest.spyOn(dynamodb, 'get').mockReturnValue({ promise: () => Promise.resolve({ Item: postWithPoll(post.poll, { o2: 1 }) }) });
+
+      const result = await pollService.vote(post, 'voter', ['o2']);
+
+      const [vote, count] = transactWrite.mock.calls[0][0].TransactItems;
+      expect(vote.Put.Item).toMatchObject({ postId: 'post-1', userId: 'voter', optionIds: ['o2'] });
+      expect(vote.Put.ConditionExpression).toBe('attribute_not_exists(userId)');
+      expect(count.Update.ExpressionAttributeNames['#o0']).toBe('o2');
+      expect(result.post.poll.counts.o2).toBe(1);
+    });
+
+    it('should report a second vote by the same user', async () => {
+      const post = postWithPoll(pollService.createPoll({ options: ['A', 'B'] }));
+      const cancelled = Object.assign(new Error('Transaction cancelled'), { code: 'TransactionCanceledException' });
+      jest.spyOn(dynamodb, 'transactWrite').mockReturnValue({ promise: () => Promise.reject(cancelled) });
+      jest.spyOn(dynamodb, 'get').mockReturnValue({ promise: () => Promise.resolve({ Item: { optionIds: ['o1'] } }) });
+
+      await expect(pollService.vote(post, 'voter', ['o1'])).rejects.toMatchObject({ code: 'already_voted', status: 409 });
+    });
+  });
+
+  describe('results', () => {
+    it('should hide results from everyone but the author until the poll closes', () => {
+      const poll = pollService.createPoll({ options: ['A', 'B'], hideResultsUntilClosed: true, closesAt: inOneHour() });
+      const post = postWithPoll(poll, { o1: 2, o2: 1 });
+
+      const asReader = pollService.presentPost(post, 'someone-else').poll;
+      expect(asReader.resultsVisible).toBe(false);
+      expect(asReader.totalVotes).toBeNull();
+      expect(asReader.options.map(option => option.votes)).toEqual([null, null]);
+      expect(asReader.voterCount).toBeNull();
+      expect(asReader.counts).toBeUndefined();
+
+      const asAuthor = pollService.presentPost(post, author._id).poll;
+      expect(asAuthor.options.map(option => option.votes)).toEqual([2, 1]);
+      expect(asAuthor.voterCount).toBe(3);
+
+      const closed = pollService.presentPost({ ...post, poll: { ...post.poll, closesAt: '2000-01-01T00:00:00.000Z' } }, null).poll;
+      expect(closed.closed).toBe(true);
+      expect(closed.options.map(option => option.votes)).toEqual([2, 1]);
+    });
+
+    it('should not list voters of anonymous polls', async () => {
+      const post = postWithPoll(pollService.createPoll({ options: ['A', 'B'], anonymous: true }));
+
+      await expect(pollService.listVoters(post, author._id.toString())).rejects.toMatchObject({ code: 'anonymous_poll' });
+    });
+  });
+});
@@ -0,0 +1,250 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const { dynamodb } = require('../config/dynamodb');
+const FollowRequest = require('../models/mongodb/FollowRequest');
+const privacyService = require('../services/privacyService');
+const { connectTestDatabase, closeTestDatabase, createUser, tokenFor } = require('./helpers');
+
+describe('Profile privacy', () => {
+  let owner;
+  let viewer;
+  let viewerToken;
+
+  const createStudent = (username) => createUser(username, {
+    department: 'Computer Science',
+    year: 2,
+    location: 'Campus North'
+  });
+
+  const setVisibility = async (profileVisibility, extra = {}) => {
+    owner.preferences.privacy = { ...owner.preferences.privacy.toObject(), profileVisibility, ...extra };
+    await owner.save();
+  };
+
+  const follow = async (follower, followed) => {
+    await User.updateOne({ _id: follower._id }, { $addToSet: { following: followed._id } });
+    await User.updateOne({ _id: followed._id }, { $addToSet: { followers: follower._id } });
+  };
+
+  const getProfile = () => request(app)
+    .get(`/api/users/profile/${owner._id}`)
+    .set('Authorization', `Bearer ${viewerToken}`)
+    .expect(200);
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    owner = await createStudent('owner');
+    viewer = await createStudent('viewer');
+    viewerToken = await tokenFor(viewer);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await FollowRequest.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  describe('public profiles', () => {
+    it('should be visible to anyone, without the email by default', async () => {
+      const response = await getProfile();
+
+      expect(response.body.department).toBe('Computer Science');
+      expect(response.body.location).toBe('Campus North');
+      expect(response.body.email).toBeUndefined();
+      expect(response.body.followers).toBeUndefined();
+      expect(response.body.isPrivate).toBeUndefined();
+    });
+
+    it('should honour showEmail and showLocation', async () => {
+      await setVisibility('public', { showEmail: true, showLocation: false });
+
+      const response = await getProfile();
+
+      expect(response.body.email).toBe('owner@example.com');
+      expect(response.body.location).toBeUndefined();
+    });
+  });
+
+  describe('friends-only profiles', () => {
+    beforeEach(async () => {
+      await setVisibility('friends');
+    });
+
+    it('should be limited for non-followers', async () => {
+      const response = await getProfile();
+
+      expect(response.body.isPrivate).toBe(true);
+      expect(response.body.username).toBe('owner');
+      expect(response.body.department).toBeUndefined();
+    });
+
+    it('should be limited for followers the owner does not follow back', async () => {
+      await follow(viewer, owner);
+
+      const response = await getProfile();
+      expect(response.body.isPrivate).toBe(true);
+    });
+
+    it('should be visible to mutual followers', async () => {
+      await follow(viewer, owner);
+      await follow(owner, viewer);
+
+      const response = await getProfile();
+      expect(response.body.department).toBe('Computer Science');
+    });
+
+    it('should hide follower lists from non-friends', async () => {
+      await request(app)
+        .get(`/api/users/followers/${owner._id}`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('private profiles', () => {
+    beforeEach(async () => {
+      await setVisibility('private');
+    });
+
+    it('should be limited for users the owner follows but has not approved', async () => {
+      await follow(owner, viewer);
+
+      const response = await getProfile();
+      expect(response.body.isPrivate).toBe(true);
+    });
+
+    it('should be visible to approved followers', async () => {
+      await follow(viewer, owner);
+
+      const response = await getProfile();
+      expect(response.body.department).toBe('Computer Science');
+    });
+
+    it('should be left out of user search', async () => {
+      const response = await request(app)
+        .get('/api/users/search?department=Computer%20Science')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(response.body.users.map(user => user.username)).not.toContain('owner');
+    });
+
+    it('should not be counted in member list totals', async () => {
+      jest.spyOn(dynamodb, 'get').mockReturnValue({
+        promise: () => Promise.resolve({ Item: { projectId: 'project-1', members: [owner._id.toString(), viewer._id.toString()] } })
+      });
+
+      const response = await request(app)
+        .get('/api/projects/project-1/members')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(response.body.members.map(member => member.username)).toEqual(['viewer']);
+      expect(response.body.total).toBe(1);
+    });
+
+    it('should always be visible to the owner', () => {
+      expect(privacyService.canViewProfile(owner, owner._id)).toBe(true);
+    });
+  });
+
+  describe('follow requests', () => {
+    let ownerToken;
+
+    const requestFollow = () => request(app)
+      .post(`/api/users/follow/${owner._id}`)
+      .set('Authorization', `Bearer ${viewerToken}`);
+
+    beforeEach(async () => {
+      await FollowRequest.deleteMany({});
+      await setVisibility('private');
+      ownerToken = await tokenFor(owner);
+    });
+
+    it('should ask private profiles for approval instead of following', async () => {
+      const response = await requestFollow().expect(201);
+
+      expect(response.body.requestPending).toBe(true);
+      expect(response.body.isFollowing).toBe(false);
+
+      const updatedOwner = await User.findById(owner._id);
+      expect(updatedOwner.followers).toHaveLength(0);
+
+      await requestFollow().expect(200);
+      expect(await FollowRequest.countDocuments()).toBe(1);
+    });
+
+    it('should follow once the owner accepts', async () => {
+      const { body } = await requestFollow().expect(201);
+
+      const incoming = await request(app)
+        .get('/api/users/follow-requests')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+      expect(incoming.body.requests[0].requesterId.username).toBe('viewer');
+
+      await request(app)
+        .post(`/api/users/follow-requests/${body.request._id}/accept`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      const updatedViewer = await User.findById(viewer._id);
+      expect(updatedViewer.following.map(id => id.toString())).toContain(owner._id.toString());
+
+      const profile = await getProfile();
+      expect(profile.body.department).toBe('Computer Science');
+    });
+
+    it('should let the owner decline and the requester cancel', async () => {
+      const { body } = await requestFollow().expect(201);
+
+      // Only the requester can cancel, only the owner can decline
+      await request(app)
+        .delete(`/api/users/follow-requests/${body.request._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(404);
+
+      await request(app)
+        .post(`/api/users/follow-requests/${body.request._id}/decline`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      const { body: second } = await requestFollow().expect(201);
+
+      const outgoing = await request(app)
+        .get('/api/users/follow-requests/outgoing')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+      expect(outgoing.body.requests[0].targetId.username).toBe('owner');
+
+      await request(app)
+        .delete(`/api/users/follow-requests/${second.request._id}`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(await FollowRequest.countDocuments()).toBe(0);
+      const updatedOwner = await User.findById(owner._id);
+      expect(updatedOwner.followers).toHaveLength(0);
+    });
+  });
+
+  it('should drop hidden users from lists', () => {
+    const visible = { _id: new mongoose.Types.ObjectId(), username: 'a', preferences: { privacy: { profileVisibility: 'public' } } };
+    const hidden = { _id: new mongoose.Types.ObjectId(), username: 'b', preferences: { privacy: { profileVisibility: 'private' } } };
+
+    const result = privacyService.filterVisible([visible, hidden], viewer._id);
+
+    expect(result.map(user => user.username)).toEqual(['a']);
+    expect(result[0].preferences).toBeUndefined();
+  });
+});
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const ProfileView = require('../models/mongodb/ProfileView');
+const profileViewService = require('../services/profileViewService');
+const { connectTestDatabase, closeTestDatabase, createUser, tokenFor } = require('./helpers');
+
+describe('Profile views', () => {
+  let owner;
+  let viewer;
+  let ownerToken;
+  let viewerToken;
+
+  const getInsights = () => request(app)
+    .get('/api/users/me/profile-views')
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .expect(200);
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await ProfileView.deleteMany({});
+
+    owner = await createUser('owner');
+    viewer = await createUser('viewer');
+    ownerToken = await tokenFor(owner);
+    viewerToken = await tokenFor(viewer);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await ProfileView.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  it('should record a view when a profile is opened', async () => {
+    jest.spyOn(profileViewService, 'recordView').mockResolvedValue();
+
+    await request(app)
+      .get(`/api/users/profile/${owner._id}`)
+      .set('Authorization', `Bearer ${viewerToken}`)
+      .expect(200);
+
+    expect(profileViewService.recordView).toHaveBeenCalledTimes(1);
+    expect(profileViewService.recordView.mock.calls[0][0].toString()).toBe(owner._id.toString());
+  });
+
+  it('should count each viewer once a day and list recent viewers', async () => {
+    await profileViewService.recordView(owner._id, viewer._id);
+    await profileViewService.recordView(owner._id, viewer._id);
+    await profileViewService.recordView(owner._id, owner._id);
+
+    expect(await ProfileView.countDocuments()).toBe(1);
+
+    const response = await getInsights();
+
+    expect(response.body.total).toBe(1);
+    expect(response.body.uniqueViewers).toBe(1);
+    expect(response.body.daily).toHaveLength(30);
+    expect(response.body.daily[29].count).toBe(1);
+    expect(response.body.recentViewers[0].user.username).toBe('viewer');
+  });
+
+  it('should count viewers who opted out without showing who they are', async () => {
+    await User.updateOne({ _id: viewer._id }, { 'preferences.privacy.shareProfileViews': false });
+
+    await profileViewService.recordView(owner._id, viewer._id);
+
+    const response = await getInsights();
+
+    expect(response.body.total).toBe(1);
+    expect(response.body.anonymous).toBe(1);
+    expect(response.body.recentViewers).toEqual([]);
+  });
+
+  it('should keep hidden viewers out of the data export', async () => {
+    const blocked = await createUser('blocked');
+    await profileViewService.recordView(owner._id, viewer._id);
+    await profileViewService.recordView(owner._id, blocked._id);
+
+    // Both turned private after their visit was recorded as public
+    await User.updateOne({ _id: viewer._id }, { 'preferences.privacy.shareProfileViews': false });
+    await User.updateOne({ _id: owner._id }, { blockedUsers: [blocked._id] });
+
+    const { received } = await profileViewService.collectForUser(owner._id);
+
+    expect(received).toHaveLength(2);
+    expect(received.map(view => view.viewerId)).toEqual([null, null]);
+
+    const { made } = await profileViewService.collectForUser(viewer._id);
+    expect(made[0].profileId.toString()).toBe(owner._id.toString());
+  });
+
+  it('should expire views after the retention window', async () => {
+    await profileViewService.recordView(owner._id, viewer._id);
+
+    const view = await ProfileView.findOne();
+    const retentionMs = profileViewService.retentionDays * 24 * 60 * 60 * 1000;
+    expect(view.expiresAt.getTime() - view.viewedAt.getTime()).toBe(retentionMs);
+  });
+});
@@ -0,0 +1,160 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const { dynamodb } = require('../config/dynamodb');
+const reactionService = require('../services/reactionService');
+const { connectTestDatabase, closeTestDatabase, createUser, tokenFor } = require('./helpers');
+
+describe('Reactions', () => {
+  let owner;
+  let reactor;
+  let reactorToken;
+  let post;
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+
+    owner = await createUser('owner');
+    reactor = await createUser('reactor');
+    reactorToken = await tokenFor(reactor);
+
+    post = {
+      postId: 'post-1',
+      userId: owner._id.toString(),
+      comments: 0,
+      likes: 0,
+      reactions: reactionService.emptyCounts(),
+      reactionCount: 0
+    };
+
+    jest.spyOn(reactionService, 'getContent').mockResolvedValue(post);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  describe('routes', () => {
+    it('should reject unknown reaction types', async () => {
+      const response = await request(app)
+        .post('/api/posts/post-1/reactions')
+        .set('Authorization', `Bearer ${reactorToken}`)
+        .send({ type: 'angry' })
+        .expect(400);
+
+      expect(response.body.code).toBe('invalid_reaction');
+    });
+
+    it('should not let blocked users react', async () => {
+      await User.findByIdAndUpdate(owner._id, { blockedUsers: [reactor._id] });
+      const react = jest.spyOn(reactionService, 'react');
+
+      await request(app)
+        .post('/api/posts/post-1/reactions')
+        .set('Authorization', `Bearer ${reactorToken}`)
+        .send({ type: 'celebrate' })
+        .expect(403);
+
+      expect(react).not.toHaveBeenCalled();
+    });
+
+    it('should toggle a like off through the like endpoint', async () => {
+      jest.spyOn(reactionService, 'getUserReaction').mockResolvedValue('like');
+      const remove = jest.spyOn(reactionService, 'removeReaction')
+        .mockResolvedValue(reactionService.summarize(post, null));
+
+      const response = await request(app)
+        .post('/api/posts/post-1/like')
+        .set('Authorization', `Bearer ${reactorToken}`)
+        .expect(200);
+
+      expect(remove).toHaveBeenCalledWith('post', post, reactor._id.toString());
+      expect(response.body.liked).toBe(false);
+      expect(response.body.likes).toBe(0);
+    });
+
+    it('should replace another reaction with a like', async () => {
+      jest.spyOn(reactionService, 'getUserReaction').mockResolvedValue('curious');
+      const react = jest.spyOn(reactionService, 'react')
+        .mockResolvedValue(reactionService.summarize({ reactions: { like: 1 } }, 'like'));
+
+      const response = await request(app)
+        .post('/api/projects/project-1/like')
+        .set('Authorization', `Bearer ${reactorToken}`)
+        .expect(200);
+
+      expect(react).toHaveBeenCalledWith('project', post, reactor._id.toString(), 'like');
+      expect(response.body.liked).toBe(true);
+      expect(response.body.likes).toBe(1);
+    });
+  });
+
+  describe('counts', () => {
+    const resolved = (value) => ({ promise: () => Promise.resolve(value) });
+
+    it('should add to the counts in the same transaction as the reaction', async () => {
+      jest.spyOn(reactionService, 'getUserReaction').mockResolvedValue('curious');
+      const transactWrite = jest.spyOn(dynamodb, 'transactWrite').mockReturnValue(resolved({}));
+      jest.spyOn(dynamodb, 'get').mockReturnValue(resolved({
+        Item: { ...post, reactions: { ...post.reactions, like: 1 }, reactionCount: 1, likes: 1 }
+      }));
+
+      const result = await reactionService.react('post', post, reactor._id.toString(), 'like');
+
+      const [write, update] = transactWrite.mock.calls[0][0].TransactItems;
+      expect(write.Put.Item.reaction).toBe('like');
+      expect(write.Put.ConditionExpression).toBe('reaction = :previous');
+      expect(update.Update.UpdateExpression).toContain('ADD reactionCount :total, likes :likes');
+      expect(update.Update.ExpressionAttributeValues).toEqual(expect.objectContaining({ ':total': 0, ':likes': 1 }));
+      expect(result.reactions.like).toBe(1);
+    });
+
+    it('should refuse a reaction that changed while it was being saved', async () => {
+      jest.spyOn(reactionService, 'getUserReaction').mockResolvedValue(null);
+      jest.spyOn(dynamodb, 'transactWrite').mockReturnValue({
+        promise: () => Promise.reject(Object.assign(new Error('Transaction cancelled'), { code: 'TransactionCanceledException' }))
+      });
+
+      await expect(reactionService.react('post', post, reactor._id.toString(), 'like'))
+        .rejects.toMatchObject({ code: 'reaction_conflict', status: 409 });
+    });
+
+    it('should keep the counts of a legacy item another request already migrated', async () => {
+      const conflict = { promise: () => Promise.reject(Object.assign(new Error('The conditional request failed'), { code: 'ConditionalCheckFailedException' })) };
+      const migrated = { ...post, reactions: { ...post.reactions, curious: 1 }, reactionCount: 1 };
+      const put = jest.spyOn(dynamodb, 'put').mockReturnValue(conflict);
+      const update = jest.spyOn(dynamodb, 'update').mockReturnValue(conflict);
+      jest.spyOn(dynamodb, 'get').mockReturnValue(resolved({ Item: migrated }));
+
+      const result = await reactionService.migrateLegacyLikes('post', { ...post, likedBy: ['reactor'] });
+
+      expect(put.mock.calls[0][0].ConditionExpression).toBe('attribute_not_exists(userId)');
+      expect(update.mock.calls[0][0].ConditionExpression).toBe('attribute_exists(likedBy)');
+      expect(result).toEqual(migrated);
+    });
+  });
+
+  describe('engagement score', () => {
+    it('should weight reactions and comments', () => {
+      const score = reactionService.getEngagementScore({
+        reactions: { like: 2, insightful: 1, celebrate: 2 },
+        comments: 3
+      });
+
+      expect(score).toBe(2 + 2 + 3 + 6);
+    });
+
+    it('should count likes on content from before reactions', () => {
+      expect(reactionService.getEngagementScore({ likes: 4 })).toBe(4);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const resumeService = require('../services/resumeService');
+const { connectTestDatabase, closeTestDatabase, tokenFor } = require('./helpers');
+
+describe('JSON Resume', () => {
+  let user;
+  let token;
+
+  const resume = {
+    basics: {
+      summary: 'Full-stack developer who likes hackathons',
+      url: 'https://ada.dev',
+      location: { city: 'Pune', countryCode: 'IN' },
+      profiles: [
+        { network: 'GitHub', username: 'ada', url: 'https://github.com/ada' },
+        { network: 'Mastodon', url: 'https://mastodon.social/@ada' }
+      ]
+    },
+    skills: [{ name: 'Web Development', keywords: ['react', 'Node.js'] }]
+  };
+
+  const preview = (body) => request(app)
+    .post('/api/users/me/resume/preview')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const importResume = (body) => request(app)
+    .post('/api/users/me/resume/import')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+
+    user = await User.create({
+      email: 'ada@example.com',
+      password: 'password123',
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      username: 'ada',
+      department: 'Computer Science',
+      skills: ['React']
+    });
+    token = await tokenFor(user);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  describe('import', () => {
+    it('should reject documents that do not match the schema', async () => {
+      const response = await preview({ resume: { basics: { url: 'not a url' }, skills: 'React' } }).expect(400);
+
+      expect(response.body.details.map(detail => detail.path)).toEqual(['basics.url', 'skills']);
+    });
+
+    it('should preview the changes without applying them', async () => {
+      const response = await preview({ resume }).expect(200);
+
+      expect(response.body.changes).toEqual([
+        { field: 'bio', from: '', to: 'Full-stack developer who likes hackathons' },
+        { field: 'location', from: '', to: 'Pune, IN' },
+        { field: 'skills', from: ['React'], to: ['React', 'Web Development', 'Node.js'] },
+        { field: 'socialLinks.portfolio', from: null, to: 'https://ada.dev' },
+        { field: 'socialLinks.github', from: null, to: 'https://github.com/ada' }
+      ]);
+      expect(response.body.confirmation).toBeDefined();
+
+      const unchanged = await User.findById(user._id);
+      expect(unchanged.bio).toBe('');
+    });
+
+    it('should apply a previewed import', async () => {
+      const { body } = await preview({ resume }).expect(200);
+
+      await importResume({ resume, confirmation: body.confirmation }).expect(200);
+
+      const updated = await User.findById(user._id);
+      expect(updated.bio).toBe('Full-stack developer who likes hackathons');
+      expect(updated.location).toBe('Pune, IN');
+      expect(updated.skills).toEqual(['React', 'Web Development', 'Node.js']);
+      expect(updated.socialLinks.github).toBe('https://github.com/ada');
+    });
+
+    it('should refuse an import that was not previewed or is out of date', async () => {
+      const { body } = await preview({ resume }).expect(200);
+      await User.updateOne({ _id: user._id }, { bio: 'Edited meanwhile' });
+
+      const response = await importResume({ resume, confirmation: body.confirmation }).expect(409);
+      expect(response.body.preview.changes[0]).toEqual({
+        field: 'bio',
+        from: 'Edited meanwhile',
+        to: 'Full-stack developer who likes hackathons'
+      });
+
+      await importResume({ resume }).expect(409);
+    });
+  });
+
+  describe('export', () => {
+    it('should include completed projects and club roles', async () => {
+      const userId = user._id.toString();
+      jest.spyOn(resumeService, 'getMemberships').mockResolvedValue({
+        projects: [
+          { title: 'Campus App', description: 'Done', status: 'completed', ownerId: userId, createdAt: '2024-01-10T00:00:00.000Z', updatedAt: '2024-05-01T00:00:00.000Z' },
+          { title: 'Side Project', description: 'Ongoing', status: 'in_progress', ownerId: userId }
+        ],
+        clubs: [{ name: 'Robotics Club', presidentId: 'someone-else', officers: [userId], members: [userId] }]
+      });
+
+      const response = await request(app)
+        .get('/api/users/me/resume')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.basics.name).toBe('Ada Lovelace');
+      expect(response.body.skills).toEqual([{ name: 'React' }]);
+      expect(response.body.projects).toEqual([{
+        name: 'Campus App',
+        description: 'Done',
+        roles: ['Owner'],
+        startDate: '2024-01-10',
+        endDate: '2024-05-01'
+      }]);
+      expect(response.body.volunteer).toEqual([{ organization: 'Robotics Club', position: 'Officer' }]);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const Review = require('../models/mongodb/Review');
+const Endorsement = require('../models/mongodb/Endorsement');
+const reviewService = require('../services/reviewService');
+const { connectTestDatabase, closeTestDatabase, createUser, tokenFor } = require('./helpers');
+
+describe('Reviews and endorsements', () => {
+  let reviewer;
+  let reviewee;
+  let reviewerToken;
+
+  const review = (body) => request(app)
+    .post(`/api/users/${reviewee._id}/reviews`)
+    .set('Authorization', `Bearer ${reviewerToken}`)
+    .send(body);
+
+  const endorse = (skill) => request(app)
+    .post(`/api/users/${reviewee._id}/endorsements`)
+    .set('Authorization', `Bearer ${reviewerToken}`)
+    .send({ skill });
+
+  const projectReview = { rating: 5, comment: 'Great teammate', context: { type: 'project', id: 'project-1' } };
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Review.deleteMany({});
+    await Endorsement.deleteMany({});
+
+    reviewer = await createUser('reviewer', { isVerified: true });
+    reviewee = await createUser('reviewee', { isVerified: true, skills: ['React', 'Node.js', 'Python'] });
+    reviewerToken = await tokenFor(reviewer);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await Review.deleteMany({});
+    await Endorsement.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  describe('reviews', () => {
+    it('should only accept reviews from people who shared work', async () => {
+      jest.spyOn(reviewService, 'hasSharedContext').mockResolvedValue(false);
+
+      const response = await review(projectReview).expect(403);
+      expect(response.body.code).toBe('no_shared_context');
+    });
+
+    it('should update the rating and keep one review per pair', async () => {
+      jest.spyOn(reviewService, 'hasSharedContext').mockResolvedValue(true);
+
+      await review(projectReview).expect(201);
+      await review({ ...projectReview, rating: 4 }).expect(200);
+
+      expect(await Review.countDocuments()).toBe(1);
+
+      const updated = await User.findById(reviewee._id);
+      expect(updated.totalRatings).toBe(1);
+      expect(updated.rating).toBeGreaterThan(3);
+      expect(updated.rating).toBeLessThan(4);
+
+      const response = await request(app)
+        .get(`/api/users/${reviewee._id}/reviews`)
+        .set('Authorization', `Bearer ${reviewerToken}`)
+        .expect(200);
+      expect(response.body.reviews[0].reviewerId.username).toBe('reviewer');
+      expect(response.body.reviews[0].rating).toBe(4);
+    });
+
+    it('should validate the rating and context', async () => {
+      await review({ ...projectReview, rating: 6 }).expect(400);
+      await review({ ...projectReview, context: { type: 'event', id: 'event-1' } }).expect(400);
+    });
+
+    it('should not let users review themselves or set their own rating', async () => {
+      await request(app)
+        .post(`/api/users/${reviewer._id}/reviews`)
+        .set('Authorization', `Bearer ${reviewerToken}`)
+        .send(projectReview)
+        .expect(400);
+
+      await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${reviewerToken}`)
+        .send({ rating: 5 })
+        .expect(200);
+
+      const updated = await User.findById(reviewer._id);
+      expect(updated.rating).toBe(0);
+    });
+
+    it('should reset the rating when the review is removed', async () => {
+      jest.spyOn(reviewService, 'hasSharedContext').mockResolvedValue(true);
+      await review(projectReview).expect(201);
+
+      await request(app)
+        .delete(`/api/users/${reviewee._id}/reviews`)
+        .set('Authorization', `Bearer ${reviewerToken}`)
+        .expect(200);
+
+      const updated = await User.findById(reviewee._id);
+      expect(updated.rating).toBe(0);
+      expect(updated.totalRatings).toBe(0);
+    });
+  });
+
+  describe('endorsements', () => {
+    it('should endorse listed skills and expose the top ones on the profile', async () => {
+      await endorse('react').expect(201);
+      await endorse('React').expect(200);
+      await endorse('Go').expect(400);
+
+      const response = await request(app)
+        .get(`/api/users/profile/${reviewee._id}`)
+        .set('Authorization', `Bearer ${reviewerToken}`)
+        .expect(200);
+
+      expect(response.body.topSkills).toEqual([{ skill: 'React', count: 1 }]);
+    });
+
+    it('should limit how many skills one person can endorse on a profile', async () => {
+      reviewService.limits.endorsementsPerUser = 2;
+
+      try {
+        await endorse('React').expect(201);
+        await endorse('Node.js').expect(201);
+        const response = await endorse('Python').expect(429);
+        expect(response.body.code).toBe('endorsement_limit');
+      } finally {
+        reviewService.limits.endorsementsPerUser = 5;
+      }
+    });
+
+    it('should withdraw an endorsement', async () => {
+      await endorse('React').expect(201);
+
+      await request(app)
+        .delete(`/api/users/${reviewee._id}/endorsements/react`)
+        .set('Authorization', `Bearer ${reviewerToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/users/${reviewee._id}/endorsements`)
+        .set('Authorization', `Bearer ${reviewerToken}`)
+        .expect(200);
+      expect(response.body.skills.every(skill => skill.count === 0)).toBe(true);
+    });
+  });
+
+  describe('rating calculation', () => {
+    const reviewFrom = (rating, type, isVerified, id) => ({
+      rating,
+      context: { type },
+      reviewerId: { _id: id, isVerified }
+    });
+
+    it('should be 0 until someone leaves a review', () => {
+      expect(reviewService.calculateRating([], [], 10)).toBe(0);
+    });
+
+    it('should not let a single review dominate', () => {
+      const rating = reviewService.calculateRating([reviewFrom(5, 'project', true, 'a')], [], 0);
+      expect(rating).toBeLessThan(4);
+    });
+
+    it('should discount club, unverified and reciprocal reviews', () => {
+      const full = reviewService.calculateRating([reviewFrom(1, 'project', true, 'a')], [], 0);
+      const club = reviewService.calculateRating([reviewFrom(1, 'club', true, 'a')], [], 0);
+      const unverified = reviewService.calculateRating([reviewFrom(1, 'project', false, 'a')], [], 0);
+      const reciprocal = reviewService.calculateRating([reviewFrom(1, 'project', true, 'a')], ['a'], 0);
+
+      expect(club).toBeGreaterThan(full);
+      expect(unverified).toBeGreaterThan(full);
+      expect(reciprocal).toBeGreaterThan(full);
+    });
+
+    it('should give endorsements a small boost', () => {
+      const reviews = [reviewFrom(4, 'project', true, 'a')];
+      expect(reviewService.calculateRating(reviews, [], 10))
+        .toBeGreaterThan(reviewService.calculateRating(reviews, [], 0));
+    });
+  });
+});
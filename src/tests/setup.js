@@ -48,11 +48,8 @@ global.createTestUser = async (userData = {}) => {
   return user;
 };
 
-global.generateAuthToken = (userId) => {
-  const jwt = require('jsonwebtoken');
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+global.generateAuthToken = async (userId) => {
+  const sessionService = require('../services/sessionService');
+  const { accessToken } = await sessionService.createSession({ _id: userId }, { headers: {}, body: {}, ip: '127.0.0.1' });
+  return accessToken;
 };
@@ -0,0 +1,119 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const FollowRequest = require('../models/mongodb/FollowRequest');
+const suggestionService = require('../services/suggestionService');
+const { connectTestDatabase, closeTestDatabase, createUser, tokenFor } = require('./helpers');
+
+describe('People you may know', () => {
+  let viewer;
+  let friend;
+  let viewerToken;
+
+  const noSharedMemberships = { projects: new Map(), clubs: new Map(), events: new Map() };
+
+  const getSuggestions = () => request(app)
+    .get('/api/users/suggestions')
+    .set('Authorization', `Bearer ${viewerToken}`)
+    .expect(200);
+
+  const suggestedUsernames = (response) => response.body.suggestions.map(suggestion => suggestion.user.username);
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await FollowRequest.deleteMany({});
+
+    viewer = await createUser('viewer', { department: 'Computer Science', year: 2, skills: ['React'] });
+    friend = await createUser('friend');
+    viewer.following.push(friend._id);
+    await viewer.save();
+
+    viewerToken = await tokenFor(viewer);
+
+    jest.spyOn(suggestionService, 'getSharedMemberships').mockResolvedValue(noSharedMemberships);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await FollowRequest.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  it('should rank candidates and explain why they were suggested', async () => {
+    await createUser('classmate', { department: 'Computer Science', year: 3 });
+    await createUser('connected', {
+      department: 'Computer Science',
+      skills: ['react'],
+      followers: [friend._id]
+    });
+    await createUser('stranger', { department: 'History' });
+
+    const response = await getSuggestions();
+
+    expect(suggestedUsernames(response)).toEqual(['connected', 'classmate']);
+    expect(response.body.suggestions[0].explanation).toBe('1 mutual connection, both in Computer Science');
+    expect(response.body.suggestions[0].reasons.map(reason => reason.type))
+      .toEqual(['mutualConnections', 'department', 'skills']);
+  });
+
+  it('should count shared clubs, projects and events', async () => {
+    const teammate = await createUser('teammate');
+    suggestionService.getSharedMemberships.mockResolvedValue({
+      ...noSharedMemberships,
+      projects: new Map([[teammate._id.toString(), 2]])
+    });
+
+    const response = await getSuggestions();
+
+    expect(suggestedUsernames(response)).toEqual(['teammate']);
+    expect(response.body.suggestions[0].explanation).toBe('worked on 2 projects together');
+  });
+
+  it('should keep the strongest candidates when the pool is cut short', async () => {
+    jest.replaceProperty(suggestionService, 'candidatePoolSize', 1);
+    await createUser('classmate', { department: 'Computer Science' });
+    await createUser('connected', { department: 'Computer Science', followers: [friend._id] });
+
+    const response = await getSuggestions();
+
+    expect(suggestedUsernames(response)).toEqual(['connected']);
+  });
+
+  it('should leave out followed, requested, blocked and hidden users', async () => {
+    const requested = await createUser('requested', { department: 'Computer Science' });
+    await FollowRequest.create({ requesterId: viewer._id, targetId: requested._id });
+    await createUser('blocker', { department: 'Computer Science', blockedUsers: [viewer._id] });
+    await createUser('hidden', {
+      department: 'Computer Science',
+      preferences: { privacy: { profileVisibility: 'private' } }
+    });
+    await User.updateOne({ _id: friend._id }, { department: 'Computer Science' });
+
+    const response = await getSuggestions();
+
+    expect(response.body.suggestions).toEqual([]);
+  });
+
+  it('should drop cached suggestions after a follow', async () => {
+    const classmate = await createUser('classmate', { department: 'Computer Science' });
+    jest.spyOn(suggestionService, 'invalidate');
+
+    await request(app)
+      .post(`/api/users/follow/${classmate._id}`)
+      .set('Authorization', `Bearer ${viewerToken}`)
+      .expect(200);
+
+    expect(suggestionService.invalidate.mock.calls[0][0].toString()).toBe(viewer._id.toString());
+
+    const response = await getSuggestions();
+    expect(suggestedUsernames(response)).not.toContain('classmate');
+  });
+});
@@ -0,0 +1,146 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/mongodb/User');
+const hashtagService = require('../services/hashtagService');
+const mentionService = require('../services/mentionService');
+const { connectTestDatabase, closeTestDatabase, createUser, tokenFor } = require('./helpers');
+
+describe('Mentions & Hashtags', () => {
+  let author;
+  let reader;
+  let readerToken;
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+
+    author = await createUser('author');
+    reader = await createUser('reader');
+    readerToken = await tokenFor(reader);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await closeTestDatabase();
+  });
+
+  describe('parsing', () => {
+    it('should find hashtags but not numbers, anchors or words with # inside', () => {
+      expect(hashtagService.parseHashtags('Shipping #NodeJS and #nodejs, see issue #12 and a&#39;b c#sharp #ai_ml'))
+        .toEqual(['nodejs', 'ai_ml']);
+    });
+
+    it('should keep tags as entered but only index valid hashtags', () => {
+      const tags = hashtagService.cleanTags([' c++', 'Node.js', 'machine learning', 'React', '']);
+      expect(tags).toEqual(['c++', 'Node.js', 'machine learning', 'React']);
+
+      expect(hashtagService.mergeTags(tags, hashtagService.parseHashtags('Weekend build #webdev')))
+        .toEqual(['react', 'webdev']);
+      expect(hashtagService.getIndexedTags({ tags: ['c++', 'React'] })).toEqual(['react']);
+      expect(hashtagService.getIndexedTags({ tags: ['c++'], hashtags: ['cpp'] })).toEqual(['cpp']);
+    });
+
+    it('should find mentions but not email addresses', () => {
+      expect(mentionService.parseMentions('Thanks @Reader and @reader! Mail me at someone@example.com cc @ab'))
+        .toEqual(['reader']);
+    });
+
+    it('should resolve mentions to active users other than the author', async () => {
+      const blocked = await createUser('blocked', { blockedUsers: [author._id] });
+      await createUser('inactive', { isActive: false });
+
+      const mentions = await mentionService.resolveMentions(
+        '@author @READER @blocked @inactive @nobody',
+        author._id
+      );
+
+      expect(mentions).toEqual([reader._id.toString()]);
+      expect(mentions).not.toContain(blocked._id.toString());
+    });
+
+    it('should only report newly added mentions', () => {
+      expect(mentionService.getAddedMentions(['a', 'b'], ['b', 'c'])).toEqual(['c']);
+      expect(mentionService.getAddedMentions(undefined, ['a'])).toEqual(['a']);
+    });
+  });
+
+  describe('follows', () => {
+    it('should follow and unfollow a tag', async () => {
+      const followed = await request(app)
+        .post('/api/tags/%23NodeJS/follow')
+        .set('Authorization', `Bearer ${readerToken}`)
+        .expect(200);
+
+      expect(followed.body.tags).toEqual(['nodejs']);
+
+      const following = await request(app)
+        .get('/api/tags/following')
+        .set('Authorization', `Bearer ${readerToken}`)
+        .expect(200);
+
+      expect(following.body.tags).toEqual(['nodejs']);
+
+      const unfollowed = await request(app)
+        .delete('/api/tags/nodejs/follow')
+        .set('Authorization', `Bearer ${readerToken}`)
+        .expect(200);
+
+      expect(unfollowed.body.tags).toEqual([]);
+    });
+
+    it('should reject invalid tags', async () => {
+      const response = await request(app)
+        .post('/api/tags/123/follow')
+        .set('Authorization', `Bearer ${readerToken}`)
+        .expect(400);
+
+      expect(response.body.code).toBe('invalid_tag');
+    });
+
+    it('should not be changed through the profile', async () => {
+      await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${readerToken}`)
+        .send({ followedTags: ['spam'] })
+        .expect(200);
+
+      const user = await User.findById(reader._id);
+      expect(user.followedTags).toEqual([]);
+    });
+  });
+
+  describe('timelines', () => {
+    it('should return the timeline and whether you follow the tag', async () => {
+      await User.findByIdAndUpdate(reader._id, { followedTags: ['nodejs'] });
+      const getTimeline = jest.spyOn(hashtagService, 'getTimeline').mockResolvedValue({
+        items: [{ contentType: 'post', postId: 'post-1' }],
+        nextCursor: null
+      });
+
+      const response = await request(app)
+        .get('/api/tags/NodeJS?limit=5')
+        .set('Authorization', `Bearer ${readerToken}`)
+        .expect(200);
+
+      expect(getTimeline).toHaveBeenCalledWith('nodejs', reader._id.toString(), { cursor: undefined, limit: 5 });
+      expect(response.body.following).toBe(true);
+      expect(response.body.items).toHaveLength(1);
+    });
+
+    it('should reject invalid cursors', async () => {
+      const response = await request(app)
+        .get('/api/tags/nodejs?cursor=not-a-cursor')
+        .set('Authorization', `Bearer ${readerToken}`)
+        .expect(400);
+
+      expect(response.body.code).toBe('invalid_cursor');
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const totpService = require('../services/totpService');
+
+describe('TOTP Service', () => {
+  // RFC 6238 appendix B test secret for SHA-1 ("12345678901234567890")
+  const rfcSecret = totpService.base32Encode(Buffer.from('12345678901234567890'));
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(totpService.generateCode(rfcSecret, 59 * 1000, 8)).toBe('94287082');
+    expect(totpService.generateCode(rfcSecret, 1111111109 * 1000, 8)).toBe('07081804');
+    expect(totpService.generateCode(rfcSecret, 1234567890 * 1000, 8)).toBe('89005924');
+    expect(totpService.generateCode(rfcSecret, 20000000000 * 1000, 8)).toBe('65353130');
+  });
+
+  it('should round-trip base32', () => {
+    const secret = totpService.generateSecret();
+    expect(totpService.base32Encode(totpService.base32Decode(secret))).toBe(secret);
+  });
+
+  it('should accept codes within one step of drift', () => {
+    const secret = totpService.generateSecret();
+    const now = Date.now();
+    const previous = totpService.generateCode(secret, now - totpService.period * 1000);
+
+    expect(totpService.verifyCode(secret, previous, { timestamp: now })).not.toBeNull();
+    expect(totpService.verifyCode(secret, '12345', { timestamp: now })).toBeNull();
+  });
+
+  it('should reject codes at or before the last used step', () => {
+    const secret = totpService.generateSecret();
+    const now = Date.now();
+    const step = totpService.verifyCode(secret, totpService.generateCode(secret, now), { timestamp: now });
+
+    expect(totpService.verifyCode(secret, totpService.generateCode(secret, now), {
+      timestamp: now,
+      lastUsedStep: step
+    })).toBeNull();
+  });
+
+  it('should encrypt secrets at rest', () => {
+    const secret = totpService.generateSecret();
+    const encrypted = totpService.encryptSecret(secret);
+
+    expect(encrypted).not.toContain(secret);
+    expect(totpService.decryptSecret(encrypted)).toBe(secret);
+  });
+
+  it('should hash recovery codes independent of formatting', () => {
+    const { codes, hashes } = totpService.generateRecoveryCodes(2);
+
+    expect(codes).toHaveLength(2);
+    expect(totpService.hashRecoveryCode(codes[0].toUpperCase().replace('-', ''))).toBe(hashes[0]);
+  });
+});
@@ -1,16 +1,19 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
-const jwt = require('jsonwebtoken');
 const app = require('../../server');
 const User = require('../models/mongodb/User');
+const DataExport = require('../models/mongodb/DataExport');
+const dataExportService = require('../services/dataExportService');
+const AuditLog = require('../models/mongodb/AuditLog');
+const accountDeletionService = require('../services/accountDeletionService');
+const { connectTestDatabase, closeTestDatabase, tokenFor } = require('./helpers');
 
 describe('User Routes', () => {
   let authToken;
   let testUser;
 
   beforeAll(async () => {
-    const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/networkx-test';
-    await mongoose.connect(MONGODB_URI);
+    await connectTestDatabase();
   });
 
   beforeEach(async () => {
@@ -29,16 +32,12 @@ describe('User Routes', () => {
     await testUser.save();
 
     // Generate auth token
-    authToken = jwt.sign(
-      { userId: testUser._id },
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '7d' }
-    );
+    authToken = await tokenFor(testUser);
   });
 
   afterAll(async () => {
     await User.deleteMany({});
-    await mongoose.connection.close();
+    await closeTestDatabase();
   });
 
   describe('GET /api/users/profile', () => {
@@ -61,6 +60,12 @@ describe('User Routes', () => {
   });
 
   describe('PUT /api/users/profile', () => {
+    const updateProfile = (body) => request(app)
+      .put('/api/users/profile')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body)
+      .expect(200);
+
     it('should update user profile successfully', async () => {
       const updateData = {
         bio: 'Updated bio',
@@ -78,6 +83,45 @@ describe('User Routes', () => {
       expect(response.body.user.bio).toBe('Updated bio');
       expect(response.body.user.skills).toEqual(['JavaScript', 'Node.js']);
     });
+
+    it('should not let users change their own role', async () => {
+      await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ bio: 'Promoted?', role: 'admin' })
+        .expect(200);
+
+      const updated = await User.findById(testUser._id);
+      expect(updated.bio).toBe('Promoted?');
+      expect(updated.role).toBe('user');
+    });
+
+    it('should not turn two-factor authentication on or off', async () => {
+      await updateProfile({ twoFactor: { enabled: true } });
+      expect((await User.findById(testUser._id)).twoFactor.enabled).toBe(false);
+
+      await User.updateOne({ _id: testUser._id }, { 'twoFactor.enabled': true, 'twoFactor.secret': 'encrypted-secret' });
+      await updateProfile({ twoFactor: { enabled: false } });
+
+      const updated = await User.findById(testUser._id);
+      expect(updated.twoFactor.enabled).toBe(true);
+      expect(updated.twoFactor.secret).toBe('encrypted-secret');
+    });
+
+    it('should not let users mark themselves verified', async () => {
+      await updateProfile({ isVerified: true, isEmailVerified: true });
+
+      const updated = await User.findById(testUser._id);
+      expect(updated.isVerified).toBe(false);
+      expect(updated.isEmailVerified).toBe(false);
+    });
+
+    it('should not let users link single sign-on identities', async () => {
+      await updateProfile({ identities: [{ provider: 'campus', subject: 'someone-else' }] });
+
+      const updated = await User.findById(testUser._id);
+      expect(updated.identities).toHaveLength(0);
+    });
   });
 
   describe('POST /api/users/follow/:userId', () => {
@@ -198,4 +242,221 @@ describe('User Routes', () => {
       expect(response.body.users[0].skills).toContain('JavaScript');
     });
   });
+
+  describe('Data export', () => {
+    beforeEach(async () => {
+      await DataExport.deleteMany({});
+      // Keep the background job from running against DynamoDB and S3
+      jest.spyOn(dataExportService, 'runInBackground').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should queue an export job', async () => {
+      const response = await request(app)
+        .post('/api/users/me/export')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(202);
+
+      expect(response.body.export.status).toBe('pending');
+      expect(response.body.export.s3Key).toBeUndefined();
+      expect(dataExportService.runInBackground).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reuse an export that is still in progress', async () => {
+      const first = await request(app)
+        .post('/api/users/me/export')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(202);
+
+      const second = await request(app)
+        .post('/api/users/me/export')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(202);
+
+      expect(second.body.export._id).toBe(first.body.export._id);
+      expect(await DataExport.countDocuments({ userId: testUser._id })).toBe(1);
+    });
+
+    it('should rate limit exports after one is ready', async () => {
+      await DataExport.create({
+        userId: testUser._id,
+        status: 'ready',
+        s3Key: 'exports/test.zip',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      const response = await request(app)
+        .post('/api/users/me/export')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(429);
+
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    it('should return a download link for a ready export', async () => {
+      const exportJob = await DataExport.create({
+        userId: testUser._id,
+        status: 'ready',
+        s3Key: 'exports/test.zip',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+      jest.spyOn(dataExportService, 'getDownloadLink').mockReturnValue({
+        url: 'https://example.com/export.zip',
+        expiresAt: new Date()
+      });
+
+      const response = await request(app)
+        .get(`/api/users/me/export/${exportJob._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.download.url).toBe('https://example.com/export.zip');
+    });
+
+    it("should not return another user's export", async () => {
+      const otherExport = await DataExport.create({
+        userId: new mongoose.Types.ObjectId(),
+        status: 'ready',
+        s3Key: 'exports/other.zip',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      await request(app)
+        .get(`/api/users/me/export/${otherExport._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it("should only keep the user's own wrapped conversation key", () => {
+      const conversation = dataExportService.formatConversation({
+        conversationId: 'conv_1',
+        conversationType: 'direct',
+        participants: [
+          { userId: 'me', encryptedKey: 'my-key' },
+          { userId: 'them', encryptedKey: 'their-key' }
+        ]
+      }, 'me');
+
+      expect(conversation.participantIds).toEqual(['me', 'them']);
+      expect(conversation.encryptedKey).toBe('my-key');
+      expect(JSON.stringify(conversation)).not.toContain('their-key');
+    });
+  });
+
+  describe('Account deletion', () => {
+    beforeEach(async () => {
+      // Audit entries are immutable through the model
+      await AuditLog.collection.deleteMany({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should schedule deletion after the grace period', async () => {
+      jest.spyOn(User.prototype, 'comparePassword').mockResolvedValue(true);
+
+      const response = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'password123' })
+        .expect(202);
+
+      const scheduledFor = new Date(response.body.scheduledFor);
+      const graceMs = accountDeletionService.gracePeriodDays * 24 * 60 * 60 * 1000;
+      expect(Math.abs(scheduledFor - Date.now() - graceMs)).toBeLessThan(60 * 1000);
+
+      const user = await User.findById(testUser._id);
+      expect(user.deletion.scheduledFor).toEqual(scheduledFor);
+      expect(await AuditLog.countDocuments({ action: 'account.deletion_requested' })).toBe(1);
+    });
+
+    it('should require the password', async () => {
+      jest.spyOn(User.prototype, 'comparePassword').mockResolvedValue(false);
+
+      await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'wrong' })
+        .expect(401);
+
+      const user = await User.findById(testUser._id);
+      expect(user.deletion.scheduledFor).toBeNull();
+    });
+
+    it('should lock the account after repeated wrong passwords', async () => {
+      const requestDeletion = (password) => request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password });
+
+      for (let attempt = 1; attempt < 5; attempt++) {
+        await requestDeletion('wrong').expect(401);
+      }
+      await requestDeletion('wrong').expect(423);
+
+      // The correct password is refused while the lock holds
+      await requestDeletion('password123').expect(423);
+
+      const user = await User.findById(testUser._id);
+      expect(user.deletion.scheduledFor).toBeNull();
+    });
+
+    it('should not be scheduled or cancelled through a profile update', async () => {
+      await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ deletion: { requestedAt: new Date(), scheduledFor: new Date() } })
+        .expect(200);
+
+      const user = await User.findById(testUser._id);
+      expect(user.deletion.scheduledFor).toBeNull();
+      expect(await AuditLog.countDocuments({})).toBe(0);
+    });
+
+    it('should cancel a scheduled deletion', async () => {
+      testUser.deletion = { requestedAt: new Date(), scheduledFor: new Date(Date.now() + 60000), requestedBy: testUser._id.toString() };
+      await testUser.save();
+
+      await request(app)
+        .post('/api/users/me/deletion/cancel')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const user = await User.findById(testUser._id);
+      expect(user.deletion.scheduledFor).toBeNull();
+    });
+
+    it('should erase the account and follower references once due', async () => {
+      // DynamoDB and S3 aren't available in tests
+      ['erasePosts', 'eraseMemberships', 'eraseMessages', 'eraseNotifications', 'eraseOwnedItems']
+        .forEach(method => jest.spyOn(accountDeletionService, method).mockResolvedValue());
+
+      const follower = await User.create({
+        email: 'follower@example.com',
+        password: 'password123',
+        firstName: 'Jane',
+        lastName: 'Doe',
+        username: 'janedoe',
+        department: 'Computer Science',
+        year: 2,
+        following: [testUser._id]
+      });
+
+      testUser.deletion = { requestedAt: new Date(), scheduledFor: new Date(Date.now() - 1000), requestedBy: testUser._id.toString() };
+      await testUser.save();
+
+      expect(await accountDeletionService.processDueDeletions()).toBe(1);
+
+      expect(await User.findById(testUser._id)).toBeNull();
+      expect((await User.findById(follower._id)).following).toHaveLength(0);
+
+      const audit = await AuditLog.findOne({ action: 'account.erased' });
+      expect(audit.targetUserId).toBe(testUser._id.toString());
+      expect(JSON.stringify(audit)).not.toContain('test@example.com');
+    });
+  });
 });
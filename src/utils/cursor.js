@@ -0,0 +1,32 @@
+const { createError } = require('./errors');
+
+/**
+ * Turn a DynamoDB LastEvaluatedKey into an opaque page cursor
+ * @param {Object} key - LastEvaluatedKey
+ * @returns {string}
+ */
+const encodeCursor = (key) => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+/**
+ * Read a cursor back into an ExclusiveStartKey
+ * @param {string} cursor - Cursor from encodeCursor
+ * @param {Array<string>} fields - Key attributes the cursor must carry as strings
+ * @returns {Object}
+ * @throws {Error} 400 invalid_cursor when the cursor wasn't one we issued
+ */
+const decodeCursor = (cursor, fields) => {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (key && fields.every(field => typeof key[field] === 'string')) {
+      return key;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw createError('Invalid cursor', 'invalid_cursor', 400);
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,33 @@
+/**
+ * Build an error that services throw for expected failures
+ * @param {string} message - Human-readable message
+ * @param {string} code - Machine-readable code, e.g. invalid_cursor
+ * @param {number} status - HTTP status routes should answer with, if any
+ * @returns {Error}
+ */
+const createError = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  if (status) {
+    error.status = status;
+  }
+  return error;
+};
+
+/**
+ * Answer with a service error's own status and code, or a 500 for anything unexpected
+ * @param {Object} res - Express response
+ * @param {Error} error - Caught error
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendServiceError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  res.status(500).json({ error: fallback });
+};
+
+module.exports = {
+  createError,
+  sendServiceError
+};